@@ -36,7 +36,31 @@ const Analytics = {
         const answer = question.userAnswer;
         const hasAnswer = answer !== null && answer !== undefined && answer !== '';
         if (!hasAnswer) return 'unattempted';
-        return answer === question.correctAnswer ? 'correct' : 'incorrect';
+        return QuestionTypes.isCorrect(question, answer, attempt.questionType) ? 'correct' : 'incorrect';
+    },
+
+    /**
+     * Describe the wrong option picked for an attempt index.
+     * The trap comes from the question's option metadata, or is suggested from its explanation
+     * when OptionTraps is loaded; it says how the option went wrong relative to the answer.
+     * @param {Object} attempt
+     * @param {number} index
+     * @returns {{option: number, correctOption: number, trap: string|null, suggested: boolean}|null} - Null
+     *   unless a wrong option of a multiple-choice question was picked; suggested is true for a trap
+     *   guessed from the explanation rather than given by the question
+     */
+    getWrongOption(attempt, index) {
+        const question = attempt?.questions?.[index];
+        if (question?.type !== 'MCQ' || !Array.isArray(question.options)) return null;
+        if (!Number.isInteger(question.userAnswer) || this.getQuestionStatus(attempt, index) !== 'incorrect') return null;
+
+        const trap = typeof OptionTraps !== 'undefined' ? OptionTraps.getTrap(question, question.userAnswer) : null;
+        return {
+            option: question.userAnswer,
+            correctOption: question.correctAnswer,
+            trap,
+            suggested: trap !== null && OptionTraps.isSuggested(question)
+        };
     },
 
     /**
@@ -198,6 +222,29 @@ const Analytics = {
         return insights.slice(0, 4);
     },
 
+    /**
+     * Describe the timer mode an attempt was taken under.
+     * Attempts saved before timer modes existed count as untimed.
+     * @param {Object} attempt
+     * @returns {{timed: boolean, timedOut: boolean, label: string}}
+     */
+    describeTimerMode(attempt) {
+        const timed = attempt?.timerMode === 'countdown' && typeof attempt.timeLimit === 'number' && attempt.timeLimit > 0;
+        if (!timed) {
+            return { timed: false, timedOut: false, label: 'Untimed' };
+        }
+
+        const limitText = Utils?.formatDuration
+            ? Utils.formatDuration(attempt.timeLimit)
+            : `${attempt.timeLimit}s`;
+        const timedOut = Boolean(attempt.timedOut);
+        return {
+            timed: true,
+            timedOut,
+            label: timedOut ? `Timed (${limitText}) - auto-submitted` : `Timed (${limitText})`
+        };
+    },
+
     /**
      * Summarize attempts for a question type (overall).
      * @param {Object[]} attempts
@@ -214,8 +261,13 @@ const Analytics = {
         let totalTime = 0;
 
         let bestScore = null;
+        let timedAttempts = 0;
 
         attempts.forEach(attempt => {
+            if (this.describeTimerMode(attempt).timed) {
+                timedAttempts += 1;
+            }
+
             const score = typeof attempt.score === 'number' ? attempt.score : 0;
             const maxMarks = typeof attempt.totalMarks === 'number' ? attempt.totalMarks : 0;
             const correct = typeof attempt.correct === 'number' ? attempt.correct : 0;
@@ -244,15 +296,164 @@ const Analytics = {
 
         return {
             attempts: attempts.length,
+            timedAttempts,
             avgScore,
             accuracy,
+            scorePercentage: totalMarks > 0 ? Math.round((totalScore / totalMarks) * 100) : 0,
             avgTimePerQuestion,
             bestScore
         };
     },
 
+    /**
+     * Keep the attempts taken within a date range.
+     * @param {Object[]} attempts
+     * @param {string} from - First day ('YYYY-MM-DD'), inclusive; empty for no limit
+     * @param {string} to - Last day ('YYYY-MM-DD'), inclusive; empty for no limit
+     * @returns {Object[]} - Attempts with a timestamp in the range
+     */
+    filterByDateRange(attempts, from = '', to = '') {
+        if (!Array.isArray(attempts)) return [];
+
+        const start = from ? Utils.parseDateKey(from).getTime() : -Infinity;
+        const end = to ? Utils.parseDateKey(to, 1).getTime() : Infinity;
+        return attempts.filter(attempt => (
+            typeof attempt?.timestamp === 'number' && attempt.timestamp >= start && attempt.timestamp < end
+        ));
+    },
+
+    /**
+     * Get the period an attempt falls in.
+     * Weeks start on Monday.
+     * @param {number} timestamp
+     * @param {'day'|'week'} granularity
+     * @returns {string} - 'YYYY-MM-DD' of the first day of the period
+     */
+    getTrendPeriod(timestamp, granularity = 'day') {
+        const date = new Date(timestamp);
+        if (granularity === 'week') {
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        }
+        return Utils.toDateKey(date);
+    },
+
+    /**
+     * Compute accuracy, score and pace per day or week, with rolling averages.
+     * Only periods with attempts are returned; the rolling average of a period
+     * is the mean of it and the periods with attempts before it.
+     * @param {Object[]} attempts
+     * @param {Object} options
+     * @param {'day'|'week'} options.granularity
+     * @param {string} options.from - First day to include ('YYYY-MM-DD'), inclusive
+     * @param {string} options.to - Last day to include ('YYYY-MM-DD'), inclusive
+     * @param {number} options.window - Periods in each rolling average
+     * @returns {Array<{period: string, attempts: number, accuracy: number, scorePercentage: number,
+     *   avgTimePerQuestion: number, rolling: Object}>} - Oldest first; rolling has the same three metrics
+     */
+    getTrends(attempts, { granularity = 'day', from = '', to = '', window = 3 } = {}) {
+        const periods = new Map();
+
+        this.filterByDateRange(attempts, from, to).forEach(attempt => {
+            const period = this.getTrendPeriod(attempt.timestamp, granularity);
+            if (!periods.has(period)) periods.set(period, []);
+            periods.get(period).push(attempt);
+        });
+
+        const metrics = ['accuracy', 'scorePercentage', 'avgTimePerQuestion'];
+        const points = [...periods.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([period, periodAttempts]) => {
+                const summary = this.summarizeTypeAttempts(periodAttempts);
+                return {
+                    period,
+                    attempts: periodAttempts.length,
+                    accuracy: summary.accuracy,
+                    scorePercentage: summary.scorePercentage,
+                    avgTimePerQuestion: Math.round(summary.avgTimePerQuestion)
+                };
+            });
+
+        const size = Math.max(1, Math.round(window) || 1);
+        return points.map((point, index) => {
+            const recent = points.slice(Math.max(0, index - size + 1), index + 1);
+            const rolling = {};
+            metrics.forEach(metric => {
+                rolling[metric] = Math.round(recent.reduce((sum, item) => sum + item[metric], 0) / recent.length);
+            });
+            return { ...point, rolling };
+        });
+    },
+
+    /**
+     * Break an attempt down by the source type of each question.
+     * Used for sectional mocks, where RC and verbal-ability items share one attempt.
+     * @param {Object} attempt
+     * @returns {Array} - [{ type, total, correct, incorrect, unattempted, score, maxScore }]
+     */
+    summarizeSections(attempt) {
+        const sections = new Map();
+
+        (attempt?.questions || []).forEach((question, index) => {
+            const type = question.questionType || attempt.questionType || 'unknown';
+            if (!sections.has(type)) {
+                sections.set(type, { type, total: 0, correct: 0, incorrect: 0, unattempted: 0, score: 0, maxScore: 0 });
+            }
+
+            const section = sections.get(type);
+            const { positive, negative } = Utils.getQuestionMarks(question);
+            const status = this.getQuestionStatus(attempt, index);
+
+            section.total += 1;
+            section.maxScore += positive;
+            section[status] += 1;
+            if (status === 'correct') {
+                section.score += positive;
+            } else if (status === 'incorrect') {
+                section.score -= negative;
+            }
+        });
+
+        return Array.from(sections.values());
+    },
+
+    /**
+     * Summarize the options struck out during an attempt.
+     * The correct answer counts as struck out if it was eliminated at any point,
+     * even when it was restored later, since that is still a misread worth reviewing.
+     * @param {Object} attempt
+     * @returns {{questionsWithEliminations: number, totalEliminated: number, correctEliminated: Array}}
+     */
+    summarizeEliminations(attempt) {
+        const summary = { questionsWithEliminations: 0, totalEliminated: 0, correctEliminated: [] };
+
+        (attempt?.questions || []).forEach((question, index) => {
+            const eliminated = Array.isArray(question.eliminatedOptions) ? question.eliminatedOptions : [];
+            const history = Array.isArray(question.eliminationHistory) ? question.eliminationHistory : [];
+            const everEliminated = new Set(eliminated);
+            history.forEach(entry => {
+                if (entry?.action === 'eliminate') everEliminated.add(entry.option);
+            });
+
+            if (everEliminated.size === 0) return;
+
+            summary.questionsWithEliminations += 1;
+            summary.totalEliminated += eliminated.length;
+
+            if (everEliminated.has(question.correctAnswer)) {
+                summary.correctEliminated.push({
+                    index,
+                    restored: !eliminated.includes(question.correctAnswer),
+                    status: this.getQuestionStatus(attempt, index)
+                });
+            }
+        });
+
+        return summary;
+    },
+
     /**
      * Compute tag-level accuracy across attempts.
+     * Questions saved without tags are tagged by their stem when QuestionTags is loaded.
      * @param {Object[]} attempts
      * @returns {Array}
      */
@@ -263,14 +464,16 @@ const Analytics = {
 
         attempts.forEach(attempt => {
             attempt.questions?.forEach(question => {
-                const tags = Array.isArray(question.tags) ? question.tags : [];
+                const tags = typeof QuestionTags !== 'undefined'
+                    ? QuestionTags.getTags(question, question.questionType || attempt.questionType)
+                    : (Array.isArray(question.tags) ? question.tags : []);
                 if (tags.length === 0) return;
 
                 const answer = question.userAnswer;
                 const hasAnswer = answer !== null && answer !== undefined && answer !== '';
                 if (!hasAnswer) return;
 
-                const isCorrect = answer === question.correctAnswer;
+                const isCorrect = QuestionTypes.isCorrect(question, answer, attempt.questionType);
                 tags.forEach(tag => {
                     if (!tagStats[tag]) {
                         tagStats[tag] = { attempted: 0, correct: 0 };
@@ -293,6 +496,58 @@ const Analytics = {
             .sort((a, b) => a.accuracy - b.accuracy);
 
         return insights;
+    },
+
+    /**
+     * Count the error reasons given to wrong answers.
+     * @param {Object[]} notes - Mistake notes or notebook entries ({ reason })
+     * @returns {Array<{reason: string, count: number, share: number}>} - Most frequent first;
+     *   share is the percentage of the mistakes that have a reason
+     */
+    getErrorReasonInsights(notes) {
+        if (!Array.isArray(notes) || notes.length === 0) return [];
+
+        const counts = {};
+        notes.forEach(note => {
+            if (!note?.reason) return;
+            counts[note.reason] = (counts[note.reason] || 0) + 1;
+        });
+
+        const tagged = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return Object.entries(counts)
+            .map(([reason, count]) => ({ reason, count, share: Math.round((count / tagged) * 100) }))
+            .sort((a, b) => b.count - a.count);
+    },
+
+    /**
+     * Count the traps of the wrong options picked across attempts.
+     * @param {Object[]} attempts
+     * @returns {{wrong: number, suggested: number, traps: Array<{trap: string, count: number, share: number}>}} - wrong
+     *   is the number of wrong options picked and suggested how many of their traps were guessed from
+     *   explanations; traps are most frequent first, and share is the percentage of the wrong options
+     *   whose trap is known
+     */
+    getTrapInsights(attempts) {
+        const counts = {};
+        let wrong = 0;
+        let suggested = 0;
+
+        (Array.isArray(attempts) ? attempts : []).forEach(attempt => {
+            (attempt?.questions || []).forEach((question, index) => {
+                const choice = this.getWrongOption(attempt, index);
+                if (!choice) return;
+
+                wrong += 1;
+                if (choice.trap) counts[choice.trap] = (counts[choice.trap] || 0) + 1;
+                if (choice.suggested) suggested += 1;
+            });
+        });
+
+        const known = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const traps = Object.entries(counts)
+            .map(([trap, count]) => ({ trap, count, share: Math.round((count / known) * 100) }))
+            .sort((a, b) => b.count - a.count);
+        return { wrong, suggested, traps };
     }
 };
 
@@ -0,0 +1,205 @@
+/**
+ * Passage Annotations
+ * Colour highlights and short margin notes on RC passages
+ *
+ * This module manages:
+ * - Turning the current text selection into character offsets within a passage
+ * - Adding and erasing annotations without overlaps
+ * - Rendering annotations as <mark> elements over sanitized passage HTML
+ *
+ * Annotation Format:
+ * - { id, start, end, text, color, note }
+ * - start/end are offsets into the passage's rendered textContent, so they
+ *   survive re-rendering the same sanitized HTML on the quiz and results pages
+ *
+ * @namespace PassageAnnotations
+ */
+
+const PassageAnnotations = {
+    COLORS: ['yellow', 'green', 'blue', 'pink'],
+    MAX_NOTE_LENGTH: 200,
+
+    /**
+     * Get the current selection as offsets within a container
+     * Leading and trailing whitespace is trimmed from the selection
+     * @param {HTMLElement} container - Passage element
+     * @returns {{start: number, end: number, text: string}|null} - Offsets or null if nothing usable is selected
+     */
+    getSelectionOffsets(container) {
+        const selection = typeof window !== 'undefined' && window.getSelection ? window.getSelection() : null;
+        if (!container || !selection || selection.rangeCount === 0 || selection.isCollapsed) {
+            return null;
+        }
+
+        const range = selection.getRangeAt(0);
+        if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) {
+            return null;
+        }
+
+        const before = document.createRange();
+        before.selectNodeContents(container);
+        before.setEnd(range.startContainer, range.startOffset);
+
+        const raw = range.toString();
+        const leading = raw.length - raw.trimStart().length;
+        const text = raw.trim();
+        if (!text) return null;
+
+        const start = before.toString().length + leading;
+        return { start, end: start + text.length, text };
+    },
+
+    /**
+     * Add an annotation, replacing any annotations it overlaps
+     * @param {Array} annotations - Existing annotations
+     * @param {Object} annotation - { start, end, text, color, note }
+     * @returns {Array} - New annotation list sorted by start offset
+     */
+    addAnnotation(annotations, annotation) {
+        if (!annotation || !(annotation.end > annotation.start)) {
+            return [...(annotations || [])];
+        }
+
+        const color = this.COLORS.includes(annotation.color) ? annotation.color : this.COLORS[0];
+        const note = typeof annotation.note === 'string'
+            ? annotation.note.trim().slice(0, this.MAX_NOTE_LENGTH)
+            : '';
+
+        const kept = this.removeRange(annotations, annotation.start, annotation.end);
+        kept.push({
+            id: annotation.id || `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            start: annotation.start,
+            end: annotation.end,
+            text: annotation.text || '',
+            color,
+            note
+        });
+
+        return kept.sort((a, b) => a.start - b.start);
+    },
+
+    /**
+     * Remove every annotation that overlaps a range
+     * @param {Array} annotations - Existing annotations
+     * @param {number} start - Range start offset
+     * @param {number} end - Range end offset
+     * @returns {Array} - Remaining annotations
+     */
+    removeRange(annotations, start, end) {
+        return (annotations || []).filter(item => item.end <= start || item.start >= end);
+    },
+
+    /**
+     * Wrap annotated ranges of a container's text in <mark> elements
+     * @param {HTMLElement} container - Element holding the rendered passage
+     * @param {Array} annotations - Annotations to render
+     */
+    render(container, annotations) {
+        if (!container || !Array.isArray(annotations)) return;
+
+        let noteNumber = 0;
+        [...annotations].sort((a, b) => a.start - b.start).forEach(annotation => {
+            const noteIndex = annotation.note ? ++noteNumber : null;
+            this.wrapRange(container, annotation, noteIndex);
+        });
+    },
+
+    /**
+     * Render annotations over passage HTML and return the resulting HTML
+     * Used where the passage is built as a string (results review)
+     * @param {string} passageHTML - Passage HTML (sanitized here)
+     * @param {Array} annotations - Annotations to render
+     * @returns {string} - Sanitized, annotated HTML
+     */
+    renderToHTML(passageHTML, annotations) {
+        const temp = document.createElement('div');
+        temp.innerHTML = Utils.parseHTMLSafe(passageHTML);
+        this.render(temp, annotations);
+        return temp.innerHTML;
+    },
+
+    /**
+     * Wrap a single annotation's range, splitting text nodes as needed
+     * @param {HTMLElement} container - Passage element
+     * @param {Object} annotation - Annotation to wrap
+     * @param {number|null} noteIndex - Number shown for annotations with a note
+     */
+    wrapRange(container, annotation, noteIndex) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const segments = [];
+        let offset = 0;
+        let node;
+
+        // Collect first, since wrapping changes the tree being walked
+        while ((node = walker.nextNode())) {
+            const length = node.textContent.length;
+            const from = Math.max(annotation.start, offset);
+            const to = Math.min(annotation.end, offset + length);
+            if (from < to) {
+                segments.push({ node, from: from - offset, to: to - offset });
+            }
+            offset += length;
+            if (offset >= annotation.end) break;
+        }
+
+        segments.forEach((segment, i) => {
+            let target = segment.node;
+            if (segment.to < target.textContent.length) {
+                target.splitText(segment.to);
+            }
+            if (segment.from > 0) {
+                target = target.splitText(segment.from);
+            }
+
+            const mark = document.createElement('mark');
+            mark.className = `passage-highlight highlight-${annotation.color}${annotation.note ? ' has-note' : ''}`;
+            mark.dataset.annotationId = annotation.id;
+            if (annotation.note) {
+                mark.title = annotation.note;
+            }
+            target.parentNode.replaceChild(mark, target);
+            mark.appendChild(target);
+
+            // Number the note once, after the last segment of its range.
+            // The number is drawn by CSS so it never becomes part of the passage text.
+            if (noteIndex && i === segments.length - 1) {
+                mark.dataset.noteIndex = String(noteIndex);
+            }
+        });
+    },
+
+    /**
+     * Build the margin-notes list for a set of annotations
+     * @param {Array} annotations - Annotations (only those with notes are listed)
+     * @param {boolean} editable - Whether to include remove buttons
+     * @returns {string} - Notes HTML, or an empty string when there are no notes
+     */
+    renderNotes(annotations, editable = false) {
+        const notes = [...(annotations || [])]
+            .sort((a, b) => a.start - b.start)
+            .filter(item => item.note);
+        if (notes.length === 0) return '';
+
+        return `
+            <ol class="passage-notes-list">
+                ${notes.map(item => `
+                    <li class="passage-note highlight-${this.COLORS.includes(item.color) ? item.color : this.COLORS[0]}">
+                        <span class="passage-note-quote">"${Utils.sanitizeHTML(item.text)}"</span>
+                        <span class="passage-note-text">${Utils.sanitizeHTML(item.note)}</span>
+                        ${editable ? `<button type="button" class="passage-note-remove" data-annotation-id="${Utils.sanitizeHTML(item.id)}" aria-label="Remove note"><i class="fa fa-times"></i></button>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+};
+
+// Make PassageAnnotations available globally for browser
+if (typeof window !== 'undefined') {
+    window.PassageAnnotations = PassageAnnotations;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PassageAnnotations;
+}
@@ -18,25 +18,47 @@
  */
 
 class VARCApp {
-    constructor() {
+    /**
+     * @param {Object} options - { preview: true } for a render-only instance (see previewQuestion)
+     */
+    constructor(options = {}) {
         // Question data and navigation
         this.questions = []; // Array of question objects loaded from JSON
         this.rcSetId = null; // Current set being attempted
-        this.questionType = 'rc'; // Type of questions: 'rc', 'para-completion', or 'para-summary'
+        this.questionType = QuestionTypes.DEFAULT_TYPE; // Type id registered in QuestionTypes
         this.currentQuestionIndex = 0; // Index of currently displayed question
 
         // Timer management
         this.timerInterval = null; // setInterval reference for timer updates
         this.totalElapsedTime = 0; // Total time elapsed in seconds
         this.timerStartTime = null; // Timestamp when timer started
+        this.timerMode = 'elapsed'; // 'elapsed' (counts up) or 'countdown' (counts down to timeLimit)
+        this.timeLimit = null; // Countdown limit in seconds (countdown mode only)
+        this.remainingTime = null; // Seconds left on the countdown
+        this.warningThresholds = []; // Minutes-remaining marks that trigger a warning
+        this.firedWarnings = new Set(); // Thresholds already announced this session
+        this.timedOut = false; // Whether the attempt was auto-submitted at zero
+        this.testInfo = {}; // testInfo block from the loaded data file
+
+        // Passage annotations
+        this.currentPassage = null; // { id, html } of the passage on screen
+        this.lastHighlightColor = 'yellow'; // Colour used for notes added without a highlight
 
         // Application state
         this.isReviewMode = false; // Whether user is reviewing answers after submission
         this.isTestSubmitted = false; // Whether test has been submitted
+        this.isSubmitting = false; // Whether a submission is being saved
+        this.isPreview = options.preview === true; // Render-only: no saved state, timer or navigation
 
         // DOM Elements - cached for performance
         this.elements = {};
 
+        // A preview only draws questions handed to previewQuestion()
+        if (this.isPreview) {
+            this.elements = this.getQuestionElements();
+            return;
+        }
+
         // Initialize the app
         this.init();
     }
@@ -47,6 +69,9 @@ class VARCApp {
      * Redirects to selection page if no set is selected
      */
     async init() {
+        // A deep link (e.g. from search) selects its set before the saved selection is read
+        const linkedQuestionId = this.applyDeepLink();
+
         // Get selected question type and set ID
         this.questionType = StorageManager.getQuestionType();
         this.rcSetId = StorageManager.getSelectedSetId(this.questionType);
@@ -61,12 +86,11 @@ class VARCApp {
         this.bindEvents();
         await this.loadQuestions();
         
-        // Filter questions based on question type
-        if (this.questionType === 'rc') {
-            this.questions = this.questions.filter(q => q.passageId === this.rcSetId);
-        } else {
-            // For para-completion and para-summary, filter by setId
-            this.questions = this.questions.filter(q => q.setId === this.rcSetId);
+        // Keep only the selected set: RC groups by passageId, the verbal-ability types by setId
+        // (sectional mock questions are already resolved from the saved mock definition)
+        const typeDefinition = QuestionTypes.get(this.questionType);
+        if (typeDefinition && !typeDefinition.composite) {
+            this.questions = this.questions.filter(q => q[typeDefinition.setKey] === this.rcSetId);
         }
         
         if (this.questions.length === 0) {
@@ -76,16 +100,27 @@ class VARCApp {
         }
 
         this.restoreState();
+
+        if (linkedQuestionId !== null) {
+            const linkedIndex = this.questions.findIndex(q => q.id === linkedQuestionId);
+            if (linkedIndex !== -1) this.currentQuestionIndex = linkedIndex;
+        }
+
+        // Ask for a timer mode before the clock starts on a fresh attempt
+        if (!this.isTestSubmitted) {
+            await this.configureTimer();
+        }
+
         this.renderPalette();
         this.loadQuestion(this.currentQuestionIndex);
         this.updateStatistics();
 
         if (!this.isTestSubmitted) {
-            this.startTimer();
             // Start tracking attempt time
             if (!StorageManager.getAttemptStartTime()) {
                 StorageManager.saveAttemptStartTime();
             }
+            this.startTimer();
         }
 
         // Set user name
@@ -93,30 +128,60 @@ class VARCApp {
         this.elements.userName.textContent = userName;
         
         // Update title based on question type
-        const typeLabels = {
-            'rc': 'RC Set',
-            'para-completion': 'Para Completion Set',
-            'para-summary': 'Para Summary Set'
-        };
-        document.title = `VARC Practice - ${typeLabels[this.questionType] || 'Set'} ${this.rcSetId}`;
+        document.title = `VARC Practice - ${QuestionTypes.getSetLabel(this.questionType)} ${this.rcSetId}`;
     }
 
     /**
-     * Cache DOM elements for better performance
-     * Uses safe element retrieval with null checks for robustness
+     * Select the set named in the URL (?type=rc&setId=3&question=12)
+     * The query is then dropped so a reload resumes normally
+     * @returns {number|null} - Question ID to open, or null
      */
-    cacheElements() {
-        this.elements = {
-            // Question display
+    applyDeepLink() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const type = urlParams.get('type');
+        const setId = Utils.getValidURLParam(urlParams, 'setId', null);
+        const definition = QuestionTypes.get(type);
+
+        if (!definition || definition.composite || !setId || setId <= 0) {
+            return null;
+        }
+
+        StorageManager.saveQuestionType(type);
+        StorageManager.saveSelectedSet(type, setId);
+        window.history.replaceState(null, '', window.location.pathname);
+
+        return Utils.getValidURLParam(urlParams, 'question', null);
+    }
+
+    /**
+     * Get the elements that display a single question
+     * Shared by the quiz and the authoring preview, which has only these
+     * @returns {Object} - Question display elements
+     */
+    getQuestionElements() {
+        return {
             passageSection: Utils.safeGetElement('passage-section', true),
             passageText: Utils.safeGetElement('passage-text', true),
+            passageNotes: Utils.safeGetElement('passage-notes', false),
+            annotationToolbar: Utils.safeGetElement('annotation-toolbar', false),
             questionSection: Utils.safeGetElement('question-section', true),
             questionNumber: Utils.safeGetElement('question-number', true),
             questionText: Utils.safeGetElement('question-text', true),
             optionsContainer: Utils.safeGetElement('options-container', true),
             questionType: Utils.safeGetElement('question-type', true),
             positiveMarks: Utils.safeGetElement('positive-marks', true),
-            negativeMarks: Utils.safeGetElement('negative-marks', true),
+            negativeMarks: Utils.safeGetElement('negative-marks', true)
+        };
+    }
+
+    /**
+     * Cache DOM elements for better performance
+     * Uses safe element retrieval with null checks for robustness
+     */
+    cacheElements() {
+        this.elements = {
+            // Question display
+            ...this.getQuestionElements(),
 
             // Palette
             paletteBtns: Utils.safeGetElement('palette-btns', true),
@@ -138,6 +203,8 @@ class VARCApp {
 
             // Timer
             timeLeft: Utils.safeGetElement('time-left', true),
+            timerLabel: Utils.safeGetElement('timer-label', false),
+            timerModeModal: Utils.safeGetElement('timer-mode-modal', false),
 
             // Buttons
             saveNextBtn: Utils.safeGetElement('save-next-btn', true),
@@ -237,65 +304,117 @@ class VARCApp {
         // Fullscreen
         this.elements.fullscreenBtn?.addEventListener('click', () => this.toggleFullscreen());
 
+        // Passage annotations (mousedown is cancelled so the text selection survives the click)
+        this.elements.annotationToolbar?.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+        });
+        this.elements.annotationToolbar?.querySelectorAll('.annotation-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.highlightSelection(btn.dataset.color));
+        });
+        document.getElementById('annotation-note-btn')?.addEventListener('click', () => this.addNoteToSelection());
+        document.getElementById('annotation-erase-btn')?.addEventListener('click', () => this.eraseSelection());
+        this.elements.passageNotes?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.passage-note-remove');
+            if (removeBtn) {
+                this.removeAnnotation(removeBtn.dataset.annotationId);
+            }
+        });
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
 
         // Before unload - save state
         window.addEventListener('beforeunload', () => this.saveState());
+
+        // Leaving the page pauses the attempt so it can be resumed from the selection page
+        window.addEventListener('pagehide', () => this.pauseAttempt());
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted) this.resumeAttempt();
+        });
     }
 
     /**
-     * Load questions from data file or localStorage
+     * Load questions from the type's data file or question pack
      */
     async loadQuestions() {
+        // A sectional mock draws from every bank, so it has its own loader
+        if (QuestionTypes.get(this.questionType)?.composite) {
+            await this.loadSectionalMockQuestions();
+            return;
+        }
+
         // Don't use cached questions - always load fresh based on question type
-        // This ensures we load the correct data file for the selected type
-        
-        // Determine which data file to load based on question type
-        const dataFiles = {
-            'rc': '../data/rc-passages.json',
-            'para-completion': '../data/para-completion.json',
-            'para-summary': '../data/para-summary.json'
-        };
-        
-        const dataFile = dataFiles[this.questionType] || '../data/rc-passages.json';
-
-        // Load from data file
-        try {
-            const response = await fetch(dataFile);
-            if (response.ok) {
-                const data = await response.json();
-                this.questions = data.questions || [];
-                // Note: Don't save to localStorage to avoid conflicts between types
-            } else {
-                // Load sample questions only for RC
-                if (this.questionType === 'rc') {
-                    console.warn(
-                        `Unable to load questions from "${dataFile}" (status: ${response.status}). Falling back to sample questions.`
-                    );
-                    this.questions = this.getSampleQuestions();
-                } else {
-                    console.error(`Unable to load questions from "${dataFile}"`);
-                    this.questions = [];
-                }
-            }
-        } catch (e) {
-            if (this.questionType === 'rc') {
-                console.warn(
-                    `An error occurred while loading "${dataFile}". Falling back to sample questions.`,
-                    e
-                );
-                this.questions = this.getSampleQuestions();
-            } else {
-                console.error(`Error loading questions from "${dataFile}":`, e);
-                this.questions = [];
-            }
+        // Note: Don't save them to localStorage to avoid conflicts between types
+        const type = QuestionTypes.has(this.questionType) ? this.questionType : QuestionTypes.DEFAULT_TYPE;
+        const data = await QuestionPacks.loadBank(type, '../data/');
+
+        if (data) {
+            this.questions = data.questions || [];
+            this.testInfo = data.testInfo || {};
+        } else if (type === 'rc') {
+            // Load sample questions only for RC
+            console.warn('Falling back to sample questions.');
+            this.questions = this.getSampleQuestions();
+        } else {
+            this.questions = [];
         }
 
         // Initialize statuses for all questions
         StorageManager.initializeStatuses(this.questions.length);
     }
 
+    /**
+     * Load the questions of the selected sectional mock from all banks
+     * The mock runs under a fixed section timer instead of a data file duration
+     */
+    async loadSectionalMockQuestions() {
+        const mock = StorageManager.getSectionalMock(this.rcSetId);
+        if (!mock) {
+            console.error(`Sectional mock ${this.rcSetId} not found`);
+            this.questions = [];
+            return;
+        }
+
+        const banks = await SectionalMock.loadBanks('../data/');
+        this.questions = SectionalMock.resolveQuestions(mock, banks);
+        this.testInfo = {
+            title: 'CAT VARC Sectional Mock',
+            duration: SectionalMock.DURATION_MINUTES
+        };
+
+        // Initialize statuses for all questions
+        StorageManager.initializeStatuses(this.questions.length);
+    }
+
+    /**
+     * Get the question type a single question should be rendered as
+     * Mock questions carry their source type; other sets use the selected type
+     * @param {Object} question - Question object
+     * @returns {string} - Question type
+     */
+    getQuestionKind(question) {
+        return question?.questionType || this.questionType;
+    }
+
+    /**
+     * Get the type of the bank a question was loaded from
+     * Unlike getQuestionKind(), a question pack's questions belong to the pack
+     * @param {Object} question - Question object
+     * @returns {string} - Question type
+     */
+    getQuestionBankType(question) {
+        return QuestionTypes.get(this.questionType)?.composite ? question.questionType : this.questionType;
+    }
+
+    /**
+     * Get how a single question should be rendered
+     * @param {Object} question - Question object
+     * @returns {Object} - { passage, richText, input } from the question type registry
+     */
+    getRenderer(question) {
+        return QuestionTypes.getRenderer(this.getQuestionKind(question));
+    }
+
     /**
      * Get sample questions for demonstration
      */
@@ -458,6 +577,11 @@ class VARCApp {
             this.isTestSubmitted = false;
         }
 
+        this.reconcileAttemptState();
+
+        // Time spent away from a paused attempt is left out of its time stats
+        StorageManager.resumeAttempt();
+
         // Restore current question
         this.currentQuestionIndex = StorageManager.getCurrentQuestion();
 
@@ -467,6 +591,26 @@ class VARCApp {
         }
     }
 
+    /**
+     * Line up the saved state of this attempt with the set as it is now
+     * Answers are saved by position, so if the bank was edited while the attempt
+     * was paused they are moved with their questions; answers to questions that
+     * were reworded or removed are dropped
+     */
+    reconcileAttemptState() {
+        const current = QuestionIdentity.describeQuestions(this.questions, question => this.getQuestionBankType(question));
+        const previous = StorageManager.getAttemptQuestions();
+        StorageManager.saveAttemptQuestions(current);
+        if (!Array.isArray(previous) || QuestionIdentity.isSameList(previous, current)) return;
+
+        const { indexMap } = QuestionIdentity.mapQuestions(previous, current);
+        const dropped = StorageManager.remapAttemptState(indexMap, current.length);
+        if (dropped > 0) {
+            const answers = dropped === 1 ? '1 answer was cleared because its question was' : `${dropped} answers were cleared because their questions were`;
+            alert(`This set was edited since you last worked on it. ${answers} changed or removed.`);
+        }
+    }
+
     /**
      * Save current state to localStorage
      */
@@ -477,6 +621,27 @@ class VARCApp {
         }
     }
 
+    /**
+     * Pause the in-progress attempt when the page is left
+     */
+    pauseAttempt() {
+        if (this.isTestSubmitted || !this.questions.length) return;
+
+        this.saveState();
+        StorageManager.stopQuestionTimer(this.currentQuestionIndex);
+        StorageManager.pauseAttempt();
+    }
+
+    /**
+     * Resume after the page is restored from the back/forward cache
+     */
+    resumeAttempt() {
+        if (this.isTestSubmitted || !this.questions.length) return;
+
+        StorageManager.resumeAttempt();
+        StorageManager.startQuestionTimer(this.currentQuestionIndex);
+    }
+
     /**
      * Render the question palette
      * Creates clickable buttons for each question with proper bounds checking
@@ -586,12 +751,36 @@ class VARCApp {
             StorageManager.startQuestionTimer(index);
         }
 
+        this.renderQuestion(question, index);
+
+        // Update status if not visited before
+        const currentStatus = StorageManager.getQuestionStatus(index);
+        if (currentStatus === 'not-visited') {
+            StorageManager.saveQuestionStatus(index, 'not-answered');
+            this.updatePaletteButton(index);
+            this.updateStatistics();
+        }
+
+        // Update current indicator
+        this.updateCurrentIndicator();
+
+        // Save current position
+        StorageManager.saveCurrentQuestion(index);
+    }
+
+    /**
+     * Draw a question: number, marks, passage, text and answer input
+     * @param {Object} question - Question object
+     * @param {number} index - Question index
+     */
+    renderQuestion(question, index) {
         // Update question number with safety check
         Utils.safeSetText(this.elements.questionNumber, index + 1);
 
         // Update marks with safety checks
-        Utils.safeSetText(this.elements.positiveMarks, question.marks?.positive || 3);
-        Utils.safeSetText(this.elements.negativeMarks, question.marks?.negative || 1);
+        const marks = Utils.getQuestionMarks(question);
+        Utils.safeSetText(this.elements.positiveMarks, String(marks.positive));
+        Utils.safeSetText(this.elements.negativeMarks, String(marks.negative));
         Utils.safeSetText(this.elements.questionType, question.type || 'MCQ');
 
         // Load passage
@@ -599,12 +788,12 @@ class VARCApp {
 
         // Load question text with XSS protection
         if (question.question) {
-            // For para-summary and para-completion, allow HTML formatting
+            // For the verbal-ability types, allow HTML formatting
             // Uses Utils.safeSetHTML with sanitize=true which applies parseHTMLSafe:
             // - Removes script tags, event handlers, and dangerous URL schemes
             // - Allows safe HTML tags like <p>, <strong> for proper formatting
             // For RC, use basic text sanitization
-            if (this.questionType === 'para-summary' || this.questionType === 'para-completion') {
+            if (this.getRenderer(question).richText) {
                 Utils.safeSetHTML(this.elements.questionText, question.question, true);
             } else {
                 const sanitizedQuestion = Utils.sanitizeHTML(question.question);
@@ -616,20 +805,23 @@ class VARCApp {
 
         // Load options
         this.loadOptions(question, index);
+    }
 
-        // Update status if not visited before
-        const currentStatus = StorageManager.getQuestionStatus(index);
-        if (currentStatus === 'not-visited') {
-            StorageManager.saveQuestionStatus(index, 'not-answered');
-            this.updatePaletteButton(index);
-            this.updateStatistics();
-        }
-
-        // Update current indicator
-        this.updateCurrentIndicator();
+    /**
+     * Show authored questions without touching saved quiz state
+     * Used by the authoring page so its preview is drawn by this same renderer
+     * @param {Array} questions - Questions of the set being authored
+     * @param {number} index - Question to show
+     * @param {Object} options - { type, showAnswers }
+     */
+    previewQuestion(questions, index, { type = QuestionTypes.DEFAULT_TYPE, showAnswers = false } = {}) {
+        if (!Utils.isValidIndex(questions, index)) return;
 
-        // Save current position
-        StorageManager.saveCurrentQuestion(index);
+        this.questions = questions;
+        this.questionType = type;
+        this.currentQuestionIndex = index;
+        this.isReviewMode = showAnswers;
+        this.renderQuestion(questions[index], index);
     }
 
     /**
@@ -638,8 +830,10 @@ class VARCApp {
      * @param {Object} question - Question object
      */
     loadPassage(question) {
-        // For para-completion and para-summary, always hide passage
-        if (this.questionType !== 'rc') {
+        this.currentPassage = null;
+
+        // For the verbal-ability types, always hide passage
+        if (!this.getRenderer(question).passage) {
             if (this.elements.passageSection) {
                 this.elements.passageSection.style.display = 'none';
             }
@@ -665,8 +859,8 @@ class VARCApp {
         if (passage && Utils.isValidString(passage)) {
             if (this.elements.passageSection) {
                 this.elements.passageSection.style.display = 'block';
-                // Sanitize passage HTML to prevent XSS while allowing formatting
-                Utils.safeSetHTML(this.elements.passageText, passage, true);
+                this.currentPassage = { id: question.passageId ?? null, html: passage };
+                this.renderPassageText();
             }
             
             const questionContent = document.querySelector('.question-content');
@@ -685,16 +879,141 @@ class VARCApp {
         }
     }
 
+    /**
+     * Render the current passage with its saved highlights and notes
+     * Sanitizes passage HTML to prevent XSS while allowing formatting
+     */
+    renderPassageText() {
+        if (!this.currentPassage) return;
+
+        Utils.safeSetHTML(this.elements.passageText, this.currentPassage.html, true);
+
+        const annotations = this.currentPassage.id !== null && !this.isPreview
+            ? StorageManager.getPassageAnnotations(this.currentPassage.id)
+            : [];
+        PassageAnnotations.render(this.elements.passageText, annotations);
+
+        if (this.elements.passageNotes) {
+            this.elements.passageNotes.innerHTML = PassageAnnotations.renderNotes(annotations, !this.isReviewMode);
+        }
+
+        // Annotations are read-only once the test is being reviewed
+        if (this.elements.annotationToolbar) {
+            const canAnnotate = !this.isReviewMode && !this.isPreview && this.currentPassage.id !== null;
+            this.elements.annotationToolbar.style.display = canAnnotate ? '' : 'none';
+        }
+    }
+
+    /**
+     * Save the current passage's annotations and re-render it
+     * @param {Array} annotations - Annotations for the current passage
+     */
+    saveAnnotations(annotations) {
+        StorageManager.savePassageAnnotations(this.currentPassage.id, annotations);
+        window.getSelection?.()?.removeAllRanges();
+        this.renderPassageText();
+    }
+
+    /**
+     * Get the selected passage text, if annotations are allowed right now
+     * @returns {{start: number, end: number, text: string}|null} - Selection offsets
+     */
+    getAnnotatableSelection() {
+        if (this.isReviewMode || !this.currentPassage || this.currentPassage.id === null) {
+            return null;
+        }
+        return PassageAnnotations.getSelectionOffsets(this.elements.passageText);
+    }
+
+    /**
+     * Highlight the selected passage text
+     * @param {string} color - Highlight colour
+     */
+    highlightSelection(color) {
+        const selection = this.getAnnotatableSelection();
+        if (!selection) return;
+
+        this.lastHighlightColor = color;
+        const annotations = StorageManager.getPassageAnnotations(this.currentPassage.id);
+        this.saveAnnotations(PassageAnnotations.addAnnotation(annotations, { ...selection, color }));
+    }
+
+    /**
+     * Highlight the selected passage text and attach a margin note
+     */
+    addNoteToSelection() {
+        const selection = this.getAnnotatableSelection();
+        if (!selection) {
+            if (!this.isReviewMode) alert('Select some passage text to attach a note to.');
+            return;
+        }
+
+        const note = window.prompt(`Note for "${selection.text.slice(0, 60)}"`, '');
+        if (note === null || !note.trim()) return;
+
+        const annotations = StorageManager.getPassageAnnotations(this.currentPassage.id);
+        this.saveAnnotations(PassageAnnotations.addAnnotation(annotations, {
+            ...selection,
+            color: this.lastHighlightColor,
+            note
+        }));
+    }
+
+    /**
+     * Remove highlights and notes that overlap the selected passage text
+     */
+    eraseSelection() {
+        const selection = this.getAnnotatableSelection();
+        if (!selection) return;
+
+        const annotations = StorageManager.getPassageAnnotations(this.currentPassage.id);
+        this.saveAnnotations(PassageAnnotations.removeRange(annotations, selection.start, selection.end));
+    }
+
+    /**
+     * Remove a single annotation from the current passage
+     * @param {string} annotationId - Annotation ID
+     */
+    removeAnnotation(annotationId) {
+        if (this.isReviewMode || !this.currentPassage || this.currentPassage.id === null) return;
+
+        const annotations = StorageManager.getPassageAnnotations(this.currentPassage.id);
+        this.saveAnnotations(annotations.filter(item => item.id !== annotationId));
+    }
+
+    /**
+     * Collect the HTML of every passage that has annotations
+     * Stored with the attempt so results can show the highlights read-only
+     * @param {Object} annotations - { [passageId]: annotations }
+     * @returns {Object} - { [passageId]: passage HTML }
+     */
+    getAnnotatedPassages(annotations) {
+        const passages = {};
+        Object.keys(annotations || {}).forEach(passageId => {
+            const source = this.questions.find(q => String(q.passageId) === passageId && q.passage);
+            if (source) {
+                passages[passageId] = source.passage;
+            }
+        });
+        return passages;
+    }
+
     /**
      * Load options for MCQ question
-     * Handles both MCQ and TITA types with XSS protection
+     * Handles MCQ, TITA, para-jumble and odd-one-out types with XSS protection
      * @param {Object} question - Question object
      * @param {number} index - Question index
      */
     loadOptions(question, index) {
-        const savedAnswer = StorageManager.getAnswer(index);
+        const savedAnswer = this.isPreview ? null : StorageManager.getAnswer(index);
+
+        const { input } = this.getRenderer(question);
 
-        if (question.type === 'TITA') {
+        if (input === 'sentence-order' && Utils.isValidArray(question.sentences)) {
+            this.loadJumbleOptions(question, savedAnswer);
+        } else if (input === 'sentence-pick' && Utils.isValidArray(question.sentences)) {
+            this.loadOddOneOutOptions(question, savedAnswer);
+        } else if (question.type === 'TITA') {
             // Type In The Answer - sanitize input value
             const sanitizedAnswer = Utils.sanitizeHTML(savedAnswer || '');
             this.elements.optionsContainer.innerHTML = `
@@ -737,12 +1056,16 @@ class VARCApp {
                 return;
             }
 
+            const eliminated = this.isPreview ? [] : StorageManager.getEliminatedOptions(index);
+
             const optionsHTML = question.options.map((option, optIndex) => {
                 const isSelected = savedAnswer === optIndex;
                 const isCorrect = question.correctAnswer === optIndex;
+                const isEliminated = eliminated.includes(optIndex);
 
                 let optionClass = 'option';
                 if (isSelected) optionClass += ' selected';
+                if (isEliminated) optionClass += ' eliminated';
 
                 if (this.isReviewMode) {
                     if (isCorrect) optionClass += ' correct';
@@ -758,6 +1081,13 @@ class VARCApp {
                                ${isSelected ? 'checked' : ''}
                                ${this.isReviewMode ? 'disabled' : ''}>
                         <label for="option-${optIndex}">${optionSafe}</label>
+                        ${this.isReviewMode ? (isEliminated && isCorrect ? '<span class="option-eliminated-tag">You struck this out</span>' : '') : `
+                            <button type="button" class="option-eliminate" data-index="${optIndex}"
+                                    aria-pressed="${isEliminated}" aria-label="Strike out option ${optIndex + 1}"
+                                    title="Strike out (right-click or Shift+${optIndex + 1})">
+                                <i class="fas fa-strikethrough"></i>
+                            </button>
+                        `}
                     </div>
                 `;
             }).join('');
@@ -767,15 +1097,27 @@ class VARCApp {
             // Add click handlers for options
             if (!this.isReviewMode) {
                 this.elements.optionsContainer.querySelectorAll('.option').forEach(opt => {
-                    opt.addEventListener('click', () => {
-                        // Safely parse and validate option index
-                        const optIndex = Utils.safeParseInt(opt.dataset.index, -1);
-                        if (Utils.isValidIndex(question.options, optIndex)) {
-                            this.selectOption(optIndex);
-                        } else {
+                    // Safely parse and validate option index
+                    const optIndex = Utils.safeParseInt(opt.dataset.index, -1);
+
+                    opt.addEventListener('click', (e) => {
+                        if (!Utils.isValidIndex(question.options, optIndex)) {
                             console.error('Invalid option index:', optIndex);
+                            return;
+                        }
+                        if (e.target.closest('.option-eliminate')) {
+                            e.preventDefault();
+                            this.toggleOptionElimination(optIndex);
+                        } else {
+                            this.selectOption(optIndex);
                         }
                     });
+
+                    // Right-click strikes an option out instead of opening the context menu
+                    opt.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        this.toggleOptionElimination(optIndex);
+                    });
                 });
             }
 
@@ -798,11 +1140,370 @@ class VARCApp {
         }
     }
 
+    /**
+     * Load para-jumble sentences as reorderable cards
+     * The card order is mirrored in a TITA box as the answer sequence (e.g. "3142")
+     * @param {Object} question - Question object with a sentences array
+     * @param {string|null} savedAnswer - Saved sequence, if any
+     */
+    loadJumbleOptions(question, savedAnswer) {
+        const count = question.sentences.length;
+        const order = this.isValidJumbleSequence(savedAnswer, count)
+            ? String(savedAnswer).split('')
+            : question.sentences.map((_, i) => String(i + 1));
+        const disabled = this.isReviewMode ? 'disabled' : '';
+
+        const cardsHTML = order.map(label => `
+            <li class="jumble-card" data-label="${label}" ${this.isReviewMode ? '' : 'draggable="true" tabindex="0"'}
+                aria-label="Sentence ${label}">
+                <span class="jumble-label">${label}</span>
+                <span class="jumble-text">${Utils.sanitizeHTML(question.sentences[parseInt(label, 10) - 1])}</span>
+                <span class="jumble-move">
+                    <button type="button" class="jumble-move-btn" data-move="-1" aria-label="Move sentence ${label} up" ${disabled}>
+                        <i class="fa fa-chevron-up"></i>
+                    </button>
+                    <button type="button" class="jumble-move-btn" data-move="1" aria-label="Move sentence ${label} down" ${disabled}>
+                        <i class="fa fa-chevron-down"></i>
+                    </button>
+                </span>
+            </li>
+        `).join('');
+
+        const sanitizedAnswer = Utils.sanitizeHTML(savedAnswer || '');
+        this.elements.optionsContainer.innerHTML = `
+            <div class="jumble-container">
+                ${this.isReviewMode ? '' : '<p class="jumble-hint">Drag the sentences into order, or focus one and use the arrow keys. You can also type the sequence below.</p>'}
+                <ol class="jumble-list" id="jumble-list">${cardsHTML}</ol>
+                <div class="tita-container">
+                    <input type="text" class="tita-input" id="tita-answer" inputmode="numeric"
+                           maxlength="${count * 2 - 1}" placeholder="Sequence, e.g. ${order.join('')}"
+                           value="${sanitizedAnswer}" aria-label="Answer sequence" aria-describedby="jumble-error"
+                           ${disabled}>
+                    ${this.isReviewMode ? '' : '<button type="button" class="btn btn-white jumble-use-order" id="jumble-use-order">Use this order</button>'}
+                </div>
+                <p class="jumble-error" id="jumble-error" hidden>Use each number from 1 to ${count} exactly once, e.g. ${order.join('')}.</p>
+            </div>
+        `;
+
+        if (this.isReviewMode) {
+            const correctAnswerSafe = Utils.sanitizeHTML(String(question.correctAnswer ?? ''));
+            const explanationSafe = question.explanation ? Utils.parseHTMLSafe(question.explanation) : '';
+            this.elements.optionsContainer.innerHTML += `
+                <div class="explanation">
+                    <strong>Correct Answer:</strong> ${correctAnswerSafe}<br>
+                    ${explanationSafe ? `<strong>Explanation:</strong> ${explanationSafe}` : ''}
+                </div>
+            `;
+            return;
+        }
+
+        this.bindJumbleEvents(count);
+    }
+
+    /**
+     * Bind drag, keyboard and button handlers for the para-jumble cards
+     * @param {number} count - Number of sentences
+     */
+    bindJumbleEvents(count) {
+        const list = document.getElementById('jumble-list');
+        const titaInput = document.getElementById('tita-answer');
+        if (!list) return;
+
+        let draggedLabel = null;
+
+        list.querySelectorAll('.jumble-card').forEach(card => {
+            card.addEventListener('dragstart', (e) => {
+                draggedLabel = card.dataset.label;
+                card.classList.add('dragging');
+                if (e.dataTransfer) {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', draggedLabel);
+                }
+            });
+
+            card.addEventListener('dragend', () => {
+                draggedLabel = null;
+                card.classList.remove('dragging');
+                list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            });
+
+            card.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                card.classList.add('drag-over');
+            });
+
+            card.addEventListener('dragleave', () => card.classList.remove('drag-over'));
+
+            card.addEventListener('drop', (e) => {
+                e.preventDefault();
+                card.classList.remove('drag-over');
+                if (!draggedLabel || draggedLabel === card.dataset.label) return;
+
+                const order = this.getJumbleOrder();
+                const from = order.indexOf(draggedLabel);
+                const to = order.indexOf(card.dataset.label);
+                order.splice(from, 1);
+                order.splice(to, 0, draggedLabel);
+                this.applyJumbleOrder(order, true);
+            });
+
+            card.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                e.preventDefault();
+                this.moveJumbleCard(card.dataset.label, e.key === 'ArrowUp' ? -1 : 1);
+            });
+
+            card.querySelectorAll('.jumble-move-btn').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    this.moveJumbleCard(card.dataset.label, Utils.safeParseInt(btn.dataset.move, 0));
+                });
+            });
+        });
+
+        document.getElementById('jumble-use-order')?.addEventListener('click', () => {
+            this.applyJumbleOrder(this.getJumbleOrder(), true);
+        });
+
+        if (titaInput) {
+            titaInput.addEventListener('input', (e) => {
+                const sequence = QuestionTypes.normalizeSequence(e.target.value);
+                const valid = this.isValidJumbleSequence(sequence, count);
+
+                // Only a complete ordering is saved as the answer; it also rearranges the cards
+                if (valid) {
+                    this.applyJumbleOrder(sequence.split(''), false);
+                }
+                this.showJumbleError(!valid && sequence.length >= count);
+                this.handleTITAInput(valid ? sequence : '');
+            });
+        }
+    }
+
+    /**
+     * Check that a sequence uses each sentence label exactly once
+     * @param {string} sequence - Sequence such as "3142"
+     * @param {number} count - Number of sentences
+     * @returns {boolean} - True if the sequence is a full ordering
+     */
+    isValidJumbleSequence(sequence, count) {
+        if (typeof sequence !== 'string' || sequence.length !== count) return false;
+        const labels = sequence.split('');
+        return labels.every(label => {
+            const value = Utils.safeParseInt(label, 0);
+            return Utils.isInRange(value, 1, count);
+        }) && new Set(labels).size === count;
+    }
+
+    /**
+     * Show or hide the message for a typed sequence that is not a full ordering
+     * @param {boolean} show - Whether the typed sequence is invalid
+     */
+    showJumbleError(show) {
+        const error = document.getElementById('jumble-error');
+        if (error) error.hidden = !show;
+        document.getElementById('tita-answer')?.setAttribute('aria-invalid', String(show));
+    }
+
+    /**
+     * Get the current card order from the DOM
+     * @returns {string[]} - Sentence labels in display order
+     */
+    getJumbleOrder() {
+        return Array.from(document.querySelectorAll('#jumble-list .jumble-card'))
+            .map(card => card.dataset.label);
+    }
+
+    /**
+     * Move a para-jumble card up or down by one position
+     * @param {string} label - Sentence label
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveJumbleCard(label, offset) {
+        const order = this.getJumbleOrder();
+        const from = order.indexOf(label);
+        const to = from + offset;
+        if (from === -1 || to < 0 || to >= order.length) return;
+
+        [order[from], order[to]] = [order[to], order[from]];
+        this.applyJumbleOrder(order, true);
+        document.querySelector(`#jumble-list .jumble-card[data-label="${label}"]`)?.focus();
+    }
+
+    /**
+     * Reorder the card elements and optionally save the sequence as the answer
+     * @param {string[]} order - Sentence labels in the new order
+     * @param {boolean} save - Whether to store the sequence as the TITA answer
+     */
+    applyJumbleOrder(order, save) {
+        const list = document.getElementById('jumble-list');
+        if (!list) return;
+
+        order.forEach(label => {
+            const card = list.querySelector(`.jumble-card[data-label="${label}"]`);
+            if (card) list.appendChild(card);
+        });
+
+        if (save) {
+            const sequence = order.join('');
+            const titaInput = document.getElementById('tita-answer');
+            if (titaInput) titaInput.value = sequence;
+            this.showJumbleError(false);
+            this.handleTITAInput(sequence);
+        }
+    }
+
+    /**
+     * Load odd-one-out sentences as numbered selectable items
+     * Selecting a sentence keys its number in as the TITA answer
+     * In review mode, the odd sentence and the user's pick are highlighted
+     * @param {Object} question - Question object with a sentences array
+     * @param {string|null} savedAnswer - Saved sentence number, if any
+     */
+    loadOddOneOutOptions(question, savedAnswer) {
+        const selected = savedAnswer !== null && savedAnswer !== undefined ? String(savedAnswer) : null;
+        const correct = String(question.correctAnswer ?? '');
+        const disabled = this.isReviewMode ? 'disabled' : '';
+
+        const sentencesHTML = question.sentences.map((sentence, i) => {
+            const label = String(i + 1);
+            const isSelected = selected === label;
+
+            let itemClass = 'odd-sentence';
+            if (isSelected) itemClass += ' selected';
+            if (this.isReviewMode) {
+                if (label === correct) itemClass += ' correct';
+                else if (isSelected) itemClass += ' incorrect';
+            }
+
+            return `
+                <li class="${itemClass}" data-label="${label}" role="radio" aria-checked="${isSelected}"
+                    ${this.isReviewMode ? '' : 'tabindex="0"'}>
+                    <span class="odd-sentence-label">${label}</span>
+                    <span class="odd-sentence-text">${Utils.sanitizeHTML(sentence)}</span>
+                    ${this.isReviewMode && label === correct ? '<span class="odd-sentence-tag">Odd one out</span>' : ''}
+                </li>
+            `;
+        }).join('');
+
+        this.elements.optionsContainer.innerHTML = `
+            <div class="odd-one-out-container">
+                <ol class="odd-sentence-list" id="odd-sentence-list" role="radiogroup" aria-label="Sentences">${sentencesHTML}</ol>
+                <div class="tita-container">
+                    <input type="text" class="tita-input" id="tita-answer" inputmode="numeric" maxlength="1"
+                           placeholder="Odd sentence number" value="${Utils.sanitizeHTML(selected || '')}"
+                           aria-label="Odd sentence number" ${disabled}>
+                </div>
+            </div>
+        `;
+
+        if (this.isReviewMode) {
+            const explanationSafe = question.explanation ? Utils.parseHTMLSafe(question.explanation) : '';
+            this.elements.optionsContainer.innerHTML += `
+                <div class="explanation">
+                    <strong>Correct Answer:</strong> ${Utils.sanitizeHTML(correct)}<br>
+                    ${explanationSafe ? `<strong>Explanation:</strong> ${explanationSafe}` : ''}
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.optionsContainer.querySelectorAll('.odd-sentence').forEach(item => {
+            item.addEventListener('click', () => this.selectOddSentence(item.dataset.label));
+            item.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ') return;
+                e.preventDefault();
+                this.selectOddSentence(item.dataset.label);
+            });
+        });
+
+        document.getElementById('tita-answer')?.addEventListener('input', (e) => {
+            const value = e.target.value.trim();
+            this.markOddSentence(value);
+            this.handleTITAInput(value);
+        });
+    }
+
+    /**
+     * Select an odd-one-out sentence and save its number as the answer
+     * @param {string} label - Sentence number
+     */
+    selectOddSentence(label) {
+        if (this.isReviewMode) return;
+
+        const titaInput = document.getElementById('tita-answer');
+        if (titaInput) titaInput.value = label;
+
+        this.markOddSentence(label);
+        this.handleTITAInput(label);
+    }
+
+    /**
+     * Highlight the odd-one-out sentence matching a number
+     * @param {string} label - Sentence number (anything else clears the highlight)
+     */
+    markOddSentence(label) {
+        this.elements.optionsContainer.querySelectorAll('.odd-sentence').forEach(item => {
+            const isSelected = item.dataset.label === label;
+            item.classList.toggle('selected', isSelected);
+            item.setAttribute('aria-checked', String(isSelected));
+        });
+    }
+
+    /**
+     * Answer the current question from a number key
+     * Number keys pick an option for MCQ and a sentence for odd-one-out
+     * @param {number} number - Key pressed (1-based)
+     */
+    selectByNumberKey(number) {
+        const question = this.questions[this.currentQuestionIndex];
+        if (!question) return;
+
+        if (this.getRenderer(question).input === 'sentence-pick' && Utils.isValidArray(question.sentences)) {
+            if (Utils.isInRange(number, 1, question.sentences.length)) {
+                this.selectOddSentence(String(number));
+            }
+        } else if (Utils.isValidIndex(question.options, number - 1)) {
+            this.selectOption(number - 1);
+        }
+    }
+
+    /**
+     * Strike out an MCQ option, or restore it if already struck out
+     * Striking out the selected option also clears the response
+     * @param {number} optIndex - Option index
+     */
+    toggleOptionElimination(optIndex) {
+        if (this.isReviewMode || this.isPreview) return;
+
+        const question = this.questions[this.currentQuestionIndex];
+        if (!question || question.type === 'TITA' || !Utils.isValidIndex(question.options, optIndex)) return;
+
+        const eliminated = StorageManager.toggleEliminatedOption(this.currentQuestionIndex, optIndex);
+        const isEliminated = eliminated.includes(optIndex);
+
+        if (isEliminated && StorageManager.getAnswer(this.currentQuestionIndex) === optIndex) {
+            // clearResponse re-renders the options with the strike applied
+            this.clearResponse();
+            return;
+        }
+
+        const opt = this.elements.optionsContainer.querySelector(`.option[data-index="${optIndex}"]`);
+        if (opt) {
+            opt.classList.toggle('eliminated', isEliminated);
+            opt.querySelector('.option-eliminate')?.setAttribute('aria-pressed', String(isEliminated));
+        }
+    }
+
     /**
      * Handle option selection
+     * Selecting a struck-out option restores it first
      */
     selectOption(optIndex) {
-        if (this.isReviewMode) return;
+        if (this.isReviewMode || this.isPreview) return;
+
+        if (StorageManager.getEliminatedOptions(this.currentQuestionIndex).includes(optIndex)) {
+            this.toggleOptionElimination(optIndex);
+        }
 
         // Update visual selection
         this.elements.optionsContainer.querySelectorAll('.option').forEach((opt, i) => {
@@ -834,7 +1535,7 @@ class VARCApp {
      * Handle TITA input
      */
     handleTITAInput(value) {
-        if (this.isReviewMode) return;
+        if (this.isReviewMode || this.isPreview) return;
 
         if (value.trim()) {
             StorageManager.saveAnswer(this.currentQuestionIndex, value.trim());
@@ -950,19 +1651,208 @@ class VARCApp {
     }
 
     /**
-     * Start the timer (elapsed time, not countdown)
+     * Resolve the timer mode for this attempt
+     * Reuses the mode saved with an in-progress attempt, otherwise asks the user
+     */
+    async configureTimer() {
+        let config = StorageManager.getTimerMode();
+        if (!config) {
+            // A sectional mock always runs against the section clock
+            config = QuestionTypes.get(this.questionType)?.composite
+                ? this.buildTimerConfig({ ...StorageManager.getTimerPreferences(), mode: 'countdown', durationSource: 'set' })
+                : await this.promptTimerMode();
+            StorageManager.saveTimerMode(config);
+        }
+        this.applyTimerConfig(config);
+    }
+
+    /**
+     * Show the timer mode dialog and resolve with the chosen timer config
+     * Falls back to saved preferences when the dialog is not on the page
+     * @returns {Promise<Object>} - Timer config
+     */
+    promptTimerMode() {
+        const prefs = StorageManager.getTimerPreferences();
+        const modal = this.elements.timerModeModal;
+        if (!modal) {
+            return Promise.resolve(this.buildTimerConfig(prefs));
+        }
+
+        const setMinutes = Number(this.testInfo?.duration);
+        const setOption = modal.querySelector('input[name="timer-mode"][value="set"]');
+        const customInput = document.getElementById('timer-custom-minutes');
+        const thresholdsInput = document.getElementById('timer-warning-thresholds');
+
+        // The set duration option is only offered when the data file declares one
+        if (Number.isFinite(setMinutes) && setMinutes > 0) {
+            Utils.safeSetText(document.getElementById('timer-set-duration'), setMinutes);
+        } else if (setOption) {
+            setOption.disabled = true;
+            setOption.closest('.timer-mode-option')?.classList.add('disabled');
+        }
+
+        let selected = prefs.mode === 'countdown' ? prefs.durationSource : 'elapsed';
+        if (selected === 'set' && setOption?.disabled) selected = 'custom';
+        const selectedOption = modal.querySelector(`input[name="timer-mode"][value="${selected}"]`);
+        if (selectedOption) selectedOption.checked = true;
+        if (customInput) customInput.value = prefs.customMinutes;
+        if (thresholdsInput) thresholdsInput.value = prefs.warningThresholds.join(', ');
+
+        modal.classList.add('active');
+
+        return new Promise(resolve => {
+            document.getElementById('start-attempt-btn')?.addEventListener('click', () => {
+                const choice = modal.querySelector('input[name="timer-mode"]:checked')?.value || 'elapsed';
+                const chosenPrefs = {
+                    mode: choice === 'elapsed' ? 'elapsed' : 'countdown',
+                    durationSource: choice === 'custom' ? 'custom' : 'set',
+                    customMinutes: Utils.safeParseInt(customInput?.value, prefs.customMinutes),
+                    warningThresholds: thresholdsInput ? thresholdsInput.value : prefs.warningThresholds
+                };
+                StorageManager.saveTimerPreferences(chosenPrefs);
+                modal.classList.remove('active');
+                resolve(this.buildTimerConfig(StorageManager.getTimerPreferences()));
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Turn timer preferences into a concrete config for this set
+     * Countdown falls back to elapsed mode when no usable duration exists
+     * @param {Object} prefs - Timer preferences
+     * @returns {Object} - { mode, timeLimit, warningThresholds }
+     */
+    buildTimerConfig(prefs) {
+        if (prefs?.mode !== 'countdown') {
+            return { mode: 'elapsed', timeLimit: null, warningThresholds: [] };
+        }
+
+        const minutes = prefs.durationSource === 'custom'
+            ? Number(prefs.customMinutes)
+            : Number(this.testInfo?.duration);
+
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+            console.warn('No usable countdown duration, falling back to elapsed timer');
+            return { mode: 'elapsed', timeLimit: null, warningThresholds: [] };
+        }
+
+        return {
+            mode: 'countdown',
+            timeLimit: Math.round(minutes * 60),
+            warningThresholds: StorageManager.normalizeWarningThresholds(prefs.warningThresholds)
+        };
+    }
+
+    /**
+     * Apply a timer config to the app and update the timer label
+     * @param {Object} config - Timer config
+     */
+    applyTimerConfig(config) {
+        const isCountdown = config?.mode === 'countdown' && config.timeLimit > 0;
+        this.timerMode = isCountdown ? 'countdown' : 'elapsed';
+        this.timeLimit = isCountdown ? config.timeLimit : null;
+        this.remainingTime = isCountdown ? config.timeLimit : null;
+        this.warningThresholds = isCountdown ? StorageManager.normalizeWarningThresholds(config.warningThresholds) : [];
+        this.firedWarnings = new Set();
+
+        Utils.safeSetText(this.elements.timerLabel, isCountdown ? 'Time Left:' : 'Time Elapsed:');
+    }
+
+    /**
+     * Get the timer config currently applied
+     * @returns {Object} - Timer config
+     */
+    getTimerConfig() {
+        return {
+            mode: this.timerMode,
+            timeLimit: this.timeLimit,
+            warningThresholds: [...this.warningThresholds]
+        };
+    }
+
+    /**
+     * Start the timer (elapsed or countdown depending on the timer mode)
      */
     startTimer() {
         if (this.timerInterval) clearInterval(this.timerInterval);
 
         // Initialize timer start time
         this.timerStartTime = Date.now();
-        this.updateTimerDisplay();
+        this.tickTimer();
+
+        // Warnings whose threshold had already passed before a reload are not replayed
+        this.warningThresholds.forEach(minutes => {
+            if (this.remainingTime <= minutes * 60) {
+                this.firedWarnings.add(minutes);
+            }
+        });
+
+        this.timerInterval = setInterval(() => this.tickTimer(), 1000);
+    }
 
-        this.timerInterval = setInterval(() => {
+    /**
+     * Advance the timer by one tick
+     * Countdown is measured from the attempt start so reloading the page doesn't extend the limit,
+     * and it keeps running while the attempt is paused
+     */
+    tickTimer() {
+        if (this.timerMode !== 'countdown') {
             this.totalElapsedTime = Math.floor((Date.now() - this.timerStartTime) / 1000);
             this.updateTimerDisplay();
-        }, 1000);
+            return;
+        }
+
+        const attemptStart = StorageManager.getAttemptStartTime() || this.timerStartTime;
+        this.totalElapsedTime = Math.floor((Date.now() - attemptStart) / 1000);
+        this.remainingTime = Math.max(0, this.timeLimit - this.totalElapsedTime);
+        this.updateTimerDisplay();
+        this.checkTimerWarnings();
+
+        if (this.remainingTime <= 0) {
+            this.handleTimeUp();
+        }
+    }
+
+    /**
+     * Show a warning the first time the countdown crosses each threshold
+     */
+    checkTimerWarnings() {
+        this.warningThresholds.forEach(minutes => {
+            if (!this.firedWarnings.has(minutes) && this.remainingTime <= minutes * 60 && this.remainingTime > 0) {
+                this.firedWarnings.add(minutes);
+                this.showTimerWarning(minutes);
+            }
+        });
+    }
+
+    /**
+     * Display a transient time warning banner
+     * @param {number} minutes - Threshold that was crossed
+     */
+    showTimerWarning(minutes) {
+        if (!this.elements.timerWarning) {
+            const banner = document.createElement('div');
+            banner.className = 'timer-warning';
+            banner.setAttribute('role', 'alert');
+            document.body.appendChild(banner);
+            this.elements.timerWarning = banner;
+        }
+
+        const banner = this.elements.timerWarning;
+        banner.textContent = `${Utils.formatDuration(minutes * 60)} remaining. The test will be submitted automatically when time runs out.`;
+        banner.classList.add('active');
+
+        clearTimeout(this.timerWarningTimeout);
+        this.timerWarningTimeout = setTimeout(() => banner.classList.remove('active'), 6000);
+    }
+
+    /**
+     * Auto-submit when the countdown reaches zero
+     */
+    handleTimeUp() {
+        if (this.isTestSubmitted) return;
+        this.timedOut = true;
+        this.submitTest();
     }
 
     /**
@@ -980,14 +1870,28 @@ class VARCApp {
     }
 
     /**
-     * Update timer display (showing elapsed time)
+     * Update timer display (elapsed time, or time left in countdown mode)
+     * Countdown turns orange below the first warning and red below the last one
      */
     updateTimerDisplay() {
-        const minutes = Math.floor(this.totalElapsedTime / 60);
-        const seconds = this.totalElapsedTime % 60;
+        const isCountdown = this.timerMode === 'countdown';
+        const displaySeconds = isCountdown ? this.remainingTime : this.totalElapsedTime;
+        const minutes = Math.floor(displaySeconds / 60);
+        const seconds = displaySeconds % 60;
         this.elements.timeLeft.textContent =
             `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        this.elements.timeLeft.style.color = '#0288d1';
+
+        let color = '#0288d1';
+        if (isCountdown && this.warningThresholds.length > 0) {
+            const firstWarning = this.warningThresholds[0] * 60;
+            const lastWarning = this.warningThresholds[this.warningThresholds.length - 1] * 60;
+            if (this.remainingTime <= lastWarning) {
+                color = '#f44336';
+            } else if (this.remainingTime <= firstWarning) {
+                color = '#ff9800';
+            }
+        }
+        this.elements.timeLeft.style.color = color;
     }
 
     /**
@@ -1013,8 +1917,11 @@ class VARCApp {
 
     /**
      * Submit the test
+     * Stays on the quiz (with answers kept) if the attempt could not be saved
      */
-    submitTest() {
+    async submitTest() {
+        if (this.isSubmitting) return;
+        this.isSubmitting = true;
         this.stopTimer();
         this.hideSubmitModal();
 
@@ -1024,9 +1931,14 @@ class VARCApp {
         // Get question times
         const questionTimes = StorageManager.getAllQuestionTimes();
 
-        // Get total time from attempt start
+        // Get total time from attempt start, leaving out time the attempt was paused
         const attemptStartTime = StorageManager.getAttemptStartTime();
-        const totalTime = attemptStartTime ? Math.floor((Date.now() - attemptStartTime) / 1000) : this.totalElapsedTime;
+        const totalTime = attemptStartTime
+            ? Math.max(0, Math.floor((Date.now() - attemptStartTime - StorageManager.getAttemptPausedTime()) / 1000))
+            : this.totalElapsedTime;
+
+        // Highlights and notes travel with the attempt for read-only review
+        const passageAnnotations = StorageManager.getAllPassageAnnotations();
 
         // Prepare attempt data
         const attemptData = {
@@ -1040,25 +1952,52 @@ class VARCApp {
             questionTimes: questionTimes,
             questionType: this.questionType,
             setId: this.rcSetId,
+            timerMode: this.timerMode,
+            timeLimit: this.timeLimit,
+            timedOut: this.timedOut,
+            annotations: passageAnnotations,
+            passages: this.getAnnotatedPassages(passageAnnotations),
             questions: this.questions.map((q, index) => ({
                 id: q.id,
+                key: QuestionIdentity.getKey(this.getQuestionBankType(q), q.id),
+                hash: QuestionIdentity.hashQuestion(q),
+                time: questionTimes[index] || 0,
+                questionType: this.getQuestionKind(q),
+                type: q.type,
+                passageId: q.passageId,
+                marks: q.marks,
                 userAnswer: StorageManager.getAnswer(index),
+                markedForReview: StorageManager.getQuestionStatus(index) === 'review-answered',
                 correctAnswer: q.correctAnswer,
                 question: q.question,
                 options: q.options,
+                sentences: q.sentences,
                 explanation: q.explanation,
-                tags: Array.isArray(q.tags) ? q.tags : []
+                tags: Array.isArray(q.tags) ? q.tags : [],
+                optionTraps: Array.isArray(q.optionTraps) ? q.optionTraps : [],
+                eliminatedOptions: StorageManager.getEliminatedOptions(index),
+                eliminationHistory: StorageManager.getEliminationHistory(index)
             }))
         };
 
         // Save attempt using multi-type storage
-        StorageManager.saveSetAttempt(this.questionType, this.rcSetId, attemptData);
+        await StorageManager.ready();
+        const saved = await StorageManager.saveSetAttempt(this.questionType, this.rcSetId, attemptData);
+        if (!saved) {
+            this.isSubmitting = false;
+            alert('Your attempt could not be saved because browser storage is full. Free up space (or export your data) and submit again; your answers are kept.');
+            StorageManager.startQuestionTimer(this.currentQuestionIndex);
+            if (!this.timedOut) {
+                this.startTimer();
+            }
+            return;
+        }
 
         // Mark test as completed
         StorageManager.markTestCompleted();
         this.isTestSubmitted = true;
 
-        // Navigate to results page with question type (attempt data is already in localStorage)
+        // Navigate to results page with question type (the attempt is already stored)
         window.location.href = `results.html?type=${this.questionType}&setId=${this.rcSetId}`;
     }
 
@@ -1074,14 +2013,13 @@ class VARCApp {
 
         this.questions.forEach((question, index) => {
             const userAnswer = StorageManager.getAnswer(index);
-            const positiveMarks = question.marks?.positive || 3;
-            const negativeMarks = question.marks?.negative || 1;
+            const { positive: positiveMarks, negative: negativeMarks } = Utils.getQuestionMarks(question);
 
             maxMarks += positiveMarks;
 
             if (userAnswer === null || userAnswer === undefined) {
                 unattempted++;
-            } else if (userAnswer === question.correctAnswer) {
+            } else if (QuestionTypes.isCorrect(question, userAnswer, this.questionType)) {
                 correct++;
                 totalMarks += positiveMarks;
             } else {
@@ -1228,9 +2166,14 @@ class VARCApp {
         StorageManager.resetTest(this.questions.length);
         this.isTestSubmitted = false;
         this.isReviewMode = false;
-        this.remainingTime = 40 * 60;
+        this.timedOut = false;
         this.currentQuestionIndex = 0;
 
+        // Keep the same timer mode for the fresh attempt
+        this.applyTimerConfig(this.getTimerConfig());
+        StorageManager.saveTimerMode(this.getTimerConfig());
+        StorageManager.saveAttemptStartTime();
+
         // Reset UI
         this.elements.saveNextBtn.textContent = 'Save & Next';
         this.elements.reviewBtn.style.display = '';
@@ -1357,6 +2300,21 @@ class VARCApp {
         // Don't handle if typing in input
         if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+        // Arrow keys on a para-jumble card reorder it instead of navigating
+        if (e.target.closest?.('.jumble-card')) return;
+
+        // Don't navigate behind the timer mode dialog
+        if (this.elements.timerModeModal?.classList.contains('active')) return;
+
+        // Shift+number strikes out an option rather than selecting it
+        const digit = /^Digit([1-5])$/.exec(e.code || '');
+        if (e.shiftKey && digit) {
+            if (!this.isReviewMode) {
+                this.toggleOptionElimination(parseInt(digit[1], 10) - 1);
+            }
+            return;
+        }
+
         switch (e.key) {
             case 'ArrowRight':
             case 'n':
@@ -1372,8 +2330,9 @@ class VARCApp {
             case '2':
             case '3':
             case '4':
+            case '5':
                 if (!this.isReviewMode) {
-                    this.selectOption(parseInt(e.key) - 1);
+                    this.selectByNumberKey(parseInt(e.key, 10));
                 }
                 break;
             case 'r':
@@ -1393,16 +2352,19 @@ class VARCApp {
      * Navigate back to appropriate selection page based on question type
      */
     navigateBack() {
-        const backPages = {
-            'rc': '../pages/rc-selection.html',
-            'para-completion': '../pages/para-completion-selection.html',
-            'para-summary': '../pages/para-summary-selection.html'
-        };
-        window.location.href = backPages[this.questionType] || '../index.html';
+        // Types without a selection page (sectional mocks) start from the landing page
+        const selectionPage = QuestionTypes.get(this.questionType)?.selectionPage;
+        window.location.href = `../${selectionPage || 'index.html'}`;
     }
 }
 
-// Initialize the app when DOM is ready
+// Initialize the app when DOM is ready (the authoring preview creates its own instance)
 document.addEventListener('DOMContentLoaded', () => {
+    if (document.body.dataset.quizPreview !== undefined) return;
     window.varcApp = new VARCApp();
 });
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VARCApp;
+}
@@ -0,0 +1,226 @@
+/**
+ * Attempt Store
+ * IndexedDB persistence for completed attempts
+ *
+ * Attempts carry a full copy of every question (text, options, explanation),
+ * so a long history outgrows the ~5 MB localStorage quota. This module keeps
+ * them in IndexedDB instead; StorageManager caches them in memory so its
+ * getters stay synchronous.
+ *
+ * Record Format:
+ * - { id: 'type:setId:timestamp', profileId, questionType, setId, timestamp, attempt }
+ * - The id is derived from the attempt, so writing the same attempt twice
+ *   (e.g. an interrupted move from localStorage) never duplicates it
+ * - Records of profiles other than the default one prefix the id with 'profileId/'
+ *
+ * @namespace AttemptStore
+ */
+
+const AttemptStore = {
+    DB_NAME: 'varc-practice',
+    DB_VERSION: 1,
+    STORE_NAME: 'attempts',
+
+    // Records written before profiles existed have no profileId and belong here
+    DEFAULT_PROFILE_ID: 'default',
+
+    dbPromise: null,
+
+    /**
+     * Check whether IndexedDB can be used in this environment
+     * @returns {boolean} - True if IndexedDB is available
+     */
+    isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            // Some browsers throw on access when storage is disabled
+            return false;
+        }
+    },
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('questionType', 'questionType', { unique: false });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+
+        // Let a later call retry after a failed open
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a transaction and resolve once it commits
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Receives the object store; its return value is resolved
+     * @returns {Promise<any>} - Result of work (request results are unwrapped)
+     */
+    async transaction(mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.STORE_NAME, mode);
+            const result = work(tx.objectStore(this.STORE_NAME));
+
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    },
+
+    /**
+     * Build the stored record for an attempt
+     * @param {string} type - Question type
+     * @param {number|string} setId - Set ID
+     * @param {Object} attempt - Attempt data (must include timestamp)
+     * @param {string} profileId - Profile the attempt belongs to
+     * @returns {Object} - Record
+     */
+    createRecord(type, setId, attempt, profileId = this.DEFAULT_PROFILE_ID) {
+        const id = `${type}:${setId}:${attempt.timestamp}`;
+        return {
+            id: profileId === this.DEFAULT_PROFILE_ID ? id : `${profileId}/${id}`,
+            profileId,
+            questionType: type,
+            setId,
+            timestamp: attempt.timestamp,
+            attempt
+        };
+    },
+
+    /**
+     * Get every stored record
+     * @returns {Promise<Array>} - Records
+     */
+    getAll() {
+        return this.transaction('readonly', store => store.getAll());
+    },
+
+    /**
+     * Get the stored records of one profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Array>} - Records
+     */
+    async getAllForProfile(profileId) {
+        return (await this.getAll()).filter(record => this.belongsTo(record, profileId));
+    },
+
+    /**
+     * Check whether a record belongs to a profile
+     * @param {Object} record - Stored record
+     * @param {string} profileId - Profile ID
+     * @returns {boolean} - True if it does
+     */
+    belongsTo(record, profileId) {
+        return (record.profileId || this.DEFAULT_PROFILE_ID) === profileId;
+    },
+
+    /**
+     * Save one record
+     * @param {Object} record - Record from createRecord()
+     * @returns {Promise<void>}
+     */
+    put(record) {
+        return this.transaction('readwrite', store => {
+            store.put(record);
+        });
+    },
+
+    /**
+     * Save several records in one transaction
+     * Either all of them are written or none are
+     * @param {Array} records - Records from createRecord()
+     * @returns {Promise<void>}
+     */
+    putAll(records) {
+        return this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    },
+
+    /**
+     * Delete every stored record
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.transaction('readwrite', store => {
+            store.clear();
+        });
+    },
+
+    /**
+     * Delete the stored records of one profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    clearProfile(profileId) {
+        return this.transaction('readwrite', store => {
+            store.openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (this.belongsTo(cursor.value, profileId)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+    },
+
+    /**
+     * Replace the stored records of one profile in one transaction
+     * If any write fails, the profile keeps its old records
+     * @param {string} profileId - Profile ID
+     * @param {Array} records - Records from createRecord()
+     * @returns {Promise<void>}
+     */
+    replaceProfile(profileId, records) {
+        return this.transaction('readwrite', store => {
+            store.openCursor().onsuccess = event => {
+                const cursor = event.target.result;
+                // Written after the old records are gone, so the cursor never visits them
+                if (!cursor) {
+                    records.forEach(record => store.put(record));
+                    return;
+                }
+                if (this.belongsTo(cursor.value, profileId)) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+        });
+    }
+};
+
+// Make AttemptStore available globally for browser
+if (typeof window !== 'undefined') {
+    window.AttemptStore = AttemptStore;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttemptStore;
+}
@@ -0,0 +1,739 @@
+/**
+ * Question Authoring Page
+ * Write new sets or edit existing ones without hand-editing the data files
+ *
+ * Features:
+ * - Edit RC passages with their questions, and Para Completion / Para Summary items
+ * - Live preview drawn by VARCApp itself (pages/quiz-preview.html in an iframe)
+ * - Live checks: QuestionSchema errors and warnings plus the quality sweep heuristics
+ * - Drafts are kept per question type, so work survives a reload
+ * - Exports the whole bank with the edits merged in, or only the edited sets as a pack
+ *
+ * Data Flow:
+ * 1. Loads the chosen type's data file and groups it into sets
+ * 2. The first change to a bank set copies it into the draft; new sets start there
+ * 3. Every change re-runs the checks and refreshes the preview
+ * 4. Export merges the draft into the bank, validates and downloads it
+ *
+ * @class QuestionAuthor
+ */
+
+class QuestionAuthor {
+    static MIN_OPTIONS = 2;
+    static MAX_OPTIONS = 5;
+    static DEFAULT_OPTIONS = 4;
+
+    constructor() {
+        this.type = null;
+        this.definition = null;
+        this.bank = { testInfo: {}, questions: [] };
+        this.bankSets = [];
+        this.draftSets = [];
+        this.currentSetId = null;
+        this.previewIndex = 0;
+        this.previewReady = false;
+        this.init();
+    }
+
+    async init() {
+        this.elements = {
+            type: document.getElementById('author-type'),
+            set: document.getElementById('author-set'),
+            editor: document.getElementById('author-editor'),
+            checks: document.getElementById('author-checks'),
+            status: document.getElementById('author-status'),
+            previewFrame: document.getElementById('author-preview-frame'),
+            previewNav: document.getElementById('author-preview-nav'),
+            showAnswers: document.getElementById('author-show-answers')
+        };
+        if (!this.elements.type || !this.elements.editor) {
+            console.error('Authoring page elements not found');
+            return;
+        }
+
+        const types = QuestionAuthor.getAuthorableTypes();
+        this.elements.type.innerHTML = types
+            .map(type => `<option value="${type.id}">${Utils.sanitizeHTML(type.label)}</option>`)
+            .join('');
+
+        this.bindEvents();
+        await StorageManager.ready();
+
+        const urlType = new URLSearchParams(window.location.search).get('type');
+        await this.selectType(types.some(type => type.id === urlType) ? urlType : types[0].id);
+    }
+
+    bindEvents() {
+        const { type, set, editor, previewNav, showAnswers } = this.elements;
+
+        type.addEventListener('change', (e) => this.selectType(e.target.value));
+        set.addEventListener('change', (e) => this.selectSet(Utils.safeParseInt(e.target.value, null)));
+        editor.addEventListener('input', (e) => this.handleEditorInput(e));
+        editor.addEventListener('click', (e) => this.handleEditorClick(e));
+        previewNav.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preview]');
+            if (!button) return;
+            this.previewIndex = Utils.safeParseInt(button.dataset.preview, 0);
+            this.renderPreview();
+        });
+        showAnswers.addEventListener('change', () => this.renderPreview());
+
+        document.getElementById('author-new-set')?.addEventListener('click', () => this.newSet());
+        document.getElementById('author-discard')?.addEventListener('click', () => this.discardSet());
+        document.getElementById('author-export-bank')?.addEventListener('click', () => this.exportBank());
+        document.getElementById('author-export-pack')?.addEventListener('click', () => this.exportPack());
+
+        window.addEventListener('message', (e) => {
+            if (e.origin !== window.location.origin || e.data?.type !== 'varc-preview-ready') return;
+            this.previewReady = true;
+            this.renderPreview();
+        });
+    }
+
+    /**
+     * Question types the editor can write: banks answered by picking an option
+     * @returns {Array} - QuestionTypes definitions
+     */
+    static getAuthorableTypes() {
+        return QuestionTypes.list(type => !type.composite && type.renderer.input === 'options');
+    }
+
+    /**
+     * Group bank questions into editable sets
+     * @param {Array} questions - Bank questions
+     * @param {string} setKey - Question field holding the set ID
+     * @returns {Array} - [{ setId, passage, questions }] in bank order
+     */
+    static toSets(questions, setKey) {
+        const sets = new Map();
+
+        (questions || []).forEach(question => {
+            const setId = question[setKey];
+            if (!sets.has(setId)) {
+                sets.set(setId, { setId, passage: '', questions: [] });
+            }
+            const set = sets.get(setId);
+            if (!set.passage && question.passage) set.passage = question.passage;
+            set.questions.push({ ...question });
+        });
+
+        return Array.from(sets.values());
+    }
+
+    /**
+     * Turn an edited set back into bank questions
+     * The passage is stored once, on the first question, as the banks do
+     * @param {Object} set - { setId, passage, questions }
+     * @param {Object} definition - QuestionTypes definition
+     * @returns {Array} - Bank questions
+     */
+    static toQuestions(set, definition) {
+        return set.questions.map((question, index) => ({
+            ...question,
+            [definition.setKey]: set.setId,
+            passage: definition.renderer.passage && index === 0 && set.passage ? set.passage : null
+        }));
+    }
+
+    /**
+     * Create an empty MCQ question
+     * @param {number} id - Question ID
+     * @param {Object} definition - QuestionTypes definition
+     * @param {boolean} withQuestionType - Add questionType, for banks that store it
+     * @returns {Object} - Question object
+     */
+    static createQuestion(id, definition, withQuestionType = false) {
+        return {
+            id,
+            passage: null,
+            type: 'MCQ',
+            marks: { positive: 3, negative: 1 },
+            ...(withQuestionType ? { questionType: definition.id } : {}),
+            question: '',
+            options: new Array(QuestionAuthor.DEFAULT_OPTIONS).fill(''),
+            correctAnswer: 0,
+            explanation: ''
+        };
+    }
+
+    /**
+     * Get the next free ID
+     * @param {number[]} ids - IDs in use
+     * @returns {number} - One more than the largest
+     */
+    static getNextId(ids) {
+        return ids.filter(Number.isInteger).reduce((max, id) => Math.max(max, id), 0) + 1;
+    }
+
+    /**
+     * Merge edited sets into a bank
+     * An edited set takes the place of the original; new sets go at the end
+     * @param {Object} bank - { testInfo, questions }
+     * @param {Array} sets - Edited sets
+     * @param {Object} definition - QuestionTypes definition
+     * @returns {Object} - New bank
+     */
+    static mergeSets(bank, sets, definition) {
+        const edited = new Map(sets.map(set => [set.setId, set]));
+        const placed = new Set();
+        const questions = [];
+
+        (bank.questions || []).forEach(question => {
+            const setId = question[definition.setKey];
+            if (!edited.has(setId)) {
+                questions.push(question);
+            } else if (!placed.has(setId)) {
+                placed.add(setId);
+                questions.push(...QuestionAuthor.toQuestions(edited.get(setId), definition));
+            }
+        });
+        sets.filter(set => !placed.has(set.setId)).forEach(set => {
+            questions.push(...QuestionAuthor.toQuestions(set, definition));
+        });
+
+        return {
+            ...bank,
+            testInfo: { ...bank.testInfo, totalQuestions: questions.length },
+            questions
+        };
+    }
+
+    /**
+     * Build a standalone bank holding only the given sets
+     * @param {Array} sets - Sets to include
+     * @param {Object} definition - QuestionTypes definition
+     * @param {Object} testInfo - testInfo of the source bank (for the duration)
+     * @returns {Object} - { testInfo, questions } with testInfo.questionType set
+     */
+    static createPack(sets, definition, testInfo = {}) {
+        const questions = sets.flatMap(set => QuestionAuthor.toQuestions(set, definition));
+        return {
+            testInfo: {
+                title: `${definition.label} Pack`,
+                duration: testInfo.duration || 40,
+                totalQuestions: questions.length,
+                sections: ['VARC'],
+                questionType: definition.id
+            },
+            questions
+        };
+    }
+
+    /**
+     * Switch to another question type
+     * @param {string} type - Question type id
+     */
+    async selectType(type) {
+        this.type = type;
+        this.definition = QuestionTypes.get(type);
+        this.elements.type.value = type;
+        await this.loadBank();
+
+        this.bankSets = QuestionAuthor.toSets(this.bank.questions, this.definition.setKey);
+        this.draftSets = StorageManager.getAuthorDraft(type);
+        const first = this.draftSets[0] || this.bankSets[0];
+        this.selectSet(first ? first.setId : null);
+    }
+
+    /**
+     * Load the current type's data file
+     */
+    async loadBank() {
+        const dataFile = `../data/${this.definition.dataFile}`;
+        this.bank = { testInfo: {}, questions: [] };
+        try {
+            const response = await fetch(dataFile);
+            if (response.ok) {
+                this.bank = await response.json();
+            } else {
+                this.showStatus(`Could not load ${this.definition.dataFile} (status ${response.status}). New sets can still be written.`, 'error');
+            }
+        } catch (e) {
+            console.warn(`Error loading "${dataFile}" for authoring:`, e);
+            this.showStatus(`Could not load ${this.definition.dataFile}. New sets can still be written.`, 'error');
+        }
+    }
+
+    /**
+     * Show a set in the editor
+     * @param {number|null} setId - Set ID
+     */
+    selectSet(setId) {
+        this.currentSetId = setId;
+        this.previewIndex = 0;
+        this.renderSetOptions();
+        this.renderEditor();
+        this.refresh();
+    }
+
+    /**
+     * Get the set on screen: its draft if edited, otherwise the bank's copy
+     * @returns {Object|null} - Set
+     */
+    getCurrentSet() {
+        return this.draftSets.find(set => set.setId === this.currentSetId)
+            || this.bankSets.find(set => set.setId === this.currentSetId)
+            || null;
+    }
+
+    /**
+     * Get the current set for editing, copying a bank set into the draft first
+     * @returns {Object|null} - Draft set
+     */
+    getEditableSet() {
+        const draft = this.draftSets.find(set => set.setId === this.currentSetId);
+        if (draft) return draft;
+
+        const original = this.bankSets.find(set => set.setId === this.currentSetId);
+        if (!original) return null;
+
+        const copy = JSON.parse(JSON.stringify(original));
+        this.draftSets.push(copy);
+        this.renderSetOptions();
+        return copy;
+    }
+
+    /**
+     * Get every question ID in the bank and the draft
+     * @returns {number[]} - Question IDs
+     */
+    getUsedQuestionIds() {
+        return [
+            ...(this.bank.questions || []).map(question => question.id),
+            ...this.draftSets.flatMap(set => set.questions.map(question => question.id))
+        ];
+    }
+
+    /**
+     * Start a new set with one empty question
+     */
+    newSet() {
+        const setId = QuestionAuthor.getNextId([
+            ...this.bankSets.map(set => set.setId),
+            ...this.draftSets.map(set => set.setId)
+        ]);
+        const questionId = QuestionAuthor.getNextId(this.getUsedQuestionIds());
+
+        this.draftSets.push({
+            setId,
+            passage: '',
+            isNew: true,
+            questions: [QuestionAuthor.createQuestion(questionId, this.definition, this.bankStoresQuestionType())]
+        });
+        this.saveDraft();
+        this.selectSet(setId);
+    }
+
+    /**
+     * Drop the draft of the current set (deleting it if it is new)
+     */
+    discardSet() {
+        const draft = this.draftSets.find(set => set.setId === this.currentSetId);
+        if (!draft) return;
+
+        const message = draft.isNew
+            ? 'Delete this new set?'
+            : 'Discard your changes to this set and go back to the version in the data file?';
+        if (!confirm(message)) return;
+
+        this.draftSets = this.draftSets.filter(set => set !== draft);
+        this.saveDraft();
+        const next = draft.isNew ? (this.draftSets[0] || this.bankSets[0]) : draft;
+        this.selectSet(next ? next.setId : null);
+    }
+
+    /**
+     * Whether the loaded bank stores questionType on each question
+     * @returns {boolean} - True for the verbal-ability banks
+     */
+    bankStoresQuestionType() {
+        return (this.bank.questions || []).some(question => question.questionType !== undefined);
+    }
+
+    saveDraft() {
+        StorageManager.saveAuthorDraft(this.type, this.draftSets);
+    }
+
+    /**
+     * Fill the set picker: drafts first, then the remaining bank sets
+     */
+    renderSetOptions() {
+        const setLabel = QuestionTypes.getSetLabel(this.type);
+        const draftIds = new Set(this.draftSets.map(set => set.setId));
+        const option = (set, note) => (
+            `<option value="${set.setId}" ${set.setId === this.currentSetId ? 'selected' : ''}>${Utils.sanitizeHTML(`${setLabel} ${set.setId}${note}`)}</option>`
+        );
+
+        const drafts = this.draftSets.map(set => option(set, set.isNew ? ' (new)' : ' (edited)')).join('');
+        const others = this.bankSets.filter(set => !draftIds.has(set.setId)).map(set => option(set, '')).join('');
+
+        this.elements.set.innerHTML = `
+            ${drafts ? `<optgroup label="Your changes">${drafts}</optgroup>` : ''}
+            ${others ? `<optgroup label="${Utils.sanitizeHTML(this.definition.dataFile)}">${others}</optgroup>` : ''}
+        `;
+
+        const discard = document.getElementById('author-discard');
+        if (discard) discard.disabled = !draftIds.has(this.currentSetId);
+    }
+
+    /**
+     * Draw the form for the current set
+     * Field values are assigned after rendering so no text needs attribute escaping
+     */
+    renderEditor() {
+        const { editor } = this.elements;
+        const set = this.getCurrentSet();
+
+        if (!set) {
+            editor.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-pen"></i>
+                    <h2>No Sets Yet</h2>
+                    <p>Start a new set to write your first question</p>
+                </div>
+            `;
+            return;
+        }
+
+        const { renderer } = this.definition;
+        const htmlHint = renderer.richText ? 'HTML such as &lt;p&gt; and &lt;strong&gt; is allowed' : 'Plain text';
+
+        const questionsHTML = set.questions.map((question, qIndex) => {
+            const options = Array.isArray(question.options) ? question.options : [];
+            const optionsHTML = options.map((_, optIndex) => `
+                <div class="author-option">
+                    <label class="author-correct" title="Correct answer">
+                        <input type="radio" name="correct-${qIndex}" data-question="${qIndex}" data-correct="${optIndex}"
+                               ${question.correctAnswer === optIndex ? 'checked' : ''}>
+                        ${String.fromCharCode(65 + optIndex)}
+                    </label>
+                    <textarea rows="2" data-question="${qIndex}" data-option="${optIndex}" aria-label="Option ${optIndex + 1}"></textarea>
+                    <button type="button" class="author-icon-button" data-action="remove-option" data-question="${qIndex}" data-option="${optIndex}"
+                            ${options.length <= QuestionAuthor.MIN_OPTIONS ? 'disabled' : ''} aria-label="Remove option ${optIndex + 1}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `).join('');
+
+            return `
+                <fieldset class="author-question">
+                    <legend>Question ${qIndex + 1} <span class="author-question-id">id ${question.id}</span></legend>
+                    <label class="author-field">Question <span class="author-hint">${htmlHint}</span>
+                        <textarea rows="3" data-question="${qIndex}" data-field="question"></textarea>
+                    </label>
+                    <div class="author-field">Options <span class="author-hint">Pick the correct one on the left</span>
+                        ${optionsHTML}
+                        <button type="button" class="author-link-button" data-action="add-option" data-question="${qIndex}"
+                                ${options.length >= QuestionAuthor.MAX_OPTIONS ? 'disabled' : ''}>
+                            <i class="fas fa-plus"></i> Add option
+                        </button>
+                    </div>
+                    <label class="author-field">Explanation <span class="author-hint">HTML allowed</span>
+                        <textarea rows="3" data-question="${qIndex}" data-field="explanation"></textarea>
+                    </label>
+                    <div class="author-marks">
+                        <label>Marks + <input type="number" min="0" step="1" data-question="${qIndex}" data-field="marks.positive"></label>
+                        <label>− <input type="number" min="0" step="1" data-question="${qIndex}" data-field="marks.negative"></label>
+                        <button type="button" class="author-link-button" data-action="preview" data-question="${qIndex}">
+                            <i class="fas fa-eye"></i> Preview
+                        </button>
+                        <button type="button" class="author-link-button danger" data-action="remove-question" data-question="${qIndex}"
+                                ${set.questions.length <= 1 ? 'disabled' : ''}>
+                            <i class="fas fa-trash"></i> Remove question
+                        </button>
+                    </div>
+                </fieldset>
+            `;
+        }).join('');
+
+        editor.innerHTML = `
+            ${renderer.passage ? `
+                <label class="author-field">Passage <span class="author-hint">HTML, one &lt;p&gt; per paragraph</span>
+                    <textarea rows="10" data-field="passage"></textarea>
+                </label>
+            ` : ''}
+            ${questionsHTML}
+            <button type="button" class="author-button secondary" data-action="add-question">
+                <i class="fas fa-plus"></i> Add question
+            </button>
+        `;
+
+        editor.querySelectorAll('[data-field], [data-option]').forEach(field => {
+            const value = this.readField(set, field.dataset);
+            field.value = value === undefined || value === null ? '' : value;
+        });
+    }
+
+    /**
+     * Read the model value behind an editor field
+     * @param {Object} set - Set being edited
+     * @param {Object} data - The field's dataset
+     * @returns {*} - Current value
+     */
+    readField(set, data) {
+        if (data.question === undefined) return set[data.field];
+
+        const question = set.questions[Utils.safeParseInt(data.question, 0)];
+        if (data.option !== undefined) return question.options[Utils.safeParseInt(data.option, 0)];
+        if (data.field === 'marks.positive') return question.marks?.positive;
+        if (data.field === 'marks.negative') return question.marks?.negative;
+        return question[data.field];
+    }
+
+    /**
+     * Copy an edited field into the draft
+     * @param {Event} e - input event from the editor
+     */
+    handleEditorInput(e) {
+        const data = e.target.dataset;
+        if (data.field === undefined && data.option === undefined && data.correct === undefined) return;
+
+        const set = this.getEditableSet();
+        if (!set) return;
+
+        if (data.question === undefined) {
+            set[data.field] = e.target.value;
+        } else {
+            const qIndex = Utils.safeParseInt(data.question, 0);
+            const question = set.questions[qIndex];
+            if (data.option !== undefined) {
+                question.options[Utils.safeParseInt(data.option, 0)] = e.target.value;
+            } else if (data.correct !== undefined) {
+                question.correctAnswer = Utils.safeParseInt(data.correct, 0);
+            } else if (data.field.startsWith('marks.')) {
+                const value = Number(e.target.value);
+                question.marks = { ...question.marks, [data.field.slice('marks.'.length)]: Number.isFinite(value) ? value : 0 };
+            } else {
+                question[data.field] = e.target.value;
+            }
+            this.previewIndex = qIndex;
+        }
+
+        this.saveDraft();
+        this.refresh();
+    }
+
+    /**
+     * Handle the editor's add, remove and preview buttons
+     * @param {Event} e - Click event
+     */
+    handleEditorClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button || button.disabled) return;
+
+        const { action } = button.dataset;
+        const qIndex = Utils.safeParseInt(button.dataset.question, 0);
+
+        if (action === 'preview') {
+            this.previewIndex = qIndex;
+            this.renderPreview();
+            return;
+        }
+
+        const set = this.getEditableSet();
+        if (!set) return;
+
+        if (action === 'add-question') {
+            const id = QuestionAuthor.getNextId(this.getUsedQuestionIds());
+            set.questions.push(QuestionAuthor.createQuestion(id, this.definition, this.bankStoresQuestionType()));
+            this.previewIndex = set.questions.length - 1;
+        } else if (action === 'remove-question') {
+            if (!confirm(`Remove question ${qIndex + 1}?`)) return;
+            set.questions.splice(qIndex, 1);
+            this.previewIndex = Math.min(this.previewIndex, set.questions.length - 1);
+        } else if (action === 'add-option') {
+            const question = set.questions[qIndex];
+            question.options.push('');
+            if (Array.isArray(question.optionTraps)) question.optionTraps.push(null);
+        } else if (action === 'remove-option') {
+            const question = set.questions[qIndex];
+            const optIndex = Utils.safeParseInt(button.dataset.option, 0);
+            question.options.splice(optIndex, 1);
+            // Option traps are aligned with the options
+            if (Array.isArray(question.optionTraps)) question.optionTraps.splice(optIndex, 1);
+            // Keep the same option marked correct after the ones above it shift up
+            if (question.correctAnswer > optIndex) {
+                question.correctAnswer -= 1;
+            } else if (question.correctAnswer === optIndex) {
+                question.correctAnswer = 0;
+            }
+            this.previewIndex = qIndex;
+        }
+
+        this.saveDraft();
+        this.renderEditor();
+        this.refresh();
+    }
+
+    /**
+     * Re-run the checks and redraw the preview
+     */
+    refresh() {
+        this.renderChecks();
+        this.renderPreview();
+    }
+
+    /**
+     * Build the bank as it would be exported
+     * @returns {Object} - Merged bank
+     */
+    getMergedBank() {
+        return QuestionAuthor.mergeSets(this.bank, this.draftSets, this.definition);
+    }
+
+    /**
+     * Show schema errors, warnings and quality advice for the current set
+     */
+    renderChecks() {
+        const { checks } = this.elements;
+        const set = this.getCurrentSet();
+        if (!checks) return;
+        if (!set) {
+            checks.innerHTML = '';
+            return;
+        }
+
+        const numbers = new Map(set.questions.map((question, index) => [question.id, index + 1]));
+        const result = QuestionSchema.validateBank(this.getMergedBank(), this.type);
+        const inSet = issue => numbers.has(issue.questionId);
+        const label = issue => `Q${numbers.get(issue.questionId)} · ${issue.path.replace(/^\$\.questions\[\d+\]\.?/, '') || 'question'}`;
+
+        const items = [
+            ...result.errors.filter(inSet).map(issue => ({ level: 'error', text: `${label(issue)}: ${issue.message}` })),
+            ...result.warnings.filter(inSet).map(issue => ({ level: 'warning', text: `${label(issue)}: ${issue.message}` })),
+            ...set.questions.flatMap((question, index) => QualityChecks.checkQuestion(question, set.passage)
+                .map(text => ({ level: 'advice', text: `Q${index + 1}: ${text}` })))
+        ];
+
+        if (items.length === 0) {
+            checks.innerHTML = '<p class="author-checks-ok"><i class="fas fa-check-circle"></i> No problems found in this set</p>';
+            return;
+        }
+
+        const icons = { error: 'fa-times-circle', warning: 'fa-exclamation-triangle', advice: 'fa-lightbulb' };
+        checks.innerHTML = `
+            <ul class="author-check-list">
+                ${items.map(item => `
+                    <li class="author-check ${item.level}">
+                        <i class="fas ${icons[item.level]}"></i> ${Utils.sanitizeHTML(item.text)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Send the current question to the preview frame
+     */
+    renderPreview() {
+        const { previewFrame, previewNav, showAnswers } = this.elements;
+        const set = this.getCurrentSet();
+        if (!set || !previewFrame) return;
+
+        this.previewIndex = Math.max(0, Math.min(this.previewIndex, set.questions.length - 1));
+        previewNav.innerHTML = set.questions.map((_, index) => `
+            <button type="button" class="author-preview-btn ${index === this.previewIndex ? 'active' : ''}" data-preview="${index}">Q${index + 1}</button>
+        `).join('');
+
+        if (!this.previewReady) return;
+        previewFrame.contentWindow.postMessage({
+            type: 'varc-preview',
+            questions: QuestionAuthor.toQuestions(set, this.definition),
+            index: this.previewIndex,
+            questionType: this.type,
+            showAnswers: showAnswers.checked
+        }, window.location.origin);
+    }
+
+    /**
+     * Download the full data file with every draft set merged in
+     */
+    exportBank() {
+        const bank = this.getMergedBank();
+        if (!this.checkBeforeExport(bank, 'the merged file')) return;
+
+        this.downloadJSON(bank, this.definition.dataFile);
+        this.showStatus(`Downloaded ${this.definition.dataFile} with ${bank.questions.length} questions. Replace data/${this.definition.dataFile} with it to publish your changes.`, 'success');
+    }
+
+    /**
+     * Download only the draft sets as a standalone pack
+     */
+    exportPack() {
+        if (this.draftSets.length === 0) {
+            this.showStatus('There are no new or edited sets to put in a pack.', 'error');
+            return;
+        }
+
+        const pack = QuestionAuthor.createPack(this.draftSets, this.definition, this.bank.testInfo);
+        // Pack IDs must not clash with the bank either, so check the merged result too
+        if (!this.checkBeforeExport(this.getMergedBank(), 'the merged file')) return;
+        if (!this.checkBeforeExport(pack, 'the pack')) return;
+
+        const fileName = `${this.type}-pack-${new Date().toISOString().slice(0, 10)}.json`;
+        this.downloadJSON(pack, fileName);
+        this.showStatus(`Downloaded ${fileName} with ${pack.questions.length} question${pack.questions.length === 1 ? '' : 's'}.`, 'success');
+    }
+
+    /**
+     * Validate a bank before it is downloaded
+     * @param {Object} bank - Bank to check
+     * @param {string} what - Name for the status message
+     * @returns {boolean} - True when it has no errors
+     */
+    checkBeforeExport(bank, what) {
+        const result = QuestionSchema.validateBank(bank, this.type);
+        if (QuestionSchema.isValid(result)) return true;
+
+        const [first] = result.errors;
+        this.showStatus(
+            `Fix ${result.errors.length} error${result.errors.length === 1 ? '' : 's'} in ${what} before exporting. First: ${first.path} ${first.message}`,
+            'error'
+        );
+        return false;
+    }
+
+    /**
+     * Offer an object as a JSON file download
+     * @param {Object} data - Data to save
+     * @param {string} fileName - Suggested file name
+     */
+    downloadJSON(data, fileName) {
+        const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Show an export or load message
+     * @param {string} message - Message text
+     * @param {string} kind - 'success' or 'error'
+     */
+    showStatus(message, kind) {
+        const { status } = this.elements;
+        if (!status) return;
+        status.textContent = message;
+        status.className = `author-status ${kind}`;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.questionAuthor = new QuestionAuthor();
+});
+
+// Make QuestionAuthor available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionAuthor = QuestionAuthor;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionAuthor;
+}
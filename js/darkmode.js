@@ -15,6 +15,10 @@ class DarkModeManager {
      * @returns {boolean} True if dark mode is enabled, false otherwise
      */
     loadDarkModePreference() {
+        // StorageManager keeps the preference per profile where it is loaded
+        if (typeof StorageManager !== 'undefined') {
+            return StorageManager.load(StorageManager.KEYS.DARK_MODE, false) === true;
+        }
         const saved = localStorage.getItem(this.STORAGE_KEY);
         return saved === 'true'; // Default is false (light mode)
     }
@@ -24,6 +28,10 @@ class DarkModeManager {
      * @param {boolean} enabled - Whether dark mode is enabled
      */
     saveDarkModePreference(enabled) {
+        if (typeof StorageManager !== 'undefined') {
+            StorageManager.save(StorageManager.KEYS.DARK_MODE, enabled);
+            return;
+        }
         localStorage.setItem(this.STORAGE_KEY, enabled.toString());
     }
 
@@ -6,6 +6,13 @@
  * - Question type selection
  * - Navigation to appropriate selection pages
  * - Storing selected question type in localStorage
+ * - Building and starting sectional mocks, or resuming an unfinished one
+ * - Showing how many review queue questions are due
+ * - Counting notebook mistakes and reporting the most frequent error reasons
+ * - Downloading and restoring full backups
+ * - Adding and removing question packs
+ * - Listing, removing and exporting question corrections
+ * - Switching, creating, renaming and deleting profiles
  * 
  * @namespace LandingPage
  */
@@ -14,26 +21,136 @@
  * Handle question type selection
  * Saves the selected type to localStorage and navigates to appropriate selection page
  * 
- * @param {string} type - Question type: 'rc', 'para-completion', or 'para-summary'
+ * @param {string} type - Question type id registered in QuestionTypes
  */
 function selectQuestionType(type) {
+    const definition = QuestionTypes.get(type);
+    if (!definition) {
+        console.error('Invalid question type:', type);
+        return;
+    }
+
     // Save selected question type to localStorage
-    localStorage.setItem('varc_question_type', type);
+    StorageManager.saveQuestionType(type);
     
-    // Navigate to appropriate selection page
-    switch(type) {
-        case 'rc':
-            window.location.href = 'pages/rc-selection.html';
-            break;
-        case 'para-completion':
-            window.location.href = 'pages/para-completion-selection.html';
-            break;
-        case 'para-summary':
-            window.location.href = 'pages/para-summary-selection.html';
-            break;
-        default:
-            console.error('Invalid question type:', type);
+    // Navigate to appropriate selection page (a sectional mock is built right here instead)
+    if (definition.composite) {
+        startSectionalMock();
+    } else {
+        window.location.href = definition.selectionPage;
+    }
+}
+
+/**
+ * Open the review queue drill
+ */
+function openReviewQueue() {
+    window.location.href = 'pages/review.html';
+}
+
+/**
+ * Collect new attempts into the review queue and show what is due
+ */
+function renderReviewQueue() {
+    const dueCount = document.getElementById('review-due-count');
+    const totalCount = document.getElementById('review-total-count');
+    if (!dueCount || !totalCount) return;
+
+    ReviewQueue.sync();
+    const summary = ReviewQueue.getSummary();
+    dueCount.textContent = `${summary.due} Due Today`;
+    totalCount.textContent = `${summary.total} Queued`;
+}
+
+/**
+ * Open the mistake notebook
+ */
+function openMistakeNotebook() {
+    window.location.href = 'pages/notebook.html';
+}
+
+/**
+ * Show how many wrong answers there are and how many have a reason
+ */
+function renderMistakeNotebook() {
+    const mistakeCount = document.getElementById('notebook-mistake-count');
+    const taggedCount = document.getElementById('notebook-tagged-count');
+    if (!mistakeCount || !taggedCount) return;
+
+    const entries = MistakeNotebook.collect();
+    mistakeCount.textContent = `${entries.length} Mistake${entries.length === 1 ? '' : 's'}`;
+    taggedCount.textContent = `${entries.filter(entry => entry.reason).length} Tagged`;
+}
+
+/**
+ * Resume the unfinished sectional mock, or build a fresh one if there is none
+ */
+function startSectionalMock() {
+    const draft = SectionalMock.getUnfinishedMock(StorageManager);
+    if (!draft) {
+        buildSectionalMock();
+        return;
+    }
+
+    StorageManager.saveSelectedSet('sectional-mock', draft.setId);
+    window.location.href = 'pages/quiz.html';
+}
+
+/**
+ * Discard the unfinished sectional mock and build a fresh one
+ */
+function restartSectionalMock() {
+    const draft = SectionalMock.getUnfinishedMock(StorageManager);
+    if (draft) {
+        if (!confirm(`Discard your unfinished mock (${draft.answered}/${draft.total} answered) and start a new one?`)) {
+            return;
+        }
+        StorageManager.discardAttemptDraft('sectional-mock', draft.setId);
+    }
+
+    StorageManager.saveQuestionType('sectional-mock');
+    buildSectionalMock();
+}
+
+/**
+ * Show the unfinished sectional mock's progress on its card, with a way to discard it
+ */
+function renderSectionalMockCard() {
+    const button = document.getElementById('mock-card-button');
+    const progress = document.getElementById('mock-draft-progress');
+    const restart = document.getElementById('mock-restart-button');
+    if (!button || !progress || !restart) return;
+
+    const draft = SectionalMock.getUnfinishedMock(StorageManager);
+    button.textContent = draft ? 'Resume Mock' : 'Start Mock';
+    progress.hidden = !draft;
+    restart.hidden = !draft;
+    if (draft) {
+        progress.textContent = `${draft.answered}/${draft.total} answered, paused at Q${draft.currentQuestion + 1}`;
+    }
+}
+
+/**
+ * Build a fresh sectional mock and start it in the quiz
+ * Passages and VA items from earlier attempts are used only when the banks run out
+ */
+async function buildSectionalMock() {
+    const banks = await SectionalMock.loadBanks('data/');
+    await StorageManager.ready();
+    const history = SectionalMock.getAttemptHistory(StorageManager);
+    const mock = SectionalMock.buildSection(banks, history);
+
+    if (mock.questionRefs.length === 0) {
+        alert('Unable to build a sectional mock. Please try again.');
+        return;
     }
+
+    const mockId = StorageManager.saveSectionalMock(mock);
+
+    // A new mock always starts from a clean test state
+    StorageManager.saveSelectedSet('sectional-mock', mockId);
+    StorageManager.resetTest(0);
+    window.location.href = 'pages/quiz.html';
 }
 
 /**
@@ -45,20 +162,16 @@ function renderOverallAnalytics() {
 
     if (!grid) return;
 
-    const types = [
-        { type: 'rc', label: 'Reading Comprehension' },
-        { type: 'para-completion', label: 'Para Completion' },
-        { type: 'para-summary', label: 'Para Summary' }
-    ];
+    const types = QuestionTypes.list();
 
-    grid.innerHTML = types.map(({ type, label }) => {
+    grid.innerHTML = types.map(({ id: type, label }) => {
         const attempts = StorageManager.getAllSetAttempts(type);
         const summary = Analytics.summarizeTypeAttempts(attempts);
 
         if (!summary) {
             return `
                 <div class="overall-analytics-card">
-                    <div class="overall-card-title">${label}</div>
+                    <div class="overall-card-title">${Utils.sanitizeHTML(label)}</div>
                     <div class="overall-card-stat">Attempts <span>0</span></div>
                     <div class="overall-card-stat">Avg Accuracy <span>0%</span></div>
                     <div class="overall-card-stat">Avg Time/Q <span>0s</span></div>
@@ -77,8 +190,9 @@ function renderOverallAnalytics() {
 
         return `
             <div class="overall-analytics-card">
-                <div class="overall-card-title">${label}</div>
+                <div class="overall-card-title">${Utils.sanitizeHTML(label)}</div>
                 <div class="overall-card-stat">Attempts <span>${summary.attempts}</span></div>
+                <div class="overall-card-stat">Timed Attempts <span>${summary.timedAttempts}</span></div>
                 <div class="overall-card-stat">Avg Score <span>${avgScoreDisplay}</span></div>
                 <div class="overall-card-stat">Avg Accuracy <span>${summary.accuracy}%</span></div>
                 <div class="overall-card-stat">Avg Time/Q <span>${avgTimeDisplay}</span></div>
@@ -89,11 +203,7 @@ function renderOverallAnalytics() {
 
     if (!insightsContainer) return;
 
-    const allAttempts = [
-        ...StorageManager.getAllSetAttempts('rc'),
-        ...StorageManager.getAllSetAttempts('para-completion'),
-        ...StorageManager.getAllSetAttempts('para-summary')
-    ];
+    const allAttempts = types.flatMap(({ id }) => StorageManager.getAllSetAttempts(id));
 
     if (allAttempts.length === 0) {
         insightsContainer.innerHTML = '<div class="overall-insight-item">Complete a set to unlock analytics insights.</div>';
@@ -104,13 +214,399 @@ function renderOverallAnalytics() {
     if (tagInsights.length > 0) {
         const topTags = tagInsights.slice(0, 3);
         insightsContainer.innerHTML = topTags.map(tag => (
-            `<div class="overall-insight-item">Lowest accuracy in "${Utils.sanitizeHTML(tag.tag)}" (${tag.accuracy}% over ${tag.attempted} attempts).</div>`
+            `<div class="overall-insight-item">Lowest accuracy in "${Utils.sanitizeHTML(QuestionTags.getLabel(tag.tag))}" questions (${tag.accuracy}% over ${tag.attempted} attempts).</div>`
         )).join('');
     } else {
-        insightsContainer.innerHTML = '<div class="overall-insight-item">Question-type insights appear once tagged questions are added.</div>';
+        insightsContainer.innerHTML = '<div class="overall-insight-item">Question-type insights appear once you have answered 5 questions of one kind (main idea, inference, tone, ...).</div>';
+    }
+
+    const reasons = Analytics.getErrorReasonInsights(MistakeNotebook.collect());
+    if (reasons.length > 0) {
+        const tagged = reasons.reduce((sum, reason) => sum + reason.count, 0);
+        insightsContainer.innerHTML += `<div class="overall-insight-item">Most frequent error reasons: ${reasons.slice(0, 3).map(reason => (
+            `"${Utils.sanitizeHTML(MistakeNotebook.getLabel(reason.reason))}" (${reason.count} of ${tagged})`
+        )).join(', ')}.</div>`;
+    }
+
+    const traps = Analytics.getTrapInsights(allAttempts);
+    if (traps.traps.length > 0) {
+        const known = traps.traps.reduce((sum, trap) => sum + trap.count, 0);
+        insightsContainer.innerHTML += `<div class="overall-insight-item">Traps you fall for most: ${traps.traps.slice(0, 3).map(trap => (
+            `"${Utils.sanitizeHTML(OptionTraps.getLabel(trap.trap))}" options (${trap.count} of ${known})`
+        )).join(', ')}.${traps.suggested > 0 ? ' Some traps are suggested from the explanations\' wording and may be wrong.' : ''}</div>`;
+    }
+}
+
+/**
+ * Fill the profile switcher with the stored profiles
+ */
+function renderProfileSwitcher() {
+    const select = document.getElementById('profile-select');
+    if (!select) return;
+
+    const activeId = StorageManager.getActiveProfile().id;
+    select.innerHTML = StorageManager.getProfiles().map(profile => `
+        <option value="${Utils.sanitizeHTML(profile.id)}"${profile.id === activeId ? ' selected' : ''}>${Utils.sanitizeHTML(profile.name)}</option>
+    `).join('');
+
+    const deleteButton = document.getElementById('profile-delete');
+    if (deleteButton) {
+        deleteButton.disabled = activeId === StorageManager.DEFAULT_PROFILE_ID;
+    }
+}
+
+/**
+ * Switch to another profile and reload so every section shows its data
+ * @param {string} profileId - Profile ID
+ */
+async function switchToProfile(profileId) {
+    if (!(await StorageManager.switchProfile(profileId))) {
+        renderProfileSwitcher();
+        return;
+    }
+    window.location.reload();
+}
+
+/**
+ * Ask for a name, create a profile and switch to it
+ */
+async function addProfile() {
+    const name = prompt('Name for the new profile:');
+    if (name === null) return;
+
+    const error = StorageManager.validateProfileName(name);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    const profile = StorageManager.createProfile(name);
+    await switchToProfile(profile.id);
+}
+
+/**
+ * Rename the active profile
+ */
+function renameActiveProfile() {
+    const profile = StorageManager.getActiveProfile();
+    const name = prompt('New name for this profile:', profile.name);
+    if (name === null) return;
+
+    const error = StorageManager.validateProfileName(name, profile.id);
+    if (error) {
+        alert(error);
+        return;
+    }
+
+    StorageManager.renameProfile(profile.id, name);
+    renderProfileSwitcher();
+}
+
+/**
+ * Delete the active profile and everything saved in it, then switch to the default profile
+ */
+async function deleteActiveProfile() {
+    const profile = StorageManager.getActiveProfile();
+    if (profile.id === StorageManager.DEFAULT_PROFILE_ID) return;
+
+    if (!confirm(`Delete the profile "${profile.name}" with all of its attempts and paused sets? Download a backup first if you may need them.`)) {
+        return;
+    }
+
+    await StorageManager.switchProfile(StorageManager.DEFAULT_PROFILE_ID);
+    await StorageManager.deleteProfile(profile.id);
+    window.location.reload();
+}
+
+/**
+ * Show a message in the backup panel
+ * @param {string} message - Message text
+ * @param {string} kind - 'success' or 'error'
+ * @param {string[]} details - Extra lines listed under the message
+ */
+function showBackupStatus(message, kind, details = []) {
+    showPanelStatus('backup-status', message, kind, details);
+}
+
+/**
+ * Show a message in one of the landing page panels
+ * @param {string} statusId - ID of the panel's status element
+ * @param {string} message - Message text
+ * @param {string} kind - 'success' or 'error'
+ * @param {string[]} details - Extra lines listed under the message
+ */
+function showPanelStatus(statusId, message, kind, details = []) {
+    const status = document.getElementById(statusId);
+    if (!status) return;
+
+    status.className = `backup-status ${kind}`;
+    status.innerHTML = `
+        <div>${Utils.sanitizeHTML(message)}</div>
+        ${details.length > 0 ? `<ul>${details.map(line => `<li>${Utils.sanitizeHTML(line)}</li>`).join('')}</ul>` : ''}
+    `;
+}
+
+/**
+ * Download a backup of all stored data as a JSON file
+ */
+async function downloadBackup() {
+    await StorageManager.ready();
+    const backup = StorageManager.exportBackup();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    const profileSlug = backup.preferences.userName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    link.download = `varc-practice-${profileSlug}-${backup.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    const attemptCount = Object.values(backup.attempts)
+        .reduce((sum, sets) => sum + Object.values(sets).reduce((n, attempts) => n + attempts.length, 0), 0);
+    showBackupStatus(`Backup downloaded with ${attemptCount} attempt${attemptCount === 1 ? '' : 's'}.`, 'success');
+}
+
+/**
+ * Restore a backup chosen in the file input
+ * @param {HTMLInputElement} input - File input
+ */
+async function restoreBackupFile(input) {
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const mode = document.querySelector('input[name="backup-mode"]:checked')?.value || 'merge';
+
+    let backup;
+    try {
+        backup = JSON.parse(await file.text());
+    } catch (e) {
+        showBackupStatus('That file could not be read as JSON. Nothing was changed.', 'error');
+        return;
+    }
+
+    const validation = StorageManager.validateBackup(backup);
+    if (!validation.valid) {
+        showBackupStatus('That backup cannot be restored. Nothing was changed.', 'error', validation.errors);
+        return;
+    }
+
+    if (mode === 'replace' && !confirm('Replace all attempts, paused sets and preferences on this browser with the backup?')) {
+        return;
+    }
+
+    const result = await StorageManager.importBackup(backup, mode);
+    if (!result.success) {
+        showBackupStatus('The backup could not be restored.', 'error', result.errors);
+        return;
+    }
+
+    // Apply a restored dark mode preference right away
+    if (typeof darkModeManager !== 'undefined'
+        && StorageManager.load(StorageManager.KEYS.DARK_MODE, false) !== darkModeManager.isEnabled()) {
+        darkModeManager.toggle();
+        const toggleButton = document.querySelector('.dark-mode-toggle');
+        if (toggleButton) darkModeManager.updateToggleButton(toggleButton);
+    }
+
+    renderOverallAnalytics();
+    renderReviewQueue();
+    renderMistakeNotebook();
+    showBackupStatus(
+        `Restored ${result.added} attempt${result.added === 1 ? '' : 's'}` +
+        (result.skipped > 0 ? `; skipped ${result.skipped} already on this browser.` : '.'),
+        'success'
+    );
+}
+
+/**
+ * List the added question packs with links to practise or remove them
+ */
+function renderQuestionPacks() {
+    const list = document.getElementById('pack-list');
+    if (!list) return;
+
+    list.innerHTML = QuestionPacks.list().map(definition => {
+        const pack = StorageManager.getQuestionPack(definition.id);
+        const questions = pack?.bank.questions || [];
+        const setCount = new Set(questions.map(question => question[definition.setKey])).size;
+
+        return `
+            <li class="pack-item">
+                <div class="pack-item-info">
+                    <div class="pack-item-title">${Utils.sanitizeHTML(definition.label)}</div>
+                    <div class="pack-item-meta">
+                        ${Utils.sanitizeHTML(QuestionTypes.getLabel(definition.baseType))} &middot;
+                        ${questions.length} question${questions.length === 1 ? '' : 's'} in ${setCount} set${setCount === 1 ? '' : 's'}
+                        ${pack?.addedAt ? `&middot; added ${new Date(pack.addedAt).toLocaleDateString()}` : ''}
+                    </div>
+                </div>
+                <a class="backup-button" href="${definition.selectionPage}#${definition.id}">
+                    <i class="fa fa-play"></i> Practice
+                </a>
+                <button type="button" class="backup-button secondary" onclick="removeQuestionPack('${definition.id}')">
+                    <i class="fa fa-trash"></i> Remove
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * List the question corrections made on this device; the panel is hidden until there is one
+ */
+function renderQuestionErrata() {
+    const panel = document.getElementById('errata-panel');
+    const list = document.getElementById('errata-list');
+    if (!panel || !list) return;
+
+    const errata = QuestionErrata.list();
+    panel.style.display = errata.length > 0 ? '' : 'none';
+
+    const fieldLabels = { correctAnswer: 'answer key', question: 'question text', explanation: 'explanation' };
+    list.innerHTML = errata.map(erratum => {
+        const separator = erratum.key.lastIndexOf(':');
+        const type = erratum.key.slice(0, separator);
+        const typeLabel = QuestionTypes.has(type) ? QuestionTypes.getLabel(type) : type;
+        const fields = Object.keys(erratum.fields).map(field => fieldLabels[field] || field);
+        const summary = fields.length > 0 ? `Corrected ${fields.join(', ')}` : 'Reported';
+
+        return `
+            <li class="pack-item">
+                <div class="pack-item-info">
+                    <div class="pack-item-title">${Utils.sanitizeHTML(typeLabel)} &middot; question ${Utils.sanitizeHTML(erratum.key.slice(separator + 1))}</div>
+                    <div class="pack-item-meta">
+                        ${summary}${erratum.updatedAt ? ` &middot; ${new Date(erratum.updatedAt).toLocaleDateString()}` : ''}
+                        ${erratum.note ? `<br>${Utils.sanitizeHTML(erratum.note)}` : ''}
+                    </div>
+                </div>
+                <button type="button" class="backup-button secondary" onclick="removeQuestionErratum('${Utils.sanitizeHTML(erratum.key)}')">
+                    <i class="fa fa-trash"></i> Remove
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Remove one question correction after confirmation
+ * @param {string} key - Question key
+ */
+function removeQuestionErratum(key) {
+    if (!confirm('Remove this correction? The question and the scores of past attempts go back to the original answer key.')) return;
+
+    StorageManager.removeErratum(key);
+    renderQuestionErrata();
+    renderOverallAnalytics();
+}
+
+/**
+ * Download the question corrections as a JSON file to send upstream
+ */
+function downloadErrata() {
+    const data = QuestionErrata.exportErrata();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `varc-practice-errata-${data.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Add question packs from chosen or dropped files
+ * @param {FileList|File[]} files - JSON files
+ */
+async function addQuestionPackFiles(files) {
+    const added = [];
+    const problems = [];
+
+    for (const file of Array.from(files || [])) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (e) {
+            problems.push(`${file.name}: the file could not be read as JSON.`);
+            continue;
+        }
+
+        const result = QuestionPacks.addPack(data, file.name);
+        if (result.success) {
+            added.push(result.pack);
+            if (result.warnings.length > 0) {
+                problems.push(`${result.pack.title}: added with ${result.warnings.length} warning${result.warnings.length === 1 ? '' : 's'}, e.g. ${result.warnings[0]}`);
+            }
+        } else {
+            problems.push(...result.errors.map(error => `${file.name}: ${error}`));
+        }
+    }
+
+    if (added.length === 0 && problems.length === 0) return;
+
+    renderQuestionPacks();
+    renderOverallAnalytics();
+
+    if (added.length > 0) {
+        const titles = added.map(pack => `"${pack.title}"`).join(', ');
+        showPanelStatus('pack-status', `Added ${titles}. Practise from its question type's page.`, 'success', problems);
+    } else {
+        showPanelStatus('pack-status', 'No pack was added.', 'error', problems);
     }
 }
 
-document.addEventListener('DOMContentLoaded', () => {
+/**
+ * Remove a question pack after confirmation
+ * @param {string} id - Pack ID
+ */
+function removeQuestionPack(id) {
+    const label = QuestionTypes.getLabel(id);
+    if (!confirm(`Remove the question pack "${label}"? Your attempts on it are kept and come back if you add the same pack again.`)) {
+        return;
+    }
+
+    if (QuestionPacks.removePack(id)) {
+        renderQuestionPacks();
+        renderOverallAnalytics();
+        showPanelStatus('pack-status', `Removed "${label}".`, 'success');
+    }
+}
+
+/**
+ * Accept pack files dropped on the drop zone
+ */
+function bindPackDropZone() {
+    const zone = document.getElementById('pack-drop-zone');
+    if (!zone) return;
+
+    zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        zone.classList.add('dragging');
+    });
+    zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+    zone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        zone.classList.remove('dragging');
+        addQuestionPackFiles(e.dataTransfer?.files);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // The sectional mock is started from here, so its expired drafts are pruned here too
+    StorageManager.pruneAttemptDrafts();
+    renderSectionalMockCard();
+    renderProfileSwitcher();
+    renderQuestionPacks();
+    renderQuestionErrata();
+    bindPackDropZone();
+    await StorageManager.ready();
     renderOverallAnalytics();
+    renderReviewQueue();
+    renderMistakeNotebook();
 });
@@ -0,0 +1,188 @@
+/**
+ * Mistake Notebook
+ * Why each wrong answer went wrong, in the user's own words
+ *
+ * This module manages:
+ * - The error reasons a wrong answer can be tagged with on the results page
+ *   (misread question, out-of-scope option, extreme wording, time pressure,
+ *   vocabulary), together with a free-text note
+ * - Listing every wrong answer of the active profile with its note, for the
+ *   notebook page, and filtering that list by reason, question type and date
+ *
+ * Notes belong to one answer in one attempt, so getting the same question
+ * wrong twice gives two entries. They are keyed by the attempt (type, set and
+ * timestamp) and the question key: 'rc:3:1623459012000/rc:17'.
+ *
+ * Note Format (stored by StorageManager):
+ * - { reason: 'extreme-wording' | null, note: '...', updatedAt }
+ *
+ * @namespace MistakeNotebook
+ */
+
+const MistakeNotebook = {
+    // Error reasons in the order they are offered
+    REASONS: [
+        { id: 'misread-question', label: 'Misread the question' },
+        { id: 'out-of-scope', label: 'Out-of-scope option' },
+        { id: 'extreme-wording', label: 'Extreme wording' },
+        { id: 'time-pressure', label: 'Time pressure' },
+        { id: 'vocabulary', label: 'Vocabulary' }
+    ],
+
+    // Reason filter value that matches mistakes without a reason
+    UNTAGGED: 'untagged',
+
+    NOTE_MAX_LENGTH: 500,
+
+    /**
+     * Check whether a value is one of the error reasons
+     * @param {any} reason - Value to check
+     * @returns {boolean}
+     */
+    isReason(reason) {
+        return this.REASONS.some(candidate => candidate.id === reason);
+    },
+
+    /**
+     * Get the display label of an error reason
+     * @param {string} reason - Reason id
+     * @returns {string} - Label, or the id if it is unknown
+     */
+    getLabel(reason) {
+        return this.REASONS.find(candidate => candidate.id === reason)?.label || reason;
+    },
+
+    /**
+     * Get the key a note on one answer is stored under
+     * @param {string} type - Type the attempt is stored under
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @returns {string} - e.g. 'rc:3:1623459012000/rc:17'
+     */
+    getNoteKey(type, attempt, question) {
+        return `${type}:${attempt.setId}:${attempt.timestamp}/${QuestionIdentity.getAttemptQuestionKey(attempt, question)}`;
+    },
+
+    /**
+     * Get the note on one answer
+     * @param {string} type - Type the attempt is stored under
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @returns {Object|null} - Note or null
+     */
+    getNote(type, attempt, question) {
+        return StorageManager.getMistakeNotes()[this.getNoteKey(type, attempt, question)] || null;
+    },
+
+    /**
+     * Check whether an attempt question was answered wrongly
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @returns {boolean}
+     */
+    isMistake(attempt, question) {
+        const answer = question.userAnswer;
+        if (answer === null || answer === undefined || answer === '') return false;
+        return !QuestionTypes.isCorrect(question, answer, attempt.questionType);
+    },
+
+    /**
+     * Save the reason and note of one wrong answer; saving neither removes the note
+     * @param {string} type - Type the attempt is stored under
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @param {{reason: string, note: string}} input - Form values
+     * @returns {{success: boolean, note: Object|null, errors: string[]}}
+     */
+    saveNote(type, attempt, question, { reason = '', note = '' } = {}) {
+        const errors = [];
+        const text = String(note ?? '').trim();
+        if (reason && !this.isReason(reason)) {
+            errors.push(`Unknown error reason "${reason}".`);
+        }
+        if (text.length > this.NOTE_MAX_LENGTH) {
+            errors.push(`The note is longer than ${this.NOTE_MAX_LENGTH} characters.`);
+        }
+        if (errors.length > 0) return { success: false, note: null, errors };
+
+        const key = this.getNoteKey(type, attempt, question);
+        if (!reason && !text) {
+            StorageManager.removeMistakeNote(key);
+            return { success: true, note: null, errors: [] };
+        }
+
+        const saved = { reason: reason || null, note: text, updatedAt: Date.now() };
+        if (!StorageManager.saveMistakeNote(key, saved)) {
+            return { success: false, note: null, errors: ['The note could not be saved; browser storage may be full.'] };
+        }
+        return { success: true, note: saved, errors: [] };
+    },
+
+    /**
+     * List every wrong answer of the active profile with its note
+     * Call StorageManager.ready() first so the whole history is available
+     * @returns {Array<{key: string, type: string, setId: any, timestamp: number, attempt: Object,
+     *   question: Object, questionType: string, reason: string|null, note: string}>} - Most recent first;
+     *   questionType is the bank the question came from (a sectional mock's are listed under their own types)
+     */
+    collect() {
+        const notes = StorageManager.getMistakeNotes();
+        const entries = [];
+
+        QuestionTypes.ids().forEach(type => {
+            StorageManager.getAllSetAttempts(type).forEach(attempt => {
+                (attempt.questions || []).forEach(question => {
+                    if (!this.isMistake(attempt, question)) return;
+
+                    const key = this.getNoteKey(type, attempt, question);
+                    const questionKey = QuestionIdentity.getAttemptQuestionKey(attempt, question);
+                    entries.push({
+                        key,
+                        type,
+                        setId: attempt.setId,
+                        timestamp: attempt.timestamp,
+                        attempt,
+                        question,
+                        questionType: questionKey.slice(0, questionKey.lastIndexOf(':')),
+                        reason: notes[key]?.reason || null,
+                        note: notes[key]?.note || ''
+                    });
+                });
+            });
+        });
+
+        return entries.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    },
+
+    /**
+     * Filter notebook entries
+     * @param {Array} entries - Entries from collect()
+     * @param {{reason: string, type: string, from: string, to: string}} filters - Empty values match
+     *   everything; reason may be UNTAGGED, and from/to are inclusive 'YYYY-MM-DD' days
+     * @returns {Array} - Matching entries
+     */
+    filter(entries, { reason = '', type = '', from = '', to = '' } = {}) {
+        const start = from ? Utils.parseDateKey(from).getTime() : -Infinity;
+        const end = to ? Utils.parseDateKey(to, 1).getTime() : Infinity;
+
+        return entries.filter(entry => {
+            if (reason === this.UNTAGGED) {
+                if (entry.reason) return false;
+            } else if (reason && entry.reason !== reason) {
+                return false;
+            }
+            if (type && entry.questionType !== type) return false;
+            return entry.timestamp >= start && entry.timestamp < end;
+        });
+    }
+};
+
+// Make MistakeNotebook available globally for browser
+if (typeof window !== 'undefined') {
+    window.MistakeNotebook = MistakeNotebook;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MistakeNotebook;
+}
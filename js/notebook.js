@@ -0,0 +1,207 @@
+/**
+ * Mistake Notebook Page
+ * Lists every wrong answer with the reason and note given to it
+ *
+ * Features:
+ * - Filters by error reason (or mistakes without one), question type and date range
+ * - Counts how often each reason was given; a count filters the list by it
+ * - Shows the question, both answers and the note of each mistake, with a
+ *   link to the answer review when it is from the latest attempt of its set
+ * - Filters are kept in the URL (?reason=&type=&from=&to=) so a view can be bookmarked
+ *
+ * Data Flow:
+ * 1. MistakeNotebook.collect() gathers wrong answers from all attempts
+ * 2. The filters narrow the list with MistakeNotebook.filter()
+ * 3. Analytics.getErrorReasonInsights() counts the reasons
+ *
+ * @class NotebookPage
+ */
+
+class NotebookPage {
+    constructor() {
+        this.entries = [];
+        this.filters = { reason: '', type: '', from: '', to: '' };
+        this.init();
+    }
+
+    async init() {
+        this.elements = {
+            filters: document.getElementById('notebook-filters'),
+            reasons: document.getElementById('notebook-reasons'),
+            summary: document.getElementById('notebook-summary'),
+            list: document.getElementById('notebook-list')
+        };
+        if (!this.elements.filters || !this.elements.list) {
+            console.error('Notebook page elements not found');
+            return;
+        }
+
+        const urlParams = new URLSearchParams(window.location.search);
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = urlParams.get(name) || '';
+        });
+
+        this.elements.summary.textContent = 'Loading your mistakes…';
+        await StorageManager.ready();
+        this.entries = MistakeNotebook.collect();
+
+        this.renderFilterOptions();
+        this.elements.filters.addEventListener('change', () => this.readFilters());
+        this.elements.filters.addEventListener('reset', () => setTimeout(() => this.readFilters()));
+        this.elements.reasons.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-reason]');
+            if (!button) return;
+            this.elements.filters.elements.reason.value = button.dataset.reason;
+            this.readFilters();
+        });
+        this.render();
+    }
+
+    /**
+     * Fill the reason and type selects and set every filter from the URL
+     */
+    renderFilterOptions() {
+        const { elements } = this.elements.filters;
+        const types = [...new Set(this.entries.map(entry => entry.questionType))];
+
+        elements.reason.innerHTML = `
+            <option value="">All reasons</option>
+            ${MistakeNotebook.REASONS.map(reason => `<option value="${reason.id}">${Utils.sanitizeHTML(reason.label)}</option>`).join('')}
+            <option value="${MistakeNotebook.UNTAGGED}">No reason yet</option>
+        `;
+        elements.type.innerHTML = `
+            <option value="">All question types</option>
+            ${types.map(type => `<option value="${Utils.sanitizeHTML(type)}">${Utils.sanitizeHTML(this.getTypeLabel(type))}</option>`).join('')}
+        `;
+
+        Object.entries(this.filters).forEach(([name, value]) => {
+            elements[name].value = value;
+        });
+    }
+
+    /**
+     * Take the filters from the form, keep them in the URL and redraw
+     */
+    readFilters() {
+        const { elements } = this.elements.filters;
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = elements[name].value;
+        });
+
+        const params = new URLSearchParams(Object.entries(this.filters).filter(([, value]) => value));
+        const query = params.toString();
+        window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+        this.render();
+    }
+
+    /**
+     * Get the label of a question type, including types of packs that were removed
+     * @param {string} type - Type id
+     * @returns {string} - Label
+     */
+    getTypeLabel(type) {
+        return QuestionTypes.has(type) ? QuestionTypes.getLabel(type) : type;
+    }
+
+    /**
+     * Describe an answer for display
+     * @param {Object} question - Attempt question
+     * @param {any} answer - Answer value
+     * @returns {string} - Plain text
+     */
+    getAnswerText(question, answer) {
+        if (answer === null || answer === undefined) return 'N/A';
+        if (Array.isArray(question.options) && question.options.length > 0 && Number.isInteger(answer)) {
+            return `${String.fromCharCode(65 + answer)}. ${question.options[answer] ?? ''}`;
+        }
+        return String(answer);
+    }
+
+    /**
+     * Build the answer review link of a mistake from the latest attempt of its set
+     * @param {Object} entry - Notebook entry
+     * @returns {string|null} - results.html URL, or null for older attempts
+     */
+    getReviewLink(entry) {
+        const attempts = StorageManager.getSetAttempts(entry.type, entry.setId);
+        if (attempts.length === 0 || attempts[attempts.length - 1].timestamp !== entry.timestamp) return null;
+
+        const params = new URLSearchParams({ type: entry.type, setId: entry.setId });
+        return `results.html?${params}#review-question-${encodeURIComponent(entry.question.id)}`;
+    }
+
+    /**
+     * Draw the reason counts, the summary line and the filtered mistakes
+     */
+    render() {
+        const matches = MistakeNotebook.filter(this.entries, this.filters);
+        const insights = Analytics.getErrorReasonInsights(this.entries);
+
+        this.elements.reasons.innerHTML = insights.map(insight => `
+            <button type="button" class="notebook-reason-count ${this.filters.reason === insight.reason ? 'active' : ''}" data-reason="${Utils.sanitizeHTML(insight.reason)}">
+                ${Utils.sanitizeHTML(MistakeNotebook.getLabel(insight.reason))}
+                <span>${insight.count} · ${insight.share}%</span>
+            </button>
+        `).join('');
+
+        const total = this.entries.length;
+        this.elements.summary.textContent = total === 0
+            ? ''
+            : `${matches.length} of ${total} mistake${total === 1 ? '' : 's'}`;
+
+        if (total === 0) {
+            this.elements.list.innerHTML = `
+                <div class="notebook-empty">
+                    <i class="fas fa-book-open"></i>
+                    <p>No wrong answers yet. After you submit a set, give each wrong answer a reason in the answer review and it is listed here.</p>
+                </div>
+            `;
+            return;
+        }
+        if (matches.length === 0) {
+            this.elements.list.innerHTML = '<div class="notebook-empty"><p>No mistakes match these filters.</p></div>';
+            return;
+        }
+
+        this.elements.list.innerHTML = matches.map(entry => this.renderEntry(entry)).join('');
+    }
+
+    /**
+     * Build the card of one mistake
+     * @param {Object} entry - Notebook entry
+     * @returns {string} - HTML
+     */
+    renderEntry(entry) {
+        const { question } = entry;
+        const link = this.getReviewLink(entry);
+        const questionText = question.question || 'Question text not available';
+        const questionHTML = QuestionTypes.getRenderer(entry.questionType).richText
+            ? Utils.parseHTMLSafe(questionText)
+            : `<p>${Utils.sanitizeHTML(questionText)}</p>`;
+        const date = new Date(entry.timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+        return `
+            <article class="notebook-entry">
+                <div class="notebook-entry-header">
+                    <span class="notebook-entry-title">${Utils.sanitizeHTML(QuestionTypes.has(entry.type) ? QuestionTypes.getSetLabel(entry.type) : entry.type)} ${Utils.sanitizeHTML(String(entry.setId))}</span>
+                    <span class="notebook-entry-date">${Utils.sanitizeHTML(date)}</span>
+                </div>
+                <span class="notebook-entry-reason ${entry.reason ? '' : 'untagged'}">
+                    ${entry.reason ? Utils.sanitizeHTML(MistakeNotebook.getLabel(entry.reason)) : 'No reason yet'}
+                </span>
+                <div class="notebook-entry-question">${questionHTML}</div>
+                <div class="notebook-entry-answers">
+                    <div><strong>Your answer:</strong> ${Utils.sanitizeHTML(this.getAnswerText(question, question.userAnswer))}</div>
+                    <div><strong>Correct answer:</strong> ${Utils.sanitizeHTML(this.getAnswerText(question, question.correctAnswer))}</div>
+                </div>
+                ${entry.note ? `<p class="notebook-entry-note"><i class="fas fa-pen"></i> ${Utils.sanitizeHTML(entry.note)}</p>` : ''}
+                ${link ? `<a class="notebook-entry-link" href="${link}">Open in answer review <i class="fas fa-arrow-right"></i></a>` : ''}
+            </article>
+        `;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.notebookPage = new NotebookPage();
+});
@@ -0,0 +1,255 @@
+/**
+ * Option Traps
+ * Classifies the wrong options of multiple-choice questions by the trap they set
+ *
+ * This module manages:
+ * - The trap types a wrong option can be (too broad, too narrow, distortion,
+ *   extreme, out of scope) and the explanation wording that identifies them
+ * - Reading a question's explanation option by option ("(B) The use of only
+ *   makes this an extreme option", "Option A: ... out of scope") to suggest
+ *   the trap of each wrong option when the question's author gave none
+ * - Display labels for traps
+ *
+ * Authored traps are stored per question as `optionTraps`, aligned with
+ * `options`: ['extreme', null, 'out-of-scope', 'too-narrow'] with null for the
+ * correct option and for options whose trap is unknown. Suggested traps are
+ * only worked out at runtime and never saved into a question: they come from
+ * keyword matching (types tried in order, first match wins) and can be wrong,
+ * so the UI labels them as suggestions.
+ *
+ * @namespace OptionTraps
+ */
+
+const OptionTraps = {
+    // Trap types in the order they are tried; patterns run on lower-cased plain text
+    TRAPS: [
+        {
+            id: 'extreme',
+            label: 'Extreme',
+            patterns: [
+                /\bextreme\b/,
+                /\b(too|overly) (strong|absolute|harsh|sweeping)\b/,
+                /\b(absolute|sweeping) (claim|statement|terms|language|generali[sz]ation)\b/,
+                /\bover ?generali[sz]/
+            ]
+        },
+        {
+            id: 'out-of-scope',
+            label: 'Out of Scope',
+            patterns: [
+                /\b(out of|outside( of)?|beyond) (the )?(scope|context)\b/,
+                /\bnot (mentioned|discussed|stated|talked about)\b/,
+                /\b(never|nowhere) (mentions?|mentioned|states?|stated|discuss(es|ed)?|talks? about|says|implied|in the passage)\b/,
+                /\b(irrelevant|unrelated|far-?fetched)\b/,
+                /\bno (mention|reference)\b/
+            ]
+        },
+        {
+            id: 'too-broad',
+            label: 'Too Broad',
+            patterns: [
+                /\btoo (broad|general|wide|vague|generic)\b/,
+                /\b(broader|more general) than\b/
+            ]
+        },
+        {
+            id: 'too-narrow',
+            label: 'Too Narrow',
+            patterns: [
+                /\btoo (narrow|specific|limited)\b/,
+                /\b(narrower|more specific) than\b/,
+                /\bfails? to (mention|capture|include|cover|address)\b/,
+                /\b(only|just) (one|a) (part|aspect|portion)\b/,
+                /\b(incomplete|partial)\b/,
+                /\b(misses|ignores|leaves out) (the|an?) (main|key|central|important|crucial|other)\b/
+            ]
+        },
+        {
+            id: 'distortion',
+            label: 'Distortion',
+            patterns: [
+                /\bdistort(s|ed|ion|ions|ing)?\b/,
+                /\bmisrepresent/,
+                /\bmisinterpret/,
+                /\b(the )?opposite\b/,
+                /\bcontradict/,
+                /\btwist(s|ed)?\b/
+            ]
+        }
+    ],
+
+    OPTION_LETTERS: 'abcdefgh',
+
+    /**
+     * Check whether a question has options that can be traps
+     * Only single-answer multiple-choice questions with an options list have them
+     * @param {Object} question - Question object
+     * @returns {boolean}
+     */
+    appliesTo(question) {
+        return question?.type === 'MCQ' && Array.isArray(question.options) && question.options.length > 1;
+    },
+
+    /**
+     * Check whether a value is one of the trap types
+     * @param {any} trap - Value to check
+     * @returns {boolean}
+     */
+    isTrap(trap) {
+        return this.TRAPS.some(item => item.id === trap);
+    },
+
+    /**
+     * Get the display label of a trap
+     * @param {string} trap - Trap id, e.g. 'out-of-scope'
+     * @returns {string} - Label, or the id if it is unknown
+     */
+    getLabel(trap) {
+        return this.TRAPS.find(item => item.id === trap)?.label || trap;
+    },
+
+    /**
+     * Reduce an explanation to plain text with straight quotes, keeping its case
+     * @param {string} html - Explanation HTML
+     * @returns {string}
+     */
+    toPlainText(html) {
+        return String(html ?? '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/[‘’]/g, '\'')
+            .replace(/[“”]/g, '"')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Split an explanation into what it says about each option
+     * Recognises "(B) ...", "Option B: ...", "Option b) ..." and "b) ..."; options
+     * named together ("Options c) and d) are out of scope") share the text after them
+     * @param {string} explanation - Explanation HTML
+     * @param {number} optionCount - Number of options
+     * @returns {string[]} - Lower-cased text per option, '' for options it never names
+     */
+    splitExplanation(explanation, optionCount) {
+        const text = this.toPlainText(explanation);
+        const letters = this.OPTION_LETTERS.slice(0, optionCount);
+        const marker = new RegExp(`\\boptions? \\(?([${letters}])\\b\\)?|\\(([${letters}])\\)|(?:^|[\\s,])([${letters}])\\)`, 'gi');
+        const parts = Array(optionCount).fill('');
+
+        const markers = [...text.matchAll(marker)].map(match => ({
+            option: letters.indexOf((match[1] || match[2] || match[3]).toLowerCase()),
+            start: match.index,
+            end: match.index + match[0].length
+        }));
+
+        let pending = [];
+        markers.forEach((item, index) => {
+            const next = markers[index + 1];
+            const segment = text.slice(item.end, next ? next.start : text.length).trim().replace(/^[:.,)\-–—\s]+/, '');
+            pending.push(item.option);
+            if (next && /^(and|or|&|,|\s)*$/i.test(segment)) return;
+
+            pending.forEach(option => {
+                parts[option] = `${parts[option]} ${segment.toLowerCase()}`.trim();
+            });
+            pending = [];
+        });
+
+        return parts;
+    },
+
+    /**
+     * Work out the trap from what an explanation says about an option
+     * @param {string} text - Lower-cased explanation text of one option
+     * @returns {string|null} - Trap id, or null if no pattern matches
+     */
+    classify(text) {
+        if (!text) return null;
+        const trap = this.TRAPS.find(item => item.patterns.some(pattern => pattern.test(text)));
+        return trap ? trap.id : null;
+    },
+
+    /**
+     * Work out the traps of a question's options from its explanation
+     * @param {Object} question - Question object
+     * @returns {Array<string|null>} - Trap per option; null for the correct option and unknown ones
+     */
+    inferTraps(question) {
+        if (!this.appliesTo(question)) return [];
+
+        return this.splitExplanation(question.explanation, question.options.length)
+            .map((text, option) => (option === question.correctAnswer ? null : this.classify(text)));
+    },
+
+    /**
+     * Check whether a question's author gave the traps of its options
+     * @param {Object} question - Question object
+     * @returns {boolean}
+     */
+    hasAuthoredTraps(question) {
+        return Array.isArray(question?.optionTraps) && question.optionTraps.length > 0;
+    },
+
+    /**
+     * Check whether a question's traps are suggested from its explanation rather than authored
+     * @param {Object} question - Question object
+     * @returns {boolean}
+     */
+    isSuggested(question) {
+        return this.appliesTo(question) && !this.hasAuthoredTraps(question);
+    },
+
+    /**
+     * Get the traps of a question's options, suggesting them when it has none
+     * @param {Object} question - Question object
+     * @returns {Array<string|null>} - Trap per option, or [] if the question has no options
+     */
+    getTraps(question) {
+        if (!this.appliesTo(question)) return [];
+        if (this.hasAuthoredTraps(question)) return question.optionTraps;
+        return this.inferTraps(question);
+    },
+
+    /**
+     * Get the trap of one option
+     * @param {Object} question - Question object
+     * @param {number} option - Option index
+     * @returns {string|null} - Trap id; always null for the correct option
+     */
+    getTrap(question, option) {
+        if (!Number.isInteger(option) || option === question?.correctAnswer) return null;
+        const trap = this.getTraps(question)[option];
+        return this.isTrap(trap) ? trap : null;
+    },
+
+    /**
+     * Write suggested traps into the questions of a bank that have none
+     * Only for scripts/tag_traps.js, whose output an author reviews: saved traps count as authored
+     * @param {Object|null} bank - { testInfo, questions }
+     * @returns {Object|null} - The bank, or a copy whose questions carry the suggested traps
+     */
+    applyToBank(bank) {
+        if (!bank || !Array.isArray(bank.questions)) return bank;
+
+        return {
+            ...bank,
+            questions: bank.questions.map(question => {
+                if (!this.isSuggested(question)) return question;
+
+                const optionTraps = this.inferTraps(question);
+                return optionTraps.some(Boolean) ? { ...question, optionTraps } : question;
+            })
+        };
+    }
+};
+
+// Make OptionTraps available globally for browser
+if (typeof window !== 'undefined') {
+    window.OptionTraps = OptionTraps;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OptionTraps;
+}
@@ -0,0 +1,341 @@
+/**
+ * Progress Page
+ * Accuracy, score and pace over time, per question type
+ *
+ * Features:
+ * - Daily or weekly trends of accuracy, score percentage and average time per
+ *   question, one line per question type
+ * - Rolling averages over the last few periods; the line follows the rolling
+ *   average and the dots show each period's own value
+ * - A date range (last 30/90/365 days, all time, or any from/to days) and a
+ *   question type filter, kept in the URL so a view can be bookmarked
+ * - A table of each type's totals over the range and how its accuracy moved
+ * - Which kinds of option trap the wrong answers in the range fell for
+ * - Charts are inline SVG (TrendChart), so the page works offline
+ *
+ * Data Flow:
+ * 1. Loads the attempt history of every question type
+ * 2. Analytics.getTrends() buckets each type's attempts in the range
+ * 3. TrendChart.render() draws one chart per metric
+ * 4. Analytics.getTrapInsights() counts the traps of the wrong options picked
+ *
+ * @class ProgressPage
+ */
+
+class ProgressPage {
+    constructor() {
+        this.attempts = {};
+        this.settings = { range: '90', from: '', to: '', granularity: 'week', window: '3', type: '' };
+        this.metrics = [
+            {
+                id: 'accuracy',
+                title: 'Accuracy',
+                description: 'Questions answered correctly, out of all questions',
+                yBounds: { min: 0, max: 100 },
+                format: value => `${value}%`
+            },
+            {
+                id: 'scorePercentage',
+                title: 'Score',
+                description: 'Marks scored after negative marking, out of the maximum',
+                yBounds: { min: 0, max: 100 },
+                format: value => `${value}%`
+            },
+            {
+                id: 'avgTimePerQuestion',
+                title: 'Average Time per Question',
+                description: 'Total time spent divided by the number of questions',
+                yBounds: { min: 0, max: 0 },
+                format: value => Utils.formatDuration(value)
+            }
+        ];
+        this.init();
+    }
+
+    async init() {
+        this.elements = {
+            controls: document.getElementById('progress-controls'),
+            summary: document.getElementById('progress-summary'),
+            charts: document.getElementById('progress-charts'),
+            table: document.getElementById('progress-table'),
+            traps: document.getElementById('progress-traps')
+        };
+        if (!this.elements.controls || !this.elements.charts) {
+            console.error('Progress page elements not found');
+            return;
+        }
+
+        const urlParams = new URLSearchParams(window.location.search);
+        Object.keys(this.settings).forEach(name => {
+            if (urlParams.has(name)) this.settings[name] = urlParams.get(name);
+        });
+
+        this.elements.summary.textContent = 'Loading your attempts…';
+        await StorageManager.ready();
+        QuestionTypes.list().forEach(type => {
+            const attempts = StorageManager.getAllSetAttempts(type.id);
+            if (attempts.length > 0) this.attempts[type.id] = attempts;
+        });
+
+        this.renderTypeOptions();
+        this.applySettings();
+        this.elements.controls.addEventListener('change', (event) => this.readControls(event));
+        this.render();
+    }
+
+    /**
+     * Fill the question type select with the types that have attempts
+     */
+    renderTypeOptions() {
+        this.elements.controls.elements.type.innerHTML = `
+            <option value="">All question types</option>
+            ${Object.keys(this.attempts).map(type => `
+                <option value="${Utils.sanitizeHTML(type)}">${Utils.sanitizeHTML(QuestionTypes.getLabel(type))}</option>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Show the current settings in the controls
+     */
+    applySettings() {
+        const { elements } = this.elements.controls;
+        const { from, to } = this.getRange();
+        Object.entries(this.settings).forEach(([name, value]) => {
+            elements[name].value = value;
+        });
+        elements.from.value = from;
+        elements.to.value = to;
+    }
+
+    /**
+     * Get the days the current range covers
+     * @returns {{from: string, to: string}} - 'YYYY-MM-DD' days; empty for no limit
+     */
+    getRange() {
+        const { range, from, to } = this.settings;
+        if (range === 'custom') return { from, to };
+        if (range === 'all') return { from: '', to: '' };
+
+        const today = Utils.toDateKey();
+        const days = Number(range) || 90;
+        return { from: Utils.toDateKey(Utils.parseDateKey(today, 1 - days)), to: today };
+    }
+
+    /**
+     * Take the settings from the controls, keep them in the URL and redraw
+     * Editing a day switches the range to custom; picking a range fills in its days
+     * @param {Event} event - Change inside the controls
+     */
+    readControls(event) {
+        const { elements } = this.elements.controls;
+        Object.keys(this.settings).forEach(name => {
+            this.settings[name] = elements[name].value;
+        });
+        if (event?.target === elements.from || event?.target === elements.to) {
+            this.settings.range = 'custom';
+        }
+        if (this.settings.range !== 'custom') {
+            this.settings.from = '';
+            this.settings.to = '';
+        }
+        this.applySettings();
+
+        const params = new URLSearchParams(Object.entries(this.settings).filter(([, value]) => value));
+        window.history.replaceState(null, '', `?${params}`);
+        this.render();
+    }
+
+    /**
+     * Label a period for the axis and tooltips
+     * @param {number} timestamp - Start of the period
+     * @returns {string} - e.g. 'Mar 5'
+     */
+    formatPeriod(timestamp) {
+        const label = new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return this.settings.granularity === 'week' ? `Week of ${label}` : label;
+    }
+
+    /**
+     * Draw the charts and the table for the current settings
+     */
+    render() {
+        const { from, to } = this.getRange();
+        const types = Object.keys(this.attempts).filter(type => !this.settings.type || type === this.settings.type);
+        const trends = types
+            .map(type => ({
+                type,
+                color: TrendChart.getColor(Object.keys(this.attempts).indexOf(type)),
+                attempts: Analytics.filterByDateRange(this.attempts[type], from, to),
+                points: Analytics.getTrends(this.attempts[type], {
+                    granularity: this.settings.granularity,
+                    from,
+                    to,
+                    window: Number(this.settings.window)
+                })
+            }))
+            .filter(trend => trend.points.length > 0);
+
+        const total = trends.reduce((sum, trend) => sum + trend.attempts.length, 0);
+        if (Object.keys(this.attempts).length === 0) {
+            this.elements.summary.textContent = 'Complete a set to start tracking your progress.';
+        } else if (total === 0) {
+            this.elements.summary.textContent = 'No attempts in this date range.';
+        } else {
+            const periods = new Set(trends.flatMap(trend => trend.points.map(point => point.period))).size;
+            const unit = this.settings.granularity === 'week' ? 'week' : 'day';
+            this.elements.summary.textContent = `${total} attempt${total === 1 ? '' : 's'} over ${periods} ${unit}${periods === 1 ? '' : 's'}`;
+        }
+
+        this.renderTraps(trends);
+        if (trends.length === 0) {
+            this.elements.charts.innerHTML = '';
+            this.elements.table.innerHTML = '';
+            return;
+        }
+
+        const firstX = Math.min(...trends.map(trend => Utils.parseDateKey(trend.points[0].period).getTime()));
+        const xMin = from ? Math.min(Utils.parseDateKey(from).getTime(), firstX) : undefined;
+        const xMax = to ? Utils.parseDateKey(this.getTrendPeriod(to)).getTime() : undefined;
+        const legend = TrendChart.renderLegend(trends.map(trend => ({ label: QuestionTypes.getLabel(trend.type), color: trend.color })));
+
+        this.elements.charts.innerHTML = this.metrics.map(metric => `
+            <section class="progress-chart-card">
+                <h2>${metric.title}</h2>
+                <p class="progress-chart-description">${metric.description}</p>
+                ${TrendChart.render({
+                    series: trends.map(trend => ({
+                        label: QuestionTypes.getLabel(trend.type),
+                        color: trend.color,
+                        points: trend.points.map(point => ({
+                            x: Utils.parseDateKey(point.period).getTime(),
+                            value: point[metric.id],
+                            trend: point.rolling[metric.id]
+                        }))
+                    })),
+                    xMin,
+                    xMax,
+                    yBounds: metric.yBounds,
+                    formatX: x => this.formatPeriod(x),
+                    formatY: metric.format,
+                    title: `${metric.title} by ${this.settings.granularity === 'week' ? 'week' : 'day'}`
+                })}
+                ${legend}
+            </section>
+        `).join('');
+
+        this.elements.table.innerHTML = this.renderTable(trends);
+    }
+
+    /**
+     * Show which kinds of option trap the wrong answers in the range fell for
+     * Hidden while none of those wrong options has a known trap
+     * @param {Array} trends - [{ type, attempts }]
+     */
+    renderTraps(trends) {
+        const section = this.elements.traps;
+        if (!section) return;
+
+        const insights = Analytics.getTrapInsights(trends.flatMap(trend => trend.attempts));
+        const known = insights.traps.reduce((sum, item) => sum + item.count, 0);
+        section.hidden = known === 0;
+        if (known === 0) {
+            section.innerHTML = '';
+            return;
+        }
+
+        const rows = insights.traps.map(item => `
+            <tr>
+                <th scope="row">${Utils.sanitizeHTML(OptionTraps.getLabel(item.trap))}</th>
+                <td>${item.count}</td>
+                <td>${item.share}%</td>
+            </tr>
+        `).join('');
+        const unknown = insights.wrong - known;
+
+        section.innerHTML = `
+            <h2>Option Traps</h2>
+            <p class="progress-chart-description">The kind of wrong option picked, for ${known} of ${insights.wrong} wrong answers in this range</p>
+            <table class="progress-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Trap</th>
+                        <th scope="col">Wrong answers</th>
+                        <th scope="col">Share</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    ${unknown > 0 ? `
+                        <tr class="progress-trap-unknown">
+                            <th scope="row">Trap not known</th>
+                            <td>${unknown}</td>
+                            <td>–</td>
+                        </tr>
+                    ` : ''}
+                </tbody>
+            </table>
+            ${insights.suggested > 0 ? `
+                <p class="progress-trap-note">Suggested from the wording of the explanations rather than tagged by the question's author: ${insights.suggested} of ${known}. Some of those may be wrong.</p>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Get the period the last day of the range falls in, so the axis ends on it
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    getTrendPeriod(dateKey) {
+        return Analytics.getTrendPeriod(Utils.parseDateKey(dateKey).getTime(), this.settings.granularity);
+    }
+
+    /**
+     * Build the table of each type's totals over the range
+     * @param {Array} trends - [{ type, attempts, points }]
+     * @returns {string} - HTML
+     */
+    renderTable(trends) {
+        const rows = trends.map(trend => {
+            const summary = Analytics.summarizeTypeAttempts(trend.attempts);
+            const first = trend.points[0].rolling.accuracy;
+            const last = trend.points[trend.points.length - 1].rolling.accuracy;
+            const change = last - first;
+            const changeText = trend.points.length < 2
+                ? '–'
+                : `${change > 0 ? '▲' : change < 0 ? '▼' : ''} ${Math.abs(change)} pts`.trim();
+
+            return `
+                <tr>
+                    <th scope="row"><span class="trend-swatch" style="background: ${trend.color}"></span>${Utils.sanitizeHTML(QuestionTypes.getLabel(trend.type))}</th>
+                    <td>${summary.attempts}</td>
+                    <td>${summary.accuracy}%</td>
+                    <td>${summary.scorePercentage}%</td>
+                    <td>${Utils.formatDuration(summary.avgTimePerQuestion)}</td>
+                    <td class="${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${changeText}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="progress-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Question type</th>
+                        <th scope="col">Attempts</th>
+                        <th scope="col">Accuracy</th>
+                        <th scope="col">Score</th>
+                        <th scope="col">Avg time/Q</th>
+                        <th scope="col" title="Rolling accuracy of the last period minus that of the first">Accuracy change</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.progressPage = new ProgressPage();
+});
@@ -0,0 +1,175 @@
+/**
+ * Quality Checks
+ * Heuristic checks for question wording, shared by the quality sweep and the authoring page
+ *
+ * These flag questions that are valid data but probably badly written:
+ * options that repeat the stem or the passage, duplicated or empty options,
+ * one option much longer than the rest. QuestionSchema decides whether a bank
+ * can be used; these checks only advise.
+ *
+ * @namespace QualityChecks
+ */
+
+const QualityChecks = {
+    // Options at least this similar (token Jaccard) and this close in length count as the same text
+    SIMILARITY_THRESHOLD: 0.85,
+    LENGTH_RATIO_THRESHOLD: 0.8,
+
+    /**
+     * Strip tags and common entities
+     * @param {string} text - HTML or plain text
+     * @returns {string} - Plain text with collapsed whitespace
+     */
+    stripHtml(text) {
+        if (!text) return '';
+        return String(text)
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Split text into comparable tokens
+     * @param {string} text - HTML or plain text
+     * @returns {string[]} - Lower-case words of three or more characters
+     */
+    tokenize(text) {
+        return this.stripHtml(text)
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length >= 3);
+    },
+
+    /**
+     * Jaccard similarity of two token lists
+     * @param {string[]} aTokens - First tokens
+     * @param {string[]} bTokens - Second tokens
+     * @returns {number} - 0 (disjoint) to 1 (same words)
+     */
+    jaccardSimilarity(aTokens, bTokens) {
+        if (aTokens.length === 0 || bTokens.length === 0) return 0;
+        const aSet = new Set(aTokens);
+        const bSet = new Set(bTokens);
+        let intersection = 0;
+        for (const token of aSet) {
+            if (bSet.has(token)) intersection += 1;
+        }
+        const union = new Set([...aSet, ...bSet]).size;
+        return union === 0 ? 0 : intersection / union;
+    },
+
+    /**
+     * Check whether two texts say nearly the same thing
+     * @param {string} a - First text
+     * @param {string} b - Second text
+     * @returns {boolean} - True for identical or near-identical wording of similar length
+     */
+    isNearlySameText(a, b) {
+        const aText = this.stripHtml(a);
+        const bText = this.stripHtml(b);
+        if (!aText || !bText) return false;
+        if (aText === bText) return true;
+
+        const similarity = this.jaccardSimilarity(this.tokenize(aText), this.tokenize(bText));
+        const lengthRatio = Math.min(aText.length, bText.length) / Math.max(aText.length, bText.length);
+
+        return similarity >= this.SIMILARITY_THRESHOLD && lengthRatio >= this.LENGTH_RATIO_THRESHOLD;
+    },
+
+    /**
+     * Check whether the start of the shorter text is copied into the longer one
+     * @param {string} a - First text
+     * @param {string} b - Second text
+     * @returns {boolean} - True when both are long and one quotes the other
+     */
+    hasLargeOverlap(a, b) {
+        const aText = this.stripHtml(a);
+        const bText = this.stripHtml(b);
+        if (!aText || !bText) return false;
+        if (aText.length < 80 || bText.length < 80) return false;
+
+        const shorter = aText.length <= bText.length ? aText : bText;
+        const longer = aText.length > bText.length ? aText : bText;
+
+        return longer.includes(shorter.slice(0, 120));
+    },
+
+    /**
+     * Run every check on one question
+     * @param {Object} question - Question object
+     * @param {string} [passage] - Passage the question belongs to (defaults to question.passage)
+     * @returns {string[]} - Issue descriptions, empty when nothing looks wrong
+     */
+    checkQuestion(question, passage = question.passage) {
+        const issues = [];
+        const questionText = question.question || '';
+        const passageText = passage || '';
+        const options = Array.isArray(question.options) ? question.options : [];
+        const correctAnswer = question.correctAnswer;
+
+        if (!question.question) {
+            issues.push('Missing question text.');
+        }
+
+        if (question.type !== 'MCQ') {
+            return issues;
+        }
+
+        if (options.length < 2) {
+            issues.push('MCQ question has fewer than 2 options.');
+        }
+        if (!Number.isInteger(correctAnswer) || correctAnswer < 0 || correctAnswer >= options.length) {
+            issues.push(`Correct answer index out of range (${correctAnswer}).`);
+        }
+
+        const normalizedOptions = options.map(option => this.stripHtml(option).toLowerCase());
+        const sortedLengths = normalizedOptions.map(option => option.length).sort((a, b) => a - b);
+        const medianLength = sortedLengths.length > 0
+            ? sortedLengths[Math.floor(sortedLengths.length / 2)]
+            : 0;
+        const duplicateIndices = new Set();
+
+        normalizedOptions.forEach((option, optIndex) => {
+            if (option.length === 0) {
+                issues.push(`Option ${optIndex + 1} is empty.`);
+            }
+            const firstIndex = normalizedOptions.indexOf(option);
+            if (firstIndex !== optIndex && option.length > 0) {
+                duplicateIndices.add(optIndex + 1);
+                duplicateIndices.add(firstIndex + 1);
+            }
+
+            if (this.isNearlySameText(option, questionText) || this.hasLargeOverlap(option, questionText)) {
+                issues.push(`Option ${optIndex + 1} appears very similar to the question text.`);
+            }
+
+            if (passageText && (this.isNearlySameText(option, passageText) || this.hasLargeOverlap(option, passageText))) {
+                issues.push(`Option ${optIndex + 1} appears very similar to the passage text.`);
+            }
+
+            if (medianLength > 0 && option.length > medianLength * 2.5 && option.length > 180) {
+                issues.push(`Option ${optIndex + 1} is unusually long compared to other options.`);
+            }
+        });
+
+        if (duplicateIndices.size > 0) {
+            issues.push(`Duplicate options detected (${Array.from(duplicateIndices).sort((a, b) => a - b).join(', ')}).`);
+        }
+
+        return issues;
+    }
+};
+
+// Make QualityChecks available globally for browser
+if (typeof window !== 'undefined') {
+    window.QualityChecks = QualityChecks;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualityChecks;
+}
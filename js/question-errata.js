@@ -0,0 +1,261 @@
+/**
+ * Question Errata
+ * Local corrections to the question banks, made from the answer review
+ *
+ * This module manages:
+ * - Saving a correction (answer key, question text, explanation) or a plain
+ *   report (a note only) for one question, keyed by its global question key
+ * - Applying corrections whenever a bank is loaded, so the quiz, search and
+ *   reviews show the corrected question without editing the data files
+ * - Re-scoring past attempts under the corrected answer key when they are read;
+ *   stored attempts are never rewritten, so removing a correction undoes it
+ * - Exporting corrections so they can be sent upstream and fixed in data/
+ *
+ * A correction only applies while the question is as it was when it was
+ * corrected (same content hash). Once the bank itself is fixed, or the question
+ * is edited some other way, the correction is no longer applied to the bank;
+ * attempts taken before still use it.
+ *
+ * Erratum Format (stored by StorageManager):
+ * - { key: 'rc:17', baseHash, fields: { correctAnswer: 2 }, original: { correctAnswer: 1 },
+ *     note, updatedAt }
+ *
+ * @namespace QuestionErrata
+ */
+
+const QuestionErrata = {
+    // Question fields a correction may change
+    FIELDS: ['correctAnswer', 'question', 'explanation'],
+
+    NOTE_MAX_LENGTH: 500,
+
+    // Export file identification
+    EXPORT_FORMAT: 'varc-practice-errata',
+    EXPORT_VERSION: 1,
+
+    /**
+     * Get the correction of one question
+     * @param {string} key - Question key (e.g. 'rc:17')
+     * @returns {Object|null} - Erratum or null
+     */
+    get(key) {
+        return StorageManager.getErrata()[key] || null;
+    },
+
+    /**
+     * Get every correction, most recent first
+     * @returns {Array} - Errata
+     */
+    list() {
+        return Object.values(StorageManager.getErrata()).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    },
+
+    /**
+     * Check whether a correction still fits a question
+     * @param {Object} erratum - Erratum
+     * @param {Object} question - Question as it is in the bank now
+     * @returns {boolean} - True if the question hasn't changed since it was corrected
+     */
+    isApplicable(erratum, question) {
+        return QuestionIdentity.hashQuestion(question) === erratum.baseHash;
+    },
+
+    /**
+     * Rebuild a corrected question as it was before the correction
+     * @param {Object} question - Corrected question
+     * @param {Object} erratum - Its erratum
+     * @returns {Object} - Question with the original field values
+     */
+    getOriginal(question, erratum) {
+        return { ...question, ...erratum.original };
+    },
+
+    /**
+     * Check proposed changes to a question
+     * @param {Object} question - Question being corrected
+     * @param {Object} changes - { correctAnswer, question, explanation }
+     * @returns {string[]} - Error messages; empty when the changes can be saved
+     */
+    validateChanges(question, changes) {
+        const errors = [];
+
+        if (changes.correctAnswer !== undefined) {
+            if (Array.isArray(question.options) && question.options.length > 0) {
+                const answer = changes.correctAnswer;
+                if (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length) {
+                    errors.push(`The correct answer must be one of the ${question.options.length} options.`);
+                }
+            } else if (!Utils.isValidString(String(changes.correctAnswer ?? ''))) {
+                errors.push('The correct answer cannot be empty.');
+            }
+        }
+        if (changes.question !== undefined && !Utils.isValidString(changes.question)) {
+            errors.push('The question text cannot be empty.');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Build an erratum from the changes that differ from the original question
+     * @param {string} key - Question key
+     * @param {Object} original - Question before any correction
+     * @param {Object} changes - Proposed field values
+     * @param {string} note - What was wrong
+     * @returns {Object} - Erratum (see Erratum Format)
+     */
+    createErratum(key, original, changes, note = '') {
+        const fields = {};
+        const originalFields = {};
+        // A blank field counts the same as a missing one (e.g. no explanation)
+        const same = (a, b) => a === b || ((a ?? '') === '' && (b ?? '') === '');
+        this.FIELDS.forEach(field => {
+            if (changes[field] === undefined || same(changes[field], original[field])) return;
+            fields[field] = changes[field];
+            originalFields[field] = original[field] ?? null;
+        });
+
+        return {
+            key,
+            baseHash: QuestionIdentity.hashQuestion(original),
+            fields,
+            original: originalFields,
+            note: String(note || '').trim().slice(0, this.NOTE_MAX_LENGTH),
+            updatedAt: Date.now()
+        };
+    },
+
+    /**
+     * Save a correction or report; one with no changes and no note is removed instead
+     * @param {string} key - Question key
+     * @param {Object} original - Question before any correction
+     * @param {Object} changes - Proposed field values
+     * @param {string} note - What was wrong
+     * @returns {{success: boolean, erratum: Object|null, errors: string[]}}
+     */
+    saveCorrection(key, original, changes, note = '') {
+        const errors = this.validateChanges(original, changes);
+        if (errors.length > 0) return { success: false, erratum: null, errors };
+
+        const erratum = this.createErratum(key, original, changes, note);
+        if (Object.keys(erratum.fields).length === 0 && !erratum.note) {
+            StorageManager.removeErratum(key);
+            return { success: true, erratum: null, errors: [] };
+        }
+
+        if (!StorageManager.saveErratum(erratum)) {
+            return { success: false, erratum: null, errors: ['The correction could not be saved; browser storage may be full.'] };
+        }
+        return { success: true, erratum, errors: [] };
+    },
+
+    /**
+     * Apply the correction of a question, if it has one that still fits
+     * @param {Object} question - Question from a bank
+     * @param {string} key - Its question key
+     * @param {Object} errata - All errata (defaults to the stored ones)
+     * @returns {Object} - The question, or a corrected copy
+     */
+    applyToQuestion(question, key, errata = StorageManager.getErrata()) {
+        const erratum = errata[key];
+        if (!erratum || !this.isApplicable(erratum, question)) return question;
+        return { ...question, ...erratum.fields };
+    },
+
+    /**
+     * Apply the corrections of one bank
+     * @param {string} type - Type id of the bank
+     * @param {Object|null} bank - { testInfo, questions }
+     * @returns {Object|null} - The bank, or a copy with corrected questions
+     */
+    applyToBank(type, bank) {
+        const errata = StorageManager.getErrata();
+        if (!bank || !Array.isArray(bank.questions) || Object.keys(errata).length === 0) return bank;
+
+        return {
+            ...bank,
+            questions: bank.questions.map(question => this.applyToQuestion(question, QuestionIdentity.getKey(type, question.id), errata))
+        };
+    },
+
+    /**
+     * Score attempt questions the way the quiz does
+     * @param {Array} questions - Attempt questions with userAnswer
+     * @param {string} type - Attempt question type
+     * @returns {{score: number, correct: number, incorrect: number, unattempted: number}}
+     */
+    scoreQuestions(questions, type) {
+        const result = { score: 0, correct: 0, incorrect: 0, unattempted: 0 };
+        let marks = 0;
+
+        questions.forEach(question => {
+            const { positive, negative } = Utils.getQuestionMarks(question);
+            const answer = question.userAnswer;
+            if (answer === null || answer === undefined) {
+                result.unattempted++;
+            } else if (QuestionTypes.isCorrect(question, answer, type)) {
+                result.correct++;
+                marks += positive;
+            } else {
+                result.incorrect++;
+                marks -= negative;
+            }
+        });
+
+        result.score = Math.max(0, marks);
+        return result;
+    },
+
+    /**
+     * Re-score an attempt under the corrections made since it was taken
+     * Questions answered after their correction already carry it and are left alone
+     * @param {Object} attempt - Stored attempt
+     * @param {string} type - Question type it is stored under
+     * @returns {Object} - The attempt, or a corrected copy with originalScore set if the score changed
+     */
+    rescoreAttempt(attempt, type) {
+        const errata = StorageManager.getErrata();
+        if (!Array.isArray(attempt?.questions) || Object.keys(errata).length === 0) return attempt;
+
+        const keyed = { ...attempt, questionType: attempt.questionType ?? type };
+        let corrected = false;
+        const questions = attempt.questions.map(question => {
+            const erratum = errata[QuestionIdentity.getAttemptQuestionKey(keyed, question)];
+            if (!erratum || Object.keys(erratum.fields).length === 0) return question;
+            if ((question.hash || QuestionIdentity.hashQuestion(question)) !== erratum.baseHash) return question;
+
+            corrected = true;
+            const copy = { ...question, ...erratum.fields };
+            copy.hash = QuestionIdentity.hashQuestion(copy);
+            return copy;
+        });
+        if (!corrected) return attempt;
+
+        const rescored = { ...attempt, questions, ...this.scoreQuestions(questions, keyed.questionType) };
+        if (rescored.score !== attempt.score) rescored.originalScore = attempt.score;
+        return rescored;
+    },
+
+    /**
+     * Build the file that shares corrections upstream
+     * @returns {Object} - { format, version, exportedAt, errata }
+     */
+    exportErrata() {
+        return {
+            format: this.EXPORT_FORMAT,
+            version: this.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            errata: this.list()
+        };
+    }
+};
+
+// Make QuestionErrata available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionErrata = QuestionErrata;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionErrata;
+}
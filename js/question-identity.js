@@ -0,0 +1,172 @@
+/**
+ * Question Identity
+ * Stable keys and content hashes that tie saved answers to questions
+ *
+ * This module manages:
+ * - Global question keys: a question's id is only unique within its bank, so
+ *   it is qualified with the bank's type ('rc:17', 'pack-1x9f3k2:3')
+ * - Content hashes over what a question asks and what counts as right, so an
+ *   edited question can be told apart from the one that was answered
+ * - Lining up saved state with a bank that changed since it was saved: a
+ *   paused attempt is moved with its questions, and a finished attempt's
+ *   questions are flagged as edited or removed, or followed to their new id
+ *
+ * Explanations, marks and tags are left out of the hash: fixing them doesn't
+ * change what an answer meant. RC passages are left out too, because only the
+ * first question of a passage carries its text.
+ *
+ * Reference Format (saved with attempts and paused attempts):
+ * - { key: 'rc:17', hash: '1x9f3k2' }
+ *
+ * @namespace QuestionIdentity
+ */
+
+const QuestionIdentity = {
+    // Question fields that make up its content hash
+    CONTENT_FIELDS: ['question', 'options', 'sentences', 'correctAnswer'],
+
+    /**
+     * Build the global key of a question
+     * @param {string} type - Type id of the bank the question is in
+     * @param {number|string} id - Question id within that bank
+     * @returns {string} - e.g. 'rc:17'
+     */
+    getKey(type, id) {
+        return `${type}:${id}`;
+    },
+
+    /**
+     * Hash the content of a question
+     * Works on bank questions and on the copies stored in attempts alike
+     * @param {Object} question - Question object
+     * @returns {string} - Hash in base 36
+     */
+    hashQuestion(question) {
+        const content = this.CONTENT_FIELDS.map(field => question?.[field] ?? null);
+        return Utils.hashString(JSON.stringify(content));
+    },
+
+    /**
+     * Describe a list of questions by key and hash
+     * @param {Array} questions - Questions in order
+     * @param {Function} getType - Returns the bank type of a question
+     * @returns {Array<{key: string, hash: string}>} - References in the same order
+     */
+    describeQuestions(questions, getType) {
+        return (questions || []).map(question => ({
+            key: this.getKey(getType(question), question.id),
+            hash: this.hashQuestion(question)
+        }));
+    },
+
+    /**
+     * Check whether two reference lists name the same questions in the same order
+     * @param {Array} a - References
+     * @param {Array} b - References
+     * @returns {boolean}
+     */
+    isSameList(a, b) {
+        return a.length === b.length && a.every((ref, i) => ref.key === b[i].key && ref.hash === b[i].hash);
+    },
+
+    /**
+     * Work out where each previously saved question is in a changed list
+     * A question is followed by key, or by hash if its id changed; one whose
+     * content changed under the same key is not followed
+     * @param {Array} previous - References the state was saved against
+     * @param {Array} current - References of the questions as they are now
+     * @returns {{indexMap: number[], changed: string[], removed: string[]}} -
+     *   indexMap[oldIndex] is the new index, or -1 when the saved state must be dropped
+     */
+    mapQuestions(previous, current) {
+        const result = { indexMap: [], changed: [], removed: [] };
+        const claimed = new Set();
+        const find = match => current.findIndex((ref, i) => !claimed.has(i) && match(ref));
+
+        previous.forEach(ref => {
+            let index = find(candidate => candidate.key === ref.key && candidate.hash === ref.hash);
+            if (index === -1) index = find(candidate => candidate.hash === ref.hash);
+
+            if (index !== -1) {
+                claimed.add(index);
+                result.indexMap.push(index);
+                return;
+            }
+
+            result.indexMap.push(-1);
+            if (current.some(candidate => candidate.key === ref.key)) {
+                result.changed.push(ref.key);
+            } else {
+                result.removed.push(ref.key);
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Get the key of a question stored in an attempt
+     * Attempts saved before keys were recorded are keyed by their type and id
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @returns {string} - Global key
+     */
+    getAttemptQuestionKey(attempt, question) {
+        if (question.key) return question.key;
+
+        const type = QuestionTypes.get(attempt.questionType)?.composite ? question.questionType : attempt.questionType;
+        return this.getKey(type, question.id);
+    },
+
+    /**
+     * Compare a finished attempt with the banks it was drawn from
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} banks - { [type]: questions[] }; a type that is missing couldn't be loaded
+     * @returns {{questions: Array<{key: string, id: any, status: string, currentId: any}>, counts: Object}} -
+     *   status per attempt question: 'current', 'moved' (same content, new id), 'changed',
+     *   'removed', or 'unknown' when its bank isn't available
+     */
+    reconcileAttempt(attempt, banks) {
+        const counts = { current: 0, moved: 0, changed: 0, removed: 0, unknown: 0 };
+
+        const questions = (attempt?.questions || []).map(question => {
+            const key = this.getAttemptQuestionKey(attempt, question);
+            const hash = question.hash || this.hashQuestion(question);
+            const separator = key.lastIndexOf(':');
+            const bank = banks?.[key.slice(0, separator)];
+            const id = question.id;
+
+            let status = 'unknown';
+            let currentId = null;
+            if (Array.isArray(bank)) {
+                const sameId = bank.find(candidate => String(candidate.id) === key.slice(separator + 1));
+                const sameContent = sameId && this.hashQuestion(sameId) === hash
+                    ? sameId
+                    : bank.find(candidate => this.hashQuestion(candidate) === hash);
+
+                if (sameContent) {
+                    status = sameContent === sameId ? 'current' : 'moved';
+                    currentId = sameContent.id;
+                } else {
+                    status = sameId ? 'changed' : 'removed';
+                    currentId = sameId ? sameId.id : null;
+                }
+            }
+
+            counts[status]++;
+            return { key, id, status, currentId };
+        });
+
+        return { questions, counts };
+    }
+};
+
+// Make QuestionIdentity available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionIdentity = QuestionIdentity;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionIdentity;
+}
@@ -0,0 +1,257 @@
+/**
+ * Question Packs
+ * Question banks the user adds from a JSON file instead of the data/ directory
+ *
+ * This module manages:
+ * - Validating a pack against the question schema before it is stored
+ * - Registering every stored pack as its own question type, so attempts,
+ *   paused sets and analytics are kept per pack like any built-in bank
+ * - Loading a bank's questions, whether from data/ or from a stored pack
+ *
+ * A pack is a bank file ({ testInfo, questions }) whose type is taken from
+ * testInfo.questionType, as in the packs the question editor and the importer
+ * write. Its type id is derived from its questions, so adding the same pack
+ * again after removing it brings its attempt history back.
+ *
+ * Pack Format (stored by StorageManager):
+ * - { id, title, baseType, fileName, addedAt, bank: { testInfo, questions } }
+ *
+ * @namespace QuestionPacks
+ */
+
+const QuestionPacks = {
+    ID_PREFIX: 'pack-',
+
+    // Schema messages listed when a pack is rejected; the rest are counted
+    MAX_LISTED_ISSUES: 8,
+
+    /**
+     * Work out which built-in type a pack holds
+     * @param {Object} data - Parsed pack file
+     * @returns {string|null} - Type id, or null when the pack doesn't say
+     */
+    detectBaseType(data) {
+        if (typeof data?.testInfo?.questionType === 'string') {
+            return data.testInfo.questionType;
+        }
+
+        const questions = Array.isArray(data?.questions) ? data.questions : [];
+        const declared = new Set(questions.map(question => question?.questionType).filter(Boolean));
+        if (declared.size === 1) return Array.from(declared)[0];
+        if (declared.size === 0 && questions.length > 0 && questions.every(question => question?.passageId !== undefined)) {
+            return 'rc';
+        }
+        return null;
+    },
+
+    /**
+     * Derive a stable type id from a pack's questions
+     * @param {Object} data - Parsed pack file
+     * @returns {string} - e.g. 'pack-1x9f3k2'
+     */
+    createId(data) {
+        return `${this.ID_PREFIX}${Utils.hashString(JSON.stringify(data.questions))}`;
+    },
+
+    /**
+     * Check a parsed file before it is added
+     * @param {any} data - Parsed pack file
+     * @returns {{valid: boolean, baseType: string|null, errors: string[], warnings: string[]}}
+     */
+    validatePack(data) {
+        const result = { valid: false, baseType: null, errors: [], warnings: [] };
+
+        if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.questions)) {
+            result.errors.push('The file is not a question pack: it needs a "questions" list.');
+            return result;
+        }
+
+        const baseType = this.detectBaseType(data);
+        const definition = QuestionTypes.get(baseType);
+        if (!baseType) {
+            result.errors.push('The pack does not say what kind of questions it holds; set testInfo.questionType.');
+            return result;
+        }
+        if (!definition || definition.composite || definition.pack) {
+            result.errors.push(`"${baseType}" is not a question type this app knows.`);
+            return result;
+        }
+        result.baseType = baseType;
+
+        const describe = issue => (issue.questionId !== null ? `Question ${issue.questionId}: ${issue.message}` : issue.message);
+        const validation = QuestionSchema.validateBank(data, baseType);
+        result.errors.push(...validation.errors.map(describe));
+        result.warnings.push(...validation.warnings.map(describe));
+        if (data.questions.length === 0) {
+            result.errors.push('The pack has no questions.');
+        }
+
+        result.valid = result.errors.length === 0;
+        return result;
+    },
+
+    /**
+     * Build the stored form of a validated pack
+     * @param {Object} data - Parsed pack file
+     * @param {string} baseType - Type from validatePack()
+     * @param {string} fileName - Name of the file it came from
+     * @returns {Object} - Pack (see Pack Format)
+     */
+    createPack(data, baseType, fileName = '') {
+        return {
+            id: this.createId(data),
+            title: data.testInfo.title.trim() || fileName.replace(/\.json$/i, ''),
+            baseType,
+            fileName,
+            addedAt: Date.now(),
+            bank: { testInfo: data.testInfo || {}, questions: data.questions }
+        };
+    },
+
+    /**
+     * Register a pack as a question type that behaves like its base type
+     * @param {Object} pack - Stored pack
+     * @returns {Object|null} - Type definition, or null if the base type is unknown
+     */
+    register(pack) {
+        const base = QuestionTypes.get(pack.baseType);
+        if (!base || base.composite || base.pack) return null;
+
+        return QuestionTypes.register({
+            id: pack.id,
+            label: pack.title,
+            shortLabel: base.shortLabel,
+            setLabel: `${pack.title}: ${base.setLabel}`,
+            setKey: base.setKey,
+            selectionPage: base.selectionPage,
+            renderer: base.renderer,
+            scorer: base.scorer,
+            pack: true,
+            baseType: base.id
+        });
+    },
+
+    /**
+     * Register every pack stored on this browser
+     * @returns {number} - Number of packs registered
+     */
+    registerStoredPacks() {
+        return StorageManager.getQuestionPacks().filter(pack => this.register(pack)).length;
+    },
+
+    /**
+     * Get the registered packs
+     * @param {string} baseType - Only packs of this type (optional)
+     * @returns {Array} - Type definitions of the packs
+     */
+    list(baseType = null) {
+        return QuestionTypes.list(type => type.pack && (!baseType || type.baseType === baseType));
+    },
+
+    /**
+     * Validate, store and register a pack
+     * @param {any} data - Parsed pack file
+     * @param {string} fileName - Name of the file it came from
+     * @returns {{success: boolean, pack: Object|null, errors: string[], warnings: string[]}}
+     */
+    addPack(data, fileName = '') {
+        const validation = this.validatePack(data);
+        const result = { success: false, pack: null, errors: validation.errors, warnings: validation.warnings };
+
+        if (!validation.valid) {
+            if (result.errors.length > this.MAX_LISTED_ISSUES) {
+                const more = result.errors.length - this.MAX_LISTED_ISSUES;
+                result.errors = [...result.errors.slice(0, this.MAX_LISTED_ISSUES), `...and ${more} more`];
+            }
+            return result;
+        }
+
+        const pack = this.createPack(data, validation.baseType, fileName);
+        const existing = StorageManager.getQuestionPack(pack.id);
+        if (existing) {
+            result.errors = [`This pack has already been added as "${existing.title}".`];
+            return result;
+        }
+
+        if (!StorageManager.saveQuestionPack(pack)) {
+            result.errors = ['The pack could not be stored; the browser may be out of storage space.'];
+            return result;
+        }
+
+        this.register(pack);
+        result.success = true;
+        result.pack = pack;
+        return result;
+    },
+
+    /**
+     * Delete a pack; its attempt history stays in each profile
+     * @param {string} id - Pack ID
+     * @returns {boolean} - True if a pack was removed
+     */
+    removePack(id) {
+        if (!StorageManager.removeQuestionPack(id)) return false;
+        StorageManager.clearSelectedSet(id);
+        QuestionTypes.unregister(id);
+        return true;
+    },
+
+    /**
+     * Load the bank of any non-composite type, with the user's question corrections applied
+     * and untagged reading comprehension questions tagged by their stem
+     * @param {string} type - Type id
+     * @param {string} dataPath - Path to the data directory (e.g. '../data/')
+     * @returns {Promise<Object|null>} - { testInfo, questions }, or null if it can't be loaded
+     */
+    async loadBank(type, dataPath) {
+        let bank = await this.fetchBank(type, dataPath);
+        if (typeof QuestionErrata !== 'undefined') bank = QuestionErrata.applyToBank(type, bank);
+        if (typeof QuestionTags !== 'undefined') bank = QuestionTags.applyToBank(type, bank);
+        return bank;
+    },
+
+    /**
+     * Load a bank as it is stored, from data/ or from a pack
+     * @param {string} type - Type id
+     * @param {string} dataPath - Path to the data directory
+     * @returns {Promise<Object|null>} - { testInfo, questions }, or null if it can't be loaded
+     */
+    async fetchBank(type, dataPath) {
+        const definition = QuestionTypes.get(type);
+        if (!definition || definition.composite) return null;
+
+        if (definition.pack) {
+            const pack = StorageManager.getQuestionPack(type);
+            if (!pack) console.warn(`Question pack "${type}" is no longer stored`);
+            return pack ? pack.bank : null;
+        }
+
+        const dataFile = `${dataPath}${definition.dataFile}`;
+        try {
+            const response = await fetch(dataFile);
+            if (!response.ok) {
+                console.warn(`Unable to load questions from "${dataFile}" (status: ${response.status})`);
+                return null;
+            }
+            return await response.json();
+        } catch (e) {
+            console.warn(`Error loading questions from "${dataFile}":`, e);
+            return null;
+        }
+    }
+};
+
+// Packs are registered as soon as the script loads, before any page code looks types up
+if (typeof StorageManager !== 'undefined') {
+    QuestionPacks.registerStoredPacks();
+}
+
+// Make QuestionPacks available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionPacks = QuestionPacks;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionPacks;
+}
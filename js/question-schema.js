@@ -0,0 +1,424 @@
+/**
+ * Question Schema
+ * Formal description of the question-file format and a strict validator for it
+ *
+ * This module manages:
+ * - The fields a bank file and each of its questions must or may carry
+ * - The answer format each renderer input expects (options, sentence order, odd sentence)
+ * - Cross-question rules: unique ids, set keys and one passage per RC set
+ *
+ * Findings are split into errors and warnings. An error means the quiz would
+ * load, mark or group the question wrongly; a warning means the data works but
+ * looks unintended. `scripts/validate_questions.js` runs this over data/.
+ *
+ * Per-type details (set key, whether a passage is shown, answer input) come
+ * from QuestionTypes, so a newly registered type is validated without changes here.
+ *
+ * @namespace QuestionSchema
+ */
+
+const QuestionSchema = {
+    // Top-level bank file
+    BANK_FIELDS: {
+        testInfo: { type: 'object', required: true },
+        questions: { type: 'array', required: true }
+    },
+
+    TEST_INFO_FIELDS: {
+        title: { type: 'string', required: true },
+        duration: { type: 'number', required: true, min: 1 },
+        totalQuestions: { type: 'integer', required: true, min: 0 },
+        sections: { type: 'array', required: false },
+        questionType: { type: 'string', required: false }
+    },
+
+    // Fields shared by every question; the set key field is added per type
+    QUESTION_FIELDS: {
+        id: { type: 'integer', required: true, min: 1 },
+        question: { type: 'string', required: true, nonEmpty: true },
+        type: { type: 'string', required: true, enum: ['MCQ', 'TITA'] },
+        passage: { type: 'string', required: false, nullable: true },
+        explanation: { type: 'string', required: false },
+        questionType: { type: 'string', required: false },
+        marks: { type: 'object', required: false },
+        tags: { type: 'array', required: false },
+        optionTraps: { type: 'array', required: false }
+    },
+
+    MARKS_FIELDS: {
+        positive: { type: 'number', required: true, min: 0, exclusiveMin: true },
+        negative: { type: 'number', required: true, min: 0 }
+    },
+
+    // Answer format per renderer input (see QuestionTypes renderer.input)
+    ANSWER_FORMATS: {
+        options: {
+            types: ['MCQ', 'TITA'],
+            choicesField: 'options',
+            minChoices: 2
+        },
+        'sentence-order': {
+            types: ['TITA'],
+            choicesField: 'sentences',
+            minChoices: 3
+        },
+        'sentence-pick': {
+            types: ['TITA'],
+            choicesField: 'sentences',
+            minChoices: 3
+        }
+    },
+
+    /**
+     * Describe a value's JSON type for messages
+     * @param {*} value - Any value
+     * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'object', ...
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (Number.isInteger(value)) return 'integer';
+        return typeof value;
+    },
+
+    /**
+     * Name a JSON type with its article
+     * @param {string} type - Type from a field rule
+     * @returns {string} - e.g. 'an integer', 'a string'
+     */
+    describeType(type) {
+        return `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+    },
+
+    /**
+     * Check a value against one field rule
+     * @param {*} value - Field value
+     * @param {Object} rule - Field rule from one of the *_FIELDS tables
+     * @returns {string|null} - Problem description or null when valid
+     */
+    checkField(value, rule) {
+        if (value === undefined) {
+            return rule.required ? 'is required' : null;
+        }
+        if (value === null) {
+            return rule.nullable ? null : `must be ${this.describeType(rule.type)}, got null`;
+        }
+
+        const actual = this.typeOf(value);
+        const matches = rule.type === 'number'
+            ? typeof value === 'number' && Number.isFinite(value)
+            : actual === rule.type;
+        if (!matches) {
+            return `must be ${this.describeType(rule.type)}, got ${actual}`;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            return `must be one of ${rule.enum.join(', ')}, got "${value}"`;
+        }
+        if (rule.nonEmpty && String(value).trim() === '') {
+            return 'must not be empty';
+        }
+        if (rule.min !== undefined) {
+            if (rule.exclusiveMin ? value <= rule.min : value < rule.min) {
+                return `must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Check an object against a field table
+     * @param {Object} target - Object to check
+     * @param {Object} fields - Field table
+     * @param {string} path - Path prefix for reported issues
+     * @param {Function} report - report(path, message) for each problem
+     */
+    checkFields(target, fields, path, report) {
+        Object.entries(fields).forEach(([name, rule]) => {
+            const problem = this.checkField(target[name], rule);
+            if (problem) report(`${path}.${name}`, problem);
+        });
+    },
+
+    /**
+     * Validate one bank file
+     * @param {Object} data - Parsed bank file
+     * @param {string} type - Question type id the file belongs to
+     * @returns {Object} - { type, errors: [...], warnings: [...] }, each issue { path, questionId, message }
+     */
+    validateBank(data, type) {
+        const result = { type, errors: [], warnings: [] };
+        const error = (path, message, questionId = null) => result.errors.push({ path, questionId, message });
+        const warning = (path, message, questionId = null) => result.warnings.push({ path, questionId, message });
+
+        const definition = QuestionTypes.get(type);
+        if (!definition || definition.composite) {
+            error('', `Unknown question type "${type}"`);
+            return result;
+        }
+        if (this.typeOf(data) !== 'object') {
+            error('', `Bank must be a JSON object, got ${this.typeOf(data)}`);
+            return result;
+        }
+
+        this.checkFields(data, this.BANK_FIELDS, '$', (path, message) => error(path, message));
+        if (this.typeOf(data.testInfo) === 'object') {
+            this.checkFields(data.testInfo, this.TEST_INFO_FIELDS, '$.testInfo', (path, message) => error(path, message));
+            if (data.testInfo.questionType !== undefined && data.testInfo.questionType !== type) {
+                error('$.testInfo.questionType', `must be "${type}", got "${data.testInfo.questionType}"`);
+            }
+        }
+        if (!Array.isArray(data.questions)) {
+            return result;
+        }
+        if (data.questions.length === 0) {
+            warning('$.questions', 'Bank has no questions');
+        }
+        if (Number.isInteger(data.testInfo?.totalQuestions) && data.testInfo.totalQuestions !== data.questions.length) {
+            warning('$.testInfo.totalQuestions', `says ${data.testInfo.totalQuestions} but the bank has ${data.questions.length} questions`);
+        }
+
+        data.questions.forEach((question, index) => {
+            this.validateQuestion(question, index, definition, error, warning);
+        });
+        this.validateBankRules(data.questions, definition, error, warning);
+
+        return result;
+    },
+
+    /**
+     * Validate the fields and answer of one question
+     * @param {Object} question - Question object
+     * @param {number} index - Position in the bank
+     * @param {Object} definition - QuestionTypes definition
+     * @param {Function} error - error(path, message, questionId)
+     * @param {Function} warning - warning(path, message, questionId)
+     */
+    validateQuestion(question, index, definition, error, warning) {
+        const path = `$.questions[${index}]`;
+        if (this.typeOf(question) !== 'object') {
+            error(path, `Question must be an object, got ${this.typeOf(question)}`);
+            return;
+        }
+
+        const id = Number.isInteger(question.id) ? question.id : null;
+        const fields = {
+            ...this.QUESTION_FIELDS,
+            [definition.setKey]: { type: 'integer', required: true, min: 1 }
+        };
+        this.checkFields(question, fields, path, (fieldPath, message) => error(fieldPath, message, id));
+
+        if (question.questionType !== undefined && question.questionType !== definition.id) {
+            error(`${path}.questionType`, `must be "${definition.id}", got "${question.questionType}"`, id);
+        }
+        if (Array.isArray(question.tags) && !question.tags.every(tag => typeof tag === 'string' && tag.trim() !== '')) {
+            error(`${path}.tags`, 'must be a list of non-empty strings', id);
+        }
+        if (typeof question.explanation !== 'string' || question.explanation.trim() === '') {
+            warning(`${path}.explanation`, 'No explanation; the review will show nothing for this question', id);
+        }
+        if (!definition.renderer.passage && typeof question.passage === 'string' && question.passage.trim() !== '') {
+            warning(`${path}.passage`, `${definition.label} questions do not show a passage; put the text in "question"`, id);
+        }
+
+        if (question.marks === undefined) {
+            warning(`${path}.marks`, 'No marks; the quiz will assume +3 / -1', id);
+        } else if (this.typeOf(question.marks) === 'object') {
+            this.checkFields(question.marks, this.MARKS_FIELDS, `${path}.marks`, (fieldPath, message) => error(fieldPath, message, id));
+            if (question.type === 'TITA' && question.marks.negative > 0) {
+                warning(`${path}.marks.negative`, 'TITA questions carry no negative marks; this value is ignored', id);
+            }
+        }
+
+        this.validateAnswer(question, path, definition, error, warning);
+    },
+
+    /**
+     * Validate a question's choices and correct answer for its type's input
+     * @param {Object} question - Question object
+     * @param {string} path - Path of the question
+     * @param {Object} definition - QuestionTypes definition
+     * @param {Function} error - error(path, message, questionId)
+     * @param {Function} warning - warning(path, message, questionId)
+     */
+    validateAnswer(question, path, definition, error, warning) {
+        const id = Number.isInteger(question.id) ? question.id : null;
+        const input = definition.renderer.input;
+        const format = this.ANSWER_FORMATS[input];
+        if (!format) {
+            error(path, `No answer format is defined for input "${input}"`, id);
+            return;
+        }
+
+        if (this.QUESTION_FIELDS.type.enum.includes(question.type) && !format.types.includes(question.type)) {
+            error(`${path}.type`, `${definition.label} questions must be ${format.types.join(' or ')}, got "${question.type}"`, id);
+            return;
+        }
+
+        const answer = question.correctAnswer;
+        const answerPath = `${path}.correctAnswer`;
+        if (answer === undefined || answer === null) {
+            error(answerPath, 'is required', id);
+            return;
+        }
+
+        // Free-text TITA answered in an options layout has nothing to choose from
+        if (input === 'options' && question.type === 'TITA') {
+            if (String(answer).trim() === '') error(answerPath, 'must not be empty', id);
+            return;
+        }
+
+        const choicesPath = `${path}.${format.choicesField}`;
+        const choices = question[format.choicesField];
+        if (!Array.isArray(choices)) {
+            error(choicesPath, `must be ${this.describeType('array')}, got ${this.typeOf(choices)}`, id);
+            return;
+        }
+        if (choices.length < format.minChoices) {
+            error(choicesPath, `needs at least ${format.minChoices} entries, got ${choices.length}`, id);
+        }
+
+        const texts = [];
+        choices.forEach((choice, choiceIndex) => {
+            if (typeof choice !== 'string') {
+                error(`${choicesPath}[${choiceIndex}]`, `must be a string, got ${this.typeOf(choice)}`, id);
+                return;
+            }
+            const text = choice.trim().toLowerCase();
+            if (text === '') {
+                warning(`${choicesPath}[${choiceIndex}]`, 'is empty', id);
+            } else if (texts.includes(text)) {
+                warning(`${choicesPath}[${choiceIndex}]`, `duplicates entry ${texts.indexOf(text) + 1}`, id);
+            }
+            texts.push(text);
+        });
+
+        if (input === 'options') {
+            if (!Number.isInteger(answer) || answer < 0 || answer >= choices.length) {
+                error(answerPath, `must be an option index from 0 to ${choices.length - 1}, got ${JSON.stringify(answer)}`, id);
+            }
+            this.validateOptionTraps(question, path, choices, error, warning);
+            return;
+        }
+
+        const count = choices.length;
+        const labels = Array.from({ length: count }, (_, i) => String(i + 1));
+        if (typeof answer !== 'string') {
+            error(answerPath, `must be a string, got ${this.typeOf(answer)}`, id);
+            return;
+        }
+
+        if (input === 'sentence-order') {
+            const isPermutation = answer.length === count && labels.every(label => answer.includes(label));
+            if (!isPermutation) {
+                error(answerPath, `must use each of ${labels.join('')} exactly once, got "${answer}"`, id);
+            }
+        } else if (!labels.includes(answer)) {
+            error(answerPath, `must be a sentence number from 1 to ${count}, got "${answer}"`, id);
+        }
+    },
+
+    /**
+     * Validate the trap types of a question's options
+     * @param {Object} question - Question object with an options answer
+     * @param {string} path - Path of the question
+     * @param {Array} choices - The question's options
+     * @param {Function} error - error(path, message, questionId)
+     * @param {Function} warning - warning(path, message, questionId)
+     */
+    validateOptionTraps(question, path, choices, error, warning) {
+        const traps = question.optionTraps;
+        if (!Array.isArray(traps)) return;
+
+        const id = Number.isInteger(question.id) ? question.id : null;
+        const trapsPath = `${path}.optionTraps`;
+        if (traps.length !== choices.length) {
+            error(trapsPath, `needs one entry per option (${choices.length}), got ${traps.length}`, id);
+        }
+        if (!traps.every(trap => trap === null || (typeof trap === 'string' && trap.trim() !== ''))) {
+            error(trapsPath, 'must be a list of trap types, with null for options that set none', id);
+        }
+        if (Number.isInteger(question.correctAnswer) && traps[question.correctAnswer]) {
+            warning(`${trapsPath}[${question.correctAnswer}]`, 'marks the correct option as a trap; it is ignored', id);
+        }
+    },
+
+    /**
+     * Validate rules that span questions: unique ids, set grouping and RC passages
+     * @param {Array} questions - Bank questions
+     * @param {Object} definition - QuestionTypes definition
+     * @param {Function} error - error(path, message, questionId)
+     * @param {Function} warning - warning(path, message, questionId)
+     */
+    validateBankRules(questions, definition, error, warning) {
+        const { setKey } = definition;
+        const otherKey = setKey === 'passageId' ? 'setId' : 'passageId';
+        const seenIds = new Map();
+        const sets = new Map();
+        let previousSet = null;
+
+        questions.forEach((question, index) => {
+            if (this.typeOf(question) !== 'object') return;
+            const path = `$.questions[${index}]`;
+            const id = Number.isInteger(question.id) ? question.id : null;
+
+            if (id !== null) {
+                if (seenIds.has(id)) {
+                    error(`${path}.id`, `Duplicate id ${id} (also at $.questions[${seenIds.get(id)}])`, id);
+                } else {
+                    seenIds.set(id, index);
+                }
+            }
+
+            if (question[otherKey] !== undefined) {
+                warning(`${path}.${otherKey}`, `${definition.label} sets are grouped by "${setKey}"; "${otherKey}" is ignored`, id);
+            }
+
+            const setId = question[setKey];
+            if (!Number.isInteger(setId)) return;
+
+            if (sets.has(setId) && previousSet !== setId) {
+                warning(`${path}.${setKey}`, `Set ${setId} is split: its questions are not next to each other`, id);
+            }
+            previousSet = setId;
+
+            if (!sets.has(setId)) sets.set(setId, { firstIndex: index, passages: [] });
+            if (typeof question.passage === 'string' && question.passage.trim() !== '') {
+                sets.get(setId).passages.push({ index, passage: question.passage, id });
+            }
+        });
+
+        if (!definition.renderer.passage) return;
+
+        sets.forEach(({ firstIndex, passages }, setId) => {
+            if (passages.length === 0) {
+                error(`$.questions[${firstIndex}].passage`, `Set ${setId} has no passage`, questions[firstIndex].id ?? null);
+                return;
+            }
+            passages.slice(1).forEach(({ index, passage, id }) => {
+                if (passage !== passages[0].passage) {
+                    error(`$.questions[${index}].passage`, `Set ${setId} has a second, different passage`, id);
+                }
+            });
+        });
+    },
+
+    /**
+     * Check whether a validation result has errors
+     * @param {Object} result - Result from validateBank()
+     * @returns {boolean} - True when the bank is usable
+     */
+    isValid(result) {
+        return !!result && result.errors.length === 0;
+    }
+};
+
+// Make QuestionSchema available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionSchema = QuestionSchema;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionSchema;
+}
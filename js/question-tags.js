@@ -0,0 +1,204 @@
+/**
+ * Question Tags
+ * Classifies reading comprehension questions by what their stem asks
+ *
+ * This module manages:
+ * - The RC question categories and the stem patterns that identify them
+ * - Tagging questions that have no tags yet: scripts/tag_questions.js writes
+ *   the tags into data/, and banks loaded at runtime (question packs, older
+ *   attempts) get the same tags inferred on the fly
+ * - Display labels for tags, so analytics can show "Main Idea" for 'main-idea'
+ *
+ * Categories are tried in order and the first match wins, so a stem like
+ * "The author would agree with each of the following EXCEPT" is tagged
+ * 'author-agree' rather than 'specific-detail'. A stem that matches nothing
+ * stays untagged. Tags a question already has are never replaced.
+ *
+ * @namespace QuestionTags
+ */
+
+const QuestionTags = {
+    // Stem categories in the order they are tried; patterns run on lower-cased plain text
+    CATEGORIES: [
+        {
+            id: 'vocabulary',
+            label: 'Vocabulary in Context',
+            patterns: [
+                /\b(meaning|connotation) of the (word|term|phrase|expression)\b/,
+                /\bwhat does the (word|term|phrase|expression|line)\b/,
+                /\bas used in the passage\b/,
+                /^the (word|term|phrase|expression)\b.*\b(means?|refers? to)\b/,
+                /^'[^']+' (most likely |most probably )?(means|refers to)\b/
+            ]
+        },
+        {
+            id: 'weaken-strengthen',
+            label: 'Weaken / Strengthen',
+            patterns: [
+                /\b(weaken|strengthen|undermine|bolster)s?\b/,
+                /\bcasts? (the most )?doubt\b/,
+                /\bseriously (challenges?|calls? into question)\b/
+            ]
+        },
+        {
+            id: 'tone',
+            label: 'Tone and Attitude',
+            patterns: [
+                /\btone\b/,
+                /\battitude\b/,
+                /\bauthor views?\b/,
+                /\bviewed\b.*\bas\b/
+            ]
+        },
+        {
+            id: 'author-agree',
+            label: 'Author Would Agree',
+            patterns: [
+                /\bauthor\b.*\b(dis)?agree\b/
+            ]
+        },
+        {
+            id: 'function',
+            label: 'Function of a Detail',
+            patterns: [
+                /\bwhy does the author (mention|refer|use|cite|quote|compare|describe)\b/,
+                /\bfunction of\b/,
+                /\bin order to\b/,
+                /\bpurpose of the (first|second|third|fourth|fifth|last|final|opening|concluding) (paragraph|sentence|line)\b/,
+                /\bhow does the author\b/
+            ]
+        },
+        {
+            id: 'main-idea',
+            label: 'Main Idea',
+            patterns: [
+                /\b(main|primary|central|overall) (idea|purpose|concern|point|theme|argument)\b/,
+                /\bprimarily concerned\b/,
+                /\b(appropriate|best|suitable) title\b/
+            ]
+        },
+        {
+            id: 'inference',
+            label: 'Inference',
+            patterns: [
+                /\binfer(s|red|ence)?\b/,
+                /\bimpl(y|ies|ied)\b/,
+                /\bsuggests?\b/,
+                /\bconclu(de|ded|sion)\b/,
+                /\bsupported (by|from)\b/,
+                /\bin support of\b/,
+                /\bcan be stated\b/,
+                /\blikely\b/,
+                /\bmost (probably|reasonably)\b/,
+                /\bcould be\b/,
+                /\b(hypothetical|situations?)\b/,
+                /\bif\b.*\bwere\b/
+            ]
+        },
+        {
+            id: 'specific-detail',
+            label: 'Specific Detail',
+            patterns: [
+                /\baccording to\b/,
+                /\bthe passage (states|mentions|describes|says)\b/,
+                /\bmention(s|ed)?\b/,
+                /\bis (not )?true\b/,
+                /\bbecause\b/,
+                /\bwhat (differentiates|distinguishes)\b/,
+                /\brelationship between\b/
+            ]
+        }
+    ],
+
+    /**
+     * Check whether stems of a question type can be classified
+     * Only reading comprehension stems follow the patterns; packs count as their base type
+     * @param {string} type - Question type id
+     * @returns {boolean}
+     */
+    appliesTo(type) {
+        const definition = QuestionTypes.get(type);
+        return (definition?.baseType || definition?.id) === 'rc';
+    },
+
+    /**
+     * Get the display label of a tag
+     * @param {string} tag - Tag, e.g. 'main-idea'
+     * @returns {string} - Category label, or the tag itself for tags of other origin
+     */
+    getLabel(tag) {
+        const category = this.CATEGORIES.find(item => item.id === tag);
+        return category ? category.label : tag;
+    },
+
+    /**
+     * Reduce a stem to lower-cased plain text with straight quotes
+     * @param {string} html - Question HTML
+     * @returns {string}
+     */
+    toPlainText(html) {
+        return String(html ?? '')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/[‘’]/g, '\'')
+            .replace(/[“”]/g, '"')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    },
+
+    /**
+     * Work out the category of a question from its stem
+     * @param {Object} question - Question object
+     * @returns {string|null} - Category id, or null if no pattern matches
+     */
+    classify(question) {
+        const stem = this.toPlainText(question?.question);
+        if (!stem) return null;
+
+        const category = this.CATEGORIES.find(item => item.patterns.some(pattern => pattern.test(stem)));
+        return category ? category.id : null;
+    },
+
+    /**
+     * Get the tags of a question, inferring them when it has none
+     * @param {Object} question - Question object
+     * @param {string} type - Type of the bank the question is from
+     * @returns {string[]} - Tags
+     */
+    getTags(question, type) {
+        if (Array.isArray(question?.tags) && question.tags.length > 0) return question.tags;
+        if (!this.appliesTo(type)) return [];
+
+        const category = this.classify(question);
+        return category ? [category] : [];
+    },
+
+    /**
+     * Tag the untagged questions of a bank
+     * @param {string} type - Type id of the bank
+     * @param {Object|null} bank - { testInfo, questions }
+     * @returns {Object|null} - The bank, or a copy whose untagged questions carry inferred tags
+     */
+    applyToBank(type, bank) {
+        if (!bank || !Array.isArray(bank.questions) || !this.appliesTo(type)) return bank;
+
+        return {
+            ...bank,
+            questions: bank.questions.map(question => {
+                const tags = this.getTags(question, type);
+                return tags.length > 0 && tags !== question.tags ? { ...question, tags } : question;
+            })
+        };
+    }
+};
+
+// Make QuestionTags available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionTags = QuestionTags;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionTags;
+}
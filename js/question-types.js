@@ -0,0 +1,261 @@
+/**
+ * Question Type Registry
+ * Single source of truth for every question type the app knows about
+ *
+ * Pages and modules look types up here instead of keeping their own maps of
+ * labels, data files and pages, so a new type only needs a register() call.
+ *
+ * Definition Format:
+ * - id: type id, also the key attempts, drafts and selections are stored under
+ * - label / setLabel: display names ('Para Jumble' / 'Para Jumble Set')
+ * - shortLabel: abbreviation used on set cards ('PJ'), defaults to label
+ * - dataFile: question bank file inside data/ (null for built types)
+ * - setKey: question field that groups a bank into sets ('passageId', 'setId')
+ * - selectionPage: set picker, relative to the site root (null for built types)
+ * - composite: sets are built from the other banks (sectional mock)
+ * - mockItems: bank fills the verbal-ability part of a sectional mock
+ * - renderer: { passage, richText, input } - see RENDERER_DEFAULTS
+ * - scorer: (question, answer) => boolean, defaults to exactMatch
+ * - pack / baseType: set on question packs added by the user (see QuestionPacks);
+ *   the pack's questions are stored in the browser instead of a dataFile
+ *
+ * @namespace QuestionTypes
+ */
+
+const QuestionTypes = {
+    DEFAULT_TYPE: 'rc',
+
+    // How the quiz renders a question unless its type says otherwise
+    // input: 'options' (MCQ/TITA), 'sentence-order' (jumble) or 'sentence-pick' (odd one out)
+    RENDERER_DEFAULTS: {
+        passage: false,
+        richText: true,
+        input: 'options'
+    },
+
+    types: new Map(),
+
+    /**
+     * Register a question type
+     * Re-registering an id replaces the earlier definition
+     * @param {Object} definition - Type definition (see Definition Format)
+     * @returns {Object} - Normalized definition
+     */
+    register(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            throw new Error('Question type needs a string id');
+        }
+        if (typeof definition.label !== 'string' || !definition.label) {
+            throw new Error(`Question type "${definition.id}" needs a label`);
+        }
+        if (!definition.composite && !definition.dataFile && !definition.pack) {
+            throw new Error(`Question type "${definition.id}" needs a dataFile`);
+        }
+        if (definition.scorer !== undefined && typeof definition.scorer !== 'function') {
+            throw new Error(`Question type "${definition.id}" has a scorer that is not a function`);
+        }
+
+        const normalized = {
+            setLabel: `${definition.label} Set`,
+            shortLabel: definition.label,
+            dataFile: null,
+            setKey: 'setId',
+            selectionPage: null,
+            composite: false,
+            mockItems: false,
+            pack: null,
+            baseType: null,
+            scorer: this.exactMatch,
+            ...definition,
+            renderer: { ...this.RENDERER_DEFAULTS, ...definition.renderer }
+        };
+
+        this.types.set(normalized.id, normalized);
+        return normalized;
+    },
+
+    /**
+     * Remove a type, e.g. when the user deletes a question pack
+     * @param {string} id - Type id
+     * @returns {boolean} - True if the type was registered
+     */
+    unregister(id) {
+        return this.types.delete(id);
+    },
+
+    /**
+     * Get a type definition
+     * @param {string} id - Type id
+     * @returns {Object|null} - Definition or null if unknown
+     */
+    get(id) {
+        return this.types.get(id) || null;
+    },
+
+    /**
+     * Check whether a type is registered
+     * @param {string} id - Type id
+     * @returns {boolean} - True if registered
+     */
+    has(id) {
+        return this.types.has(id);
+    },
+
+    /**
+     * Get every definition in registration order
+     * @param {Function} filter - Optional predicate on definitions
+     * @returns {Array} - Definitions
+     */
+    list(filter) {
+        const all = Array.from(this.types.values());
+        return typeof filter === 'function' ? all.filter(filter) : all;
+    },
+
+    /**
+     * Get every type id in registration order
+     * @returns {string[]} - Type ids
+     */
+    ids() {
+        return Array.from(this.types.keys());
+    },
+
+    /**
+     * Get the display name of a type
+     * @param {string} id - Type id
+     * @returns {string} - Label, or the id itself for unknown types
+     */
+    getLabel(id) {
+        return this.get(id)?.label || id;
+    },
+
+    /**
+     * Get the name a single set of a type is shown under (e.g. 'RC Set')
+     * @param {string} id - Type id
+     * @returns {string} - Set label, or 'Set' for unknown types
+     */
+    getSetLabel(id) {
+        return this.get(id)?.setLabel || 'Set';
+    },
+
+    /**
+     * Get how a type is rendered in the quiz
+     * @param {string} id - Type id
+     * @returns {Object} - { passage, richText, input }
+     */
+    getRenderer(id) {
+        return this.get(id)?.renderer || this.RENDERER_DEFAULTS;
+    },
+
+    /**
+     * Check an answer with the scorer of the question's type
+     * Mock questions carry their own questionType; otherwise fallbackType is used
+     * @param {Object} question - Question (or stored attempt question)
+     * @param {any} answer - User answer
+     * @param {string} fallbackType - Type to use when the question has none
+     * @returns {boolean} - True if the answer is correct
+     */
+    isCorrect(question, answer, fallbackType) {
+        const type = this.get(question?.questionType || fallbackType);
+        const scorer = type ? type.scorer : this.exactMatch;
+        return scorer(question, answer);
+    },
+
+    /**
+     * Default scorer: the answer must equal the stored correct answer
+     * @param {Object} question - Question
+     * @param {any} answer - User answer
+     * @returns {boolean} - True if equal
+     */
+    exactMatch(question, answer) {
+        return answer === question?.correctAnswer;
+    },
+
+    /**
+     * Reduce a typed sentence order to its sentence numbers
+     * Spaces, commas and dashes are dropped, so "3 1 4 2" and "3-1-4-2" both read as "3142"
+     * @param {any} sequence - Typed or stored sequence
+     * @returns {string} - Digits only; '' for anything that is not a string or number
+     */
+    normalizeSequence(sequence) {
+        if (typeof sequence !== 'string' && typeof sequence !== 'number') return '';
+        return String(sequence).replace(/\D/g, '');
+    },
+
+    /**
+     * Scorer for sentence orderings: the numbers must match the correct order, separators aside
+     * @param {Object} question - Question
+     * @param {any} answer - User answer
+     * @returns {boolean} - True if the order is the correct one
+     */
+    sequenceMatch(question, answer) {
+        const sequence = QuestionTypes.normalizeSequence(answer);
+        return sequence !== '' && sequence === QuestionTypes.normalizeSequence(question?.correctAnswer);
+    }
+};
+
+QuestionTypes.register({
+    id: 'rc',
+    label: 'Reading Comprehension',
+    shortLabel: 'RC',
+    setLabel: 'RC Set',
+    dataFile: 'rc-passages.json',
+    setKey: 'passageId',
+    selectionPage: 'pages/rc-selection.html',
+    renderer: { passage: true, richText: false }
+});
+
+QuestionTypes.register({
+    id: 'para-completion',
+    label: 'Para Completion',
+    shortLabel: 'PC',
+    dataFile: 'para-completion.json',
+    selectionPage: 'pages/para-completion-selection.html',
+    mockItems: true
+});
+
+QuestionTypes.register({
+    id: 'para-summary',
+    label: 'Para Summary',
+    shortLabel: 'PS',
+    dataFile: 'para-summary.json',
+    selectionPage: 'pages/para-summary-selection.html',
+    mockItems: true
+});
+
+QuestionTypes.register({
+    id: 'para-jumble',
+    label: 'Para Jumble',
+    shortLabel: 'PJ',
+    dataFile: 'para-jumble.json',
+    selectionPage: 'pages/para-jumble-selection.html',
+    mockItems: true,
+    renderer: { input: 'sentence-order' },
+    scorer: QuestionTypes.sequenceMatch
+});
+
+QuestionTypes.register({
+    id: 'odd-one-out',
+    label: 'Odd Sentence Out',
+    shortLabel: 'OSO',
+    dataFile: 'odd-one-out.json',
+    selectionPage: 'pages/odd-one-out-selection.html',
+    mockItems: true,
+    renderer: { input: 'sentence-pick' }
+});
+
+QuestionTypes.register({
+    id: 'sectional-mock',
+    label: 'Sectional Mock',
+    setLabel: 'Sectional Mock',
+    composite: true
+});
+
+// Make QuestionTypes available globally for browser
+if (typeof window !== 'undefined') {
+    window.QuestionTypes = QuestionTypes;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionTypes;
+}
@@ -7,6 +7,11 @@
  * - Time analysis per question
  * - Comparison with previous attempts
  * - Answer review with explanations
+ * - Flags review items whose question was edited or removed since the attempt
+ * - Lets a question be reported or corrected locally; the score shown is
+ *   re-scored under those corrections (see QuestionErrata)
+ * - Lets each wrong answer be given an error reason and a note for the
+ *   mistake notebook (see MistakeNotebook)
  * 
  * Data Flow:
  * 1. Receives setId and type via URL parameters
@@ -26,17 +31,18 @@
 class ResultsPage {
     constructor() {
         this.setId = null;
-        this.questionType = 'rc';
+        this.questionType = QuestionTypes.DEFAULT_TYPE;
         this.currentAttempt = null;
         this.previousAttempts = [];
+        this.reconciliation = null;
         this.init();
     }
 
-    init() {
+    async init() {
         // Get set ID and question type from query parameters with validation
         const urlParams = new URLSearchParams(window.location.search);
         this.setId = Utils.getValidURLParam(urlParams, 'setId', null);
-        this.questionType = urlParams.get('type') || 'rc';
+        this.questionType = urlParams.get('type') || QuestionTypes.DEFAULT_TYPE;
 
         // Validate setId is a positive integer
         if (!this.setId || this.setId <= 0) {
@@ -46,11 +52,32 @@ class ResultsPage {
             return;
         }
 
-        // Load attempt data
+        // Load attempt data once the attempt history backend is open
+        await StorageManager.ready();
         this.loadAttemptData();
+        if (this.currentAttempt) {
+            await this.reconcileWithBank();
+        }
         
         // Display results
         this.displayResults();
+
+        // The review is rendered after load, so follow a #review-question-N link by hand
+        this.scrollToLinkedQuestion();
+    }
+
+    /**
+     * Scroll to the review item named in the URL hash (e.g. from a search result)
+     */
+    scrollToLinkedQuestion() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        if (!id.startsWith('review-question-')) return;
+
+        const item = document.getElementById(id);
+        if (item) {
+            item.classList.add('linked');
+            if (typeof item.scrollIntoView === 'function') item.scrollIntoView({ block: 'start' });
+        }
     }
 
     /**
@@ -70,6 +97,22 @@ class ResultsPage {
         }
     }
 
+    /**
+     * Compare the attempt with the current question bank
+     * The review still shows each question as it was answered; this only finds
+     * out which ones were edited or removed since, and where moved ones are now
+     */
+    async reconcileWithBank() {
+        const banks = {};
+        if (QuestionTypes.get(this.questionType)?.composite) {
+            Object.assign(banks, await SectionalMock.loadBanks('../data/'));
+        } else {
+            const data = await QuestionPacks.loadBank(this.questionType, '../data/');
+            if (data) banks[this.questionType] = data.questions || [];
+        }
+        this.reconciliation = QuestionIdentity.reconcileAttempt(this.currentAttempt, banks);
+    }
+
     /**
      * Display all results
      */
@@ -82,17 +125,24 @@ class ResultsPage {
 
         // Update set title based on question type
         const titleElement = document.getElementById('rc-set-title');
-        const typeLabels = {
-            'rc': 'RC Set',
-            'para-completion': 'Para Completion Set',
-            'para-summary': 'Para Summary Set'
-        };
-        const label = typeLabels[this.questionType] || 'Set';
+        const label = QuestionTypes.getSetLabel(this.questionType);
         titleElement.textContent = `${label} ${this.setId}`;
 
+        // Show whether this attempt was timed
+        this.displayTimerMode();
+
         // Display score
         this.displayScore();
 
+        // Display per-type breakdown for sectional mocks
+        this.displaySectionBreakdown();
+
+        // Flag questions where the correct answer was struck out
+        this.displayEliminationReview();
+
+        // Show which kinds of wrong option were picked
+        this.displayTrapReview();
+
         // Display time analysis
         this.displayTimeAnalysis();
 
@@ -108,6 +158,18 @@ class ResultsPage {
         this.displayAnswerReview();
     }
 
+    /**
+     * Display the timer mode badge in the header
+     */
+    displayTimerMode() {
+        const badge = document.getElementById('timer-mode-badge');
+        if (!badge) return;
+
+        const timer = Analytics.describeTimerMode(this.currentAttempt);
+        badge.innerHTML = `<i class="fas ${timer.timed ? 'fa-hourglass-half' : 'fa-stopwatch'}"></i> ${Utils.sanitizeHTML(timer.label)}`;
+        badge.className = `timer-mode-badge ${timer.timed ? 'timed' : 'untimed'}`;
+    }
+
     /**
      * Display score section
      */
@@ -119,6 +181,117 @@ class ResultsPage {
         document.getElementById('correct-count').textContent = correct;
         document.getElementById('incorrect-count').textContent = incorrect;
         document.getElementById('unattempted-count').textContent = unattempted;
+
+        const rescored = document.getElementById('score-rescored');
+        if (rescored && this.currentAttempt.originalScore !== undefined) {
+            rescored.textContent = `Re-scored after your question corrections (originally ${this.currentAttempt.originalScore}).`;
+            rescored.style.display = 'block';
+        }
+    }
+
+    /**
+     * Display the per-type breakdown of a sectional mock
+     */
+    displaySectionBreakdown() {
+        const section = document.getElementById('section-breakdown');
+        const grid = document.getElementById('section-breakdown-grid');
+        if (!section || !grid || !QuestionTypes.get(this.questionType)?.composite) return;
+
+        grid.innerHTML = Analytics.summarizeSections(this.currentAttempt).map(item => `
+            <div class="analytics-card">
+                <div class="analytics-label">${Utils.sanitizeHTML(QuestionTypes.getLabel(item.type))}</div>
+                <div class="analytics-value">${item.score}/${item.maxScore}</div>
+                <div class="analytics-label">${item.correct} correct, ${item.incorrect} incorrect, ${item.unattempted} unattempted</div>
+            </div>
+        `).join('');
+
+        section.style.display = 'block';
+    }
+
+    /**
+     * Display struck-out option counts and flag questions where the correct answer was struck out
+     */
+    displayEliminationReview() {
+        const section = document.getElementById('elimination-review');
+        const grid = document.getElementById('elimination-grid');
+        const flags = document.getElementById('elimination-flags');
+        if (!section || !grid || !flags) return;
+
+        const summary = Analytics.summarizeEliminations(this.currentAttempt);
+        if (summary.questionsWithEliminations === 0) return;
+
+        grid.innerHTML = `
+            <div class="analytics-card">
+                <div class="analytics-label">Questions With Eliminations</div>
+                <div class="analytics-value">${summary.questionsWithEliminations}</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-label">Options Struck Out</div>
+                <div class="analytics-value">${summary.totalEliminated}</div>
+            </div>
+            <div class="analytics-card">
+                <div class="analytics-label">Correct Answer Struck Out</div>
+                <div class="analytics-value">${summary.correctEliminated.length}</div>
+            </div>
+        `;
+
+        const outcomes = {
+            correct: 'but you restored it and answered correctly',
+            incorrect: 'and you answered incorrectly',
+            unattempted: 'and you left the question unattempted'
+        };
+
+        flags.innerHTML = summary.correctEliminated.length === 0
+            ? '<div class="insight-item">You never struck out a correct answer in this attempt.</div>'
+            : summary.correctEliminated.map(item => {
+                const action = item.restored ? 'struck out the correct answer before restoring it' : 'struck out the correct answer';
+                return `<div class="insight-item elimination-flag">Q${item.index + 1}: you ${action}, ${outcomes[item.status]}.</div>`;
+            }).join('');
+
+        section.style.display = 'block';
+    }
+
+    /**
+     * Display the trap types of the wrong options picked, and which question fell for which
+     */
+    displayTrapReview() {
+        const section = document.getElementById('trap-review');
+        const grid = document.getElementById('trap-grid');
+        const flags = document.getElementById('trap-flags');
+        if (!section || !grid || !flags) return;
+
+        const insights = Analytics.getTrapInsights([this.currentAttempt]);
+        if (insights.wrong === 0) return;
+
+        const known = insights.traps.reduce((sum, item) => sum + item.count, 0);
+        grid.innerHTML = insights.traps.map(item => `
+            <div class="analytics-card">
+                <div class="analytics-label">${Utils.sanitizeHTML(OptionTraps.getLabel(item.trap))}</div>
+                <div class="analytics-value">${item.count}</div>
+            </div>
+        `).join('') + (insights.wrong > known ? `
+            <div class="analytics-card">
+                <div class="analytics-label">Trap Not Known</div>
+                <div class="analytics-value">${insights.wrong - known}</div>
+            </div>
+        ` : '');
+
+        const picks = (this.currentAttempt.questions || [])
+            .map((question, index) => ({ index, choice: Analytics.getWrongOption(this.currentAttempt, index) }))
+            .filter(item => item.choice?.trap);
+        flags.innerHTML = picks.length === 0
+            ? '<div class="insight-item">None of the explanations say what kind of trap your wrong options were.</div>'
+            : picks.map(({ index, choice }) => `
+                <div class="insight-item trap-flag">
+                    Q${index + 1}: you picked Option ${choice.option + 1} (${choice.suggested ? 'suggested: ' : ''}${Utils.sanitizeHTML(OptionTraps.getLabel(choice.trap))} trap); the answer was Option ${choice.correctOption + 1}.
+                </div>
+            `).join('');
+        // Suggested traps come from keyword matching on the explanation, not from the question's author
+        if (insights.suggested > 0) {
+            flags.innerHTML += '<div class="insight-item trap-note">Traps marked "suggested" are worked out from the wording of the explanations, so some may be wrong.</div>';
+        }
+
+        section.style.display = 'block';
     }
 
     /**
@@ -149,7 +322,7 @@ class ResultsPage {
         breakdownContainer.innerHTML = questions.map((q, index) => {
             const time = questionTimes[index] || 0;
             const answer = q.userAnswer;
-            const isCorrect = answer === q.correctAnswer;
+            const isCorrect = QuestionTypes.isCorrect(q, answer, this.questionType);
             const isUnattempted = answer === null || answer === undefined;
             
             let statusClass = 'unattempted';
@@ -278,6 +451,10 @@ class ResultsPage {
                             <div class="attempt-stat-label">Time</div>
                             <div class="attempt-stat-value">${Utils.formatTime(attempt.totalTime)}</div>
                         </div>
+                        <div class="attempt-stat">
+                            <div class="attempt-stat-label">Mode</div>
+                            <div class="attempt-stat-value attempt-mode">${Utils.sanitizeHTML(Analytics.describeTimerMode(attempt).label)}</div>
+                        </div>
                         <div class="attempt-stat">
                             <div class="attempt-stat-label">Correct</div>
                             <div class="attempt-stat-value" style="color: #4caf50">${attempt.correct}</div>
@@ -305,6 +482,47 @@ class ResultsPage {
         return options[answerIndex];
     }
 
+    /**
+     * Render a passage with the highlights and notes made during the attempt
+     * @param {string} passage - Passage HTML saved with the attempt
+     * @param {Array} annotations - Annotations for the passage
+     * @returns {string} - Read-only passage block HTML
+     */
+    renderAnnotatedPassage(passage, annotations = []) {
+        const count = Array.isArray(annotations) ? annotations.length : 0;
+        return `
+            <details class="review-passage">
+                <summary>
+                    <i class="fas fa-highlighter"></i>
+                    Passage with your highlights (${count})
+                </summary>
+                <div class="review-passage-text">${PassageAnnotations.renderToHTML(passage, annotations)}</div>
+                ${PassageAnnotations.renderNotes(annotations)}
+            </details>
+        `;
+    }
+
+    /**
+     * Explain above the review how the question bank changed since the attempt
+     */
+    displayBankNotice() {
+        const notice = document.getElementById('review-bank-notice');
+        if (!notice || !this.reconciliation) return;
+
+        const { changed, removed } = this.reconciliation.counts;
+        if (changed + removed === 0) return;
+
+        const parts = [];
+        if (changed > 0) parts.push(`${changed} ${changed === 1 ? 'question was' : 'questions were'} edited`);
+        if (removed > 0) parts.push(`${removed} ${removed === 1 ? 'question was' : 'questions were'} removed`);
+        const shown = changed + removed === 1 ? 'It is' : 'They are';
+        notice.innerHTML = `
+            <i class="fas fa-info-circle"></i>
+            Since this attempt, ${parts.join(' and ')}. ${shown} shown below as you answered, and the score is unchanged.
+        `;
+        notice.style.display = 'block';
+    }
+
     /**
      * Display answer review section with explanations
      * Includes XSS protection for user-provided content
@@ -328,9 +546,25 @@ class ResultsPage {
         }
 
         const { questions } = this.currentAttempt;
+        const identities = this.reconciliation?.questions || [];
+        this.displayBankNotice();
+        reviewList.onclick = (event) => this.handleReviewClick(event);
+        reviewList.onsubmit = (event) => this.handleMistakeSubmit(event);
+        const annotations = this.currentAttempt.annotations || {};
+        const passages = this.currentAttempt.passages || {};
+        const shownPassages = new Set();
+
         reviewList.innerHTML = questions.map((q, index) => {
+            // Show each annotated passage once, before its first question
+            const passageKey = q.passageId !== undefined && q.passageId !== null ? String(q.passageId) : null;
+            let passageHTML = '';
+            if (passageKey && passages[passageKey] && !shownPassages.has(passageKey)) {
+                shownPassages.add(passageKey);
+                passageHTML = this.renderAnnotatedPassage(passages[passageKey], annotations[passageKey]);
+            }
+
             const userAnswer = q.userAnswer;
-            const isCorrect = userAnswer === q.correctAnswer;
+            const isCorrect = QuestionTypes.isCorrect(q, userAnswer, this.questionType);
             const isUnattempted = userAnswer === null || userAnswer === undefined;
 
             let statusClass = 'unattempted';
@@ -347,11 +581,59 @@ class ResultsPage {
             // Validate options array once before multiple uses
             const hasValidOptions = Array.isArray(q.options) && q.options.length > 0;
             
+            // TITA answers (e.g. a para-jumble sequence) are shown as typed
             const userAnswerText = isUnattempted 
                 ? 'Not answered'
-                : hasValidOptions ? Utils.sanitizeHTML(this.getAnswerText(q.options, userAnswer, 'Not answered')) : 'Not answered';
+                : hasValidOptions ? Utils.sanitizeHTML(this.getAnswerText(q.options, userAnswer, 'Not answered')) : Utils.sanitizeHTML(String(userAnswer));
             
-            const correctAnswerText = hasValidOptions ? Utils.sanitizeHTML(this.getAnswerText(q.options, q.correctAnswer, 'N/A')) : 'N/A';
+            const hasCorrectAnswer = q.correctAnswer !== null && q.correctAnswer !== undefined;
+            const correctAnswerText = hasValidOptions
+                ? Utils.sanitizeHTML(this.getAnswerText(q.options, q.correctAnswer, 'N/A'))
+                : hasCorrectAnswer ? Utils.sanitizeHTML(String(q.correctAnswer)) : 'N/A';
+
+            // Para-jumble and odd-one-out sentences are listed with their labels;
+            // the odd sentence is highlighted so the explanation can be read against it
+            const isOddOneOut = QuestionTypes.getRenderer(q.questionType || this.questionType).input === 'sentence-pick';
+            const sentencesHTML = Utils.isValidArray(q.sentences) ? `
+                <ol class="review-sentences">
+                    ${q.sentences.map((sentence, i) => {
+                        const isOdd = isOddOneOut && String(i + 1) === String(q.correctAnswer);
+                        return `<li class="${isOdd ? 'odd-sentence-answer' : ''}">${Utils.sanitizeHTML(sentence)}${isOdd ? ' <span class="odd-sentence-tag">Odd one out</span>' : ''}</li>`;
+                    }).join('')}
+                </ol>
+            ` : '';
+
+            // Struck-out options; striking out the correct answer is flagged on the item
+            const eliminated = Array.isArray(q.eliminatedOptions) ? q.eliminatedOptions : [];
+            const struckCorrect = hasValidOptions && eliminated.includes(q.correctAnswer);
+            const eliminatedText = eliminated.map(optIndex => `Option ${optIndex + 1}`).join(', ');
+
+            // The kind of trap a wrong option set, when the question says; one guessed
+            // from the explanation is marked as a suggestion
+            const wrongOption = Analytics.getWrongOption(this.currentAttempt, index);
+            const trapLabel = wrongOption?.trap ? Utils.sanitizeHTML(OptionTraps.getLabel(wrongOption.trap)) : '';
+            let trapBadge = '';
+            if (wrongOption?.suggested) {
+                trapBadge = `<span class="review-trap-badge suggested" title="Worked out from the explanation's wording; may be wrong"><i class="fas fa-crosshairs"></i> Suggested: ${trapLabel} trap</span>`;
+            } else if (wrongOption?.trap) {
+                trapBadge = `<span class="review-trap-badge"><i class="fas fa-crosshairs"></i> ${trapLabel} trap</span>`;
+            }
+
+            // Questions edited or removed since the attempt are shown as answered, with a flag;
+            // a question whose id changed is anchored under its new id so search links find it
+            const identity = identities[index];
+            const bankBadge = {
+                changed: '<span class="review-bank-badge"><i class="fas fa-pen"></i> Edited since this attempt</span>',
+                removed: '<span class="review-bank-badge"><i class="fas fa-trash-alt"></i> No longer in the question bank</span>'
+            }[identity?.status] || '';
+            const anchorId = identity?.status === 'moved' ? identity.currentId : q.id;
+
+            // Local corrections; only a question that is unchanged in the bank can be corrected
+            const erratum = QuestionErrata.get(QuestionIdentity.getAttemptQuestionKey(this.currentAttempt, q));
+            const canCorrect = identity?.status === 'current';
+            const correctionBadge = erratum
+                ? `<span class="review-correction-badge"><i class="fas fa-flag"></i> ${Object.keys(erratum.fields).length > 0 ? 'Corrected on this device' : 'Reported'}</span>`
+                : '';
 
             // Sanitize question text to prevent XSS
             const questionSafe = Utils.sanitizeHTML(q.question || 'Question text not available');
@@ -360,7 +642,8 @@ class ResultsPage {
             const explanationSafe = q.explanation ? Utils.parseHTMLSafe(q.explanation) : '';
 
             return `
-                <div class="review-item ${statusClass}">
+                ${passageHTML}
+                <div class="review-item ${statusClass}" id="review-question-${Utils.sanitizeHTML(String(anchorId))}">
                     <div class="review-question-header">
                         <div class="review-question-number">
                             <span class="review-status-icon ${statusClass}">
@@ -368,14 +651,23 @@ class ResultsPage {
                             </span>
                             <span class="review-question-label">Question ${index + 1}</span>
                             <span class="review-status-badge ${statusClass}">${statusText}</span>
+                            ${struckCorrect ? '<span class="review-elimination-badge"><i class="fas fa-strikethrough"></i> Correct answer struck out</span>' : ''}
+                            ${bankBadge}
+                            ${correctionBadge}
                         </div>
+                        ${canCorrect ? `
+                            <button type="button" class="review-correct-btn" data-correct-index="${index}">
+                                <i class="fas fa-flag"></i> Report / correct
+                            </button>
+                        ` : ''}
                     </div>
                     <div class="review-question-text">${questionSafe}</div>
+                    ${sentencesHTML}
                     
                     <div class="review-answers">
                         ${!isUnattempted ? `
                             <div class="review-answer-item ${isCorrect ? '' : 'user-incorrect'}">
-                                <strong>Your Answer:</strong> ${userAnswerText}
+                                <strong>Your Answer:</strong> ${userAnswerText} ${trapBadge}
                             </div>
                         ` : `
                             <div class="review-answer-item user-unattempted">
@@ -387,6 +679,11 @@ class ResultsPage {
                                 <strong>Correct Answer:</strong> ${correctAnswerText}
                             </div>
                         ` : ''}
+                        ${eliminatedText ? `
+                            <div class="review-answer-item eliminated-options ${struckCorrect ? 'struck-correct' : ''}">
+                                <strong>Struck Out:</strong> ${eliminatedText}
+                            </div>
+                        ` : ''}
                     </div>
 
                     ${explanationSafe ? `
@@ -398,19 +695,182 @@ class ResultsPage {
                             <div class="explanation-text">${explanationSafe}</div>
                         </div>
                     ` : ''}
+                    ${erratum?.note ? `
+                        <div class="review-correction-note">
+                            <strong>Your note:</strong> ${Utils.sanitizeHTML(erratum.note)}
+                        </div>
+                    ` : ''}
+                    <div class="review-correction" id="review-correction-${index}"></div>
+                    ${!isUnattempted && !isCorrect ? this.renderMistakeForm(q, index) : ''}
                 </div>
             `;
         }).join('');
     }
+
+    /**
+     * Build the form that records why a question was answered wrongly
+     * @param {Object} question - Attempt question
+     * @param {number} index - Question index in the attempt
+     * @returns {string} - HTML
+     */
+    renderMistakeForm(question, index) {
+        const saved = MistakeNotebook.getNote(this.questionType, this.currentAttempt, question);
+        return `
+            <form class="mistake-form" data-mistake-index="${index}">
+                <div class="mistake-fields">
+                    <label>Why did you get this wrong?
+                        <select name="reason">
+                            <option value="">No reason yet</option>
+                            ${MistakeNotebook.REASONS.map(reason => `
+                                <option value="${reason.id}" ${saved?.reason === reason.id ? 'selected' : ''}>${Utils.sanitizeHTML(reason.label)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label>Note
+                        <textarea name="note" rows="2" maxlength="${MistakeNotebook.NOTE_MAX_LENGTH}" placeholder="What to watch for next time">${Utils.sanitizeHTML(saved?.note || '')}</textarea>
+                    </label>
+                </div>
+                <div class="mistake-actions">
+                    <button type="submit" class="btn btn-secondary"><i class="fas fa-book"></i> Save to notebook</button>
+                    <span class="mistake-status" role="status"></span>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Save the error reason and note of a wrong answer
+     * @param {Event} event - Submit inside the review list
+     */
+    handleMistakeSubmit(event) {
+        const form = event.target.closest('.mistake-form');
+        if (!form) return;
+        event.preventDefault();
+
+        const question = this.currentAttempt.questions[Number(form.dataset.mistakeIndex)];
+        const data = new FormData(form);
+        const result = MistakeNotebook.saveNote(this.questionType, this.currentAttempt, question, {
+            reason: data.get('reason'),
+            note: data.get('note')
+        });
+
+        const status = form.querySelector('.mistake-status');
+        status.classList.toggle('error', !result.success);
+        if (!result.success) {
+            status.textContent = result.errors.join(' ');
+        } else {
+            status.textContent = result.note ? 'Saved to your notebook.' : 'Removed from your notebook.';
+        }
+    }
+
+    /**
+     * Handle the report / correct buttons of the review
+     * @param {Event} event - Click inside the review list
+     */
+    handleReviewClick(event) {
+        const open = event.target.closest('[data-correct-index]');
+        if (open) {
+            this.toggleCorrectionForm(Number(open.dataset.correctIndex));
+            return;
+        }
+
+        const remove = event.target.closest('[data-remove-correction]');
+        if (remove) {
+            const question = this.currentAttempt.questions[Number(remove.dataset.removeCorrection)];
+            StorageManager.removeErratum(QuestionIdentity.getAttemptQuestionKey(this.currentAttempt, question));
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Show or hide the form that reports or corrects a review question
+     * @param {number} index - Question index in the attempt
+     */
+    toggleCorrectionForm(index) {
+        const container = document.getElementById(`review-correction-${index}`);
+        if (!container) return;
+        if (container.innerHTML.trim()) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const question = this.currentAttempt.questions[index];
+        const erratum = QuestionErrata.get(QuestionIdentity.getAttemptQuestionKey(this.currentAttempt, question));
+        const hasOptions = Array.isArray(question.options) && question.options.length > 0;
+        const answerField = hasOptions
+            ? `<select name="correctAnswer">${question.options.map((option, i) => `
+                <option value="${i}" ${i === question.correctAnswer ? 'selected' : ''}>
+                    Option ${i + 1}: ${Utils.sanitizeHTML(String(option).slice(0, 80))}
+                </option>
+            `).join('')}</select>`
+            : `<input type="text" name="correctAnswer" value="${Utils.sanitizeHTML(String(question.correctAnswer ?? ''))}">`;
+
+        container.innerHTML = `
+            <form class="correction-form">
+                <p class="correction-hint">
+                    Corrections are kept on this device: the quiz and every review use them, and
+                    past attempts are re-scored. Export them from the landing page to send upstream.
+                </p>
+                <label>Correct answer ${answerField}</label>
+                <label>Question text
+                    <textarea name="question" rows="3">${Utils.sanitizeHTML(question.question || '')}</textarea>
+                </label>
+                <label>Explanation
+                    <textarea name="explanation" rows="3">${Utils.sanitizeHTML(question.explanation || '')}</textarea>
+                </label>
+                <label>What was wrong? (optional)
+                    <textarea name="note" rows="2" maxlength="${QuestionErrata.NOTE_MAX_LENGTH}">${Utils.sanitizeHTML(erratum?.note || '')}</textarea>
+                </label>
+                <div class="correction-status" role="alert"></div>
+                <div class="correction-actions">
+                    <button type="submit" class="btn btn-primary">Save</button>
+                    ${erratum ? `<button type="button" class="btn btn-secondary" data-remove-correction="${index}">Remove correction</button>` : ''}
+                </div>
+            </form>
+        `;
+
+        container.querySelector('form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveCorrection(event.target, index);
+        });
+    }
+
+    /**
+     * Save the correction entered for a review question and re-score the page
+     * @param {HTMLFormElement} form - Correction form
+     * @param {number} index - Question index in the attempt
+     */
+    saveCorrection(form, index) {
+        const question = this.currentAttempt.questions[index];
+        const key = QuestionIdentity.getAttemptQuestionKey(this.currentAttempt, question);
+        const erratum = QuestionErrata.get(key);
+        // Changes are measured against the question as it was before any earlier correction
+        const original = erratum ? QuestionErrata.getOriginal(question, erratum) : question;
+
+        const data = new FormData(form);
+        const answer = String(data.get('correctAnswer') ?? '').trim();
+        const changes = {
+            correctAnswer: Array.isArray(question.options) && question.options.length > 0 ? Number(answer) : answer,
+            question: data.get('question'),
+            explanation: data.get('explanation')
+        };
+
+        const result = QuestionErrata.saveCorrection(key, original, changes, data.get('note'));
+        if (!result.success) {
+            form.querySelector('.correction-status').textContent = result.errors.join(' ');
+            return;
+        }
+        window.location.reload();
+    }
 }
 
 /**
  * Navigate back to selection page
  */
 function goToSelection() {
-    // Clear current attempt data
-    StorageManager.clearSelectedRCSet();
+    // Clear current attempt data (before the selection that scopes it is cleared)
     StorageManager.resetTest(0);
+    StorageManager.clearSelectedRCSet();
     window.location.href = '../index.html';
 }
 
@@ -420,12 +880,12 @@ function goToSelection() {
 function reattempt() {
     const urlParams = new URLSearchParams(window.location.search);
     const setId = parseInt(urlParams.get('setId'));
-    const questionType = urlParams.get('type') || 'rc';
+    const questionType = urlParams.get('type') || QuestionTypes.DEFAULT_TYPE;
     
     if (setId) {
-        // Reset test state
-        StorageManager.resetTest(0);
+        // Reset test state for this set
         StorageManager.saveSelectedSet(questionType, setId);
+        StorageManager.resetTest(0);
         window.location.href = 'quiz.html';
     } else {
         window.location.href = '../index.html';
@@ -0,0 +1,342 @@
+/**
+ * Review Drill Page
+ * Serves the questions due in the review queue, one at a time
+ *
+ * Features:
+ * - Collects attempts made since the last visit into the queue first
+ * - Shows each due question as it is in the bank now, with its passage for
+ *   RC items and the sentences for para jumbles and odd sentence out
+ * - Checks the answer, shows the key and explanation, and reschedules the
+ *   question from the result (wrong, right, or right but unsure)
+ * - Questions no longer in any bank can be taken out of the queue
+ *
+ * Data Flow:
+ * 1. ReviewQueue.sync() adds missed questions from new attempts
+ * 2. The banks of the due items are loaded (with corrections applied)
+ * 3. Each answer goes to ReviewQueue.recordAnswer()
+ *
+ * @class ReviewDrill
+ */
+
+class ReviewDrill {
+    constructor() {
+        this.session = [];
+        this.missing = [];
+        this.position = 0;
+        this.answered = null;
+        this.init();
+    }
+
+    async init() {
+        this.elements = {
+            summary: document.getElementById('review-summary'),
+            card: document.getElementById('review-card')
+        };
+        if (!this.elements.card) {
+            console.error('Review drill elements not found');
+            return;
+        }
+
+        this.elements.summary.textContent = 'Loading your review queue…';
+        await StorageManager.ready();
+        ReviewQueue.sync();
+
+        const due = ReviewQueue.getDueItems();
+        const banks = await this.loadBanks(due);
+        due.forEach(item => {
+            const question = ReviewQueue.findQuestion(item, banks[item.type]?.questions);
+            if (question) {
+                this.session.push({ item, question, bank: banks[item.type] });
+            } else {
+                this.missing.push(item);
+            }
+        });
+
+        this.elements.card.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.checkAnswer();
+        });
+        this.elements.card.addEventListener('click', (event) => this.handleClick(event));
+        this.render();
+    }
+
+    /**
+     * Load the banks the due items come from
+     * @param {Array} items - Due items
+     * @returns {Promise<Object>} - { [type]: bank }; types that can't be loaded are left out
+     */
+    async loadBanks(items) {
+        const types = [...new Set(items.map(item => item.type))].filter(type => QuestionTypes.has(type));
+        const banks = {};
+        await Promise.all(types.map(async type => {
+            const bank = await QuestionPacks.loadBank(type, '../data/');
+            if (bank) banks[type] = bank;
+        }));
+        return banks;
+    }
+
+    /**
+     * Get the question type a drill question is rendered and scored as
+     * @param {Object} entry - Session entry
+     * @returns {string} - Type id
+     */
+    getKind(entry) {
+        return entry.question.questionType || entry.item.type;
+    }
+
+    /**
+     * Find the passage of an RC question; only the first question of a passage carries it
+     * @param {Object} entry - Session entry
+     * @returns {string|null} - Passage HTML
+     */
+    getPassage(entry) {
+        const { question, bank, item } = entry;
+        if (!QuestionTypes.getRenderer(this.getKind(entry)).passage) return null;
+        if (Utils.isValidString(question.passage)) return question.passage;
+
+        const setKey = QuestionTypes.get(item.type)?.setKey || 'passageId';
+        const first = bank.questions.find(candidate => candidate[setKey] === question[setKey] && Utils.isValidString(candidate.passage));
+        return first ? first.passage : null;
+    }
+
+    /**
+     * Describe when a rescheduled item comes back
+     * @param {Object} item - Rescheduled item
+     * @returns {string} - e.g. 'tomorrow', 'in 6 days'
+     */
+    describeDue(item) {
+        const days = ReviewQueue.daysBetween(ReviewQueue.toDateKey(), item.due);
+        if (days <= 0) return 'today';
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+
+    /**
+     * Draw the summary line and the current card
+     */
+    render() {
+        const remaining = this.session.length - this.position;
+        const summary = ReviewQueue.getSummary();
+        this.elements.summary.textContent = remaining > 0
+            ? `${remaining} of ${this.session.length} due question${this.session.length === 1 ? '' : 's'} left · ${summary.total} in your queue`
+            : `${summary.total} question${summary.total === 1 ? '' : 's'} in your queue`;
+
+        if (remaining > 0) {
+            this.elements.card.innerHTML = this.renderQuestion(this.session[this.position]);
+            return;
+        }
+
+        const nextText = summary.nextDue
+            ? `The next review is due ${this.describeDue({ due: summary.nextDue })}.`
+            : 'Questions you get wrong, or answer while they are marked for review, are added here after you submit a set.';
+        this.elements.card.innerHTML = `
+            <div class="review-done">
+                <i class="fas fa-check-circle"></i>
+                <h2>${this.session.length > 0 ? 'All done for today' : 'Nothing due today'}</h2>
+                <p>${nextText}</p>
+                ${this.renderMissing()}
+                <a class="review-button" href="../index.html"><i class="fas fa-home"></i> Back to Question Types</a>
+            </div>
+        `;
+    }
+
+    /**
+     * List due items whose question can't be found any more
+     * @returns {string} - HTML
+     */
+    renderMissing() {
+        if (this.missing.length === 0) return '';
+        return `
+            <div class="review-missing">
+                <p>${this.missing.length} due question${this.missing.length === 1 ? ' is' : 's are'} no longer in the question banks (a removed pack or question).</p>
+                <button type="button" class="review-button secondary" data-action="remove-missing">
+                    <i class="fas fa-trash-alt"></i> Remove from queue
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Build the card of one question
+     * @param {Object} entry - Session entry
+     * @returns {string} - HTML
+     */
+    renderQuestion(entry) {
+        const { item, question } = entry;
+        const kind = this.getKind(entry);
+        const renderer = QuestionTypes.getRenderer(kind);
+        const passage = this.getPassage(entry);
+        const setKey = QuestionTypes.get(item.type)?.setKey;
+        const setId = setKey ? question[setKey] : null;
+        const reason = item.reason === 'guessed' ? 'Marked as a guess' : 'Answered wrongly';
+        const questionHTML = renderer.richText
+            ? Utils.parseHTMLSafe(question.question || '')
+            : `<p>${Utils.sanitizeHTML(question.question || '')}</p>`;
+
+        return `
+            <div class="review-card-header">
+                <span class="review-card-title">${Utils.sanitizeHTML(QuestionTypes.getSetLabel(item.type))}${setId !== null && setId !== undefined ? ` ${Utils.sanitizeHTML(String(setId))}` : ''}</span>
+                <span class="review-reason">${reason}${item.lapses > 0 ? ` · missed ${item.lapses} time${item.lapses === 1 ? '' : 's'} in review` : ''}</span>
+            </div>
+            ${passage ? `
+                <details class="review-passage" open>
+                    <summary>Passage</summary>
+                    <div class="review-passage-text">${Utils.parseHTMLSafe(passage)}</div>
+                </details>
+            ` : ''}
+            <div class="review-question-text">${questionHTML}</div>
+            ${this.renderInput(question, renderer.input)}
+            <div class="review-actions">
+                <label class="review-unsure">
+                    <input type="checkbox" name="unsure"> I wasn't sure
+                </label>
+                <button type="submit" class="review-button"><i class="fas fa-check"></i> Check</button>
+            </div>
+            <div class="review-feedback" id="review-feedback" role="status" aria-live="polite"></div>
+        `;
+    }
+
+    /**
+     * Build the answer input for a question
+     * @param {Object} question - Question
+     * @param {string} input - Renderer input ('options', 'sentence-order', 'sentence-pick')
+     * @returns {string} - HTML
+     */
+    renderInput(question, input) {
+        const sentences = Utils.isValidArray(question.sentences) ? question.sentences : [];
+
+        if (input === 'sentence-order') {
+            return `
+                <ol class="review-sentences">
+                    ${sentences.map(sentence => `<li>${Utils.sanitizeHTML(sentence)}</li>`).join('')}
+                </ol>
+                <label class="review-sequence">
+                    Order of the sentences
+                    <input type="text" name="sequence" inputmode="numeric" autocomplete="off" placeholder="Sentence numbers in order" required>
+                </label>
+            `;
+        }
+
+        const choices = input === 'sentence-pick'
+            ? sentences.map((sentence, i) => ({ value: String(i + 1), label: `${i + 1}. ${sentence}` }))
+            : (question.options || []).map((option, i) => ({ value: String(i), label: option }));
+        return `
+            <div class="review-options">
+                ${choices.map(choice => `
+                    <label class="review-option">
+                        <input type="radio" name="answer" value="${Utils.sanitizeHTML(choice.value)}" required>
+                        <span>${Utils.sanitizeHTML(choice.label)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Read the answer from the card in the form the scorer expects
+     * @param {Object} entry - Session entry
+     * @returns {any} - Answer, or null if none was given
+     */
+    readAnswer(entry) {
+        const form = this.elements.card;
+        const input = QuestionTypes.getRenderer(this.getKind(entry)).input;
+
+        if (input === 'sentence-order') {
+            const sequence = QuestionTypes.normalizeSequence(form.elements.sequence?.value);
+            return sequence || null;
+        }
+        const checked = form.querySelector('input[name="answer"]:checked');
+        if (!checked) return null;
+        return input === 'sentence-pick' ? checked.value : Number(checked.value);
+    }
+
+    /**
+     * Describe an answer for the feedback
+     * @param {Object} entry - Session entry
+     * @param {any} answer - Answer value
+     * @returns {string} - Plain text
+     */
+    getAnswerText(entry, answer) {
+        const { question } = entry;
+        if (Array.isArray(question.options) && question.options.length > 0 && Number.isInteger(answer)) {
+            return `${String.fromCharCode(65 + answer)}. ${question.options[answer] ?? ''}`;
+        }
+        return String(answer);
+    }
+
+    /**
+     * Score the answer, reschedule the item and show the key and explanation
+     */
+    checkAnswer() {
+        if (this.answered) return;
+
+        const entry = this.session[this.position];
+        const answer = this.readAnswer(entry);
+        if (answer === null) return;
+
+        const correct = QuestionTypes.isCorrect(entry.question, answer, entry.item.type);
+        const unsure = Boolean(this.elements.card.elements.unsure?.checked);
+        const item = ReviewQueue.recordAnswer(entry.item.key, ReviewQueue.getQuality(correct, unsure));
+        this.answered = { correct, item };
+
+        this.elements.card.querySelectorAll('input, button[type="submit"]').forEach(control => {
+            control.disabled = true;
+        });
+
+        const explanation = entry.question.explanation ? Utils.parseHTMLSafe(entry.question.explanation) : '';
+        const feedback = this.elements.card.querySelector('#review-feedback');
+        feedback.className = `review-feedback ${correct ? 'correct' : 'incorrect'}`;
+        feedback.innerHTML = `
+            <p class="review-verdict">
+                <i class="fas ${correct ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                ${correct ? 'Correct' : `Not quite. The answer is ${Utils.sanitizeHTML(this.getAnswerText(entry, entry.question.correctAnswer))}`}
+            </p>
+            ${explanation ? `<div class="review-explanation">${explanation}</div>` : ''}
+            <p class="review-next-due">${item ? `You'll see this question again ${this.describeDue(item)}.` : ''}</p>
+            <div class="review-actions">
+                <button type="button" class="review-button secondary" data-action="remove">
+                    <i class="fas fa-trash-alt"></i> Remove from queue
+                </button>
+                <button type="button" class="review-button" data-action="next">
+                    Next <i class="fas fa-arrow-right"></i>
+                </button>
+            </div>
+        `;
+        feedback.querySelector('[data-action="next"]').focus();
+    }
+
+    /**
+     * Handle the buttons on the card
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.action;
+        if (action === 'remove') {
+            ReviewQueue.remove(this.session[this.position].item.key);
+            this.next();
+        } else if (action === 'next') {
+            this.next();
+        } else if (action === 'remove-missing') {
+            this.missing.forEach(item => ReviewQueue.remove(item.key));
+            this.missing = [];
+            this.render();
+        }
+    }
+
+    /**
+     * Move to the next due question
+     */
+    next() {
+        this.position++;
+        this.answered = null;
+        this.render();
+        window.scrollTo(0, 0);
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.reviewDrill = new ReviewDrill();
+});
@@ -0,0 +1,307 @@
+/**
+ * Review Queue
+ * Spaced-repetition schedule for questions answered wrongly or guessed
+ *
+ * This module manages:
+ * - Collecting missed questions from every attempt of the active profile:
+ *   wrong answers, and right answers that were still marked for review when
+ *   the set was submitted (guesses)
+ * - Scheduling each question with the SM-2 algorithm: a failed review brings
+ *   it back tomorrow, each pass pushes it further out (1 day, 6 days, then the
+ *   last interval times the item's ease factor)
+ * - Finding the bank question a queued item refers to, so the drill always
+ *   shows the question as it is now
+ *
+ * Attempts are collected once each (by type, set and timestamp), so syncing is
+ * cheap and a question removed from the queue stays out until it is missed again.
+ *
+ * Item Format (stored by StorageManager, keyed by question key):
+ * - { key: 'rc:17', type: 'rc', id: 17, hash, reason: 'incorrect' | 'guessed',
+ *     addedAt, due: 'YYYY-MM-DD', interval, repetitions, easeFactor, lapses,
+ *     reviews, lastReviewedAt }
+ *
+ * @namespace ReviewQueue
+ */
+
+const ReviewQueue = {
+    // SM-2 parameters
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+    PASSING_QUALITY: 3,
+
+    // SM-2 answer quality (0-5) given to each drill outcome
+    QUALITY: {
+        incorrect: 1,
+        unsure: 3,
+        correct: 4
+    },
+
+    /**
+     * Get the local calendar day of a date
+     * @param {Date} date - Date (defaults to now)
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    toDateKey(date = new Date()) {
+        return Utils.toDateKey(date);
+    },
+
+    /**
+     * Move a calendar day forward
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @param {number} days - Days to add
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    addDays(dateKey, days) {
+        return Utils.toDateKey(Utils.parseDateKey(dateKey, days));
+    },
+
+    /**
+     * Count the days from one calendar day to another
+     * @param {string} from - 'YYYY-MM-DD'
+     * @param {string} to - 'YYYY-MM-DD'
+     * @returns {number} - Whole days, negative if `to` is earlier
+     */
+    daysBetween(from, to) {
+        const toTime = key => {
+            const [year, month, day] = key.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toTime(to) - toTime(from)) / (24 * 60 * 60 * 1000));
+    },
+
+    /**
+     * Split a question key into its bank type and question id
+     * @param {string} key - e.g. 'pack-1x9f3k2:3'
+     * @returns {{type: string, id: string}}
+     */
+    parseKey(key) {
+        const separator = key.lastIndexOf(':');
+        return { type: key.slice(0, separator), id: key.slice(separator + 1) };
+    },
+
+    /**
+     * Create a queue item due today
+     * @param {string} key - Question key
+     * @param {string} reason - 'incorrect' or 'guessed'
+     * @param {string} hash - Content hash of the question that was missed
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {Object} - Item (see Item Format)
+     */
+    createItem(key, reason, hash, today) {
+        const { type, id } = this.parseKey(key);
+        return {
+            key,
+            type,
+            id: Number.isFinite(Number(id)) ? Number(id) : id,
+            hash,
+            reason,
+            addedAt: Date.now(),
+            due: today,
+            interval: 0,
+            repetitions: 0,
+            easeFactor: this.DEFAULT_EASE,
+            lapses: 0,
+            reviews: 0,
+            lastReviewedAt: null
+        };
+    },
+
+    /**
+     * Schedule an item after a review (SM-2)
+     * @param {Object} item - Queue item
+     * @param {number} quality - Answer quality, 0 (blackout) to 5 (perfect)
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {Object} - Rescheduled copy of the item
+     */
+    schedule(item, quality, today) {
+        const next = { ...item, reviews: (item.reviews || 0) + 1, lastReviewedAt: Date.now() };
+
+        if (quality < this.PASSING_QUALITY) {
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses = (item.lapses || 0) + 1;
+        } else {
+            next.repetitions = (item.repetitions || 0) + 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(item.interval * item.easeFactor);
+            }
+        }
+
+        const ease = item.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.easeFactor = Math.max(this.MIN_EASE, Math.round(ease * 100) / 100);
+        next.due = this.addDays(today, next.interval);
+        return next;
+    },
+
+    /**
+     * Turn a drill answer into an SM-2 quality
+     * @param {boolean} correct - Whether the answer was right
+     * @param {boolean} unsure - Whether the user said they weren't sure
+     * @returns {number} - Quality
+     */
+    getQuality(correct, unsure = false) {
+        if (!correct) return this.QUALITY.incorrect;
+        return unsure ? this.QUALITY.unsure : this.QUALITY.correct;
+    },
+
+    /**
+     * Identify an attempt for collection
+     * @param {Object} attempt - Stored attempt
+     * @param {string} type - Type it is stored under
+     * @returns {string} - e.g. 'rc:3:1623459012000'
+     */
+    getAttemptId(attempt, type) {
+        return `${type}:${attempt.setId}:${attempt.timestamp}`;
+    },
+
+    /**
+     * Work out why an attempt question belongs in the queue
+     * @param {Object} attempt - Stored attempt
+     * @param {Object} question - One of attempt.questions
+     * @returns {string|null} - 'incorrect', 'guessed' or null
+     */
+    getMissReason(attempt, question) {
+        const answer = question.userAnswer;
+        if (answer === null || answer === undefined || answer === '') return null;
+        if (!QuestionTypes.isCorrect(question, answer, attempt.questionType)) return 'incorrect';
+        return question.markedForReview ? 'guessed' : null;
+    },
+
+    /**
+     * Add the missed questions of one attempt to a queue
+     * A question missed again goes back to the start of its schedule, due today
+     * @param {Object} queue - { items, attempts }, changed in place
+     * @param {Object} attempt - Stored attempt
+     * @param {string} type - Type it is stored under
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {boolean} - True if the queue changed
+     */
+    collectAttempt(queue, attempt, type, today) {
+        const attemptId = this.getAttemptId(attempt, type);
+        if (queue.attempts.includes(attemptId) || !Array.isArray(attempt.questions)) return false;
+        queue.attempts.push(attemptId);
+
+        attempt.questions.forEach(question => {
+            const reason = this.getMissReason(attempt, question);
+            if (!reason) return;
+
+            const key = QuestionIdentity.getAttemptQuestionKey(attempt, question);
+            const hash = question.hash || QuestionIdentity.hashQuestion(question);
+            const existing = queue.items[key];
+            if (!existing) {
+                queue.items[key] = this.createItem(key, reason, hash, today);
+            } else if (reason === 'incorrect') {
+                queue.items[key] = { ...existing, reason, hash, repetitions: 0, interval: 0, due: today };
+            }
+        });
+        return true;
+    },
+
+    /**
+     * Collect every attempt of the active profile not collected yet
+     * Call StorageManager.ready() first so the whole history is available
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {number} - Attempts collected
+     */
+    sync(today = this.toDateKey()) {
+        const queue = StorageManager.getReviewQueue();
+        const attempts = QuestionTypes.ids()
+            .flatMap(type => StorageManager.getAllSetAttempts(type).map(attempt => ({ type, attempt })))
+            .sort((a, b) => (a.attempt.timestamp || 0) - (b.attempt.timestamp || 0));
+
+        const collected = attempts.filter(({ type, attempt }) => this.collectAttempt(queue, attempt, type, today)).length;
+        if (collected > 0) StorageManager.saveReviewQueue(queue);
+        return collected;
+    },
+
+    /**
+     * Get every queued item, soonest due first
+     * @returns {Array} - Items
+     */
+    getItems() {
+        return Object.values(StorageManager.getReviewQueue().items)
+            .sort((a, b) => a.due.localeCompare(b.due) || a.addedAt - b.addedAt);
+    },
+
+    /**
+     * Get the items due on or before a day
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {Array} - Items, most overdue first
+     */
+    getDueItems(today = this.toDateKey()) {
+        return this.getItems().filter(item => item.due <= today);
+    },
+
+    /**
+     * Summarize the queue for the landing page and the drill
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {{total: number, due: number, nextDue: string|null}} - nextDue is the first day after today with work
+     */
+    getSummary(today = this.toDateKey()) {
+        const items = this.getItems();
+        const upcoming = items.find(item => item.due > today);
+        return {
+            total: items.length,
+            due: items.filter(item => item.due <= today).length,
+            nextDue: upcoming ? upcoming.due : null
+        };
+    },
+
+    /**
+     * Reschedule an item from a drill answer
+     * @param {string} key - Question key
+     * @param {number} quality - SM-2 quality from getQuality()
+     * @param {string} today - 'YYYY-MM-DD'
+     * @returns {Object|null} - Rescheduled item, or null if it isn't queued
+     */
+    recordAnswer(key, quality, today = this.toDateKey()) {
+        const queue = StorageManager.getReviewQueue();
+        if (!queue.items[key]) return null;
+
+        queue.items[key] = this.schedule(queue.items[key], quality, today);
+        StorageManager.saveReviewQueue(queue);
+        return queue.items[key];
+    },
+
+    /**
+     * Take a question out of the queue
+     * @param {string} key - Question key
+     * @returns {boolean} - True if it was queued
+     */
+    remove(key) {
+        const queue = StorageManager.getReviewQueue();
+        if (!queue.items[key]) return false;
+
+        delete queue.items[key];
+        return StorageManager.saveReviewQueue(queue);
+    },
+
+    /**
+     * Find the bank question an item refers to
+     * Follows a question whose id changed by its content, and otherwise serves
+     * the question now under the same id (e.g. after a correction)
+     * @param {Object} item - Queue item
+     * @param {Array} questions - Questions of the item's bank
+     * @returns {Object|null} - Question, or null if it is no longer in the bank
+     */
+    findQuestion(item, questions) {
+        if (!Array.isArray(questions)) return null;
+        return questions.find(question => QuestionIdentity.hashQuestion(question) === item.hash)
+            || questions.find(question => String(question.id) === String(item.id))
+            || null;
+    }
+};
+
+// Make ReviewQueue available globally for browser
+if (typeof window !== 'undefined') {
+    window.ReviewQueue = ReviewQueue;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewQueue;
+}
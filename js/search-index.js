@@ -0,0 +1,298 @@
+/**
+ * Search Index
+ * Client-side full-text search over the question banks
+ *
+ * This module manages:
+ * - Turning bank questions into searchable documents (one per passage, one per question)
+ * - Building an inverted index: term -> document -> field -> count
+ * - Ranking matches with field-weighted TF-IDF
+ * - Cutting snippets around the first match and highlighting query words
+ *
+ * Matching Rules:
+ * - Every query word must appear in a document
+ * - The last word also matches longer words it starts ("bucca" finds "buccaneers"),
+ *   so results keep up while the user is still typing
+ *
+ * @namespace SearchIndex
+ */
+
+const SearchIndex = {
+    // Field weights: a hit in the question stem says more than one in a long passage
+    FIELD_WEIGHTS: {
+        question: 3,
+        options: 1.5,
+        passage: 1,
+        explanation: 1
+    },
+
+    SNIPPET_LENGTH: 180,
+
+    // Words too common to narrow anything down
+    STOP_WORDS: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+        'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'which', 'with'
+    ]),
+
+    /**
+     * Convert stored HTML into plain text
+     * @param {string} html - Passage or question HTML
+     * @returns {string} - Text without tags, with common entities decoded
+     */
+    toPlainText(html) {
+        if (typeof html !== 'string') return '';
+        return html
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Split text into index terms
+     * @param {string} text - Plain text
+     * @returns {string[]} - Lower-case terms without stop words, in order
+     */
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length > 1 && !this.STOP_WORDS.has(term));
+    },
+
+    /**
+     * Turn one question bank into search documents
+     * RC passages are shared by several questions, so each passage is its own document
+     * @param {string} type - Question type id
+     * @param {Array} questions - Bank questions
+     * @param {string} setKey - Question field holding the set ID
+     * @returns {Array} - [{ id, type, setId, questionId, questionNumber, fields }]
+     */
+    createDocuments(type, questions, setKey) {
+        const documents = [];
+        const passageSets = new Set();
+        const setSizes = new Map();
+
+        (questions || []).forEach(question => {
+            const setId = question[setKey];
+            const questionNumber = (setSizes.get(setId) || 0) + 1;
+            setSizes.set(setId, questionNumber);
+
+            if (question.passage && !passageSets.has(setId)) {
+                passageSets.add(setId);
+                documents.push({
+                    id: `${type}:${setId}:passage`,
+                    type,
+                    setId,
+                    questionId: null,
+                    questionNumber: null,
+                    fields: { passage: this.toPlainText(question.passage) }
+                });
+            }
+
+            const choices = [
+                ...(Array.isArray(question.options) ? question.options : []),
+                ...(Array.isArray(question.sentences) ? question.sentences : [])
+            ];
+            documents.push({
+                id: `${type}:${setId}:${question.id}`,
+                type,
+                setId,
+                questionId: question.id,
+                questionNumber,
+                fields: {
+                    question: this.toPlainText(question.question),
+                    options: choices.map(choice => this.toPlainText(choice)).join(' / '),
+                    explanation: this.toPlainText(question.explanation)
+                }
+            });
+        });
+
+        return documents;
+    },
+
+    /**
+     * Build an index over several banks
+     * @param {Array} banks - [{ type, questions, setKey }]
+     * @returns {Object} - { documents, terms: Map<term, Map<docIndex, {field: count}>> }
+     */
+    build(banks) {
+        const documents = [];
+        const terms = new Map();
+
+        (banks || []).forEach(({ type, questions, setKey }) => {
+            documents.push(...this.createDocuments(type, questions, setKey));
+        });
+
+        documents.forEach((doc, docIndex) => {
+            Object.entries(doc.fields).forEach(([field, text]) => {
+                this.tokenize(text).forEach(term => {
+                    if (!terms.has(term)) terms.set(term, new Map());
+                    const postings = terms.get(term);
+                    if (!postings.has(docIndex)) postings.set(docIndex, {});
+                    const counts = postings.get(docIndex);
+                    counts[field] = (counts[field] || 0) + 1;
+                });
+            });
+        });
+
+        return { documents, terms };
+    },
+
+    /**
+     * Find the index terms a query word matches
+     * @param {Object} index - Index from build()
+     * @param {string} word - Query term
+     * @param {boolean} prefix - Also match terms starting with the word
+     * @returns {string[]} - Matching index terms
+     */
+    expandTerm(index, word, prefix) {
+        if (!prefix) {
+            return index.terms.has(word) ? [word] : [];
+        }
+        return Array.from(index.terms.keys()).filter(term => term.startsWith(word));
+    },
+
+    /**
+     * Search the index
+     * @param {Object} index - Index from build()
+     * @param {string} query - User query
+     * @param {Object} options - { limit }
+     * @returns {Array} - [{ document, score, field, snippet, terms }] best first
+     */
+    search(index, query, { limit = 50 } = {}) {
+        const words = Array.from(new Set(this.tokenize(query)));
+        if (!index || words.length === 0) return [];
+
+        const total = index.documents.length;
+        let scores = null;
+        const matchedTerms = [];
+        const fieldScores = new Map();
+
+        words.forEach((word, position) => {
+            const wordScores = new Map();
+            const expanded = this.expandTerm(index, word, position === words.length - 1);
+            matchedTerms.push(...expanded);
+
+            expanded.forEach(term => {
+                const postings = index.terms.get(term);
+                const idf = Math.log(1 + total / postings.size);
+
+                postings.forEach((counts, docIndex) => {
+                    let termScore = 0;
+                    Object.entries(counts).forEach(([field, count]) => {
+                        const fieldScore = (this.FIELD_WEIGHTS[field] || 1) * (1 + Math.log(count)) * idf;
+                        termScore += fieldScore;
+
+                        const perField = fieldScores.get(docIndex) || {};
+                        perField[field] = (perField[field] || 0) + fieldScore;
+                        fieldScores.set(docIndex, perField);
+                    });
+                    wordScores.set(docIndex, (wordScores.get(docIndex) || 0) + termScore);
+                });
+            });
+
+            // Keep only documents that matched every word so far
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const next = new Map();
+                scores.forEach((score, docIndex) => {
+                    if (wordScores.has(docIndex)) next.set(docIndex, score + wordScores.get(docIndex));
+                });
+                scores = next;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+            .slice(0, limit)
+            .map(([docIndex, score]) => {
+                const doc = index.documents[docIndex];
+                const perField = fieldScores.get(docIndex);
+                const field = Object.keys(perField).sort((a, b) => perField[b] - perField[a])[0];
+                return {
+                    document: doc,
+                    score,
+                    field,
+                    snippet: this.getSnippet(doc.fields[field], matchedTerms),
+                    terms: matchedTerms
+                };
+            });
+    },
+
+    /**
+     * Find where query terms occur as words in a text
+     * @param {string} text - Plain text
+     * @param {string[]} terms - Index terms
+     * @returns {Array} - [{ start, end }] sorted and non-overlapping
+     */
+    findMatches(text, terms) {
+        if (!text || !terms || terms.length === 0) return [];
+
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        const termSet = new Set(terms);
+        const matches = [];
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (termSet.has(match[0].toLowerCase())) {
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+        return matches;
+    },
+
+    /**
+     * Cut a snippet around the first match
+     * @param {string} text - Plain text of the best-matching field
+     * @param {string[]} terms - Index terms to look for
+     * @returns {string} - Plain-text snippet with ellipses where text was cut
+     */
+    getSnippet(text, terms) {
+        if (!text) return '';
+        if (text.length <= this.SNIPPET_LENGTH) return text;
+
+        const [first] = this.findMatches(text, terms);
+        let start = first ? Math.max(0, first.start - Math.floor(this.SNIPPET_LENGTH / 4)) : 0;
+        // Start on a word boundary
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            start = space === -1 || space > (first ? first.start : start) ? start : space + 1;
+        }
+        const end = Math.min(text.length, start + this.SNIPPET_LENGTH);
+
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    },
+
+    /**
+     * Escape a snippet and wrap matched words in <mark>
+     * @param {string} snippet - Plain-text snippet
+     * @param {string[]} terms - Index terms to highlight
+     * @returns {string} - Safe HTML
+     */
+    highlight(snippet, terms) {
+        let html = '';
+        let last = 0;
+
+        this.findMatches(snippet, terms).forEach(({ start, end }) => {
+            html += `${Utils.sanitizeHTML(snippet.slice(last, start))}<mark>${Utils.sanitizeHTML(snippet.slice(start, end))}</mark>`;
+            last = end;
+        });
+
+        return html + Utils.sanitizeHTML(snippet.slice(last));
+    }
+};
+
+// Make SearchIndex available globally for browser
+if (typeof window !== 'undefined') {
+    window.SearchIndex = SearchIndex;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
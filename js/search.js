@@ -0,0 +1,171 @@
+/**
+ * Search Page
+ * Full-text search across every question bank
+ *
+ * Features:
+ * - Indexes passages, question stems, options and explanations of all banks
+ * - Ranked results with highlighted snippets, updated as the user types
+ * - Deep links that open the matching set in the quiz (at the matching question)
+ *   or, for attempted sets, its latest result
+ * - The query is kept in the URL (?q=) so a search can be bookmarked or shared
+ *
+ * Data Flow:
+ * 1. Loads the data file of every registered bank
+ * 2. Builds the SearchIndex once
+ * 3. Searches on each input and renders result cards
+ *
+ * @class SearchPage
+ */
+
+class SearchPage {
+    constructor() {
+        this.index = null;
+        this.query = '';
+        this.init();
+    }
+
+    async init() {
+        const urlParams = new URLSearchParams(window.location.search);
+        this.query = (urlParams.get('q') || '').trim();
+
+        this.elements = {
+            input: document.getElementById('search-input'),
+            summary: document.getElementById('search-summary'),
+            results: document.getElementById('search-results')
+        };
+        if (!this.elements.input || !this.elements.results) {
+            console.error('Search page elements not found');
+            return;
+        }
+
+        this.elements.input.value = this.query;
+        this.elements.input.addEventListener('input', (e) => {
+            this.query = e.target.value.trim();
+            this.updateURL();
+            this.renderResults();
+        });
+
+        this.elements.summary.textContent = 'Building search index…';
+        const [banks] = await Promise.all([this.loadBanks(), StorageManager.ready()]);
+        this.index = SearchIndex.build(banks);
+        this.renderResults();
+        this.elements.input.focus();
+    }
+
+    /**
+     * Load every question bank registered in QuestionTypes, question packs included
+     * @returns {Promise<Array>} - [{ type, questions, setKey }]
+     */
+    async loadBanks() {
+        const types = QuestionTypes.list(type => !type.composite);
+        return Promise.all(types.map(async type => {
+            const data = await QuestionPacks.loadBank(type.id, '../data/');
+            return { type: type.id, questions: data?.questions || [], setKey: type.setKey };
+        }));
+    }
+
+    /**
+     * Keep the query in the address bar without adding history entries
+     */
+    updateURL() {
+        const url = this.query ? `?q=${encodeURIComponent(this.query)}` : window.location.pathname;
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Build the quiz link that opens a result's set
+     * @param {Object} doc - Search document
+     * @returns {string} - quiz.html URL
+     */
+    getQuizLink(doc) {
+        const params = new URLSearchParams({ type: doc.type, setId: doc.setId });
+        if (doc.questionId !== null) params.set('question', doc.questionId);
+        return `quiz.html?${params}`;
+    }
+
+    /**
+     * Build the results link for a result's set, if it has been attempted
+     * @param {Object} doc - Search document
+     * @returns {string|null} - results.html URL or null
+     */
+    getResultsLink(doc) {
+        const attempts = StorageManager.getSetAttempts(doc.type, doc.setId) || [];
+        if (attempts.length === 0) return null;
+
+        const params = new URLSearchParams({ type: doc.type, setId: doc.setId });
+        const anchor = doc.questionId !== null ? `#review-question-${doc.questionId}` : '';
+        return `results.html?${params}${anchor}`;
+    }
+
+    /**
+     * Render the ranked results for the current query
+     */
+    renderResults() {
+        const { summary, results } = this.elements;
+        if (!this.index) return;
+
+        if (!this.query) {
+            summary.textContent = `Search ${this.index.documents.length} passages and questions`;
+            results.innerHTML = '';
+            return;
+        }
+
+        const matches = SearchIndex.search(this.index, this.query);
+        if (matches.length === 0) {
+            summary.textContent = '';
+            results.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h2>No Matches</h2>
+                    <p>Try fewer or different words</p>
+                </div>
+            `;
+            return;
+        }
+
+        summary.textContent = matches.length === 1 ? '1 match' : `${matches.length} best matches`;
+        results.innerHTML = matches.map(match => this.renderResult(match)).join('');
+    }
+
+    /**
+     * Render one result card
+     * @param {Object} match - Result from SearchIndex.search()
+     * @returns {string} - Card HTML
+     */
+    renderResult(match) {
+        const doc = match.document;
+        const fieldLabels = {
+            passage: 'Passage',
+            question: 'Question',
+            options: 'Options',
+            explanation: 'Explanation'
+        };
+        const where = doc.questionId === null ? 'Passage' : `Q${doc.questionNumber}`;
+        const resultsLink = this.getResultsLink(doc);
+
+        return `
+            <article class="search-result">
+                <div class="search-result-header">
+                    <span class="search-result-title">${Utils.sanitizeHTML(QuestionTypes.getSetLabel(doc.type))} ${Utils.sanitizeHTML(String(doc.setId))} · ${where}</span>
+                    <span class="search-result-field">${fieldLabels[match.field] || ''}</span>
+                </div>
+                <p class="search-snippet">${SearchIndex.highlight(match.snippet, match.terms)}</p>
+                <div class="search-result-actions">
+                    <a class="search-link" href="${this.getQuizLink(doc)}">
+                        <i class="fas fa-play"></i> Open in quiz
+                    </a>
+                    ${resultsLink ? `
+                        <a class="search-link secondary" href="${resultsLink}">
+                            <i class="fas fa-chart-bar"></i> Latest result
+                        </a>
+                    ` : ''}
+                </div>
+            </article>
+        `;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.searchPage = new SearchPage();
+});
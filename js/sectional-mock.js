@@ -0,0 +1,219 @@
+/**
+ * Sectional Mock Builder
+ * Builds a CAT-style 24-question VARC section from the question banks
+ *
+ * This module manages:
+ * - Picking 4 RC passages, preferring passages not attempted yet
+ * - Filling the rest of the section with verbal-ability items
+ * - Resolving a saved mock definition back into question objects
+ * - Finding an unfinished mock the landing page can resume
+ *
+ * Mock Definition:
+ * - { id, createdAt, rcPassageIds: number[], questionRefs: [{ type, id }] }
+ * - Only references are stored so the mock stays small in localStorage
+ *
+ * @namespace SectionalMock
+ */
+
+const SectionalMock = {
+    TOTAL_QUESTIONS: 24,
+    RC_PASSAGES: 4,
+    DURATION_MINUTES: 40,
+
+    /**
+     * Get the data file of every bank the mock draws from
+     * @returns {Object} - { [type]: file name relative to the data directory }
+     */
+    getBankFiles() {
+        const files = { rc: QuestionTypes.get('rc').dataFile };
+        this.getVATypes().forEach(type => {
+            files[type] = QuestionTypes.get(type).dataFile;
+        });
+        return files;
+    },
+
+    /**
+     * Get the verbal-ability banks used to fill the section after the RC passages
+     * @returns {string[]} - Type ids
+     */
+    getVATypes() {
+        return QuestionTypes.list(type => type.mockItems).map(type => type.id);
+    },
+
+    /**
+     * Fetch every question bank used by the mock, with question corrections and inferred tags applied
+     * @param {string} dataPath - Path to the data directory (e.g. '../data/')
+     * @returns {Promise<Object>} - { [type]: question[] }
+     */
+    async loadBanks(dataPath) {
+        const banks = {};
+        await Promise.all(Object.entries(this.getBankFiles()).map(async ([type, file]) => {
+            try {
+                const response = await fetch(`${dataPath}${file}`);
+                if (response.ok) {
+                    let data = await response.json();
+                    if (typeof QuestionErrata !== 'undefined') data = QuestionErrata.applyToBank(type, data);
+                    if (typeof QuestionTags !== 'undefined') data = QuestionTags.applyToBank(type, data);
+                    banks[type] = data.questions || [];
+                } else {
+                    console.error(`Unable to load "${file}" for sectional mock (status: ${response.status})`);
+                    banks[type] = [];
+                }
+            } catch (e) {
+                console.error(`Error loading "${file}" for sectional mock:`, e);
+                banks[type] = [];
+            }
+        }));
+        return banks;
+    },
+
+    /**
+     * Shuffle a copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @param {Function} random - Random number source returning [0, 1)
+     * @returns {Array} - Shuffled copy
+     */
+    shuffle(items, random = Math.random) {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    },
+
+    /**
+     * Group RC questions by passageId, keeping file order within a passage
+     * @param {Array} questions - RC questions
+     * @returns {Array} - [{ passageId, questions }]
+     */
+    groupPassages(questions) {
+        const passages = new Map();
+        (questions || []).forEach(question => {
+            if (question.passageId === undefined || question.passageId === null) return;
+            if (!passages.has(question.passageId)) {
+                passages.set(question.passageId, { passageId: question.passageId, questions: [] });
+            }
+            passages.get(question.passageId).questions.push(question);
+        });
+        return Array.from(passages.values());
+    },
+
+    /**
+     * Build a new mock definition from the question banks
+     * Unattempted passages come first; among those, 4-question passages match the CAT pattern best.
+     * @param {Object} banks - { [type]: question[] }
+     * @param {Object} options
+     * @param {Array} options.attemptedPassageIds - RC passages already attempted
+     * @param {Array} options.seenQuestionRefs - VA refs ("type:id") already used in earlier mocks
+     * @param {Function} options.random - Random number source (injectable for tests)
+     * @returns {Object} - Mock definition without an id
+     */
+    buildSection(banks, { attemptedPassageIds = [], seenQuestionRefs = [], random = Math.random } = {}) {
+        const attempted = new Set(attemptedPassageIds.map(id => String(id)));
+        const seen = new Set(seenQuestionRefs);
+
+        const passages = this.shuffle(this.groupPassages(banks?.rc), random)
+            .map((passage, order) => ({ ...passage, order, attempted: attempted.has(String(passage.passageId)) }))
+            .sort((a, b) => {
+                if (a.attempted !== b.attempted) return a.attempted ? 1 : -1;
+                if (a.questions.length !== b.questions.length) return b.questions.length - a.questions.length;
+                return a.order - b.order;
+            });
+
+        const chosenPassages = passages.slice(0, this.RC_PASSAGES);
+        const rcRefs = chosenPassages.flatMap(passage =>
+            passage.questions.map(question => ({ type: 'rc', id: question.id }))
+        );
+
+        // Unseen VA items first, each bank shuffled independently
+        const vaPools = this.getVATypes().map(type => {
+            const items = this.shuffle(banks?.[type] || [], random).map(question => ({ type, id: question.id }));
+            return [
+                ...items.filter(ref => !seen.has(`${ref.type}:${ref.id}`)),
+                ...items.filter(ref => seen.has(`${ref.type}:${ref.id}`))
+            ];
+        });
+
+        // Round-robin across banks so the section gets a balanced VA mix
+        const vaRefs = [];
+        const vaNeeded = Math.max(0, this.TOTAL_QUESTIONS - rcRefs.length);
+        while (vaRefs.length < vaNeeded && vaPools.some(pool => pool.length > 0)) {
+            vaPools.forEach(pool => {
+                if (vaRefs.length < vaNeeded && pool.length > 0) {
+                    vaRefs.push(pool.shift());
+                }
+            });
+        }
+
+        return {
+            createdAt: Date.now(),
+            rcPassageIds: chosenPassages.map(passage => passage.passageId),
+            questionRefs: [...rcRefs, ...vaRefs]
+        };
+    },
+
+    /**
+     * Resolve a mock definition into question objects tagged with their source type
+     * @param {Object} mock - Mock definition
+     * @param {Object} banks - { [type]: question[] }
+     * @returns {Array} - Questions in section order
+     */
+    resolveQuestions(mock, banks) {
+        if (!mock || !Array.isArray(mock.questionRefs)) return [];
+
+        return mock.questionRefs
+            .map(ref => {
+                const question = (banks?.[ref.type] || []).find(q => q.id === ref.id);
+                return question ? { ...question, questionType: ref.type } : null;
+            })
+            .filter(Boolean);
+    },
+
+    /**
+     * Collect RC passages and VA items already used in attempts
+     * @param {Object} storage - StorageManager
+     * @returns {{attemptedPassageIds: Array, seenQuestionRefs: string[]}}
+     */
+    getAttemptHistory(storage) {
+        const attemptedPassageIds = new Set(
+            storage.getAllSetAttempts('rc').map(attempt => attempt.setId)
+        );
+        const seenQuestionRefs = new Set();
+
+        storage.getAllSetAttempts('sectional-mock').forEach(attempt => {
+            (attempt.questions || []).forEach(question => {
+                if (question.questionType === 'rc') {
+                    if (question.passageId !== undefined) attemptedPassageIds.add(question.passageId);
+                } else if (question.questionType) {
+                    seenQuestionRefs.add(`${question.questionType}:${question.id}`);
+                }
+            });
+        });
+
+        return {
+            attemptedPassageIds: Array.from(attemptedPassageIds),
+            seenQuestionRefs: Array.from(seenQuestionRefs)
+        };
+    },
+
+    /**
+     * Get the most recently paused mock whose definition is still stored
+     * @param {Object} storage - StorageManager
+     * @returns {Object|null} - Draft summary from getAttemptDrafts(), or null
+     */
+    getUnfinishedMock(storage) {
+        return storage.getAttemptDrafts()
+            .find(draft => draft.questionType === 'sectional-mock' && storage.getSectionalMock(draft.setId)) || null;
+    }
+};
+
+// Make SectionalMock available globally for browser
+if (typeof window !== 'undefined') {
+    window.SectionalMock = SectionalMock;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SectionalMock;
+}
@@ -0,0 +1,472 @@
+/**
+ * Set Browser
+ * Lists the practice sets of one question type on its selection page
+ *
+ * Features:
+ * - Groups a question bank into sets using the type's setKey
+ * - Shows attempt history, best score and paused attempts for each set
+ * - Sorts by set number, best score, last attempt or length
+ * - Filters to new sets, attempted sets or sets below a target score
+ * - Live search over passage, question, option and sentence text
+ * - Remembers sort, filter and target per question type
+ *
+ * Data Flow:
+ * 1. Looks the type up in QuestionTypes and loads its data file
+ * 2. Groups questions into sets and builds their search text
+ * 3. Combines each set with its attempts and draft from StorageManager
+ * 4. Filters, searches and sorts, then renders the cards
+ * 5. On selection, saves the set ID and question type, navigates to quiz
+ *
+ * @class SetBrowser
+ */
+
+class SetBrowser {
+    static SORT_OPTIONS = [
+        { value: 'id', label: 'Set number' },
+        { value: 'best', label: 'Best score' },
+        { value: 'recent', label: 'Last attempted' },
+        { value: 'length', label: 'Fewest questions' }
+    ];
+
+    static FILTER_OPTIONS = [
+        { value: 'all', label: 'All sets' },
+        { value: 'new', label: 'New' },
+        { value: 'attempted', label: 'Attempted' },
+        { value: 'below-target', label: 'Below target' }
+    ];
+
+    /**
+     * @param {string} type - Question type id registered in QuestionTypes
+     * @param {Object} options - { gridId, toolbarId, controlPrefix }; controlPrefix
+     *   keeps toolbar control ids unique when a page has more than one browser
+     */
+    constructor(type, { gridId = 'sets-grid', toolbarId = 'set-browser-toolbar', controlPrefix = 'set' } = {}) {
+        this.type = type;
+        this.definition = QuestionTypes.get(type);
+        this.gridId = gridId;
+        this.toolbarId = toolbarId;
+        this.controlPrefix = controlPrefix;
+        this.sets = [];
+        this.searchQuery = '';
+        this.preferences = StorageManager.getSetBrowserPreferences(type);
+        this.init();
+    }
+
+    async init() {
+        StorageManager.pruneAttemptDrafts();
+        await Promise.all([this.loadSets(), StorageManager.ready()]);
+        this.renderToolbar();
+        this.renderSets();
+    }
+
+    /**
+     * Load questions and organize them into sets
+     */
+    async loadSets() {
+        if (!this.definition || this.definition.composite) {
+            console.error('Unknown question type for set browser:', this.type);
+            this.sets = [];
+            return;
+        }
+
+        const data = await QuestionPacks.loadBank(this.type, '../data/');
+        this.sets = data ? SetBrowser.organizeIntoSets(data.questions || [], this.definition.setKey) : [];
+    }
+
+    /**
+     * Add a set browser for every question pack of a type below the built-in sets
+     * @param {string} baseType - Type of the selection page
+     * @param {string} containerId - Element the pack collections go in
+     * @returns {SetBrowser[]} - One browser per pack
+     */
+    static renderPackCollections(baseType, containerId = 'pack-collections') {
+        const container = document.getElementById(containerId);
+        const packs = QuestionPacks.list(baseType);
+        if (!container || packs.length === 0) return [];
+
+        container.innerHTML = packs.map(pack => `
+            <section class="pack-collection" id="${pack.id}">
+                <h2 class="pack-collection-title">
+                    <i class="fas fa-box-open"></i> ${Utils.sanitizeHTML(pack.label)}
+                    <span class="pack-collection-badge">Your pack</span>
+                </h2>
+                <div class="set-browser-toolbar" id="${pack.id}-toolbar"></div>
+                <div class="rc-sets-grid" id="${pack.id}-grid"></div>
+            </section>
+        `).join('');
+        // The landing page links to a pack as selection-page#pack-id
+        document.getElementById(window.location.hash.slice(1))?.scrollIntoView();
+
+        return packs.map(pack => new SetBrowser(pack.id, {
+            gridId: `${pack.id}-grid`,
+            toolbarId: `${pack.id}-toolbar`,
+            controlPrefix: pack.id
+        }));
+    }
+
+    /**
+     * Organize questions into sets
+     * @param {Array} questions - Question bank
+     * @param {string} setKey - Question field holding the set ID ('passageId' or 'setId')
+     * @returns {Array} - [{ id, questions, passage, searchText }] in bank order
+     */
+    static organizeIntoSets(questions, setKey) {
+        const setsMap = new Map();
+
+        questions.forEach(question => {
+            const setId = question[setKey];
+            if (!setsMap.has(setId)) {
+                setsMap.set(setId, {
+                    id: setId,
+                    questions: [],
+                    passage: question.passage || null
+                });
+            }
+            const set = setsMap.get(setId);
+            set.questions.push(question);
+            if (!set.passage && question.passage) {
+                set.passage = question.passage;
+            }
+        });
+
+        return Array.from(setsMap.values()).map(set => ({
+            ...set,
+            searchText: SetBrowser.getSearchText(set)
+        }));
+    }
+
+    /**
+     * Build the lower-case plain text a set is searched by
+     * @param {Object} set - Set with passage and questions
+     * @returns {string} - Passage, question, option and sentence text without markup
+     */
+    static getSearchText(set) {
+        const parts = [set.passage];
+        set.questions.forEach(question => {
+            parts.push(question.question);
+            if (Array.isArray(question.options)) parts.push(...question.options);
+            if (Array.isArray(question.sentences)) parts.push(...question.sentences);
+        });
+
+        return parts
+            .filter(part => typeof part === 'string')
+            .join(' ')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Check whether a set matches a search query
+     * Every word of the query must appear somewhere in the set
+     * @param {Object} set - Set from organizeIntoSets()
+     * @param {string} query - Search text
+     * @returns {boolean} - True if it matches (an empty query matches everything)
+     */
+    static matchesSearch(set, query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return terms.every(term => set.searchText.includes(term));
+    }
+
+    /**
+     * Combine a set with its attempt history and paused attempt
+     * @param {Object} set - Set from organizeIntoSets()
+     * @param {Array} attempts - Completed attempts of the set
+     * @param {Object|null} draft - Draft summary from StorageManager.getAttemptDraft()
+     * @returns {Object} - Set plus { attemptCount, bestScore, bestPercent, lastAttemptedAt, draft }
+     */
+    static summarizeSet(set, attempts, draft = null) {
+        const list = Array.isArray(attempts) ? attempts : [];
+        const bestScore = SetBrowser.getBestScore(list);
+        const timestamps = list.map(attempt => attempt.timestamp).filter(Number.isFinite);
+
+        return {
+            ...set,
+            attemptCount: list.length,
+            bestScore,
+            bestPercent: bestScore && bestScore.total > 0
+                ? Math.round((bestScore.score / bestScore.total) * 100)
+                : null,
+            lastAttemptedAt: timestamps.length > 0 ? Math.max(...timestamps) : null,
+            draft
+        };
+    }
+
+    /**
+     * Keep the sets matching a filter
+     * @param {Array} entries - Sets from summarizeSet()
+     * @param {string} filter - 'all', 'new', 'attempted' or 'below-target'
+     * @param {number} targetPercent - Target score for 'below-target'
+     * @returns {Array} - Matching sets
+     */
+    static filterSets(entries, filter, targetPercent) {
+        switch (filter) {
+            case 'new':
+                return entries.filter(entry => entry.attemptCount === 0 && !entry.draft);
+            case 'attempted':
+                return entries.filter(entry => entry.attemptCount > 0);
+            case 'below-target':
+                return entries.filter(entry => entry.bestPercent !== null && entry.bestPercent < targetPercent);
+            default:
+                return entries;
+        }
+    }
+
+    /**
+     * Sort sets without changing the input array
+     * Sets with no score or attempt go last; ties fall back to set number
+     * @param {Array} entries - Sets from summarizeSet()
+     * @param {string} sort - 'id', 'best', 'recent' or 'length'
+     * @returns {Array} - Sorted copy
+     */
+    static sortSets(entries, sort) {
+        const byId = (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+        const descending = field => (a, b) => {
+            if (a[field] === b[field]) return byId(a, b);
+            if (a[field] === null) return 1;
+            if (b[field] === null) return -1;
+            return b[field] - a[field];
+        };
+
+        const comparators = {
+            id: byId,
+            best: descending('bestPercent'),
+            recent: descending('lastAttemptedAt'),
+            length: (a, b) => (a.questions.length - b.questions.length) || byId(a, b)
+        };
+
+        return [...entries].sort(comparators[sort] || byId);
+    }
+
+    /**
+     * Get best score from attempts
+     * Handles empty arrays and validates data structure
+     * @param {Array} attempts - Array of attempt objects
+     * @returns {Object|null} - Best score object or null
+     */
+    static getBestScore(attempts) {
+        // Validate attempts is a valid array with elements
+        if (!Utils.isValidArray(attempts)) {
+            return null;
+        }
+
+        // Find best attempt with validation
+        const bestAttempt = attempts.reduce((best, current) => {
+            // Validate both attempts have score property
+            const bestScore = typeof best.score === 'number' ? best.score : -Infinity;
+            const currentScore = typeof current.score === 'number' ? current.score : -Infinity;
+            return currentScore > bestScore ? current : best;
+        }, attempts[0]);
+
+        // Validate bestAttempt has required properties
+        if (!bestAttempt || typeof bestAttempt.score !== 'number') {
+            return null;
+        }
+
+        return {
+            score: bestAttempt.score,
+            total: bestAttempt.totalMarks || 0
+        };
+    }
+
+    /**
+     * Get the sets to show with the current search, filter and sort applied
+     * @returns {Array} - Sets from summarizeSet()
+     */
+    getVisibleSets() {
+        const entries = this.sets
+            .filter(set => SetBrowser.matchesSearch(set, this.searchQuery))
+            .map(set => SetBrowser.summarizeSet(
+                set,
+                StorageManager.getSetAttempts(this.type, set.id) || [],
+                StorageManager.getAttemptDraft(this.type, set.id)
+            ));
+
+        const { sort, filter, targetPercent } = this.preferences;
+        return SetBrowser.sortSets(SetBrowser.filterSets(entries, filter, targetPercent), sort);
+    }
+
+    /**
+     * Save changed listing preferences and redraw the grid
+     * @param {Object} prefs - Any of { sort, filter, targetPercent }
+     */
+    updatePreferences(prefs) {
+        StorageManager.saveSetBrowserPreferences(this.type, prefs);
+        this.preferences = StorageManager.getSetBrowserPreferences(this.type);
+        this.renderSets();
+    }
+
+    /**
+     * Render the search, sort and filter controls
+     */
+    renderToolbar() {
+        const toolbar = document.getElementById(this.toolbarId);
+        if (!toolbar) return;
+
+        if (!Utils.isValidArray(this.sets)) {
+            toolbar.style.display = 'none';
+            return;
+        }
+
+        const { sort, filter, targetPercent } = this.preferences;
+        const options = (list, selected) => list.map(option => (
+            `<option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>`
+        )).join('');
+        const searchHint = this.definition.renderer.passage ? 'Search passages and questions' : 'Search questions';
+
+        toolbar.innerHTML = `
+            <label class="set-search">
+                <i class="fas fa-search"></i>
+                <input type="search" id="${this.controlPrefix}-search" placeholder="${searchHint}" aria-label="${searchHint}">
+            </label>
+            <label class="set-control">Sort
+                <select id="${this.controlPrefix}-sort">${options(SetBrowser.SORT_OPTIONS, sort)}</select>
+            </label>
+            <label class="set-control">Show
+                <select id="${this.controlPrefix}-filter">${options(SetBrowser.FILTER_OPTIONS, filter)}</select>
+            </label>
+            <label class="set-control">Target
+                <input type="number" id="${this.controlPrefix}-target" min="0" max="100" step="5" value="${targetPercent}">%
+            </label>
+            <span class="set-count" id="${this.controlPrefix}-count" aria-live="polite"></span>
+        `;
+
+        document.getElementById(`${this.controlPrefix}-search`).addEventListener('input', (e) => {
+            this.searchQuery = e.target.value;
+            this.renderSets();
+        });
+        document.getElementById(`${this.controlPrefix}-sort`).addEventListener('change', (e) => {
+            this.updatePreferences({ sort: e.target.value });
+        });
+        document.getElementById(`${this.controlPrefix}-filter`).addEventListener('change', (e) => {
+            this.updatePreferences({ filter: e.target.value });
+        });
+        document.getElementById(`${this.controlPrefix}-target`).addEventListener('change', (e) => {
+            const value = Utils.safeParseInt(e.target.value, this.preferences.targetPercent);
+            this.updatePreferences({ targetPercent: Math.min(100, Math.max(0, value)) });
+        });
+    }
+
+    /**
+     * Render sets grid
+     * Displays the visible sets with safety checks
+     */
+    renderSets() {
+        const grid = document.getElementById(this.gridId);
+
+        if (!grid) {
+            console.error('Sets grid container not found');
+            return;
+        }
+
+        if (!Utils.isValidArray(this.sets)) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-book-open"></i>
+                    <h2>No ${Utils.sanitizeHTML(QuestionTypes.getSetLabel(this.type))}s Available</h2>
+                    <p>Please add questions to get started</p>
+                </div>
+            `;
+            return;
+        }
+
+        const visible = this.getVisibleSets();
+        const count = document.getElementById(`${this.controlPrefix}-count`);
+        if (count) {
+            count.textContent = `${visible.length} of ${this.sets.length} sets`;
+        }
+
+        if (visible.length === 0) {
+            grid.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h2>No Matching Sets</h2>
+                    <p>Try a different search or show all sets</p>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = visible.map(entry => this.renderCard(entry)).join('');
+    }
+
+    /**
+     * Render one set card
+     * @param {Object} entry - Set from summarizeSet()
+     * @returns {string} - Card HTML
+     */
+    renderCard(entry) {
+        const { attemptCount, bestScore, draft, lastAttemptedAt } = entry;
+        const hasAttempts = attemptCount > 0;
+        const total = entry.questions.length;
+        const progress = draft ? Math.round((draft.answered / total) * 100) : 0;
+
+        return `
+            <div class="rc-set-card" data-set-id="${entry.id}">
+                ${hasAttempts ? `<span class="attempt-indicator ${attemptCount > 1 ? 'multiple' : ''}">${attemptCount}</span>` : ''}
+                <div class="rc-set-header">
+                    <div class="rc-set-number">${Utils.sanitizeHTML(this.definition.shortLabel)} Set ${entry.id}</div>
+                    <div class="rc-set-badge ${draft ? 'status-in-progress' : hasAttempts ? 'status-completed' : 'status-new'}">
+                        ${draft ? 'In Progress' : hasAttempts ? 'Completed' : 'New'}
+                    </div>
+                </div>
+                <div class="rc-set-info">
+                    <p><i class="fas fa-question-circle"></i> ${total} Questions</p>
+                    ${this.definition.renderer.passage ? '<p><i class="fas fa-book"></i> 1 Passage</p>' : ''}
+                    ${hasAttempts ? `<p><i class="fas fa-redo"></i> ${attemptCount} Attempt${attemptCount > 1 ? 's' : ''}</p>` : ''}
+                    ${lastAttemptedAt ? `<p><i class="fas fa-clock"></i> Last attempted ${new Date(lastAttemptedAt).toLocaleDateString()}</p>` : ''}
+                </div>
+                ${hasAttempts && bestScore !== null ? `
+                    <div class="best-score">
+                        <i class="fas fa-trophy"></i> Best Score: ${bestScore.score}/${bestScore.total}
+                    </div>
+                ` : ''}
+                ${draft ? `
+                    <div class="draft-progress" title="${draft.answered} of ${total} answered">
+                        <div class="draft-progress-fill" style="width: ${progress}%"></div>
+                    </div>
+                    <p class="draft-progress-label">${draft.answered}/${total} answered, paused at Q${draft.currentQuestion + 1}</p>
+                    <button class="rc-set-action resume" onclick="selectSet('${this.type}', ${entry.id})">
+                        <i class="fas fa-play-circle"></i> Resume
+                    </button>
+                    <button class="rc-set-restart" onclick="restartSet('${this.type}', ${entry.id})">
+                        <i class="fas fa-undo"></i> Start over
+                    </button>
+                ` : `
+                    <button class="rc-set-action ${hasAttempts ? 'reattempt' : ''}" onclick="selectSet('${this.type}', ${entry.id})">
+                        <i class="fas fa-play"></i> ${hasAttempts ? 'Reattempt' : 'Start'}
+                    </button>
+                `}
+            </div>
+        `;
+    }
+}
+
+/**
+ * Navigate to set quiz
+ */
+function selectSet(type, setId) {
+    // Store selected set and question type (which also scopes its in-progress state)
+    StorageManager.saveSelectedSet(type, setId);
+    // Navigate to quiz page
+    window.location.href = 'quiz.html';
+}
+
+/**
+ * Discard the paused attempt for a set and start it afresh
+ */
+function restartSet(type, setId) {
+    StorageManager.discardAttemptDraft(type, setId);
+    selectSet(type, setId);
+}
+
+// Make SetBrowser available globally for browser
+if (typeof window !== 'undefined') {
+    window.SetBrowser = SetBrowser;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SetBrowser;
+}
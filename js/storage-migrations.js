@@ -0,0 +1,441 @@
+/**
+ * Storage Migrations
+ * Upgrades data saved by older builds to the current localStorage schema
+ *
+ * This module manages:
+ * - The schema version stored under varc_schema_version
+ * - An ordered list of migration steps, each applied once
+ * - A backup of every varc_ key, taken before the first pending step runs
+ *
+ * Steps read and write raw localStorage keys instead of StorageManager.KEYS, so
+ * they keep upgrading old data correctly after the current keys change again.
+ * If a step throws (a write that does not fit in the quota counts), storage is
+ * restored from the backup and left at the old version.
+ *
+ * The backup is also kept under varc_schema_backup, so it outlives the page,
+ * until StorageManager has read the migrated data back (releaseBackup()).
+ * Storage that is too full for a second copy of itself is migrated with the
+ * in-memory backup only, rather than not at all.
+ *
+ * Backup Format:
+ * - { fromVersion, toVersion, createdAt, data: { [key]: rawString } }
+ *
+ * @namespace StorageMigrations
+ */
+
+const StorageMigrations = {
+    VERSION_KEY: 'varc_schema_version',
+    // Where the backup is kept until the migrated data has been read back
+    BACKUP_KEY: 'varc_schema_backup',
+
+    // Backup taken by the last run() of this page, null if it had nothing to migrate
+    lastBackup: null,
+    KEY_PREFIX: 'varc_',
+
+    // Per-type keys used before attempts and selections were merged
+    LEGACY_ATTEMPT_KEYS: {
+        'rc': 'varc_rc_set_attempts',
+        'para-completion': 'varc_pc_set_attempts',
+        'para-summary': 'varc_ps_set_attempts',
+        'para-jumble': 'varc_pj_set_attempts',
+        'odd-one-out': 'varc_ooo_set_attempts',
+        'sectional-mock': 'varc_mock_set_attempts'
+    },
+    LEGACY_SELECTED_KEYS: {
+        'rc': 'varc_selected_rc_set',
+        'para-completion': 'varc_selected_pc_set',
+        'para-summary': 'varc_selected_ps_set',
+        'para-jumble': 'varc_selected_pj_set',
+        'odd-one-out': 'varc_selected_ooo_set',
+        'sectional-mock': 'varc_selected_mock'
+    },
+
+    // In-progress keys that were global before each set got its own draft
+    LEGACY_ATTEMPT_STATE_KEYS: [
+        'varc_user_answers',
+        'varc_question_status',
+        'varc_timer_state',
+        'varc_timer_mode',
+        'varc_test_completed',
+        'varc_current_question',
+        'varc_question_time_tracking',
+        'varc_current_attempt_start',
+        'varc_passage_annotations',
+        'varc_eliminated_options'
+    ],
+
+    /**
+     * Ordered migration steps; each upgrades storage from version - 1 to version
+     */
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Fill in questionType and setId on attempts saved by older builds',
+            migrate(storage) {
+                Object.entries(StorageMigrations.LEGACY_ATTEMPT_KEYS).forEach(([type, key]) => {
+                    const allAttempts = StorageMigrations.readJSON(storage, key, null);
+                    if (!allAttempts || typeof allAttempts !== 'object') return;
+
+                    Object.entries(allAttempts).forEach(([setId, attempts]) => {
+                        if (!Array.isArray(attempts)) return;
+                        allAttempts[setId] = attempts.map(attempt => StorageMigrations.upgradeAttempt(attempt, type, setId));
+                    });
+                    StorageMigrations.requireWrite(storage, key, allAttempts);
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'Merge the per-type attempt keys into varc_set_attempts',
+            migrate(storage) {
+                const merged = StorageMigrations.readJSON(storage, 'varc_set_attempts', {});
+
+                Object.entries(StorageMigrations.LEGACY_ATTEMPT_KEYS).forEach(([type, key]) => {
+                    const allAttempts = StorageMigrations.readJSON(storage, key, null);
+                    storage.removeItem(key);
+                    if (!allAttempts || typeof allAttempts !== 'object') return;
+
+                    merged[type] = merged[type] || {};
+                    Object.entries(allAttempts).forEach(([setId, attempts]) => {
+                        if (!Array.isArray(attempts)) return;
+                        const existing = merged[type][setId] || [];
+                        // Attempts without a timestamp can't be matched, so all of them are kept
+                        const seen = new Set(existing.map(attempt => attempt?.timestamp).filter(Number.isFinite));
+                        merged[type][setId] = existing
+                            .concat(attempts.filter(attempt => !seen.has(attempt?.timestamp)))
+                            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+                    });
+                });
+
+                if (Object.keys(merged).length > 0) {
+                    StorageMigrations.requireWrite(storage, 'varc_set_attempts', merged);
+                }
+            }
+        },
+        {
+            version: 3,
+            description: 'Merge the per-type selected-set keys into varc_selected_sets',
+            migrate(storage) {
+                const selected = StorageMigrations.readJSON(storage, 'varc_selected_sets', {});
+
+                Object.entries(StorageMigrations.LEGACY_SELECTED_KEYS).forEach(([type, key]) => {
+                    const setId = StorageMigrations.readJSON(storage, key, null);
+                    storage.removeItem(key);
+                    if (setId !== null && selected[type] === undefined) {
+                        selected[type] = setId;
+                    }
+                });
+
+                if (Object.keys(selected).length > 0) {
+                    StorageMigrations.requireWrite(storage, 'varc_selected_sets', selected);
+                }
+
+                // The landing page used to store the question type without JSON encoding it
+                const rawType = storage.getItem('varc_question_type');
+                if (rawType !== null && StorageMigrations.readJSON(storage, 'varc_question_type', null) === null) {
+                    StorageMigrations.requireWrite(storage, 'varc_question_type', rawType);
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Move global in-progress state into the draft of the selected set',
+            migrate(storage) {
+                const present = StorageMigrations.LEGACY_ATTEMPT_STATE_KEYS.filter(key => storage.getItem(key) !== null);
+                if (present.length === 0) return;
+
+                const questionType = StorageMigrations.readJSON(storage, 'varc_question_type', 'rc');
+                const setId = StorageMigrations.readJSON(storage, 'varc_selected_sets', {})[questionType];
+                if (setId === null || setId === undefined) return;
+
+                const drafts = StorageMigrations.readJSON(storage, 'varc_attempt_drafts', {});
+                const id = `${questionType}:${setId}`;
+                if (!drafts[id]) {
+                    const state = {};
+                    present.forEach(key => {
+                        state[key] = StorageMigrations.readJSON(storage, key, null);
+                    });
+                    drafts[id] = { questionType, setId, updatedAt: Date.now(), state };
+                    StorageMigrations.requireWrite(storage, 'varc_attempt_drafts', drafts);
+                }
+
+                present.forEach(key => storage.removeItem(key));
+            }
+        },
+        {
+            version: 5,
+            description: 'Turn the saved user name into the name of the default profile',
+            migrate(storage) {
+                const userName = StorageMigrations.readJSON(storage, 'varc_user_name', null);
+                storage.removeItem('varc_user_name');
+                if (typeof userName !== 'string' || !userName.trim()) return;
+
+                const profiles = StorageMigrations.readJSON(storage, 'varc_profiles', []);
+                if (profiles.some(profile => profile.id === 'default')) return;
+
+                profiles.unshift({ id: 'default', name: userName.trim().slice(0, 40), createdAt: null });
+                StorageMigrations.requireWrite(storage, 'varc_profiles', profiles);
+            }
+        }
+    ],
+
+    /**
+     * Get the schema version the current build expects
+     * @returns {number} - Latest migration version
+     */
+    getCurrentVersion() {
+        return this.MIGRATIONS.reduce((max, step) => Math.max(max, step.version), 0);
+    },
+
+    /**
+     * Get the schema version data in storage was last migrated to
+     * Storage with VARC data but no version predates versioning and counts as 0
+     * @param {Storage} storage - localStorage or a compatible object
+     * @returns {number|null} - Stored version, or null when storage has no VARC data
+     */
+    getStoredVersion(storage) {
+        const version = this.readJSON(storage, this.VERSION_KEY, null);
+        if (typeof version === 'number') return version;
+        return this.getKeys(storage).length > 0 ? 0 : null;
+    },
+
+    /**
+     * Apply every pending migration in order
+     * @param {Storage} storage - localStorage or a compatible object
+     * @returns {{fromVersion: number, toVersion: number, applied: number[], error: Error|null}}
+     */
+    run(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        const currentVersion = this.getCurrentVersion();
+        const result = { fromVersion: currentVersion, toVersion: currentVersion, applied: [], error: null };
+        if (!storage) return result;
+
+        this.lastBackup = null;
+        const storedVersion = this.getStoredVersion(storage);
+
+        // Nothing to upgrade on a fresh install
+        if (storedVersion === null) {
+            this.writeJSON(storage, this.VERSION_KEY, currentVersion);
+            return result;
+        }
+
+        result.fromVersion = storedVersion;
+        result.toVersion = storedVersion;
+        const pending = this.MIGRATIONS
+            .filter(step => step.version > storedVersion)
+            .sort((a, b) => a.version - b.version);
+        if (pending.length === 0) return result;
+
+        const backup = this.createBackup(storage, storedVersion, currentVersion);
+        const kept = this.keepBackup(storage, backup);
+        result.error = this.applySteps(storage, pending, backup);
+
+        // The kept copy may be what ran storage out of space; try again without it
+        if (result.error && kept) {
+            storage.removeItem(this.BACKUP_KEY);
+            result.error = this.applySteps(storage, pending, backup);
+        }
+
+        if (!result.error) {
+            result.applied = pending.map(step => step.version);
+            result.toVersion = currentVersion;
+        }
+        return result;
+    },
+
+    /**
+     * Apply migration steps in order, restoring the backup if one fails
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {Array} steps - Pending steps, oldest first
+     * @param {Object} backup - Backup taken before the first step
+     * @returns {Error|null} - Error of the step that failed, or null
+     */
+    applySteps(storage, steps, backup) {
+        for (const step of steps) {
+            try {
+                step.migrate(storage);
+                this.requireWrite(storage, this.VERSION_KEY, step.version);
+            } catch (e) {
+                console.error(`Storage migration ${step.version} failed, restoring backup:`, e);
+                this.restoreBackup(storage, backup);
+                return e;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Snapshot every VARC key before migrating, in memory
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {number} fromVersion - Version the data is at
+     * @param {number} toVersion - Version being migrated to
+     * @returns {Object} - The backup, also held in lastBackup for this page
+     */
+    createBackup(storage, fromVersion, toVersion) {
+        const data = {};
+        this.getKeys(storage).forEach(key => {
+            data[key] = storage.getItem(key);
+        });
+
+        this.lastBackup = { fromVersion, toVersion, createdAt: Date.now(), data };
+        return this.lastBackup;
+    },
+
+    /**
+     * Save the backup under BACKUP_KEY so a later page can still restore it
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {Object} backup - Backup from createBackup()
+     * @returns {boolean} - False if storage had no room for it
+     */
+    keepBackup(storage, backup) {
+        try {
+            storage.setItem(this.BACKUP_KEY, JSON.stringify(backup));
+            return true;
+        } catch (e) {
+            console.warn('No room to keep the migration backup, holding it in memory only:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Get the backup of this page's migration run, or the one kept by an earlier page
+     * @param {Storage} storage - localStorage or a compatible object
+     * @returns {Object|null} - Backup or null
+     */
+    getBackup(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        return this.lastBackup || (storage ? this.readJSON(storage, this.BACKUP_KEY, null) : null);
+    },
+
+    /**
+     * Delete the kept backup once the migrated data reads back
+     * The backup stays while storage is not at the current version or any VARC
+     * key fails to parse, so it can still be restored from the console.
+     * @param {Storage} storage - localStorage or a compatible object
+     * @returns {boolean} - True if the backup was deleted
+     */
+    releaseBackup(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        if (!storage || storage.getItem(this.BACKUP_KEY) === null) return false;
+        if (this.getStoredVersion(storage) !== this.getCurrentVersion()) return false;
+        if (this.getKeys(storage).some(key => this.readJSON(storage, key, undefined) === undefined)) return false;
+
+        storage.removeItem(this.BACKUP_KEY);
+        this.lastBackup = null;
+        return true;
+    },
+
+    /**
+     * Put storage back exactly as it was before a migration run
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {Object} backup - Backup to restore (defaults to the last one taken)
+     * @returns {boolean} - True if a backup was restored
+     */
+    restoreBackup(storage = typeof localStorage !== 'undefined' ? localStorage : null, backup = this.getBackup(storage)) {
+        if (!storage || !backup || !backup.data) return false;
+
+        this.getKeys(storage).forEach(key => storage.removeItem(key));
+        Object.entries(backup.data).forEach(([key, value]) => {
+            storage.setItem(key, value);
+        });
+
+        return true;
+    },
+
+    /**
+     * Upgrade one attempt record to the current shape
+     * @param {Object} attempt - Attempt as saved by an older build
+     * @param {string} type - Question type the attempt was stored under
+     * @param {string} setId - Set ID the attempt was stored under
+     * @returns {Object} - Attempt with setId, questionType and per-question types
+     */
+    upgradeAttempt(attempt, type, setId) {
+        if (!attempt || typeof attempt !== 'object') return attempt;
+
+        const parsedSetId = /^\d+$/.test(String(setId)) ? parseInt(setId, 10) : setId;
+        const upgraded = {
+            ...attempt,
+            setId: attempt.setId ?? parsedSetId,
+            questionType: attempt.questionType ?? type
+        };
+
+        // Sectional mock questions always carried their own type
+        if (Array.isArray(attempt.questions) && type !== 'sectional-mock') {
+            upgraded.questions = attempt.questions.map(question => ({
+                ...question,
+                questionType: question?.questionType ?? type
+            }));
+        }
+
+        return upgraded;
+    },
+
+    /**
+     * List every VARC key except the kept backup
+     * @param {Storage} storage - localStorage or a compatible object
+     * @returns {string[]} - Keys
+     */
+    getKeys(storage) {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith(this.KEY_PREFIX) && key !== this.BACKUP_KEY) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    },
+
+    /**
+     * Read a JSON value, falling back on missing or unparseable data
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Fallback value
+     * @returns {any} - Parsed value or the fallback
+     */
+    readJSON(storage, key, defaultValue) {
+        try {
+            const raw = storage.getItem(key);
+            return raw === null ? defaultValue : JSON.parse(raw);
+        } catch (e) {
+            return defaultValue;
+        }
+    },
+
+    /**
+     * Write a value as JSON
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @returns {boolean} - True if saved
+     */
+    writeJSON(storage, key, value) {
+        try {
+            storage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            console.error('Error saving to localStorage:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Write a value as JSON inside a migration step, which must not go on without it
+     * @param {Storage} storage - localStorage or a compatible object
+     * @param {string} key - Storage key
+     * @param {any} value - Value to store
+     * @throws {Error} - If the value could not be saved, e.g. storage is full
+     */
+    requireWrite(storage, key, value) {
+        if (!this.writeJSON(storage, key, value)) {
+            throw new Error(`Could not save ${key}; browser storage may be full`);
+        }
+    }
+};
+
+// Make StorageMigrations available globally for browser
+if (typeof window !== 'undefined') {
+    window.StorageMigrations = StorageMigrations;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageMigrations;
+}
@@ -12,7 +12,35 @@
  * - Answers: { questionIndex: answerValue }
  * - Statuses: { questionIndex: 'not-visited' | 'not-answered' | 'answered' | 'review' | 'review-answered' }
  * - Timer: { remainingSeconds: number, savedAt: timestamp }
- * - Attempts: { rcSetId: [{ score, totalMarks, timestamp, ... }] }
+ * - Selected sets: { questionType: setId }
+ * - Attempts: { questionType: { setId: [{ score, totalMarks, timestamp, ... }] } }
+ * - Drafts: { 'type:setId': { questionType, setId, updatedAt, state: { [key]: value } } }
+ * - Attempt questions: [{ key, hash }] of the questions a draft's indexes refer to
+ * - Review queue: { items: { [questionKey]: item }, attempts: [attemptId] } (see ReviewQueue)
+ * - Mistake notes: { [noteKey]: { reason, note, updatedAt } } (see MistakeNotebook)
+ *
+ * In-progress state (answers, statuses, timers, annotations...) is kept per
+ * (questionType, setId) draft rather than under global keys, so several sets can
+ * be paused at once. save/load/remove route ATTEMPT_STATE_KEYS to the draft of
+ * the currently selected set; every other key is stored as-is.
+ *
+ * Schema:
+ * - The layout is versioned; StorageMigrations upgrades data from older
+ *   builds when this script loads, before anything reads it
+ *
+ * Profiles:
+ * - Every key except GLOBAL_KEYS belongs to the active profile. The default
+ *   profile uses the plain key; other profiles add an '@profileId' suffix
+ * - Profiles: [{ id, name, createdAt }]
+ * - Question packs are shared by every profile, like the built-in banks;
+ *   attempts at them are still kept per profile
+ * - Question errata (local corrections to the banks) are shared the same way
+ *
+ * Attempt History:
+ * - Completed attempts live in IndexedDB (AttemptStore) once ready() has run,
+ *   and are cached in memory so getSetAttempts() stays synchronous
+ * - ready() moves any history still in localStorage into IndexedDB
+ * - Without IndexedDB, attempts stay in localStorage under SET_ATTEMPTS
  * 
  * Error Handling:
  * - All operations wrapped in try-catch
@@ -32,16 +60,85 @@ const StorageManager = {
         TEST_COMPLETED: 'varc_test_completed',
         CURRENT_QUESTION: 'varc_current_question',
         QUESTIONS_DATA: 'varc_questions_data',
-        USER_NAME: 'varc_user_name',
-        SELECTED_RC_SET: 'varc_selected_rc_set',
-        RC_SET_ATTEMPTS: 'varc_rc_set_attempts',
         QUESTION_TIME_TRACKING: 'varc_question_time_tracking',
         CURRENT_ATTEMPT_START: 'varc_current_attempt_start',
         QUESTION_TYPE: 'varc_question_type',
-        SELECTED_SET_PC: 'varc_selected_pc_set',
-        SELECTED_SET_PS: 'varc_selected_ps_set',
-        SET_ATTEMPTS_PC: 'varc_pc_set_attempts',
-        SET_ATTEMPTS_PS: 'varc_ps_set_attempts'
+        SELECTED_SETS: 'varc_selected_sets',
+        SET_ATTEMPTS: 'varc_set_attempts',
+        SECTIONAL_MOCKS: 'varc_sectional_mocks',
+        TIMER_MODE: 'varc_timer_mode',
+        TIMER_PREFERENCES: 'varc_timer_preferences',
+        SET_BROWSER: 'varc_set_browser',
+        AUTHOR_DRAFTS: 'varc_author_drafts',
+        QUESTION_PACKS: 'varc_question_packs',
+        QUESTION_ERRATA: 'varc_question_errata',
+        REVIEW_QUEUE: 'varc_review_queue',
+        MISTAKE_NOTES: 'varc_mistake_notes',
+        PASSAGE_ANNOTATIONS: 'varc_passage_annotations',
+        ELIMINATED_OPTIONS: 'varc_eliminated_options',
+        ATTEMPT_QUESTIONS: 'varc_attempt_questions',
+        ATTEMPT_PAUSED_AT: 'varc_attempt_paused_at',
+        ATTEMPT_PAUSED_TIME: 'varc_attempt_paused_time',
+        ATTEMPT_DRAFTS: 'varc_attempt_drafts',
+        SCHEMA_VERSION: 'varc_schema_version',
+        // Pre-migration copy of every key, history included; kept until the migrated data reads back
+        SCHEMA_BACKUP: 'varc_schema_backup',
+        DARK_MODE: 'varc_dark_mode',
+        PROFILES: 'varc_profiles',
+        ACTIVE_PROFILE: 'varc_active_profile'
+    },
+
+    // Keys shared by every profile; all other KEYS are stored per profile
+    GLOBAL_KEYS: ['SCHEMA_VERSION', 'SCHEMA_BACKUP', 'PROFILES', 'ACTIVE_PROFILE', 'QUESTION_PACKS', 'QUESTION_ERRATA'],
+
+    // The default profile keeps the unsuffixed keys used before profiles existed
+    DEFAULT_PROFILE_ID: 'default',
+    DEFAULT_PROFILE_NAME: 'Student',
+    PROFILE_NAME_MAX_LENGTH: 40,
+
+    // Attempt history backend; set up by ready()
+    attemptStore: null,
+    attemptCache: null,
+    attemptStoreReady: null,
+
+    // Keys whose values belong to the in-progress attempt of the selected set
+    ATTEMPT_STATE_KEYS: [
+        'USER_ANSWERS',
+        'QUESTION_STATUS',
+        'TIMER_STATE',
+        'TIMER_MODE',
+        'TEST_COMPLETED',
+        'CURRENT_QUESTION',
+        'QUESTION_TIME_TRACKING',
+        'CURRENT_ATTEMPT_START',
+        'PASSAGE_ANNOTATIONS',
+        'ELIMINATED_OPTIONS',
+        'ATTEMPT_QUESTIONS',
+        'ATTEMPT_PAUSED_AT',
+        'ATTEMPT_PAUSED_TIME'
+    ],
+
+    // Backup file identification; bump BACKUP_VERSION when the file layout changes
+    BACKUP_FORMAT: 'varc-practice-backup',
+    BACKUP_VERSION: 1,
+    BACKUP_IMPORT_MODES: ['merge', 'replace'],
+
+    // Drafts untouched for this long are discarded
+    DRAFT_MAX_AGE_MS: 14 * 24 * 60 * 60 * 1000,
+
+    // Defaults used when the user has not chosen a timer mode yet
+    DEFAULT_TIMER_PREFERENCES: {
+        mode: 'elapsed',
+        durationSource: 'set',
+        customMinutes: 40,
+        warningThresholds: [5, 1]
+    },
+
+    // How a selection page lists sets until the user changes it
+    DEFAULT_SET_BROWSER_PREFERENCES: {
+        sort: 'id',
+        filter: 'all',
+        targetPercent: 60
     },
 
     /**
@@ -50,8 +147,13 @@ const StorageManager = {
      * @param {any} data - Data to store
      */
     save(key, data) {
+        const scope = this.getDraftScope(key);
+        if (scope) {
+            return this.saveDraftValue(scope, key, data);
+        }
+
         try {
-            localStorage.setItem(key, JSON.stringify(data));
+            localStorage.setItem(this.getStorageKey(key), JSON.stringify(data));
             return true;
         } catch (e) {
             console.error('Error saving to localStorage:', e);
@@ -66,8 +168,14 @@ const StorageManager = {
      * @returns {any} - Stored data or default value
      */
     load(key, defaultValue = null) {
+        const scope = this.getDraftScope(key);
+        if (scope) {
+            const state = this.load(this.KEYS.ATTEMPT_DRAFTS, {})[scope.id]?.state || {};
+            return state[key] !== undefined && state[key] !== null ? state[key] : defaultValue;
+        }
+
         try {
-            const data = localStorage.getItem(key);
+            const data = localStorage.getItem(this.getStorageKey(key));
             return data ? JSON.parse(data) : defaultValue;
         } catch (e) {
             console.error('Error loading from localStorage:', e);
@@ -80,8 +188,13 @@ const StorageManager = {
      * @param {string} key - Storage key
      */
     remove(key) {
+        const scope = this.getDraftScope(key);
+        if (scope) {
+            return this.removeDraftValue(scope, key);
+        }
+
         try {
-            localStorage.removeItem(key);
+            localStorage.removeItem(this.getStorageKey(key));
             return true;
         } catch (e) {
             console.error('Error removing from localStorage:', e);
@@ -90,12 +203,271 @@ const StorageManager = {
     },
 
     /**
-     * Clear all VARC-related data from localStorage
+     * Clear all VARC-related data of the active profile
+     * The profile list and other profiles are left alone
      */
     clearAll() {
-        Object.values(this.KEYS).forEach(key => {
+        this.getProfileKeys().forEach(key => {
             this.remove(key);
         });
+        this.clearAttemptHistory();
+    },
+
+    /**
+     * Get the localStorage key a value is actually stored under
+     * @param {string} key - Storage key
+     * @param {string} profileId - Profile (defaults to the active one)
+     * @returns {string} - Key for that profile
+     */
+    getStorageKey(key, profileId = null) {
+        if (!this.getProfileKeys().includes(key)) return key;
+
+        const id = profileId || this.getActiveProfileId();
+        return id === this.DEFAULT_PROFILE_ID ? key : `${key}@${id}`;
+    },
+
+    /**
+     * Get every key stored per profile
+     * @returns {string[]} - Storage keys
+     */
+    getProfileKeys() {
+        return Object.entries(this.KEYS)
+            .filter(([name]) => !this.GLOBAL_KEYS.includes(name))
+            .map(([, key]) => key);
+    },
+
+    /**
+     * Load a value stored for a specific profile
+     * Reads the raw key, so draft routing is not applied
+     * @param {string} key - Storage key
+     * @param {string} profileId - Profile ID
+     * @param {any} defaultValue - Default value if the key doesn't exist
+     * @returns {any} - Stored data or default value
+     */
+    loadFromProfile(key, profileId, defaultValue = null) {
+        try {
+            const data = localStorage.getItem(this.getStorageKey(key, profileId));
+            return data ? JSON.parse(data) : defaultValue;
+        } catch (e) {
+            console.error('Error loading from localStorage:', e);
+            return defaultValue;
+        }
+    },
+
+    // Attempt Draft Management
+    /**
+     * Get the draft a key should be stored in
+     * @param {string} key - Storage key
+     * @returns {{id: string, questionType: string, setId: number}|null} - Draft scope, or null for global keys
+     */
+    getDraftScope(key) {
+        if (!this.ATTEMPT_STATE_KEYS.some(name => this.KEYS[name] === key)) {
+            return null;
+        }
+
+        const questionType = this.getQuestionType();
+        const setId = this.getSelectedSetId(questionType);
+        if (setId === null || setId === undefined) {
+            return null;
+        }
+        return { id: `${questionType}:${setId}`, questionType, setId };
+    },
+
+    /**
+     * Save a value into a draft, creating the draft if needed
+     * @param {Object} scope - Draft scope from getDraftScope()
+     * @param {string} key - Storage key
+     * @param {any} data - Data to store
+     * @returns {boolean} - True if saved
+     */
+    saveDraftValue(scope, key, data) {
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        const draft = drafts[scope.id] || { questionType: scope.questionType, setId: scope.setId, state: {} };
+        draft.state[key] = data;
+        draft.updatedAt = Date.now();
+        drafts[scope.id] = draft;
+        return this.save(this.KEYS.ATTEMPT_DRAFTS, drafts);
+    },
+
+    /**
+     * Remove a value from a draft, dropping the draft once it is empty
+     * @param {Object} scope - Draft scope from getDraftScope()
+     * @param {string} key - Storage key
+     * @returns {boolean} - True if removed
+     */
+    removeDraftValue(scope, key) {
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        const draft = drafts[scope.id];
+        if (!draft) return true;
+
+        delete draft.state[key];
+        if (Object.keys(draft.state).length === 0) {
+            delete drafts[scope.id];
+        }
+        return this.save(this.KEYS.ATTEMPT_DRAFTS, drafts);
+    },
+
+    /**
+     * Summarize a draft for display
+     * @param {Object} draft - Stored draft
+     * @returns {Object} - { questionType, setId, updatedAt, startedAt, currentQuestion, answered, total }
+     */
+    describeDraft(draft) {
+        const state = draft.state || {};
+        const statuses = Object.values(state[this.KEYS.QUESTION_STATUS] || {});
+        return {
+            questionType: draft.questionType,
+            setId: draft.setId,
+            updatedAt: draft.updatedAt,
+            startedAt: state[this.KEYS.CURRENT_ATTEMPT_START],
+            currentQuestion: state[this.KEYS.CURRENT_QUESTION] || 0,
+            answered: statuses.filter(status => status === 'answered' || status === 'review-answered').length,
+            total: statuses.length
+        };
+    },
+
+    /**
+     * Get every unfinished attempt that can be resumed
+     * @returns {Array} - Draft summaries, most recently used first
+     */
+    getAttemptDrafts() {
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        return Object.values(drafts)
+            .filter(draft => draft.state?.[this.KEYS.CURRENT_ATTEMPT_START] && !draft.state[this.KEYS.TEST_COMPLETED])
+            .map(draft => this.describeDraft(draft))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /**
+     * Get the unfinished attempt for a set, if there is one
+     * @param {string} type - Question type
+     * @param {number} setId - Set ID
+     * @returns {Object|null} - Draft summary or null
+     */
+    getAttemptDraft(type, setId) {
+        return this.getAttemptDrafts().find(draft => draft.questionType === type && String(draft.setId) === String(setId)) || null;
+    },
+
+    /**
+     * Discard the in-progress attempt for a set
+     * @param {string} type - Question type
+     * @param {number} setId - Set ID
+     */
+    discardAttemptDraft(type, setId) {
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        delete drafts[`${type}:${setId}`];
+        this.save(this.KEYS.ATTEMPT_DRAFTS, drafts);
+    },
+
+    /**
+     * Drop drafts that can no longer be resumed: submitted, never started, or idle past the max age
+     * The draft of the selected set is kept unless it has expired, since the quiz may be setting it up
+     * @param {number} maxAgeMs - Idle time after which a draft expires
+     * @returns {number} - Number of drafts removed
+     */
+    pruneAttemptDrafts(maxAgeMs = this.DRAFT_MAX_AGE_MS) {
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        const activeId = this.getDraftScope(this.KEYS.USER_ANSWERS)?.id;
+        const now = Date.now();
+        let removed = 0;
+
+        Object.entries(drafts).forEach(([id, draft]) => {
+            const state = draft.state || {};
+            const expired = !(now - (draft.updatedAt || 0) < maxAgeMs);
+            const finished = Boolean(state[this.KEYS.TEST_COMPLETED]);
+            const unstarted = !state[this.KEYS.CURRENT_ATTEMPT_START];
+            if (expired || (id !== activeId && (finished || unstarted))) {
+                delete drafts[id];
+                removed++;
+            }
+        });
+
+        if (removed > 0) {
+            this.save(this.KEYS.ATTEMPT_DRAFTS, drafts);
+        }
+        return removed;
+    },
+
+    /**
+     * Record that the in-progress attempt was left, so the time away can be left out of its time stats
+     */
+    pauseAttempt() {
+        if (this.getAttemptStartTime() && !this.isTestCompleted()) {
+            this.save(this.KEYS.ATTEMPT_PAUSED_AT, Date.now());
+        }
+    },
+
+    /**
+     * Resume a paused attempt, adding the time away to its paused total
+     * The start time is left alone, so a countdown keeps running while the attempt is paused
+     * @returns {number} - Milliseconds the attempt was paused for
+     */
+    resumeAttempt() {
+        const pausedAt = this.load(this.KEYS.ATTEMPT_PAUSED_AT, null);
+        this.remove(this.KEYS.ATTEMPT_PAUSED_AT);
+        if (!pausedAt || !this.getAttemptStartTime()) return 0;
+
+        const pausedFor = Math.max(0, Date.now() - pausedAt);
+        this.save(this.KEYS.ATTEMPT_PAUSED_TIME, this.getAttemptPausedTime() + pausedFor);
+        return pausedFor;
+    },
+
+    /**
+     * Get how long the in-progress attempt has been paused in total
+     * @returns {number} - Milliseconds
+     */
+    getAttemptPausedTime() {
+        return this.load(this.KEYS.ATTEMPT_PAUSED_TIME, 0);
+    },
+
+    /**
+     * Save which questions the in-progress attempt's indexes refer to
+     * @param {Array<{key: string, hash: string}>} questions - References from QuestionIdentity
+     */
+    saveAttemptQuestions(questions) {
+        this.save(this.KEYS.ATTEMPT_QUESTIONS, questions);
+    },
+
+    /**
+     * Get which questions the in-progress attempt's indexes refer to
+     * @returns {Array<{key: string, hash: string}>|null} - References, or null for drafts saved before they were recorded
+     */
+    getAttemptQuestions() {
+        return this.load(this.KEYS.ATTEMPT_QUESTIONS, null);
+    },
+
+    /**
+     * Move the in-progress attempt's per-question state to new indexes
+     * Used when the set was edited while the attempt was paused
+     * @param {number[]} indexMap - New index per old index; -1 drops that question's state
+     * @param {number} totalQuestions - Number of questions in the set now
+     * @returns {number} - Number of answers dropped
+     */
+    remapAttemptState(indexMap, totalQuestions) {
+        const remap = (values) => {
+            const moved = {};
+            Object.entries(values || {}).forEach(([index, value]) => {
+                const to = indexMap[index];
+                if (to !== undefined && to !== -1) moved[to] = value;
+            });
+            return moved;
+        };
+
+        const answers = this.load(this.KEYS.USER_ANSWERS, {});
+        const keptAnswers = remap(answers);
+        this.save(this.KEYS.USER_ANSWERS, keptAnswers);
+        this.save(this.KEYS.ELIMINATED_OPTIONS, remap(this.load(this.KEYS.ELIMINATED_OPTIONS, {})));
+        this.save(this.KEYS.QUESTION_TIME_TRACKING, remap(this.load(this.KEYS.QUESTION_TIME_TRACKING, {})));
+
+        const statuses = remap(this.load(this.KEYS.QUESTION_STATUS, {}));
+        for (let i = 0; i < totalQuestions; i++) {
+            if (!statuses[i]) statuses[i] = 'not-visited';
+        }
+        this.save(this.KEYS.QUESTION_STATUS, statuses);
+
+        const current = indexMap[this.getCurrentQuestion()];
+        this.saveCurrentQuestion(current !== undefined && current !== -1 ? current : 0);
+        return Object.keys(answers).length - Object.keys(keptAnswers).length;
     },
 
     // User Answers Management
@@ -138,6 +510,53 @@ const StorageManager = {
         this.save(this.KEYS.USER_ANSWERS, answers);
     },
 
+    // Option Elimination Management
+    /**
+     * Strike out an option, or restore it if it is already struck out
+     * Every toggle is appended to the question's elimination history
+     * @param {number} questionIndex - Question index
+     * @param {number} optionIndex - Option index
+     * @returns {number[]} - Struck-out option indexes after the toggle
+     */
+    toggleEliminatedOption(questionIndex, optionIndex) {
+        const all = this.load(this.KEYS.ELIMINATED_OPTIONS, {});
+        const entry = all[questionIndex] || { eliminated: [], history: [] };
+        const wasEliminated = entry.eliminated.includes(optionIndex);
+
+        entry.eliminated = wasEliminated
+            ? entry.eliminated.filter(item => item !== optionIndex)
+            : [...entry.eliminated, optionIndex].sort((a, b) => a - b);
+        entry.history.push({
+            option: optionIndex,
+            action: wasEliminated ? 'restore' : 'eliminate',
+            at: Date.now()
+        });
+
+        all[questionIndex] = entry;
+        this.save(this.KEYS.ELIMINATED_OPTIONS, all);
+        return entry.eliminated;
+    },
+
+    /**
+     * Get the options currently struck out for a question
+     * @param {number} questionIndex - Question index
+     * @returns {number[]} - Struck-out option indexes
+     */
+    getEliminatedOptions(questionIndex) {
+        const all = this.load(this.KEYS.ELIMINATED_OPTIONS, {});
+        return all[questionIndex]?.eliminated || [];
+    },
+
+    /**
+     * Get every strike-out and restore made on a question, oldest first
+     * @param {number} questionIndex - Question index
+     * @returns {Array} - [{ option, action: 'eliminate'|'restore', at }]
+     */
+    getEliminationHistory(questionIndex) {
+        const all = this.load(this.KEYS.ELIMINATED_OPTIONS, {});
+        return all[questionIndex]?.history || [];
+    },
+
     // Question Status Management
     /**
      * Question status types:
@@ -219,6 +638,236 @@ const StorageManager = {
         return Math.max(0, adjustedTime);
     },
 
+    /**
+     * Save the timer configuration chosen for the in-progress attempt
+     * @param {Object} config - { mode: 'elapsed'|'countdown', timeLimit: seconds|null, warningThresholds: number[] }
+     */
+    saveTimerMode(config) {
+        this.save(this.KEYS.TIMER_MODE, config);
+    },
+
+    /**
+     * Get the timer configuration of the in-progress attempt
+     * @returns {Object|null} - Timer config or null if none chosen yet
+     */
+    getTimerMode() {
+        return this.load(this.KEYS.TIMER_MODE, null);
+    },
+
+    /**
+     * Save timer preferences used to pre-fill the timer mode dialog
+     * @param {Object} prefs - Timer preferences
+     */
+    saveTimerPreferences(prefs) {
+        this.save(this.KEYS.TIMER_PREFERENCES, {
+            ...this.getTimerPreferences(),
+            ...prefs,
+            warningThresholds: this.normalizeWarningThresholds(prefs?.warningThresholds)
+        });
+    },
+
+    /**
+     * Get timer preferences merged over the defaults
+     * @returns {Object} - Timer preferences
+     */
+    getTimerPreferences() {
+        const saved = this.load(this.KEYS.TIMER_PREFERENCES, {}) || {};
+        const prefs = { ...this.DEFAULT_TIMER_PREFERENCES, ...saved };
+        prefs.warningThresholds = this.normalizeWarningThresholds(prefs.warningThresholds);
+        return prefs;
+    },
+
+    /**
+     * Save how the selection page of a question type lists its sets
+     * @param {string} type - Question type
+     * @param {Object} prefs - { sort, filter, targetPercent }
+     */
+    saveSetBrowserPreferences(type, prefs) {
+        const all = this.load(this.KEYS.SET_BROWSER, {}) || {};
+        all[type] = { ...this.getSetBrowserPreferences(type), ...prefs };
+        this.save(this.KEYS.SET_BROWSER, all);
+    },
+
+    /**
+     * Get the set listing preferences of a question type merged over the defaults
+     * @param {string} type - Question type
+     * @returns {Object} - { sort, filter, targetPercent }
+     */
+    getSetBrowserPreferences(type) {
+        const all = this.load(this.KEYS.SET_BROWSER, {}) || {};
+        return { ...this.DEFAULT_SET_BROWSER_PREFERENCES, ...all[type] };
+    },
+
+    /**
+     * Save the sets being written or edited on the authoring page
+     * @param {string} type - Question type
+     * @param {Array} sets - [{ setId, passage, questions, isNew }]
+     */
+    saveAuthorDraft(type, sets) {
+        const all = this.load(this.KEYS.AUTHOR_DRAFTS, {}) || {};
+        if (Array.isArray(sets) && sets.length > 0) {
+            all[type] = { sets, updatedAt: Date.now() };
+        } else {
+            delete all[type];
+        }
+        this.save(this.KEYS.AUTHOR_DRAFTS, all);
+    },
+
+    /**
+     * Get the authoring draft of a question type
+     * @param {string} type - Question type
+     * @returns {Array} - Draft sets, empty when there is none
+     */
+    getAuthorDraft(type) {
+        const all = this.load(this.KEYS.AUTHOR_DRAFTS, {}) || {};
+        return Array.isArray(all[type]?.sets) ? all[type].sets : [];
+    },
+
+    /**
+     * Get the question packs added on this browser
+     * @returns {Array} - [{ id, title, baseType, fileName, addedAt, bank }] in the order they were added
+     */
+    getQuestionPacks() {
+        const packs = this.load(this.KEYS.QUESTION_PACKS, []);
+        return Array.isArray(packs) ? packs : [];
+    },
+
+    /**
+     * Get one question pack
+     * @param {string} id - Pack ID
+     * @returns {Object|null} - Pack or null
+     */
+    getQuestionPack(id) {
+        return this.getQuestionPacks().find(pack => pack.id === id) || null;
+    },
+
+    /**
+     * Add a question pack, or replace the stored pack with the same ID
+     * @param {Object} pack - Pack from QuestionPacks.createPack()
+     * @returns {boolean} - False if it could not be stored (usually storage is full)
+     */
+    saveQuestionPack(pack) {
+        const packs = this.getQuestionPacks().filter(existing => existing.id !== pack.id);
+        packs.push(pack);
+        return this.save(this.KEYS.QUESTION_PACKS, packs);
+    },
+
+    /**
+     * Delete a question pack; attempts made on it are kept
+     * @param {string} id - Pack ID
+     * @returns {boolean} - True if a pack was removed
+     */
+    removeQuestionPack(id) {
+        const packs = this.getQuestionPacks();
+        const remaining = packs.filter(pack => pack.id !== id);
+        if (remaining.length === packs.length) return false;
+        return this.save(this.KEYS.QUESTION_PACKS, remaining);
+    },
+
+    /**
+     * Get the local corrections to the question banks
+     * @returns {Object} - { [questionKey]: erratum } (see QuestionErrata)
+     */
+    getErrata() {
+        const errata = this.load(this.KEYS.QUESTION_ERRATA, {});
+        return errata && typeof errata === 'object' && !Array.isArray(errata) ? errata : {};
+    },
+
+    /**
+     * Add or replace the correction of one question
+     * @param {Object} erratum - Erratum from QuestionErrata.createErratum()
+     * @returns {boolean} - False if it could not be stored
+     */
+    saveErratum(erratum) {
+        const errata = this.getErrata();
+        errata[erratum.key] = erratum;
+        return this.save(this.KEYS.QUESTION_ERRATA, errata);
+    },
+
+    /**
+     * Delete the correction of one question
+     * @param {string} key - Question key (e.g. 'rc:17')
+     * @returns {boolean} - True if a correction was removed
+     */
+    removeErratum(key) {
+        const errata = this.getErrata();
+        if (!errata[key]) return false;
+        delete errata[key];
+        return this.save(this.KEYS.QUESTION_ERRATA, errata);
+    },
+
+    /**
+     * Get the spaced-repetition review queue of the active profile
+     * @returns {{items: Object, attempts: string[]}} - Scheduled questions and the attempts already collected
+     */
+    getReviewQueue() {
+        const queue = this.load(this.KEYS.REVIEW_QUEUE, null);
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        return {
+            items: isObject(queue?.items) ? queue.items : {},
+            attempts: Array.isArray(queue?.attempts) ? queue.attempts : []
+        };
+    },
+
+    /**
+     * Save the review queue of the active profile
+     * @param {Object} queue - { items, attempts }
+     * @returns {boolean} - False if it could not be stored
+     */
+    saveReviewQueue(queue) {
+        return this.save(this.KEYS.REVIEW_QUEUE, queue);
+    },
+
+    /**
+     * Get the error reasons and notes recorded against wrong answers
+     * @returns {Object} - { [noteKey]: { reason, note, updatedAt } } (see MistakeNotebook)
+     */
+    getMistakeNotes() {
+        const notes = this.load(this.KEYS.MISTAKE_NOTES, {});
+        return notes && typeof notes === 'object' && !Array.isArray(notes) ? notes : {};
+    },
+
+    /**
+     * Add or replace the note on one wrong answer
+     * @param {string} key - Note key from MistakeNotebook.getNoteKey()
+     * @param {Object} note - { reason, note, updatedAt }
+     * @returns {boolean} - False if it could not be stored
+     */
+    saveMistakeNote(key, note) {
+        const notes = this.getMistakeNotes();
+        notes[key] = note;
+        return this.save(this.KEYS.MISTAKE_NOTES, notes);
+    },
+
+    /**
+     * Delete the note on one wrong answer
+     * @param {string} key - Note key
+     * @returns {boolean} - True if a note was removed
+     */
+    removeMistakeNote(key) {
+        const notes = this.getMistakeNotes();
+        if (!notes[key]) return false;
+        delete notes[key];
+        return this.save(this.KEYS.MISTAKE_NOTES, notes);
+    },
+
+    /**
+     * Normalize warning thresholds (minutes remaining) into a unique, descending list
+     * Accepts an array or a comma-separated string such as "10, 5, 1"
+     * @param {Array|string} thresholds - Raw thresholds
+     * @returns {number[]} - Positive thresholds sorted from largest to smallest
+     */
+    normalizeWarningThresholds(thresholds) {
+        const raw = typeof thresholds === 'string' ? thresholds.split(',') : thresholds;
+        if (!Array.isArray(raw)) {
+            return [...this.DEFAULT_TIMER_PREFERENCES.warningThresholds];
+        }
+        const values = raw
+            .map(value => Number(typeof value === 'string' ? value.trim() : value))
+            .filter(value => Number.isFinite(value) && value > 0);
+        return Array.from(new Set(values)).sort((a, b) => b - a);
+    },
+
     // Current Question Management
     /**
      * Save current question index
@@ -236,6 +885,40 @@ const StorageManager = {
         return this.load(this.KEYS.CURRENT_QUESTION, 0);
     },
 
+    // Passage Annotation Management
+    /**
+     * Save highlights and notes for a passage in the current attempt
+     * @param {number|string} passageId - Passage ID
+     * @param {Array} annotations - Annotations for the passage
+     */
+    savePassageAnnotations(passageId, annotations) {
+        const all = this.load(this.KEYS.PASSAGE_ANNOTATIONS, {});
+        if (Array.isArray(annotations) && annotations.length > 0) {
+            all[passageId] = annotations;
+        } else {
+            delete all[passageId];
+        }
+        this.save(this.KEYS.PASSAGE_ANNOTATIONS, all);
+    },
+
+    /**
+     * Get highlights and notes for a passage in the current attempt
+     * @param {number|string} passageId - Passage ID
+     * @returns {Array} - Annotations for the passage
+     */
+    getPassageAnnotations(passageId) {
+        const all = this.load(this.KEYS.PASSAGE_ANNOTATIONS, {});
+        return Array.isArray(all[passageId]) ? all[passageId] : [];
+    },
+
+    /**
+     * Get annotations for every passage in the current attempt
+     * @returns {Object} - { [passageId]: annotations }
+     */
+    getAllPassageAnnotations() {
+        return this.load(this.KEYS.PASSAGE_ANNOTATIONS, {});
+    },
+
     // Test Completion Management
     /**
      * Mark test as completed
@@ -271,19 +954,159 @@ const StorageManager = {
 
     // User Name Management
     /**
-     * Save user name
+     * Save user name (renames the active profile)
      * @param {string} name - User name
+     * @returns {boolean} - False if the name is empty or taken by another profile
      */
     saveUserName(name) {
-        this.save(this.KEYS.USER_NAME, name);
+        return this.renameProfile(this.getActiveProfileId(), name);
     },
 
     /**
-     * Get user name
+     * Get user name (the active profile's name)
      * @returns {string} - User name
      */
     getUserName() {
-        return this.load(this.KEYS.USER_NAME, 'Student');
+        return this.getActiveProfile().name;
+    },
+
+    // Profile Management
+    /**
+     * Get all profiles
+     * @returns {Array} - [{ id, name, createdAt }], default profile first
+     */
+    getProfiles() {
+        const profiles = this.load(this.KEYS.PROFILES, []);
+        if (!profiles.some(profile => profile.id === this.DEFAULT_PROFILE_ID)) {
+            profiles.unshift({ id: this.DEFAULT_PROFILE_ID, name: this.DEFAULT_PROFILE_NAME, createdAt: null });
+        }
+        return profiles;
+    },
+
+    /**
+     * Get a profile by ID
+     * @param {string} id - Profile ID
+     * @returns {Object|null} - Profile or null
+     */
+    getProfile(id) {
+        return this.getProfiles().find(profile => profile.id === id) || null;
+    },
+
+    /**
+     * Get the ID of the active profile
+     * @returns {string} - Profile ID
+     */
+    getActiveProfileId() {
+        return this.load(this.KEYS.ACTIVE_PROFILE, this.DEFAULT_PROFILE_ID);
+    },
+
+    /**
+     * Get the active profile, falling back to the default one if it was deleted
+     * @returns {Object} - Profile
+     */
+    getActiveProfile() {
+        return this.getProfile(this.getActiveProfileId()) || this.getProfile(this.DEFAULT_PROFILE_ID);
+    },
+
+    /**
+     * Check a profile name
+     * @param {string} name - Proposed name
+     * @param {string|null} exceptId - Profile being renamed (its own name is allowed)
+     * @returns {string|null} - Error message, or null if the name can be used
+     */
+    validateProfileName(name, exceptId = null) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            return 'Enter a profile name.';
+        }
+        if (trimmed.length > this.PROFILE_NAME_MAX_LENGTH) {
+            return `Profile names can be at most ${this.PROFILE_NAME_MAX_LENGTH} characters.`;
+        }
+        const taken = this.getProfiles().some(profile => (
+            profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+        ));
+        return taken ? `There is already a profile called "${trimmed}".` : null;
+    },
+
+    /**
+     * Create a profile (it does not become active)
+     * @param {string} name - Profile name
+     * @returns {Object|null} - New profile, or null if the name is invalid
+     */
+    createProfile(name) {
+        if (this.validateProfileName(name)) return null;
+
+        const profiles = this.getProfiles();
+        const profile = {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name.trim(),
+            createdAt: Date.now()
+        };
+        profiles.push(profile);
+        this.save(this.KEYS.PROFILES, profiles);
+        return profile;
+    },
+
+    /**
+     * Rename a profile
+     * @param {string} id - Profile ID
+     * @param {string} name - New name
+     * @returns {boolean} - True if renamed
+     */
+    renameProfile(id, name) {
+        const profiles = this.getProfiles();
+        const profile = profiles.find(item => item.id === id);
+        if (!profile || this.validateProfileName(name, id)) return false;
+
+        profile.name = name.trim();
+        return this.save(this.KEYS.PROFILES, profiles);
+    },
+
+    /**
+     * Make a profile active and load its attempt history
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} - False if the profile doesn't exist
+     */
+    async switchProfile(id) {
+        if (!this.getProfile(id)) return false;
+
+        this.save(this.KEYS.ACTIVE_PROFILE, id);
+        this.attemptCache = null;
+        this.attemptStoreReady = null;
+        await this.ready();
+        return true;
+    },
+
+    /**
+     * Delete a profile and everything stored for it
+     * The active profile and the default profile cannot be deleted
+     * @param {string} id - Profile ID
+     * @returns {Promise<boolean>} - True if deleted
+     */
+    async deleteProfile(id) {
+        if (id === this.DEFAULT_PROFILE_ID || id === this.getActiveProfileId() || !this.getProfile(id)) {
+            return false;
+        }
+
+        this.getProfileKeys().forEach(key => {
+            try {
+                localStorage.removeItem(this.getStorageKey(key, id));
+            } catch (e) {
+                console.error('Error removing from localStorage:', e);
+            }
+        });
+
+        const store = this.getAttemptStore();
+        if (store && store.isSupported()) {
+            try {
+                await store.clearProfile(id);
+            } catch (e) {
+                console.error('Error deleting profile attempts from IndexedDB:', e);
+            }
+        }
+
+        this.save(this.KEYS.PROFILES, this.getProfiles().filter(profile => profile.id !== id));
+        return true;
     },
 
     // Statistics
@@ -355,6 +1178,278 @@ const StorageManager = {
         if (data.userName) this.saveUserName(data.userName);
     },
 
+    // Full Backup
+    /**
+     * Build a backup of everything the app has stored
+     * Covers attempt history for every question type, paused attempts,
+     * sectional mocks, the review queue and preferences
+     * Call ready() first so attempts held in IndexedDB are included
+     * @returns {Object} - Backup object, ready to be saved as JSON
+     */
+    exportBackup() {
+        return this.buildBackup(this.getActiveProfileId(), this.getAttemptHistory());
+    },
+
+    /**
+     * Build a backup of any profile, not just the active one
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object|null>} - Backup object, or null for an unknown profile
+     */
+    async exportProfile(profileId) {
+        if (!this.getProfile(profileId)) return null;
+
+        if (profileId === this.getActiveProfileId()) {
+            await this.ready();
+            return this.exportBackup();
+        }
+        return this.buildBackup(profileId, await this.getProfileAttemptHistory(profileId));
+    },
+
+    /**
+     * Assemble the backup object for a profile
+     * @param {string} profileId - Profile ID
+     * @param {Object} attempts - Attempt history of that profile
+     * @returns {Object} - Backup object
+     */
+    buildBackup(profileId, attempts) {
+        const preferences = { userName: this.getProfile(profileId).name };
+        const timerPreferences = this.loadFromProfile(this.KEYS.TIMER_PREFERENCES, profileId, null);
+        const darkMode = this.loadFromProfile(this.KEYS.DARK_MODE, profileId, null);
+        if (timerPreferences !== null) preferences.timerPreferences = timerPreferences;
+        if (darkMode !== null) preferences.darkMode = darkMode;
+
+        return {
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            attempts,
+            drafts: this.loadFromProfile(this.KEYS.ATTEMPT_DRAFTS, profileId, {}),
+            sectionalMocks: this.loadFromProfile(this.KEYS.SECTIONAL_MOCKS, profileId, {}),
+            reviewQueue: this.loadFromProfile(this.KEYS.REVIEW_QUEUE, profileId, { items: {}, attempts: [] }),
+            mistakeNotes: this.loadFromProfile(this.KEYS.MISTAKE_NOTES, profileId, {}),
+            preferences
+        };
+    },
+
+    /**
+     * Check a backup before anything is written
+     * @param {any} backup - Parsed backup file
+     * @returns {{valid: boolean, errors: string[]}} - Validation result
+     */
+    validateBackup(backup) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(backup)) {
+            return { valid: false, errors: ['The file is not a VARC Practice backup.'] };
+        }
+        if (backup.format !== this.BACKUP_FORMAT) {
+            errors.push('The file is not a VARC Practice backup.');
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            errors.push('The backup has no valid version number.');
+        } else if (backup.version > this.BACKUP_VERSION) {
+            errors.push(`The backup was made by a newer version of the app (format ${backup.version}).`);
+        }
+
+        if (!isObject(backup.attempts)) {
+            errors.push('The backup has no attempt history.');
+        } else {
+            Object.entries(backup.attempts).forEach(([type, sets]) => {
+                if (!isObject(sets)) {
+                    errors.push(`Attempts for "${type}" are not grouped by set.`);
+                    return;
+                }
+                Object.entries(sets).forEach(([setId, attempts]) => {
+                    if (!Array.isArray(attempts)) {
+                        errors.push(`Attempts for ${type} set ${setId} are not a list.`);
+                        return;
+                    }
+                    attempts.forEach((attempt, i) => {
+                        if (!isObject(attempt) || !Number.isFinite(attempt.timestamp)) {
+                            errors.push(`Attempt ${i + 1} for ${type} set ${setId} has no timestamp.`);
+                        }
+                    });
+                });
+            });
+        }
+
+        ['drafts', 'sectionalMocks', 'reviewQueue', 'mistakeNotes', 'preferences'].forEach(field => {
+            if (backup[field] !== undefined && !isObject(backup[field])) {
+                errors.push(`"${field}" in the backup is not an object.`);
+            }
+        });
+
+        const reviewQueue = isObject(backup.reviewQueue) ? backup.reviewQueue : {};
+        if (reviewQueue.items !== undefined && !isObject(reviewQueue.items)) {
+            errors.push('The review queue in the backup has no list of questions.');
+        }
+        if (reviewQueue.attempts !== undefined && !Array.isArray(reviewQueue.attempts)) {
+            errors.push('The review queue in the backup has no list of collected attempts.');
+        }
+
+        const preferences = isObject(backup.preferences) ? backup.preferences : {};
+        if (preferences.userName !== undefined && typeof preferences.userName !== 'string') {
+            errors.push('The saved user name is not text.');
+        }
+        if (preferences.darkMode !== undefined && typeof preferences.darkMode !== 'boolean') {
+            errors.push('The saved dark mode setting is not true/false.');
+        }
+        if (preferences.timerPreferences !== undefined && !isObject(preferences.timerPreferences)) {
+            errors.push('The saved timer preferences are not an object.');
+        }
+
+        return { valid: errors.length === 0, errors };
+    },
+
+    /**
+     * Restore a backup made by exportBackup()
+     * The backup is validated first; nothing is written if it is invalid.
+     * - merge: adds attempts not already stored (matched by timestamp), paused
+     *   attempts, mocks, review queue items and mistake notes that don't exist
+     *   yet, and preferences that aren't set
+     * - replace: writes the backup's attempt history in place of the local one,
+     *   then clears paused attempts, mocks, the review queue and mistake notes
+     *   and writes the backup's. If the history cannot be saved, nothing is cleared.
+     * @param {Object} backup - Parsed backup file
+     * @param {string} mode - 'merge' or 'replace'
+     * @returns {Promise<{success: boolean, errors: string[], added: number, skipped: number}>}
+     */
+    async importBackup(backup, mode = 'merge') {
+        const result = { success: false, errors: [], added: 0, skipped: 0 };
+
+        if (!this.BACKUP_IMPORT_MODES.includes(mode)) {
+            result.errors.push(`Unknown import mode "${mode}".`);
+            return result;
+        }
+
+        const validation = this.validateBackup(backup);
+        if (!validation.valid) {
+            result.errors = validation.errors;
+            return result;
+        }
+
+        await this.ready();
+        const replace = mode === 'replace';
+
+        // Attempts, skipping any whose timestamp is already stored for that set
+        const incoming = [];
+        Object.entries(backup.attempts).forEach(([type, sets]) => {
+            Object.entries(sets).forEach(([setId, attempts]) => {
+                const seen = new Set(replace ? [] : this.getSetAttempts(type, setId).map(attempt => attempt.timestamp));
+                attempts.forEach(attempt => {
+                    if (seen.has(attempt.timestamp)) {
+                        result.skipped++;
+                        return;
+                    }
+                    seen.add(attempt.timestamp);
+                    incoming.push({ type, setId: attempt.setId ?? setId, attempt });
+                });
+            });
+        });
+
+        // Replacing writes the new history first, so a failed write leaves the old one in place
+        if ((replace || incoming.length > 0) && !(await this.saveImportedAttempts(incoming, replace))) {
+            result.errors.push('The attempt history could not be saved. Browser storage may be full.');
+            return result;
+        }
+        result.added = incoming.length;
+
+        if (replace) {
+            this.remove(this.KEYS.ATTEMPT_DRAFTS);
+            this.remove(this.KEYS.SECTIONAL_MOCKS);
+            this.remove(this.KEYS.REVIEW_QUEUE);
+            this.remove(this.KEYS.MISTAKE_NOTES);
+        }
+
+        const drafts = this.load(this.KEYS.ATTEMPT_DRAFTS, {});
+        Object.entries(backup.drafts || {}).forEach(([id, draft]) => {
+            if (!drafts[id]) drafts[id] = draft;
+        });
+        if (Object.keys(drafts).length > 0) {
+            this.save(this.KEYS.ATTEMPT_DRAFTS, drafts);
+        }
+
+        // Mock attempts refer to their mock by id, so an existing mock is never overwritten
+        const mocks = this.load(this.KEYS.SECTIONAL_MOCKS, {});
+        Object.entries(backup.sectionalMocks || {}).forEach(([id, mock]) => {
+            if (!mocks[id]) mocks[id] = mock;
+        });
+        if (Object.keys(mocks).length > 0) {
+            this.save(this.KEYS.SECTIONAL_MOCKS, mocks);
+        }
+
+        // A question already in the local queue keeps its local schedule
+        if (backup.reviewQueue) {
+            const queue = this.getReviewQueue();
+            Object.entries(backup.reviewQueue.items || {}).forEach(([key, item]) => {
+                if (!queue.items[key]) queue.items[key] = item;
+            });
+            queue.attempts = [...new Set([...queue.attempts, ...(backup.reviewQueue.attempts || [])])];
+            this.saveReviewQueue(queue);
+        }
+
+        // Notes already written on this device win over the backup's
+        if (backup.mistakeNotes && Object.keys(backup.mistakeNotes).length > 0) {
+            this.save(this.KEYS.MISTAKE_NOTES, { ...backup.mistakeNotes, ...this.getMistakeNotes() });
+        }
+
+        const preferences = backup.preferences || {};
+        if (mode === 'replace' && preferences.userName !== undefined) {
+            this.saveUserName(preferences.userName);
+        }
+        [
+            [this.KEYS.TIMER_PREFERENCES, preferences.timerPreferences],
+            [this.KEYS.DARK_MODE, preferences.darkMode]
+        ].forEach(([key, value]) => {
+            if (value === undefined) return;
+            if (mode === 'replace' || this.load(key, null) === null) {
+                this.save(key, value);
+            }
+        });
+
+        result.success = true;
+        return result;
+    },
+
+    /**
+     * Store attempts restored from a backup
+     * @param {Array} items - [{ type, setId, attempt }]
+     * @param {boolean} replace - Drop the stored history once the new one is written
+     * @returns {Promise<boolean>} - True if every attempt was stored; on false nothing changed
+     */
+    async saveImportedAttempts(items, replace = false) {
+        if (this.attemptCache) {
+            const store = this.getAttemptStore();
+            try {
+                const profileId = this.getActiveProfileId();
+                const records = items.map(({ type, setId, attempt }) => store.createRecord(type, setId, attempt, profileId));
+                await (replace ? store.replaceProfile(profileId, records) : store.putAll(records));
+            } catch (e) {
+                console.error('Error importing attempts into IndexedDB:', e);
+                return false;
+            }
+            if (replace) {
+                // Attempts that fell back to localStorage belong to the replaced history too
+                this.remove(this.KEYS.SET_ATTEMPTS);
+                this.attemptCache = {};
+            }
+            items.forEach(({ type, setId, attempt }) => this.addToAttemptCache(type, setId, attempt));
+            this.sortAttemptCache();
+            return true;
+        }
+
+        const allAttempts = replace ? {} : this.load(this.KEYS.SET_ATTEMPTS, {});
+        items.forEach(({ type, setId, attempt }) => {
+            const typeAttempts = allAttempts[type] || (allAttempts[type] = {});
+            (typeAttempts[setId] || (typeAttempts[setId] = [])).push(attempt);
+        });
+        Object.values(allAttempts).forEach(sets => {
+            Object.values(sets).forEach(attempts => attempts.sort((a, b) => a.timestamp - b.timestamp));
+        });
+        return this.save(this.KEYS.SET_ATTEMPTS, allAttempts);
+    },
+
     /**
      * Reset test (clear answers and statuses but keep questions)
      * @param {number} totalQuestions - Total number of questions
@@ -363,63 +1458,65 @@ const StorageManager = {
         this.remove(this.KEYS.USER_ANSWERS);
         this.remove(this.KEYS.QUESTION_STATUS);
         this.remove(this.KEYS.TIMER_STATE);
+        this.remove(this.KEYS.TIMER_MODE);
         this.remove(this.KEYS.TEST_COMPLETED);
         this.remove(this.KEYS.CURRENT_QUESTION);
         this.remove(this.KEYS.QUESTION_TIME_TRACKING);
         this.remove(this.KEYS.CURRENT_ATTEMPT_START);
+        this.remove(this.KEYS.PASSAGE_ANNOTATIONS);
+        this.remove(this.KEYS.ELIMINATED_OPTIONS);
+        this.remove(this.KEYS.ATTEMPT_QUESTIONS);
+        this.remove(this.KEYS.ATTEMPT_PAUSED_AT);
+        this.remove(this.KEYS.ATTEMPT_PAUSED_TIME);
         this.initializeStatuses(totalQuestions);
     },
 
     // RC Set Management
     /**
      * Save selected RC set ID
+     * @deprecated Use saveSelectedSet('rc', setId)
      * @param {number} setId - RC set ID
      */
     saveSelectedRCSet(setId) {
-        this.save(this.KEYS.SELECTED_RC_SET, setId);
+        this.saveSelectedSet('rc', setId);
     },
 
     /**
      * Get selected RC set ID
+     * @deprecated Use getSelectedSetId('rc')
      * @returns {number|null} - RC set ID or null
      */
     getSelectedRCSet() {
-        return this.load(this.KEYS.SELECTED_RC_SET, null);
+        return this.getSelectedSetId('rc');
     },
 
     /**
      * Clear selected RC set
      */
     clearSelectedRCSet() {
-        this.remove(this.KEYS.SELECTED_RC_SET);
+        this.clearSelectedSet('rc');
     },
 
     // RC Set Attempts Management
     /**
      * Get all attempts for an RC set
+     * @deprecated Use getSetAttempts('rc', setId)
      * @param {number} setId - RC set ID
      * @returns {Array} - Array of attempt objects
      */
     getRCSetAttempts(setId) {
-        const allAttempts = this.load(this.KEYS.RC_SET_ATTEMPTS, {});
-        return allAttempts[setId] || [];
+        return this.getSetAttempts('rc', setId);
     },
 
     /**
      * Save an attempt for an RC set
+     * @deprecated Use saveSetAttempt('rc', setId, attemptData)
      * @param {number} setId - RC set ID
      * @param {Object} attemptData - Attempt data
+     * @returns {Promise<boolean>} - Resolves true once the attempt is stored
      */
     saveRCSetAttempt(setId, attemptData) {
-        const allAttempts = this.load(this.KEYS.RC_SET_ATTEMPTS, {});
-        if (!allAttempts[setId]) {
-            allAttempts[setId] = [];
-        }
-        allAttempts[setId].push({
-            ...attemptData,
-            timestamp: Date.now()
-        });
-        this.save(this.KEYS.RC_SET_ATTEMPTS, allAttempts);
+        return this.saveSetAttempt('rc', setId, attemptData);
     },
 
     // Question Time Tracking
@@ -518,7 +1615,7 @@ const StorageManager = {
     // Multi-Type Question Support
     /**
      * Get current question type
-     * @returns {string} - Question type: 'rc', 'para-completion', or 'para-summary'
+     * @returns {string} - Question type: 'rc', 'para-completion', 'para-summary', 'para-jumble', 'odd-one-out', 'sectional-mock' or a question pack ID
      */
     getQuestionType() {
         return this.load(this.KEYS.QUESTION_TYPE, 'rc');
@@ -538,12 +1635,8 @@ const StorageManager = {
      * @returns {number|null} - Set ID or null
      */
     getSelectedSetId(type) {
-        const keys = {
-            'rc': this.KEYS.SELECTED_RC_SET,
-            'para-completion': this.KEYS.SELECTED_SET_PC,
-            'para-summary': this.KEYS.SELECTED_SET_PS
-        };
-        return this.load(keys[type]);
+        const selected = this.load(this.KEYS.SELECTED_SETS, {});
+        return selected[type] ?? null;
     },
 
     /**
@@ -553,12 +1646,19 @@ const StorageManager = {
      */
     saveSelectedSet(type, setId) {
         this.saveQuestionType(type);
-        const keys = {
-            'rc': this.KEYS.SELECTED_RC_SET,
-            'para-completion': this.KEYS.SELECTED_SET_PC,
-            'para-summary': this.KEYS.SELECTED_SET_PS
-        };
-        this.save(keys[type], setId);
+        const selected = this.load(this.KEYS.SELECTED_SETS, {});
+        selected[type] = setId;
+        this.save(this.KEYS.SELECTED_SETS, selected);
+    },
+
+    /**
+     * Clear the selected set for a question type
+     * @param {string} type - Question type
+     */
+    clearSelectedSet(type) {
+        const selected = this.load(this.KEYS.SELECTED_SETS, {});
+        delete selected[type];
+        this.save(this.KEYS.SELECTED_SETS, selected);
     },
 
     /**
@@ -568,38 +1668,38 @@ const StorageManager = {
      * @returns {Array} - Array of attempt objects
      */
     getSetAttempts(type, setId) {
-        const keys = {
-            'rc': this.KEYS.RC_SET_ATTEMPTS,
-            'para-completion': this.KEYS.SET_ATTEMPTS_PC,
-            'para-summary': this.KEYS.SET_ATTEMPTS_PS
-        };
-        const allAttempts = this.load(keys[type], {});
-        return allAttempts[setId] || [];
+        const allAttempts = this.getAttemptHistory();
+        return (allAttempts[type]?.[setId] || []).map(attempt => this.applyErrata(attempt, type));
     },
 
     /**
      * Save set attempt for a question type
+     * Call ready() first so the attempt goes to IndexedDB when it is available
      * @param {string} type - Question type
      * @param {number} setId - Set ID
      * @param {Object} attemptData - Attempt data
+     * @returns {Promise<boolean>} - Resolves true once the attempt is stored
      */
     saveSetAttempt(type, setId, attemptData) {
-        const keys = {
-            'rc': this.KEYS.RC_SET_ATTEMPTS,
-            'para-completion': this.KEYS.SET_ATTEMPTS_PC,
-            'para-summary': this.KEYS.SET_ATTEMPTS_PS
-        };
-        const allAttempts = this.load(keys[type], {});
-        if (!allAttempts[setId]) {
-            allAttempts[setId] = [];
-        }
-        allAttempts[setId].push({
+        const attempt = {
             ...attemptData,
             setId: attemptData?.setId ?? setId,
             questionType: attemptData?.questionType ?? type,
             timestamp: Date.now()
-        });
-        this.save(keys[type], allAttempts);
+        };
+
+        if (!this.attemptCache) {
+            return Promise.resolve(this.saveAttemptLocally(type, setId, attempt));
+        }
+
+        this.addToAttemptCache(type, setId, attempt);
+        const store = this.getAttemptStore();
+        return store.put(store.createRecord(type, setId, attempt, this.getActiveProfileId()))
+            .then(() => true)
+            .catch(e => {
+                console.error('Error saving attempt to IndexedDB, falling back to localStorage:', e);
+                return this.saveAttemptLocally(type, setId, attempt);
+            });
     },
 
     /**
@@ -608,33 +1708,265 @@ const StorageManager = {
      * @returns {Array} - Flat array of attempts
      */
     getAllSetAttempts(type) {
-        const keys = {
-            'rc': this.KEYS.RC_SET_ATTEMPTS,
-            'para-completion': this.KEYS.SET_ATTEMPTS_PC,
-            'para-summary': this.KEYS.SET_ATTEMPTS_PS
-        };
-        const allAttempts = this.load(keys[type], {});
+        const allAttempts = this.getAttemptHistory()[type] || {};
         const flat = [];
 
         Object.entries(allAttempts).forEach(([setId, attempts]) => {
             if (!Array.isArray(attempts)) return;
             attempts.forEach(attempt => {
                 const parsedSetId = Number.isFinite(Number(setId)) ? parseInt(setId, 10) : setId;
-                flat.push({
+                flat.push(this.applyErrata({
                     ...attempt,
                     setId: attempt?.setId ?? parsedSetId,
                     questionType: attempt?.questionType ?? type
-                });
+                }, type));
             });
         });
 
         return flat;
+    },
+
+    /**
+     * Re-score an attempt under the local question corrections
+     * The stored attempt is left as it was, so removing a correction restores its score
+     * @param {Object} attempt - Stored attempt
+     * @param {string} type - Question type it is stored under
+     * @returns {Object} - The attempt, or a corrected copy
+     */
+    applyErrata(attempt, type) {
+        if (typeof QuestionErrata === 'undefined' || !attempt) return attempt;
+        return QuestionErrata.rescoreAttempt(attempt, type);
+    },
+
+    // Attempt History Backend
+    /**
+     * Get the IndexedDB attempt store, if one is loaded
+     * @returns {Object|null} - AttemptStore or null
+     */
+    getAttemptStore() {
+        if (this.attemptStore) return this.attemptStore;
+        return typeof window !== 'undefined' && window.AttemptStore ? window.AttemptStore : null;
+    },
+
+    /**
+     * Set up the attempt history backend
+     * Once the history has loaded, the pre-migration backup is no longer needed
+     * Safe to call more than once; every call shares the same setup
+     * @returns {Promise<string>} - 'indexeddb' or 'localStorage'
+     */
+    ready() {
+        if (!this.attemptStoreReady) {
+            this.attemptStoreReady = this.initAttemptStore().then(backend => {
+                this.releaseMigrationBackup();
+                return backend;
+            });
+        }
+        return this.attemptStoreReady;
+    },
+
+    /**
+     * Delete the pre-migration backup now that the history has been read back
+     * StorageMigrations keeps it if the migrated data does not parse
+     * @returns {boolean} - True if a backup was deleted
+     */
+    releaseMigrationBackup() {
+        const migrations = typeof window !== 'undefined' ? window.StorageMigrations : null;
+        if (!migrations || typeof localStorage === 'undefined') return false;
+        return migrations.releaseBackup(localStorage);
+    },
+
+    /**
+     * Open IndexedDB, move localStorage history into it and fill the cache
+     * Falls back to localStorage if IndexedDB is missing or fails
+     * @returns {Promise<string>} - Backend in use
+     */
+    async initAttemptStore() {
+        const store = this.getAttemptStore();
+        if (!store || !store.isSupported()) {
+            return 'localStorage';
+        }
+
+        const profileId = this.getActiveProfileId();
+        try {
+            const localHistory = this.load(this.KEYS.SET_ATTEMPTS, null);
+            const localRecords = [];
+            Object.entries(localHistory || {}).forEach(([type, sets]) => {
+                Object.entries(sets || {}).forEach(([setId, attempts]) => {
+                    (Array.isArray(attempts) ? attempts : []).forEach(attempt => {
+                        localRecords.push(store.createRecord(type, attempt.setId ?? setId, attempt, profileId));
+                    });
+                });
+            });
+
+            if (localRecords.length > 0) {
+                await store.putAll(localRecords);
+            }
+
+            const cache = this.groupAttemptRecords(await store.getAllForProfile(profileId));
+
+            // The profile was switched while this one was loading
+            if (profileId !== this.getActiveProfileId()) {
+                return 'indexeddb';
+            }
+            this.attemptCache = cache;
+
+            // Only drop the localStorage copies once IndexedDB has them
+            if (localHistory) {
+                this.remove(this.KEYS.SET_ATTEMPTS);
+            }
+
+            return 'indexeddb';
+        } catch (e) {
+            console.error('IndexedDB unavailable, keeping attempt history in localStorage:', e);
+            this.attemptCache = null;
+            return 'localStorage';
+        }
+    },
+
+    /**
+     * Get every attempt grouped by question type and set
+     * @returns {Object} - { questionType: { setId: [attempts] } }
+     */
+    getAttemptHistory() {
+        return this.attemptCache || this.load(this.KEYS.SET_ATTEMPTS, {});
+    },
+
+    /**
+     * Add an attempt to the in-memory cache
+     * @param {string} type - Question type
+     * @param {number} setId - Set ID
+     * @param {Object} attempt - Attempt data
+     */
+    addToAttemptCache(type, setId, attempt) {
+        const sets = this.attemptCache[type] || (this.attemptCache[type] = {});
+        (sets[setId] || (sets[setId] = [])).push(attempt);
+    },
+
+    /**
+     * Keep each set's cached attempts in timestamp order
+     */
+    sortAttemptCache() {
+        this.sortAttemptHistory(this.attemptCache || {});
+    },
+
+    /**
+     * Sort every set's attempts by timestamp, in place
+     * @param {Object} history - { questionType: { setId: [attempts] } }
+     * @returns {Object} - The same history
+     */
+    sortAttemptHistory(history) {
+        Object.values(history).forEach(sets => {
+            Object.values(sets).forEach(attempts => attempts.sort((a, b) => a.timestamp - b.timestamp));
+        });
+        return history;
+    },
+
+    /**
+     * Group attempt store records by question type and set
+     * @param {Array} records - Records from AttemptStore
+     * @returns {Object} - { questionType: { setId: [attempts] } }, sorted by timestamp
+     */
+    groupAttemptRecords(records) {
+        const history = {};
+        records.forEach(record => {
+            const sets = history[record.questionType] || (history[record.questionType] = {});
+            (sets[record.setId] || (sets[record.setId] = [])).push(record.attempt);
+        });
+        return this.sortAttemptHistory(history);
+    },
+
+    /**
+     * Get the attempt history of any profile
+     * Reads IndexedDB directly, so it works for profiles that aren't active
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object>} - { questionType: { setId: [attempts] } }
+     */
+    async getProfileAttemptHistory(profileId) {
+        const history = this.loadFromProfile(this.KEYS.SET_ATTEMPTS, profileId, {});
+        const store = this.getAttemptStore();
+        if (!store || !store.isSupported()) return history;
+
+        try {
+            const stored = this.groupAttemptRecords(await store.getAllForProfile(profileId));
+            Object.entries(stored).forEach(([type, sets]) => {
+                const typeHistory = history[type] || (history[type] = {});
+                Object.entries(sets).forEach(([setId, attempts]) => {
+                    const seen = new Set((typeHistory[setId] || []).map(attempt => attempt.timestamp));
+                    typeHistory[setId] = (typeHistory[setId] || []).concat(attempts.filter(attempt => !seen.has(attempt.timestamp)));
+                });
+            });
+        } catch (e) {
+            console.error('Error reading profile attempts from IndexedDB:', e);
+        }
+        return this.sortAttemptHistory(history);
+    },
+
+    /**
+     * Save an attempt to localStorage
+     * @param {string} type - Question type
+     * @param {number} setId - Set ID
+     * @param {Object} attempt - Attempt data
+     * @returns {boolean} - False if localStorage rejected it (usually quota)
+     */
+    saveAttemptLocally(type, setId, attempt) {
+        const allAttempts = this.load(this.KEYS.SET_ATTEMPTS, {});
+        const typeAttempts = allAttempts[type] || {};
+        if (!typeAttempts[setId]) {
+            typeAttempts[setId] = [];
+        }
+        typeAttempts[setId].push(attempt);
+        allAttempts[type] = typeAttempts;
+        return this.save(this.KEYS.SET_ATTEMPTS, allAttempts);
+    },
+
+    /**
+     * Delete all attempt history from every backend
+     * @returns {Promise<void>}
+     */
+    clearAttemptHistory() {
+        this.remove(this.KEYS.SET_ATTEMPTS);
+        if (!this.attemptCache) return Promise.resolve();
+
+        this.attemptCache = {};
+        return this.getAttemptStore().clearProfile(this.getActiveProfileId()).catch(e => {
+            console.error('Error clearing IndexedDB attempts:', e);
+        });
+    },
+
+    // Sectional Mock Management
+    /**
+     * Save a generated sectional mock definition
+     * @param {Object} mock - Mock definition without an id
+     * @returns {number} - Id assigned to the mock
+     */
+    saveSectionalMock(mock) {
+        const mocks = this.load(this.KEYS.SECTIONAL_MOCKS, {});
+        const ids = Object.keys(mocks).map(id => parseInt(id, 10)).filter(Number.isFinite);
+        const id = ids.length > 0 ? Math.max(...ids) + 1 : 1;
+        mocks[id] = { ...mock, id };
+        this.save(this.KEYS.SECTIONAL_MOCKS, mocks);
+        return id;
+    },
+
+    /**
+     * Get a sectional mock definition by id
+     * @param {number} id - Mock id
+     * @returns {Object|null} - Mock definition or null
+     */
+    getSectionalMock(id) {
+        const mocks = this.load(this.KEYS.SECTIONAL_MOCKS, {});
+        return mocks[id] || null;
     }
 };
 
 // Make StorageManager available globally for browser
 if (typeof window !== 'undefined') {
     window.StorageManager = StorageManager;
+
+    // Bring data saved by older builds up to date before any page reads it
+    if (window.StorageMigrations && typeof localStorage !== 'undefined') {
+        window.StorageMigrations.run(localStorage);
+    }
 }
 
 // Export for Node.js/testing
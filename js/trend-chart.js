@@ -0,0 +1,164 @@
+/**
+ * Trend Chart
+ * Line charts drawn as inline SVG, so they need no chart library and work offline
+ *
+ * This module manages:
+ * - Scaling series onto a fixed-size plot with "nice" y-axis ticks
+ * - Drawing one line per series through its trend values (e.g. a rolling
+ *   average) and a dot for each raw value, with a tooltip on every dot
+ * - A legend naming each series in its colour
+ *
+ * Charts are returned as SVG markup with a viewBox, so they scale to the width
+ * of their container. Every label is escaped before it is drawn.
+ *
+ * Series Format:
+ * - { label: 'Reading Comprehension', color: '#667eea',
+ *     points: [{ x: timestamp, value: 64, trend: 58 }] }
+ *
+ * @namespace TrendChart
+ */
+
+const TrendChart = {
+    WIDTH: 640,
+    HEIGHT: 240,
+    PADDING: { top: 16, right: 20, bottom: 32, left: 48 },
+    Y_TICKS: 4,
+    X_TICKS: 6,
+
+    // Series colours, used in order
+    COLORS: ['#667eea', '#e67e22', '#27ae60', '#c0392b', '#8e44ad', '#16a085', '#d4a017', '#2c3e50'],
+
+    /**
+     * Get the colour of the nth series
+     * @param {number} index - Series index
+     * @returns {string} - CSS colour
+     */
+    getColor(index) {
+        return this.COLORS[index % this.COLORS.length];
+    },
+
+    /**
+     * Round a tick step up to 1, 2, 2.5 or 5 times a power of ten
+     * @param {number} step - Raw step
+     * @returns {number} - Nice step
+     */
+    getNiceStep(step) {
+        if (!(step > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(step)));
+        const nice = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= step);
+        return nice * magnitude;
+    },
+
+    /**
+     * Work out the y-axis of a chart
+     * @param {number[]} values - Every value drawn
+     * @param {{min: number, max: number}} bounds - Values the axis must include
+     * @returns {{min: number, max: number, ticks: number[]}}
+     */
+    getYAxis(values, { min = 0, max = 0 } = {}) {
+        const low = Math.min(min, ...values);
+        const high = Math.max(max, ...values);
+        const step = this.getNiceStep((high - low) / this.Y_TICKS || 1);
+        const axisMin = Math.floor(low / step) * step;
+        const axisMax = Math.max(axisMin + step, Math.ceil(high / step) * step);
+
+        const ticks = [];
+        for (let tick = axisMin; tick <= axisMax + step / 2; tick += step) {
+            ticks.push(Math.round(tick * 100) / 100);
+        }
+        return { min: axisMin, max: axisMax, ticks };
+    },
+
+    /**
+     * Draw a line chart
+     * @param {Object} options
+     * @param {Array} options.series - Series (see Series Format); series without points are skipped
+     * @param {number} options.xMin - First x value of the axis (defaults to the first point)
+     * @param {number} options.xMax - Last x value of the axis (defaults to the last point)
+     * @param {{min: number, max: number}} options.yBounds - Values the y-axis must include
+     * @param {Function} options.formatX - x value to label
+     * @param {Function} options.formatY - y value to label
+     * @param {string} options.title - Accessible name of the chart
+     * @returns {string} - SVG markup, or '' if there is nothing to draw
+     */
+    render({ series, xMin, xMax, yBounds, formatX = String, formatY = String, title = '' }) {
+        const drawn = (series || []).filter(item => Array.isArray(item.points) && item.points.length > 0);
+        if (drawn.length === 0) return '';
+
+        const points = drawn.flatMap(item => item.points);
+        const xs = points.map(point => point.x);
+        const first = Number.isFinite(xMin) ? xMin : Math.min(...xs);
+        const last = Number.isFinite(xMax) ? xMax : Math.max(...xs);
+        const yAxis = this.getYAxis(points.flatMap(point => [point.value, point.trend ?? point.value]), yBounds);
+
+        const { top, right, bottom, left } = this.PADDING;
+        const plotWidth = this.WIDTH - left - right;
+        const plotHeight = this.HEIGHT - top - bottom;
+        const scaleX = x => left + (last > first ? ((x - first) / (last - first)) * plotWidth : plotWidth / 2);
+        const scaleY = y => top + plotHeight - ((y - yAxis.min) / (yAxis.max - yAxis.min)) * plotHeight;
+        const round = value => Math.round(value * 10) / 10;
+
+        const grid = yAxis.ticks.map(tick => `
+            <line class="trend-grid" x1="${left}" x2="${this.WIDTH - right}" y1="${round(scaleY(tick))}" y2="${round(scaleY(tick))}"></line>
+            <text class="trend-axis-label" x="${left - 8}" y="${round(scaleY(tick))}" text-anchor="end" dominant-baseline="middle">${Utils.sanitizeHTML(formatY(tick))}</text>
+        `).join('');
+
+        const xTickCount = last > first ? this.X_TICKS : 1;
+        const xTicks = Array.from({ length: xTickCount }, (_, i) => (
+            xTickCount === 1 ? first : first + ((last - first) * i) / (xTickCount - 1)
+        ));
+        const xLabels = xTicks.map(tick => `
+            <text class="trend-axis-label" x="${round(scaleX(tick))}" y="${this.HEIGHT - 10}" text-anchor="middle">${Utils.sanitizeHTML(formatX(tick))}</text>
+        `).join('');
+
+        const lines = drawn.map(item => {
+            const sorted = [...item.points].sort((a, b) => a.x - b.x);
+            const path = sorted.map(point => `${round(scaleX(point.x))},${round(scaleY(point.trend ?? point.value))}`).join(' ');
+            const dots = sorted.map(point => `
+                <circle class="trend-dot" cx="${round(scaleX(point.x))}" cy="${round(scaleY(point.value))}" r="3.5" fill="${item.color}">
+                    <title>${Utils.sanitizeHTML(`${item.label}, ${formatX(point.x)}: ${formatY(point.value)}`)}</title>
+                </circle>
+            `).join('');
+            return `
+                <g class="trend-series">
+                    <polyline class="trend-line" points="${path}" fill="none" stroke="${item.color}"></polyline>
+                    ${dots}
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="trend-chart" viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}" role="img" aria-label="${Utils.sanitizeHTML(title)}" preserveAspectRatio="xMidYMid meet">
+                ${grid}
+                <line class="trend-axis" x1="${left}" x2="${left}" y1="${top}" y2="${top + plotHeight}"></line>
+                ${xLabels}
+                ${lines}
+            </svg>
+        `;
+    },
+
+    /**
+     * Build the legend of a set of series
+     * @param {Array} series - Series with label and color
+     * @returns {string} - HTML
+     */
+    renderLegend(series) {
+        return `
+            <ul class="trend-legend">
+                ${series.map(item => `
+                    <li><span class="trend-swatch" style="background: ${item.color}"></span>${Utils.sanitizeHTML(item.label)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+};
+
+// Make TrendChart available globally for browser
+if (typeof window !== 'undefined') {
+    window.TrendChart = TrendChart;
+}
+
+// Export for Node.js/testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendChart;
+}
@@ -248,6 +248,28 @@ const Utils = {
         return `${hours}h ${remainingMinutes}m`;
     },
 
+    /**
+     * Get the local calendar day of a date
+     * @param {Date|number} date - Date or timestamp (defaults to now)
+     * @returns {string} - 'YYYY-MM-DD'
+     */
+    toDateKey(date = new Date()) {
+        const day = date instanceof Date ? date : new Date(date);
+        const pad = value => String(value).padStart(2, '0');
+        return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+    },
+
+    /**
+     * Get local midnight of a calendar day
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @param {number} offsetDays - Days to move it by
+     * @returns {Date} - Start of the day
+     */
+    parseDateKey(dateKey, offsetDays = 0) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day + offsetDays);
+    },
+
     /**
      * Validate URL parameter is safe integer
      * @param {URLSearchParams} params - URL search params
@@ -299,6 +321,33 @@ const Utils = {
      */
     isValidArray(value) {
         return Array.isArray(value) && value.length > 0;
+    },
+
+    /**
+     * Get the marks awarded for a question
+     * TITA questions carry no negative marking, as in CAT
+     * @param {Object} question - Question object
+     * @returns {{positive: number, negative: number}} - Marks for a correct/incorrect answer
+     */
+    getQuestionMarks(question) {
+        const positive = question?.marks?.positive || 3;
+        const negative = question?.type === 'TITA' ? 0 : (question?.marks?.negative ?? 1);
+        return { positive, negative };
+    },
+
+    /**
+     * Hash a string (32-bit FNV-1a)
+     * Not cryptographic; used to tell content apart, not to protect it
+     * @param {string} text - Text to hash
+     * @returns {string} - Hash in base 36
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
     }
 };
 
@@ -0,0 +1,413 @@
+const fs = require('fs');
+const path = require('path');
+
+global.QuestionTypes = require('../js/question-types');
+const QuestionSchema = require('../js/question-schema');
+
+const USAGE = `Usage: node scripts/import_questions.js [options] <file.md>
+
+Converts questions written in the plain-text import format (docs/IMPORT_FORMAT.md)
+into the question bank JSON format. New question ids and set ids start after the
+highest ones in the type's data file, so the result can be added without clashes.
+
+Options:
+  --type <id>   Question type (default: the "Type:" line at the top of the file)
+  --out <file>  Write the imported questions to <file> as a question pack
+  --append      Add the imported questions to the type's data file in data/
+  --help        Show this message
+
+With neither --out nor --append the pack is printed to stdout.
+Nothing is written when the file has errors.
+
+Exit codes: 0 imported, 1 errors in the file, 2 bad arguments`;
+
+const PATTERNS = {
+  type: /^type\s*:\s*(\S+)\s*$/i,
+  heading: /^#{1,6}(?:\s+(.*))?$/,
+  question: /^(?:Q\.?\s*)?(\d{1,3})[.)]\s+(\S.*)$/i,
+  option: /^(?:\(([A-E])\)|([A-E])[.)])\s+(\S.*)$/i,
+  answer: /^(?:correct\s+)?answer\s*[:-]\s*\(?([A-Z])\)?\.?\s*$/i,
+  answerLabel: /^(?:correct\s+)?answer\s*[:-]/i,
+  explanation: /^explanation\s*[:-]\s*(.*)$/i,
+  marks: /^marks\s*:\s*\+?(\d+(?:\.\d+)?)\s*[,/]?\s*-\s*(\d+(?:\.\d+)?)\s*$/i
+};
+
+const LETTERS = 'ABCDE';
+
+function parseArgs(argv) {
+  const options = { file: null, type: null, out: null, append: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--append') {
+      options.append = true;
+    } else if (arg === '--type' || arg.startsWith('--type=')) {
+      options.type = arg === '--type' ? argv[++i] : arg.slice('--type='.length);
+      if (!options.type) throw new Error('--type needs a question type id');
+    } else if (arg === '--out' || arg.startsWith('--out=')) {
+      options.out = arg === '--out' ? argv[++i] : arg.slice('--out='.length);
+      if (!options.out) throw new Error('--out needs a file name');
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (options.file) {
+      throw new Error('Import one file at a time');
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (!options.file) throw new Error('No input file given');
+  if (options.out && options.append) throw new Error('Use either --out or --append, not both');
+  if (options.type) checkType(options.type);
+  return options;
+}
+
+/**
+ * Check that a type can be imported: the format only has lettered options
+ */
+function checkType(type) {
+  if (!QuestionTypes.has(type) || QuestionTypes.get(type).composite) {
+    throw new Error(`Unknown question type "${type}"`);
+  }
+  if (QuestionTypes.get(type).renderer.input !== 'options') {
+    throw new Error(`"${type}" questions are not answered by picking an option and cannot be imported from this format`);
+  }
+}
+
+/**
+ * Split a file in the import format into sets and questions
+ * Text stays as written (a list of paragraphs, each a list of lines);
+ * toBankQuestions() turns it into bank fields.
+ * @param {string} text - File contents
+ * @returns {Object} - { type, sets: [{ line, passage, questions }], errors: [{ line, message }] }
+ */
+function parseText(text) {
+  const result = { type: null, sets: [], errors: [] };
+  const error = (line, message) => result.errors.push({ line, message });
+
+  let set = null;
+  let question = null;
+  // The block that plain lines are added to: a paragraph list, or null when text is not expected
+  let target = null;
+  let paragraphBreak = false;
+
+  const addText = (lineNo, line) => {
+    if (!target) {
+      error(lineNo, question
+        ? 'Unexpected text; start the explanation with "Explanation:"'
+        : 'Text outside a question');
+      return;
+    }
+    if (target.length === 0 || paragraphBreak) {
+      target.push([line]);
+    } else {
+      target[target.length - 1].push(line);
+    }
+    paragraphBreak = false;
+  };
+
+  const startSet = (lineNo) => {
+    set = { line: lineNo, passage: [], questions: [] };
+    result.sets.push(set);
+    question = null;
+    target = set.passage;
+  };
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  lines.forEach((raw, index) => {
+    const lineNo = index + 1;
+    const line = raw.trim();
+    let match;
+
+    if (!line) {
+      paragraphBreak = true;
+      return;
+    }
+
+    if (!set && !result.type && (match = line.match(PATTERNS.type))) {
+      result.type = match[1].toLowerCase();
+    } else if ((match = line.match(PATTERNS.heading))) {
+      startSet(lineNo);
+    } else if ((match = line.match(PATTERNS.question))) {
+      if (!set) startSet(lineNo);
+      question = {
+        line: lineNo,
+        number: Number(match[1]),
+        question: [[match[2]]],
+        options: [],
+        answer: null,
+        explanation: [],
+        marks: null
+      };
+      set.questions.push(question);
+      target = question.question;
+      paragraphBreak = false;
+    } else if (question && (target === question.question || question.options.includes(target))
+        && (match = line.match(PATTERNS.option))) {
+      const letter = (match[1] || match[2]).toUpperCase();
+      const expected = LETTERS[question.options.length];
+      if (letter !== expected) {
+        error(lineNo, expected
+          ? `Expected option ${expected}, found ${letter}`
+          : `Too many options; at most ${LETTERS.length} are allowed`);
+      }
+      const option = [[match[3]]];
+      question.options.push(option);
+      target = option;
+      paragraphBreak = false;
+    } else if ((match = line.match(PATTERNS.answer))) {
+      if (!question) {
+        error(lineNo, 'Answer line outside a question');
+      } else if (question.answer !== null) {
+        error(lineNo, `Question ${question.number} already has an answer`);
+      } else {
+        question.answer = { letter: match[1].toUpperCase(), line: lineNo };
+      }
+      target = null;
+    } else if (PATTERNS.answerLabel.test(line)) {
+      error(lineNo, 'The answer must be a single option letter, e.g. "Answer: B"');
+      target = null;
+    } else if ((match = line.match(PATTERNS.explanation))) {
+      if (!question) {
+        error(lineNo, 'Explanation outside a question');
+        target = null;
+        return;
+      }
+      target = question.explanation;
+      if (match[1]) addText(lineNo, match[1]);
+    } else if ((match = line.match(PATTERNS.marks))) {
+      if (!question) {
+        error(lineNo, 'Marks line outside a question');
+      } else {
+        question.marks = { positive: Number(match[1]), negative: Number(match[2]) };
+      }
+      target = null;
+    } else {
+      if (!set && !question) startSet(lineNo);
+      addText(lineNo, line);
+    }
+  });
+
+  result.sets.forEach(parsedSet => {
+    if (parsedSet.questions.length === 0) {
+      error(parsedSet.line, 'Set has no questions');
+    }
+    parsedSet.questions.forEach(parsedQuestion => {
+      const number = parsedQuestion.number;
+      if (parsedQuestion.options.length < 2) {
+        error(parsedQuestion.line, `Question ${number} needs at least 2 options`);
+      }
+      if (!parsedQuestion.answer) {
+        error(parsedQuestion.line, `Question ${number} has no "Answer:" line`);
+      } else if (LETTERS.indexOf(parsedQuestion.answer.letter) >= parsedQuestion.options.length) {
+        error(parsedQuestion.answer.line, `Answer ${parsedQuestion.answer.letter} is not one of question ${number}'s options`);
+      }
+    });
+  });
+
+  if (result.sets.length === 0 && result.errors.length === 0) {
+    error(1, 'No questions found');
+  }
+  return result;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Join paragraphs for display as HTML, with **bold** and *italic* markup
+ */
+function toHtml(paragraphs) {
+  return paragraphs
+    .map(lines => escapeHtml(lines.join(' '))
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*([^*\s][^*]*?)\*/g, '<em>$1</em>'))
+    .map(paragraph => `<p>${paragraph}</p>`)
+    .join('\n\n');
+}
+
+function toPlainText(paragraphs) {
+  return paragraphs.map(lines => lines.join(' ')).join('\n\n');
+}
+
+function maxOf(values) {
+  return values.filter(Number.isInteger).reduce((max, value) => Math.max(max, value), 0);
+}
+
+/**
+ * Convert parsed sets into bank questions numbered after the existing bank
+ * @param {Object} parsed - parseText() result
+ * @param {Object} definition - QuestionTypes definition
+ * @param {Object} bank - Bank the questions will join ({ questions })
+ * @returns {Object} - { questions, lines: Map of question id to source line, errors }
+ */
+function toBankQuestions(parsed, definition, bank) {
+  const existing = bank.questions || [];
+  const withQuestionType = existing.length === 0 || existing.some(question => 'questionType' in question);
+  const lines = new Map();
+  const errors = [];
+  const questions = [];
+
+  let nextId = maxOf(existing.map(question => question.id)) + 1;
+  let nextSetId = maxOf(existing.map(question => question[definition.setKey])) + 1;
+
+  parsed.sets.forEach(set => {
+    const setId = nextSetId;
+    nextSetId += 1;
+
+    if (definition.renderer.passage && set.passage.length === 0) {
+      errors.push({ line: set.line, message: `${definition.label} sets need a passage before the first question` });
+    } else if (!definition.renderer.passage && set.passage.length > 0) {
+      errors.push({ line: set.line, message: `${definition.label} questions have no shared passage; put the paragraph in the question` });
+    }
+
+    set.questions.forEach((parsedQuestion, index) => {
+      const question = {
+        id: nextId,
+        [definition.setKey]: setId,
+        passage: definition.renderer.passage && index === 0 ? toHtml(set.passage) : null,
+        type: 'MCQ',
+        marks: parsedQuestion.marks || { positive: 3, negative: 1 },
+        ...(withQuestionType ? { questionType: definition.id } : {}),
+        question: definition.renderer.richText
+          ? toHtml(parsedQuestion.question)
+          : toPlainText(parsedQuestion.question),
+        options: parsedQuestion.options.map(toPlainText),
+        correctAnswer: parsedQuestion.answer ? LETTERS.indexOf(parsedQuestion.answer.letter) : null,
+        explanation: toPlainText(parsedQuestion.explanation)
+      };
+      lines.set(question.id, parsedQuestion.line);
+      questions.push(question);
+      nextId += 1;
+    });
+  });
+
+  return { questions, lines, errors };
+}
+
+/**
+ * Build a standalone bank of the imported questions (same shape as the editor's packs)
+ */
+function createPack(questions, definition, testInfo = {}) {
+  return {
+    testInfo: {
+      title: `${definition.label} Pack`,
+      duration: testInfo.duration || 40,
+      totalQuestions: questions.length,
+      sections: ['VARC'],
+      questionType: definition.id
+    },
+    questions
+  };
+}
+
+function readBank(bankPath) {
+  try {
+    return JSON.parse(fs.readFileSync(bankPath, 'utf-8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return { testInfo: {}, questions: [] };
+    throw new Error(`Cannot read ${bankPath}: ${e.message}`);
+  }
+}
+
+/**
+ * Import one file
+ * @param {Object} options - parseArgs() result
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {Object} - { type, errors, warnings, questions, pack, bank, bankPath }
+ */
+function run(options, cwd = process.cwd()) {
+  const report = { type: null, errors: [], warnings: [], questions: [], pack: null, bank: null, bankPath: null };
+  const text = fs.readFileSync(path.resolve(cwd, options.file), 'utf-8');
+  const parsed = parseText(text);
+
+  report.type = options.type || parsed.type;
+  report.errors.push(...parsed.errors);
+  if (!report.type) {
+    report.errors.push({ line: 1, message: 'Unknown question type; add a "Type:" line or pass --type' });
+    return report;
+  }
+  try {
+    checkType(report.type);
+  } catch (e) {
+    report.errors.push({ line: 1, message: e.message });
+    return report;
+  }
+
+  const definition = QuestionTypes.get(report.type);
+  report.bankPath = path.resolve(cwd, 'data', definition.dataFile);
+  const bank = readBank(report.bankPath);
+  const converted = toBankQuestions(parsed, definition, bank);
+  report.errors.push(...converted.errors);
+  report.questions = converted.questions;
+  if (report.errors.length > 0) return report;
+
+  // Schema-check the bank as it would be after the import; only the new questions' issues are reported
+  const merged = {
+    ...bank,
+    testInfo: { ...bank.testInfo, totalQuestions: (bank.questions || []).length + converted.questions.length },
+    questions: (bank.questions || []).concat(converted.questions)
+  };
+  const validation = QuestionSchema.validateBank(merged, report.type);
+  const toLine = issue => ({ line: converted.lines.get(issue.questionId), message: issue.message });
+  report.errors.push(...validation.errors.filter(issue => converted.lines.has(issue.questionId)).map(toLine));
+  report.warnings.push(...validation.warnings.filter(issue => converted.lines.has(issue.questionId)).map(toLine));
+
+  report.pack = createPack(converted.questions, definition, bank.testInfo);
+  report.bank = merged;
+  return report;
+}
+
+function main(argv) {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error('Run with --help for usage.');
+    return 2;
+  }
+
+  let report;
+  try {
+    report = run(options);
+  } catch (e) {
+    console.error(e.code === 'ENOENT' ? `File not found: ${options.file}` : e.message);
+    return 2;
+  }
+
+  const byLine = (a, b) => a.line - b.line;
+  report.errors.sort(byLine).forEach(issue => console.error(`${options.file}:${issue.line}: error: ${issue.message}`));
+  report.warnings.sort(byLine).forEach(issue => console.error(`${options.file}:${issue.line}: warning: ${issue.message}`));
+  if (report.errors.length > 0) {
+    console.error(`${report.errors.length} error(s); nothing was written`);
+    return 1;
+  }
+
+  const ids = report.questions.map(question => question.id);
+  const summary = `Imported ${ids.length} question(s) as ${report.type}, ids ${ids[0]}-${ids[ids.length - 1]}`;
+  if (options.append) {
+    fs.writeFileSync(report.bankPath, JSON.stringify(report.bank, null, 2));
+    console.error(`${summary}, into ${path.relative(process.cwd(), report.bankPath)}`);
+  } else if (options.out) {
+    fs.writeFileSync(options.out, JSON.stringify(report.pack, null, 2));
+    console.error(`${summary}, into ${options.out}`);
+  } else {
+    console.log(JSON.stringify(report.pack, null, 2));
+    console.error(summary);
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, parseText, toBankQuestions, createPack, run, main };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+
+const { detectType } = require('./validate_questions');
+
+// Command line shared by the scripts that add classifier output to bank files
+// (tag_questions.js, tag_traps.js). The tagger describes what is tagged:
+//   script          file name shown in the usage text
+//   description     what the script does, for the usage text
+//   appliesTo(type) whether questions of a type id can be tagged
+//   typeError(type) message for a --type that cannot be tagged
+//   bankError       message for a file that is not a bank it can tag
+//   defaultFiles    tag the built-in banks when no files are given; otherwise files are required
+//   applyToBank(type, bank) bank copy with new tags; questions it leaves alone keep their identity
+//   getTags(question)       tags of a tagged question, or null if the question is never tagged
+//   getLabel(tag)           display label of a tag
+//   untaggedLabel           name of the untagged count in the report
+//   describeUntagged(question) optional report line for a question left untagged
+function createTagCommand(tagger) {
+  const USAGE = `Usage: node scripts/${tagger.script} [options] [file ...]
+
+${tagger.description}
+
+Options:
+  --type <id>   Question type of the given files (default: testInfo.questionType,
+                then the registered type whose data file has the same name)
+  --dry-run     Report the tags without writing anything
+  --help        Show this message
+
+Exit codes: 0 done, 1 a file could not be tagged, 2 bad arguments`;
+
+  function parseArgs(argv) {
+    const options = { files: [], type: null, dryRun: false };
+
+    for (let i = 0; i < argv.length; i += 1) {
+      const arg = argv[i];
+      if (arg === '--dry-run') {
+        options.dryRun = true;
+      } else if (arg === '--type' || arg.startsWith('--type=')) {
+        options.type = arg === '--type' ? argv[++i] : arg.slice('--type='.length);
+        if (!options.type) throw new Error('--type needs a question type id');
+      } else if (arg.startsWith('--')) {
+        throw new Error(`Unknown option ${arg}`);
+      } else {
+        options.files.push(arg);
+      }
+    }
+
+    if (options.type && !tagger.appliesTo(options.type)) {
+      throw new Error(tagger.typeError(options.type));
+    }
+    if (options.files.length === 0 && !tagger.defaultFiles) {
+      throw new Error('Name the bank files to tag');
+    }
+    return options;
+  }
+
+  function defaultFiles() {
+    return QuestionTypes.list(type => type.dataFile && tagger.appliesTo(type.id))
+      .map(type => path.join('data', type.dataFile));
+  }
+
+  function tagFile(filePath, typeOverride = null, dryRun = false) {
+    const result = { file: filePath, type: typeOverride, error: null, tagged: 0, kept: 0, counts: {}, untagged: [] };
+
+    let raw;
+    let data;
+    try {
+      raw = fs.readFileSync(filePath, 'utf-8');
+      data = JSON.parse(raw);
+    } catch (e) {
+      result.error = e.code === 'ENOENT' ? 'File not found' : `Unreadable JSON: ${e.message}`;
+      return result;
+    }
+
+    result.type = detectType(filePath, data, typeOverride);
+    if (!result.type || !tagger.appliesTo(result.type) || !Array.isArray(data.questions)) {
+      result.error = tagger.bankError;
+      return result;
+    }
+
+    const tagged = tagger.applyToBank(result.type, data);
+    tagged.questions.forEach((question, index) => {
+      const tags = tagger.getTags(question);
+      if (!tags) return;
+      if (tags.length === 0) {
+        result.untagged.push(question);
+        return;
+      }
+      if (question === data.questions[index]) {
+        result.kept += 1;
+      } else {
+        result.tagged += 1;
+      }
+      tags.forEach(tag => {
+        result.counts[tag] = (result.counts[tag] || 0) + 1;
+      });
+    });
+
+    if (!dryRun && result.tagged > 0) {
+      const trailingNewline = raw.endsWith('\n') ? '\n' : '';
+      fs.writeFileSync(filePath, JSON.stringify(tagged, null, 2) + trailingNewline);
+    }
+    return result;
+  }
+
+  function formatText(results, dryRun) {
+    const lines = [];
+
+    results.forEach(result => {
+      if (result.error) {
+        lines.push(`${result.file}: ${result.error}`);
+        return;
+      }
+
+      const action = dryRun ? 'would tag' : 'tagged';
+      lines.push(`${result.file} [${result.type}] ${action} ${result.tagged}, kept ${result.kept}, ${tagger.untaggedLabel} ${result.untagged.length}`);
+      Object.entries(result.counts)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([tag, count]) => lines.push(`  ${tagger.getLabel(tag).padEnd(24)} ${count}`));
+      if (tagger.describeUntagged) {
+        result.untagged.forEach(question => lines.push(`  ${tagger.describeUntagged(question)}`));
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  function run(options, cwd = process.cwd()) {
+    const files = options.files.length > 0 || !tagger.defaultFiles ? options.files : defaultFiles();
+
+    return files.map(file => {
+      const result = tagFile(path.resolve(cwd, file), options.type, options.dryRun);
+      result.file = file;
+      return result;
+    });
+  }
+
+  function main(argv) {
+    if (argv.includes('--help') || argv.includes('-h')) {
+      console.log(USAGE);
+      return 0;
+    }
+
+    let options;
+    try {
+      options = parseArgs(argv);
+    } catch (e) {
+      console.error(e.message);
+      console.error('Run with --help for usage.');
+      return 2;
+    }
+
+    const results = run(options);
+    console.log(formatText(results, options.dryRun));
+    return results.some(result => result.error) ? 1 : 0;
+  }
+
+  return { parseArgs, tagFile, formatText, run, main };
+}
+
+module.exports = { createTagCommand };
@@ -0,0 +1,26 @@
+global.QuestionTypes = require('../js/question-types');
+const QuestionTags = require('../js/question-tags');
+const { createTagCommand } = require('./tag_banks');
+
+const command = createTagCommand({
+  script: 'tag_questions.js',
+  description: `Tags reading comprehension questions by what their stem asks (main idea,
+inference, tone, ...) using the classifier in js/question-tags.js, and writes
+the tags into the files. Questions that already have tags keep them.
+With no files, every built-in bank the classifier applies to is tagged.`,
+  appliesTo: type => QuestionTags.appliesTo(type),
+  typeError: type => `"${type}" questions cannot be tagged; only reading comprehension stems are classified`,
+  bankError: 'Not a reading comprehension bank; pass --type if it is one',
+  defaultFiles: true,
+  applyToBank: (type, bank) => QuestionTags.applyToBank(type, bank),
+  getTags: question => (Array.isArray(question.tags) ? question.tags : []),
+  getLabel: tag => QuestionTags.getLabel(tag),
+  untaggedLabel: 'untagged',
+  describeUntagged: question => `no category (id ${question.id}): ${QuestionTags.toPlainText(question.question).slice(0, 80)}`
+});
+
+if (require.main === module) {
+  process.exitCode = command.main(process.argv.slice(2));
+}
+
+module.exports = command;
@@ -0,0 +1,35 @@
+global.QuestionTypes = require('../js/question-types');
+const OptionTraps = require('../js/option-traps');
+const { createTagCommand } = require('./tag_banks');
+
+function hasOptions(type) {
+  return Boolean(QuestionTypes.get(type)) && QuestionTypes.getRenderer(type).input === 'options';
+}
+
+const command = createTagCommand({
+  script: 'tag_traps.js',
+  description: `Suggests the trap each wrong option sets (too broad, too narrow, distortion,
+extreme, out of scope) from what the explanation says about it, using the
+keyword classifier in js/option-traps.js, and writes them into the files as
+"optionTraps". Questions that already have traps keep them.
+
+The app treats traps in a file as the author's own and shows them as fact,
+while traps it works out itself are shown as suggestions. The classifier gets
+some wrong, so run with --dry-run, or check every written trap against its
+explanation before sharing the file. With no files nothing is tagged: the
+built-in banks leave their traps to the app's suggestions.`,
+  appliesTo: hasOptions,
+  typeError: type => `"${type}" questions have no options to tag`,
+  bankError: 'Not a bank of multiple-choice questions; pass --type if it is one',
+  defaultFiles: false,
+  applyToBank: (type, bank) => OptionTraps.applyToBank(bank),
+  getTags: question => (OptionTraps.appliesTo(question) ? (question.optionTraps || []).filter(Boolean) : null),
+  getLabel: trap => OptionTraps.getLabel(trap),
+  untaggedLabel: 'no traps found'
+});
+
+if (require.main === module) {
+  process.exitCode = command.main(process.argv.slice(2));
+}
+
+module.exports = command;
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+global.QuestionTypes = require('../js/question-types');
+const QuestionSchema = require('../js/question-schema');
+
+const USAGE = `Usage: node scripts/validate_questions.js [options] [file ...]
+
+Validates question bank files against the question schema.
+With no files, every bank registered in js/question-types.js is checked.
+
+Options:
+  --type <id>   Question type of the given files (default: testInfo.questionType,
+                then the registered type whose data file has the same name)
+  --json        Print a machine-readable JSON report instead of text
+  --strict      Treat warnings as errors
+  --help        Show this message
+
+Exit codes: 0 valid, 1 errors found, 2 bad arguments`;
+
+function parseArgs(argv) {
+  const options = { files: [], type: null, json: false, strict: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--type' || arg.startsWith('--type=')) {
+      options.type = arg === '--type' ? argv[++i] : arg.slice('--type='.length);
+      if (!options.type) throw new Error('--type needs a question type id');
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  if (options.type && (!QuestionTypes.has(options.type) || QuestionTypes.get(options.type).composite)) {
+    throw new Error(`Unknown question type "${options.type}"`);
+  }
+  return options;
+}
+
+function defaultFiles() {
+  return QuestionTypes.list(type => !type.composite).map(type => path.join('data', type.dataFile));
+}
+
+function detectType(filePath, data, typeOverride) {
+  if (typeOverride) return typeOverride;
+  if (data && data.testInfo && typeof data.testInfo.questionType === 'string') {
+    return data.testInfo.questionType;
+  }
+  const fileName = path.basename(filePath);
+  const match = QuestionTypes.list(type => type.dataFile === fileName)[0];
+  return match ? match.id : null;
+}
+
+function validateFile(filePath, typeOverride = null) {
+  const fileError = message => ({
+    file: filePath,
+    type: typeOverride,
+    valid: false,
+    errors: [{ path: '', questionId: null, message }],
+    warnings: []
+  });
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (e) {
+    return fileError(e.code === 'ENOENT' ? 'File not found' : `Unreadable JSON: ${e.message}`);
+  }
+
+  const type = detectType(filePath, data, typeOverride);
+  if (!type) {
+    return fileError('Cannot tell the question type; set testInfo.questionType or pass --type');
+  }
+
+  const result = QuestionSchema.validateBank(data, type);
+  return {
+    file: filePath,
+    type,
+    valid: QuestionSchema.isValid(result),
+    errors: result.errors,
+    warnings: result.warnings
+  };
+}
+
+function formatIssue(level, issue) {
+  const where = [issue.path, issue.questionId !== null ? `(id ${issue.questionId})` : '']
+    .filter(Boolean)
+    .join(' ');
+  return `  ${level} ${where ? `${where}: ` : ''}${issue.message}`;
+}
+
+function formatText(report) {
+  const lines = [];
+
+  report.files.forEach(result => {
+    const status = result.valid ? 'ok' : 'FAILED';
+    lines.push(`${result.file} [${result.type || 'unknown type'}] ${status}`);
+    result.errors.forEach(issue => lines.push(formatIssue('error  ', issue)));
+    result.warnings.forEach(issue => lines.push(formatIssue('warning', issue)));
+  });
+
+  lines.push('');
+  lines.push(`${report.summary.files} file(s), ${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+function run(options, cwd = process.cwd()) {
+  const files = options.files.length > 0 ? options.files : defaultFiles();
+
+  const results = files.map(file => {
+    const result = validateFile(path.resolve(cwd, file), options.type);
+    result.file = file;
+    if (options.strict && result.warnings.length > 0) result.valid = false;
+    return result;
+  });
+
+  return {
+    valid: results.every(result => result.valid),
+    strict: options.strict,
+    summary: {
+      files: results.length,
+      errors: results.reduce((sum, result) => sum + result.errors.length, 0),
+      warnings: results.reduce((sum, result) => sum + result.warnings.length, 0)
+    },
+    files: results
+  };
+}
+
+function main(argv) {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    console.error(e.message);
+    console.error('Run with --help for usage.');
+    return 2;
+  }
+
+  const report = run(options);
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatText(report));
+  return report.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, detectType, validateFile, run, main };
@@ -0,0 +1,57 @@
+/**
+ * Test fixtures
+ * Questions and attempts shared by the unit tests that work on attempt history
+ */
+
+/**
+ * Build an RC bank question
+ * @param {number} id - Question ID
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - MCQ question of passage 1 whose first option is correct
+ */
+const question = (id, overrides = {}) => ({
+    id,
+    passageId: 1,
+    type: 'MCQ',
+    marks: { positive: 3, negative: 1 },
+    question: `What does question ${id} ask?`,
+    options: ['One', 'Two', 'Three', 'Four'],
+    correctAnswer: 0,
+    explanation: 'One is right.',
+    ...overrides
+});
+
+/**
+ * Build a question as an attempt saves it
+ * @param {number} id - Question ID
+ * @param {number|string|null} userAnswer - Answer given, or null if skipped
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Question with its key and answer
+ */
+const answeredQuestion = (id, userAnswer, overrides = {}) => ({
+    ...question(id),
+    key: `rc:${id}`,
+    userAnswer,
+    ...overrides
+});
+
+/**
+ * Build an RC attempt at set 1, saved before any answer was scored
+ * @param {Array} answers - Answers to questions 1, 2, ... in order
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} - Attempt
+ */
+const attempt = (answers, overrides = {}) => ({
+    questionType: 'rc',
+    setId: 1,
+    timestamp: 1000,
+    score: 0,
+    totalMarks: answers.length * 3,
+    correct: 0,
+    incorrect: 0,
+    unattempted: 0,
+    questions: answers.map((userAnswer, i) => answeredQuestion(i + 1, userAnswer)),
+    ...overrides
+});
+
+module.exports = { question, answeredQuestion, attempt };
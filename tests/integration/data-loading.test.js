@@ -187,12 +187,94 @@ describe('Data Loading Integration Tests', () => {
         });
     });
     
+    describe('Para Jumble Data', () => {
+        let paraJumbleData;
+        
+        beforeAll(() => {
+            const filePath = path.join(dataDir, 'para-jumble.json');
+            const fileContent = fs.readFileSync(filePath, 'utf8');
+            paraJumbleData = JSON.parse(fileContent);
+        });
+        
+        test('should load para-jumble.json successfully', () => {
+            expect(paraJumbleData).toBeDefined();
+            expect(paraJumbleData).toHaveProperty('testInfo');
+            expect(paraJumbleData).toHaveProperty('questions');
+        });
+        
+        test('should have valid question structure', () => {
+            expect(Array.isArray(paraJumbleData.questions)).toBe(true);
+            expect(paraJumbleData.questions.length).toBeGreaterThan(0);
+            
+            paraJumbleData.questions.forEach(question => {
+                expect(question).toHaveProperty('id');
+                expect(question).toHaveProperty('setId');
+                expect(question).toHaveProperty('question');
+                expect(question.type).toBe('TITA');
+                expect(Array.isArray(question.sentences)).toBe(true);
+            });
+        });
+        
+        test('should have a correctAnswer that orders every sentence once', () => {
+            paraJumbleData.questions.forEach(question => {
+                const labels = question.sentences.map((_, i) => String(i + 1));
+                expect(typeof question.correctAnswer).toBe('string');
+                expect(question.correctAnswer.split('').sort()).toEqual(labels);
+            });
+        });
+        
+        test('should not apply negative marking', () => {
+            paraJumbleData.questions.forEach(question => {
+                expect(question.marks.negative).toBe(0);
+            });
+        });
+    });
+    
+    describe('Odd Sentence Out Data', () => {
+        let oddOneOutData;
+        
+        beforeAll(() => {
+            const filePath = path.join(dataDir, 'odd-one-out.json');
+            const fileContent = fs.readFileSync(filePath, 'utf8');
+            oddOneOutData = JSON.parse(fileContent);
+        });
+        
+        test('should load odd-one-out.json successfully', () => {
+            expect(oddOneOutData).toBeDefined();
+            expect(oddOneOutData).toHaveProperty('testInfo');
+            expect(oddOneOutData).toHaveProperty('questions');
+        });
+        
+        test('should have valid question structure', () => {
+            expect(Array.isArray(oddOneOutData.questions)).toBe(true);
+            expect(oddOneOutData.questions.length).toBeGreaterThan(0);
+            
+            oddOneOutData.questions.forEach(question => {
+                expect(question).toHaveProperty('id');
+                expect(question).toHaveProperty('setId');
+                expect(question).toHaveProperty('explanation');
+                expect(question.type).toBe('TITA');
+                expect(Array.isArray(question.sentences)).toBe(true);
+                expect(question.marks.negative).toBe(0);
+            });
+        });
+        
+        test('should have a correctAnswer naming one of the sentences', () => {
+            oddOneOutData.questions.forEach(question => {
+                const labels = question.sentences.map((_, i) => String(i + 1));
+                expect(labels).toContain(question.correctAnswer);
+            });
+        });
+    });
+    
     describe('Data File Accessibility', () => {
         test('should have all required data files present', () => {
             const requiredFiles = [
                 'rc-passages.json',
                 'para-completion.json',
-                'para-summary.json'
+                'para-summary.json',
+                'para-jumble.json',
+                'odd-one-out.json'
             ];
             
             requiredFiles.forEach(filename => {
@@ -205,7 +287,9 @@ describe('Data Loading Integration Tests', () => {
             const requiredFiles = [
                 'rc-passages.json',
                 'para-completion.json',
-                'para-summary.json'
+                'para-summary.json',
+                'para-jumble.json',
+                'odd-one-out.json'
             ];
             
             requiredFiles.forEach(filename => {
@@ -220,7 +304,9 @@ describe('Data Loading Integration Tests', () => {
             const requiredFiles = [
                 'rc-passages.json',
                 'para-completion.json',
-                'para-summary.json'
+                'para-summary.json',
+                'para-jumble.json',
+                'odd-one-out.json'
             ];
             
             requiredFiles.forEach(filename => {
@@ -264,4 +350,132 @@ describe('Data Loading Integration Tests', () => {
             }
         });
     });
+
+    describe('Schema Validation', () => {
+        const { main, run } = require('../../scripts/validate_questions');
+
+        test('every registered bank should pass the question schema', () => {
+            const report = run({ files: [], type: null, strict: false }, path.join(__dirname, '../..'));
+
+            report.files.forEach(result => {
+                expect({ file: result.file, errors: result.errors }).toEqual({ file: result.file, errors: [] });
+            });
+            expect(report.valid).toBe(true);
+        });
+
+        test('validator command should exit non-zero on errors', () => {
+            const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+            const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const badFile = path.join(__dirname, '../../data/para-jumble.json');
+
+            expect(main([badFile, '--type', 'rc'])).toBe(1);
+            expect(main(['--type', 'sectional-mock'])).toBe(2);
+
+            logSpy.mockRestore();
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('Question Tags', () => {
+        const { run } = require('../../scripts/tag_questions');
+        const QuestionTags = require('../../js/question-tags');
+
+        test('every RC question should carry one known category tag', () => {
+            const rcData = JSON.parse(fs.readFileSync(path.join(dataDir, 'rc-passages.json'), 'utf8'));
+            const categories = QuestionTags.CATEGORIES.map(category => category.id);
+
+            rcData.questions.forEach(question => {
+                expect({ id: question.id, tags: question.tags }).toEqual({ id: question.id, tags: [expect.any(String)] });
+                expect(categories).toContain(question.tags[0]);
+            });
+        });
+
+        test('tagging the built-in banks again should change nothing', () => {
+            const [result] = run({ files: [], type: null, dryRun: true }, path.join(__dirname, '../..'));
+
+            expect(result).toMatchObject({ file: path.join('data', 'rc-passages.json'), type: 'rc', error: null, tagged: 0, untagged: [] });
+        });
+
+        test('should tag an untagged pack file in place', () => {
+            const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'varc-tags-'));
+            const file = path.join(dir, 'pack.json');
+            fs.writeFileSync(file, JSON.stringify({
+                testInfo: { title: 'Pack', duration: 10, totalQuestions: 2, questionType: 'rc' },
+                questions: [
+                    { id: 1, passageId: 1, question: 'What is the primary purpose of the passage?' },
+                    { id: 2, passageId: 1, question: 'Pick one.', tags: ['custom'] }
+                ]
+            }));
+
+            const [result] = run({ files: [file], type: null, dryRun: false });
+            const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+            expect(result).toMatchObject({ tagged: 1, kept: 1, counts: { 'main-idea': 1, custom: 1 } });
+            expect(written.questions.map(question => question.tags)).toEqual([['main-idea'], ['custom']]);
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+    });
+
+    describe('Option Traps', () => {
+        const { run } = require('../../scripts/tag_traps');
+        const OptionTraps = require('../../js/option-traps');
+
+        test('the RC bank should ship authored traps for its first five passages only', () => {
+            const data = JSON.parse(fs.readFileSync(path.join(dataDir, 'rc-passages.json'), 'utf8'));
+            const authored = data.questions.filter(question => question.optionTraps);
+
+            expect([...new Set(authored.map(question => question.passageId))]).toEqual([1, 2, 3, 4, 5]);
+            expect(authored).toEqual(data.questions.filter(question => question.passageId <= 5));
+            authored.forEach(question => {
+                expect(question.optionTraps).toHaveLength(question.options.length);
+                expect(question.optionTraps[question.correctAnswer]).toBeNull();
+                question.optionTraps.forEach(trap => expect(trap === null || OptionTraps.isTrap(trap)).toBe(true));
+                expect(OptionTraps.isSuggested(question)).toBe(false);
+            });
+
+            // "(B) The use of only makes this an extreme option"
+            const question = authored.find(item => item.id === 10);
+            expect(OptionTraps.getTrap(question, 1)).toBe('extreme');
+            expect(OptionTraps.getTrap(question, 3)).toBeNull();
+        });
+
+        test('other built-in questions should have their traps suggested, not shipped', () => {
+            ['rc-passages.json', 'para-summary.json', 'para-completion.json'].forEach(file => {
+                const data = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+                const rest = data.questions.filter(question => !question.optionTraps);
+
+                expect(rest.length).toBeGreaterThan(0);
+                expect(rest.some(question => OptionTraps.isSuggested(question) && OptionTraps.inferTraps(question).some(Boolean))).toBe(true);
+                if (file !== 'rc-passages.json') expect(rest).toEqual(data.questions);
+            });
+        });
+
+        test('should only tag the files it is given', () => {
+            const { parseArgs } = require('../../scripts/tag_traps');
+
+            expect(() => parseArgs([])).toThrow('Name the bank files to tag');
+            expect(run({ files: [], type: null, dryRun: true })).toEqual([]);
+            expect(() => parseArgs(['--type', 'para-jumble', 'pack.json'])).toThrow('"para-jumble" questions have no options to tag');
+        });
+
+        test('should tag a pack file in place', () => {
+            const dir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'varc-traps-'));
+            const file = path.join(dir, 'pack.json');
+            const question = { passageId: 1, question: 'Pick one.', type: 'MCQ', options: ['A', 'B', 'C'], correctAnswer: 1 };
+            fs.writeFileSync(file, JSON.stringify({
+                testInfo: { title: 'Pack', duration: 10, totalQuestions: 2, questionType: 'rc' },
+                questions: [
+                    { id: 1, ...question, explanation: '(A) Out of scope. (C) Opposite.' },
+                    { id: 2, ...question, explanation: 'B is right.' }
+                ]
+            }));
+
+            const [result] = run({ files: [file], type: null, dryRun: false });
+            const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+            expect(result).toMatchObject({ tagged: 1, kept: 0, counts: { 'out-of-scope': 1, distortion: 1 } });
+            expect(written.questions.map(item => item.optionTraps)).toEqual([['out-of-scope', null, 'distortion'], undefined]);
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+    });
 });
@@ -95,6 +95,21 @@ describe('Navigation Integration Tests', () => {
             expect(StorageManager.getQuestionType()).toBe('para-completion');
             expect(StorageManager.getSelectedSetId('para-completion')).toBe(2);
         });
+        
+        test('should save set ID for para-jumble', () => {
+            StorageManager.saveSelectedSet('para-jumble', 3);
+            
+            expect(StorageManager.getQuestionType()).toBe('para-jumble');
+            expect(StorageManager.getSelectedSetId('para-jumble')).toBe(3);
+            expect(StorageManager.getSelectedSetId('para-summary')).toBeNull();
+        });
+        
+        test('should save set ID for odd-one-out', () => {
+            StorageManager.saveSelectedSet('odd-one-out', 2);
+            
+            expect(StorageManager.getQuestionType()).toBe('odd-one-out');
+            expect(StorageManager.getSelectedSetId('odd-one-out')).toBe(2);
+        });
     });
     
     describe('Quiz Page Navigation', () => {
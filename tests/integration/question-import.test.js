@@ -0,0 +1,204 @@
+/**
+ * Integration Tests for the Question Importer
+ * Parses the plain-text import format and checks the result against the real banks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseArgs, parseText, run, main } = require('../../scripts/import_questions');
+const QuestionSchema = require('../../js/question-schema');
+
+const rootDir = path.join(__dirname, '../..');
+
+const RC_TEXT = `Type: rc
+
+## Passage 1
+The printing press did not simply make books cheaper.
+It changed who could argue in public.
+
+By the 1520s, **pamphlets** outsold sermons & treatises.
+
+1. What is the author's main point?
+A) Books became cheaper.
+B) Printing widened public argument,
+   not just access to books.
+C) Sermons disappeared.
+D) Treatises were banned.
+Answer: B
+Explanation: Printing "changed who could argue in public".
+
+2. The word "pamphlets" refers to:
+(A) short printed tracts
+(B) sermons
+Answer: (A)
+Marks: +2 -0.5
+Explanation: Pamphlets are short tracts.
+
+## Passage 2
+A second passage.
+
+1. Which is true?
+A. One
+B. Two
+Answer: a
+Explanation: Only one is.
+`;
+
+describe('Question Import', () => {
+    let tmpDir;
+
+    const writeInput = (name, text) => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, text);
+        return file;
+    };
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'varc-import-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('parseText', () => {
+        test('should split the file into sets, questions, options and answers', () => {
+            const parsed = parseText(RC_TEXT);
+
+            expect(parsed.errors).toEqual([]);
+            expect(parsed.type).toBe('rc');
+            expect(parsed.sets).toHaveLength(2);
+            expect(parsed.sets[0].passage).toHaveLength(2);
+            expect(parsed.sets[0].questions).toHaveLength(2);
+
+            const first = parsed.sets[0].questions[0];
+            expect(first.line).toBe(9);
+            expect(first.options).toHaveLength(4);
+            expect(first.options[1]).toEqual([['Printing widened public argument,', 'not just access to books.']]);
+            expect(first.answer.letter).toBe('B');
+            expect(parsed.sets[0].questions[1].marks).toEqual({ positive: 2, negative: 0.5 });
+        });
+
+        test('should report problems with their line numbers', () => {
+            const parsed = parseText([
+                '1. Pick one',
+                'A) x',
+                'C) y',
+                'Answer: 4',
+                'Stray text',
+                '',
+                '2. No answer here',
+                'A) only option'
+            ].join('\n'));
+
+            expect(parsed.errors).toEqual(expect.arrayContaining([
+                { line: 3, message: 'Expected option B, found C' },
+                { line: 4, message: expect.stringContaining('single option letter') },
+                { line: 5, message: expect.stringContaining('Explanation:') },
+                { line: 7, message: 'Question 2 needs at least 2 options' },
+                { line: 7, message: 'Question 2 has no "Answer:" line' }
+            ]));
+        });
+
+        test('should reject an answer letter beyond the options', () => {
+            const parsed = parseText('1. Pick\nA) x\nB) y\nAnswer: D\n');
+            expect(parsed.errors).toEqual([{ line: 4, message: "Answer D is not one of question 1's options" }]);
+        });
+    });
+
+    describe('run', () => {
+        test('should number new questions and sets after the existing bank', () => {
+            const bank = JSON.parse(fs.readFileSync(path.join(rootDir, 'data/rc-passages.json'), 'utf8'));
+            const maxId = Math.max(...bank.questions.map(q => q.id));
+            const maxPassageId = Math.max(...bank.questions.map(q => q.passageId));
+
+            const report = run({ file: writeInput('rc.md', RC_TEXT), type: null }, rootDir);
+
+            expect(report.errors).toEqual([]);
+            expect(report.questions.map(q => q.id)).toEqual([maxId + 1, maxId + 2, maxId + 3]);
+            expect(report.questions.map(q => q.passageId)).toEqual([maxPassageId + 1, maxPassageId + 1, maxPassageId + 2]);
+            expect(report.questions[0].passage).toBe(
+                '<p>The printing press did not simply make books cheaper. It changed who could argue in public.</p>\n\n' +
+                '<p>By the 1520s, <strong>pamphlets</strong> outsold sermons &amp; treatises.</p>'
+            );
+            expect(report.questions[1].passage).toBeNull();
+            expect(report.questions[2].correctAnswer).toBe(0);
+
+            expect(QuestionSchema.validateBank(report.pack, 'rc').errors).toEqual([]);
+            expect(QuestionSchema.validateBank(report.bank, 'rc').errors).toEqual([]);
+            expect(report.bank.testInfo.totalQuestions).toBe(bank.questions.length + 3);
+        });
+
+        test('should write rich question text and questionType for types that store it', () => {
+            const file = writeInput('pc.md', [
+                '1. Complete the paragraph.',
+                '',
+                'The rest of the *paragraph*.',
+                'A) First',
+                'B) Second',
+                'Answer: B',
+                'Explanation: Second fits.'
+            ].join('\n'));
+
+            const report = run({ file, type: 'para-completion' }, rootDir);
+
+            expect(report.errors).toEqual([]);
+            expect(report.questions[0]).toMatchObject({
+                questionType: 'para-completion',
+                question: '<p>Complete the paragraph.</p>\n\n<p>The rest of the <em>paragraph</em>.</p>',
+                options: ['First', 'Second'],
+                correctAnswer: 1
+            });
+            expect(report.pack.testInfo.questionType).toBe('para-completion');
+        });
+
+        test('should require a passage for RC sets and refuse one for other types', () => {
+            const noPassage = run({ file: writeInput('np.md', '1. Q\nA) x\nB) y\nAnswer: A\n'), type: 'rc' }, rootDir);
+            expect(noPassage.errors).toEqual([{ line: 1, message: expect.stringContaining('need a passage') }]);
+
+            const withPassage = run({ file: writeInput('wp.md', 'Text\n\n1. Q\nA) x\nB) y\nAnswer: A\n'), type: 'para-summary' }, rootDir);
+            expect(withPassage.errors).toEqual([{ line: 1, message: expect.stringContaining('no shared passage') }]);
+        });
+    });
+
+    describe('command', () => {
+        let logSpy;
+        let errorSpy;
+
+        beforeEach(() => {
+            logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+            errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            logSpy.mockRestore();
+            errorSpy.mockRestore();
+        });
+
+        test('should write a pack with --out', () => {
+            const out = path.join(tmpDir, 'pack.json');
+            expect(main([writeInput('cmd.md', RC_TEXT), '--out', out])).toBe(0);
+
+            const pack = JSON.parse(fs.readFileSync(out, 'utf8'));
+            expect(pack.testInfo.questionType).toBe('rc');
+            expect(pack.questions).toHaveLength(3);
+        });
+
+        test('should exit 1 with file:line messages and write nothing on errors', () => {
+            const input = writeInput('bad.md', 'Type: rc\n\n## Passage\nText\n\n1. Q\nA) x\nAnswer: A\n');
+            const out = path.join(tmpDir, 'bad.json');
+
+            expect(main([input, '--out', out])).toBe(1);
+            expect(errorSpy).toHaveBeenCalledWith(`${input}:6: error: Question 1 needs at least 2 options`);
+            expect(fs.existsSync(out)).toBe(false);
+        });
+
+        test('should reject bad arguments and types without lettered options', () => {
+            expect(() => parseArgs([])).toThrow('No input file');
+            expect(() => parseArgs(['a.md', '--out', 'x.json', '--append'])).toThrow('either --out or --append');
+            expect(main(['a.md', '--type', 'para-jumble'])).toBe(2);
+        });
+    });
+});
@@ -13,6 +13,7 @@ global.window = dom.window;
 
 const Utils = require('../../js/utils');
 global.Utils = Utils;
+global.QuestionTypes = require('../../js/question-types');
 
 const Analytics = require('../../js/analytics');
 
@@ -66,4 +67,164 @@ describe('Analytics', () => {
         expect(Array.isArray(insights)).toBe(true);
         expect(insights.length).toBeGreaterThan(0);
     });
+
+    test('describeTimerMode should tell timed attempts from untimed ones', () => {
+        expect(Analytics.describeTimerMode({}).timed).toBe(false);
+        expect(Analytics.describeTimerMode({ timerMode: 'elapsed', timeLimit: null }).label).toBe('Untimed');
+
+        const timed = Analytics.describeTimerMode({ timerMode: 'countdown', timeLimit: 2400 });
+        expect(timed.timed).toBe(true);
+        expect(timed.label).toBe('Timed (40m)');
+
+        const timedOut = Analytics.describeTimerMode({ timerMode: 'countdown', timeLimit: 2400, timedOut: true });
+        expect(timedOut.timedOut).toBe(true);
+        expect(timedOut.label).toContain('auto-submitted');
+    });
+
+    test('summarizeTypeAttempts should count timed attempts', () => {
+        const summary = Analytics.summarizeTypeAttempts([
+            { score: 9, totalMarks: 12, correct: 3, incorrect: 0, unattempted: 1, totalTime: 300, timerMode: 'countdown', timeLimit: 600 },
+            { score: 6, totalMarks: 12, correct: 2, incorrect: 0, unattempted: 2, totalTime: 400 }
+        ]);
+        expect(summary.attempts).toBe(2);
+        expect(summary.timedAttempts).toBe(1);
+    });
+
+    test('summarizeSections should score each question type separately', () => {
+        const sections = Analytics.summarizeSections({
+            questionType: 'sectional-mock',
+            questions: [
+                { questionType: 'rc', userAnswer: 0, correctAnswer: 0 },
+                { questionType: 'rc', userAnswer: 1, correctAnswer: 2 },
+                { questionType: 'para-summary', userAnswer: null, correctAnswer: 1 },
+                { questionType: 'para-summary', userAnswer: 3, correctAnswer: 3, marks: { positive: 3, negative: 0 } }
+            ]
+        });
+
+        expect(sections).toEqual([
+            { type: 'rc', total: 2, correct: 1, incorrect: 1, unattempted: 0, score: 2, maxScore: 6 },
+            { type: 'para-summary', total: 2, correct: 1, incorrect: 0, unattempted: 1, score: 3, maxScore: 6 }
+        ]);
+    });
+
+    test('summarizeEliminations should flag struck-out correct answers, including restored ones', () => {
+        const summary = Analytics.summarizeEliminations({
+            questions: [
+                { userAnswer: 1, correctAnswer: 2, eliminatedOptions: [0, 2] },
+                {
+                    userAnswer: 3,
+                    correctAnswer: 3,
+                    eliminatedOptions: [1],
+                    eliminationHistory: [
+                        { option: 3, action: 'eliminate', at: 1 },
+                        { option: 1, action: 'eliminate', at: 2 },
+                        { option: 3, action: 'restore', at: 3 }
+                    ]
+                },
+                { userAnswer: null, correctAnswer: 0, eliminatedOptions: [1] },
+                { userAnswer: 0, correctAnswer: 0 }
+            ]
+        });
+
+        expect(summary.questionsWithEliminations).toBe(3);
+        expect(summary.totalEliminated).toBe(4);
+        expect(summary.correctEliminated).toEqual([
+            { index: 0, restored: false, status: 'incorrect' },
+            { index: 1, restored: true, status: 'correct' }
+        ]);
+    });
+
+    test('getErrorReasonInsights should rank reasons by how often they were given', () => {
+        const insights = Analytics.getErrorReasonInsights([
+            { reason: 'time-pressure' },
+            { reason: 'extreme-wording' },
+            { reason: 'extreme-wording' },
+            { reason: null },
+            { reason: 'extreme-wording' },
+            { reason: 'vocabulary' }
+        ]);
+
+        expect(insights).toEqual([
+            { reason: 'extreme-wording', count: 3, share: 60 },
+            { reason: 'time-pressure', count: 1, share: 20 },
+            { reason: 'vocabulary', count: 1, share: 20 }
+        ]);
+        expect(Analytics.getErrorReasonInsights([{ reason: null }])).toEqual([]);
+        expect(Analytics.getErrorReasonInsights(undefined)).toEqual([]);
+    });
+
+    describe('trends', () => {
+        // Local times, so the day and week buckets do not depend on the test machine's time zone
+        const at = (year, month, day, hour = 10) => new Date(year, month - 1, day, hour).getTime();
+        const attempt = (timestamp, correct, incorrect, { score = correct * 3 - incorrect, totalTime = 60 } = {}) => ({
+            timestamp,
+            correct,
+            incorrect,
+            unattempted: 0,
+            score,
+            totalMarks: (correct + incorrect) * 3,
+            totalTime
+        });
+
+        // 2026-03-02 is a Monday
+        const attempts = [
+            attempt(at(2026, 3, 2), 4, 0, { totalTime: 120 }),
+            attempt(at(2026, 3, 2, 18), 2, 2, { totalTime: 240 }),
+            attempt(at(2026, 3, 4), 1, 3),
+            attempt(at(2026, 3, 9), 3, 1),
+            attempt(at(2026, 3, 16, 0), 0, 4)
+        ];
+
+        test('summarizeTypeAttempts should report the score as a share of the maximum marks', () => {
+            const summary = Analytics.summarizeTypeAttempts([attempt(1, 2, 2), attempt(2, 4, 0)]);
+            // (6 - 2 + 12) / (12 + 12)
+            expect(summary.scorePercentage).toBe(67);
+            expect(Analytics.summarizeTypeAttempts([{ score: 0, totalMarks: 0 }]).scorePercentage).toBe(0);
+        });
+
+        test('filterByDateRange should keep attempts on the first and last day', () => {
+            expect(Analytics.filterByDateRange(attempts, '2026-03-04', '2026-03-09')).toEqual([attempts[2], attempts[3]]);
+            expect(Analytics.filterByDateRange(attempts, '2026-03-09', '')).toEqual([attempts[3], attempts[4]]);
+            expect(Analytics.filterByDateRange(attempts, '', '')).toHaveLength(5);
+            expect(Analytics.filterByDateRange([{ score: 3 }, null], '', '')).toEqual([]);
+            expect(Analytics.filterByDateRange(undefined)).toEqual([]);
+        });
+
+        test('getTrendPeriod should start weeks on Monday', () => {
+            expect(Analytics.getTrendPeriod(at(2026, 3, 4), 'day')).toBe('2026-03-04');
+            expect(Analytics.getTrendPeriod(at(2026, 3, 4), 'week')).toBe('2026-03-02');
+            expect(Analytics.getTrendPeriod(at(2026, 3, 8, 23), 'week')).toBe('2026-03-02');
+            expect(Analytics.getTrendPeriod(at(2026, 3, 9, 0), 'week')).toBe('2026-03-09');
+        });
+
+        test('getTrends should bucket attempts by day, oldest first', () => {
+            const trends = Analytics.getTrends(attempts, { granularity: 'day', window: 1 });
+
+            expect(trends.map(point => point.period)).toEqual(['2026-03-02', '2026-03-04', '2026-03-09', '2026-03-16']);
+            expect(trends[0]).toMatchObject({
+                attempts: 2,
+                accuracy: 75,
+                // (12 + 4) / 24
+                scorePercentage: 67,
+                // 360s over 8 questions
+                avgTimePerQuestion: 45
+            });
+            expect(trends[0].rolling).toEqual({ accuracy: 75, scorePercentage: 67, avgTimePerQuestion: 45 });
+        });
+
+        test('getTrends should average the last periods that have attempts', () => {
+            const trends = Analytics.getTrends(attempts, { granularity: 'week', window: 2 });
+
+            expect(trends.map(point => point.period)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+            expect(trends.map(point => point.accuracy)).toEqual([58, 75, 0]);
+            expect(trends.map(point => point.rolling.accuracy)).toEqual([58, 67, 38]);
+        });
+
+        test('getTrends should only use attempts in the date range', () => {
+            const trends = Analytics.getTrends(attempts, { granularity: 'week', from: '2026-03-04', to: '2026-03-15' });
+
+            expect(trends.map(point => [point.period, point.attempts])).toEqual([['2026-03-02', 1], ['2026-03-09', 1]]);
+            expect(Analytics.getTrends([], { granularity: 'week' })).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,129 @@
+/**
+ * Tests for PassageAnnotations
+ * Validates offset bookkeeping and highlight rendering
+ */
+
+// Fix TextEncoder issue for jsdom - must be before JSDOM import
+global.TextEncoder = require('util').TextEncoder;
+global.TextDecoder = require('util').TextDecoder;
+
+const { JSDOM } = require('jsdom');
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = dom.window.document;
+global.window = dom.window;
+global.NodeFilter = dom.window.NodeFilter;
+
+const Utils = require('../../js/utils');
+global.Utils = Utils;
+
+const PassageAnnotations = require('../../js/annotations');
+
+describe('PassageAnnotations', () => {
+    let container;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="passage"><p>The quick <strong>brown fox</strong> jumps.</p><p>Over the lazy dog.</p></div>';
+        container = document.getElementById('passage');
+    });
+
+    test('addAnnotation should replace overlapping annotations and keep order', () => {
+        let annotations = PassageAnnotations.addAnnotation([], { start: 10, end: 19, text: 'brown fox', color: 'green' });
+        annotations = PassageAnnotations.addAnnotation(annotations, { start: 0, end: 3, text: 'The', color: 'blue' });
+        annotations = PassageAnnotations.addAnnotation(annotations, { start: 16, end: 25, text: 'fox jumps', color: 'pink' });
+
+        expect(annotations.map(item => item.text)).toEqual(['The', 'fox jumps']);
+        expect(annotations[1].color).toBe('pink');
+    });
+
+    test('addAnnotation should default unknown colours and trim long notes', () => {
+        const [annotation] = PassageAnnotations.addAnnotation([], {
+            start: 0,
+            end: 3,
+            text: 'The',
+            color: 'orange',
+            note: `  ${'x'.repeat(300)}  `
+        });
+
+        expect(annotation.color).toBe('yellow');
+        expect(annotation.note).toHaveLength(PassageAnnotations.MAX_NOTE_LENGTH);
+        expect(annotation.id).toBeTruthy();
+    });
+
+    test('addAnnotation should ignore empty ranges', () => {
+        expect(PassageAnnotations.addAnnotation([], { start: 5, end: 5 })).toEqual([]);
+    });
+
+    test('removeRange should drop only overlapping annotations', () => {
+        const annotations = [
+            { id: 'a', start: 0, end: 3 },
+            { id: 'b', start: 10, end: 19 },
+            { id: 'c', start: 30, end: 35 }
+        ];
+
+        expect(PassageAnnotations.removeRange(annotations, 12, 31).map(item => item.id)).toEqual(['a']);
+        expect(PassageAnnotations.removeRange(annotations, 3, 10).map(item => item.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('render should wrap ranges across element boundaries without changing the text', () => {
+        const before = container.textContent;
+        PassageAnnotations.render(container, [
+            { id: 'a', start: 4, end: 15, text: 'quick brown', color: 'yellow', note: '' },
+            { id: 'b', start: 35, end: 39, text: 'lazy', color: 'blue', note: 'key word' }
+        ]);
+
+        const marks = container.querySelectorAll('mark.passage-highlight');
+        expect(container.textContent).toBe(before);
+        expect(Array.from(marks).map(mark => mark.textContent)).toEqual(['quick ', 'brown', 'lazy']);
+        expect(marks[2].classList.contains('has-note')).toBe(true);
+        expect(marks[2].dataset.noteIndex).toBe('1');
+        expect(marks[2].title).toBe('key word');
+    });
+
+    test('renderToHTML should sanitize the passage before highlighting', () => {
+        const html = PassageAnnotations.renderToHTML(
+            '<p onclick="alert(1)">Evidence here</p><script>alert(1)</script>',
+            [{ id: 'a', start: 0, end: 8, text: 'Evidence', color: 'green', note: '' }]
+        );
+
+        expect(html).not.toContain('onclick');
+        expect(html).not.toContain('<script');
+        expect(html).toContain('<mark class="passage-highlight highlight-green" data-annotation-id="a">Evidence</mark>');
+    });
+
+    test('renderNotes should list only annotations with notes', () => {
+        const html = PassageAnnotations.renderNotes([
+            { id: 'a', start: 0, end: 3, text: 'The', color: 'yellow', note: '' },
+            { id: 'b', start: 4, end: 9, text: 'quick', color: 'pink', note: '<b>tone</b>' }
+        ], true);
+
+        expect(html).toContain('passage-note highlight-pink');
+        expect(html).toContain('&lt;b&gt;tone&lt;/b&gt;');
+        expect(html).toContain('data-annotation-id="b"');
+        expect(PassageAnnotations.renderNotes([{ id: 'a', start: 0, end: 3, note: '' }])).toBe('');
+    });
+
+    test('getSelectionOffsets should map a selection to trimmed text offsets', () => {
+        const strong = container.querySelector('strong');
+        const range = document.createRange();
+        range.setStart(container.querySelector('p').firstChild, 9);
+        range.setEnd(strong.firstChild, 5);
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        expect(PassageAnnotations.getSelectionOffsets(container)).toEqual({ start: 10, end: 15, text: 'brown' });
+    });
+
+    test('getSelectionOffsets should ignore selections outside the container', () => {
+        document.body.insertAdjacentHTML('beforeend', '<p id="outside">Elsewhere</p>');
+        const range = document.createRange();
+        range.selectNodeContents(document.getElementById('outside'));
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+
+        expect(PassageAnnotations.getSelectionOffsets(container)).toBeNull();
+    });
+});
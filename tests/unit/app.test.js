@@ -0,0 +1,345 @@
+/**
+ * Tests for VARCApp
+ * Renders sentence-based questions into a bare quiz page and checks what gets saved and scored
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.StorageManager = require('../../js/storage');
+global.QuestionIdentity = require('../../js/question-identity');
+
+const VARCApp = require('../../js/app');
+
+const QUIZ_HTML = `
+    <div id="passage-section"><div id="passage-text"></div></div>
+    <div id="question-section">
+        <span id="question-number"></span>
+        <span id="question-type"></span>
+        <span id="positive-marks"></span>
+        <span id="negative-marks"></span>
+        <div id="question-text"></div>
+        <div id="options-container"></div>
+    </div>
+`;
+
+// A render-only instance that saves answers like a live quiz
+const createApp = (questions, type) => {
+    document.body.innerHTML = QUIZ_HTML;
+    const app = new VARCApp({ preview: true });
+    app.isPreview = false;
+    app.questions = questions;
+    app.questionType = type;
+    app.currentQuestionIndex = 0;
+    return app;
+};
+
+const labels = () => Array.from(document.querySelectorAll('#jumble-list .jumble-card')).map(card => card.dataset.label);
+
+describe('VARCApp - Para Jumble', () => {
+    const question = {
+        id: 1,
+        setId: 1,
+        type: 'TITA',
+        question: 'Order the sentences',
+        sentences: ['One', 'Two', 'Three', 'Four'],
+        correctAnswer: '3142',
+        explanation: 'Three opens it.'
+    };
+    let app;
+
+    const typeSequence = (value) => {
+        const input = document.getElementById('tita-answer');
+        input.value = value;
+        input.dispatchEvent(new Event('input'));
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        app = createApp([question], 'para-jumble');
+    });
+
+    test('isValidJumbleSequence should accept only a full ordering of the sentences', () => {
+        expect(app.isValidJumbleSequence('3142', 4)).toBe(true);
+        expect(app.isValidJumbleSequence('1123', 4)).toBe(false);
+        expect(app.isValidJumbleSequence('314', 4)).toBe(false);
+        expect(app.isValidJumbleSequence('31425', 4)).toBe(false);
+        expect(app.isValidJumbleSequence('0123', 4)).toBe(false);
+        expect(app.isValidJumbleSequence(3142, 4)).toBe(false);
+        expect(app.isValidJumbleSequence(null, 4)).toBe(false);
+    });
+
+    test('loadJumbleOptions should show the saved order, or the sentences in order', () => {
+        app.loadJumbleOptions(question, '2413');
+        expect(labels()).toEqual(['2', '4', '1', '3']);
+        expect(document.querySelector('.jumble-card[data-label="4"] .jumble-text').textContent).toBe('Four');
+
+        app.loadJumbleOptions(question, '2211');
+        expect(labels()).toEqual(['1', '2', '3', '4']);
+        expect(document.getElementById('tita-answer').maxLength).toBe(7);
+    });
+
+    test('loadJumbleOptions should lock the cards and show the answer in review mode', () => {
+        app.isReviewMode = true;
+        app.loadJumbleOptions(question, '1234');
+
+        expect(document.querySelector('.jumble-hint')).toBeNull();
+        expect(document.querySelector('.jumble-card').getAttribute('draggable')).toBeNull();
+        expect(document.getElementById('tita-answer').disabled).toBe(true);
+        expect(document.querySelector('.explanation').textContent).toContain('3142');
+    });
+
+    test('applyJumbleOrder should reorder the cards and save only when asked', () => {
+        app.loadJumbleOptions(question, null);
+
+        app.applyJumbleOrder(['4', '3', '2', '1'], false);
+        expect(labels()).toEqual(['4', '3', '2', '1']);
+        expect(StorageManager.getAnswer(0)).toBeNull();
+
+        app.applyJumbleOrder(['3', '1', '4', '2'], true);
+        expect(labels()).toEqual(['3', '1', '4', '2']);
+        expect(document.getElementById('tita-answer').value).toBe('3142');
+        expect(StorageManager.getAnswer(0)).toBe('3142');
+        expect(StorageManager.getQuestionStatus(0)).toBe('answered');
+    });
+
+    test('arrow keys should move the focused card and save the new order', () => {
+        app.loadJumbleOptions(question, null);
+        const press = (label, key) => {
+            document.querySelector(`.jumble-card[data-label="${label}"]`)
+                .dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+        };
+
+        press('3', 'ArrowUp');
+        press('3', 'ArrowUp');
+        expect(labels()).toEqual(['3', '1', '2', '4']);
+        expect(document.activeElement.dataset.label).toBe('3');
+
+        press('3', 'ArrowUp');
+        press('4', 'ArrowDown');
+        expect(labels()).toEqual(['3', '1', '2', '4']);
+
+        document.querySelector('.jumble-card[data-label="4"] [data-move="-1"]').click();
+        expect(labels()).toEqual(['3', '1', '4', '2']);
+        expect(StorageManager.getAnswer(0)).toBe('3142');
+    });
+
+    test('a typed sequence should be saved without its separators', () => {
+        app.loadJumbleOptions(question, null);
+
+        ['3 1 4 2', '3-1-4-2', '3,1,4,2'].forEach(value => {
+            typeSequence(value);
+            expect(StorageManager.getAnswer(0)).toBe('3142');
+        });
+        expect(labels()).toEqual(['3', '1', '4', '2']);
+        expect(document.getElementById('jumble-error').hidden).toBe(true);
+    });
+
+    test('an incomplete or invalid typed sequence should not be saved', () => {
+        app.loadJumbleOptions(question, null);
+        typeSequence('3142');
+
+        typeSequence('31');
+        expect(StorageManager.getAnswer(0)).toBeNull();
+        expect(StorageManager.getQuestionStatus(0)).toBe('not-answered');
+        expect(document.getElementById('jumble-error').hidden).toBe(true);
+
+        ['34123', '3344'].forEach(value => {
+            typeSequence(value);
+            expect(StorageManager.getAnswer(0)).toBeNull();
+            expect(document.getElementById('jumble-error').hidden).toBe(false);
+            expect(document.getElementById('tita-answer').getAttribute('aria-invalid')).toBe('true');
+        });
+        expect(labels()).toEqual(['3', '1', '4', '2']);
+    });
+
+    test('saved orders should be scored against correctAnswer', () => {
+        app.loadJumbleOptions(question, null);
+
+        typeSequence('3 1 4 2');
+        expect(QuestionTypes.isCorrect(question, StorageManager.getAnswer(0), 'para-jumble')).toBe(true);
+
+        app.applyJumbleOrder(['1', '3', '4', '2'], true);
+        expect(QuestionTypes.isCorrect(question, StorageManager.getAnswer(0), 'para-jumble')).toBe(false);
+    });
+});
+
+describe('VARCApp - Odd Sentence Out', () => {
+    const oddQuestion = (overrides = {}) => ({
+        id: 1,
+        setId: 1,
+        type: 'TITA',
+        questionType: 'odd-one-out',
+        question: '<p>Identify the odd sentence.</p>',
+        sentences: ['Trenches.', 'Reefs.', 'Species.', 'Vulnerable.', 'Bleaching.'],
+        correctAnswer: '1',
+        explanation: 'Sentence 1 is about trenches.',
+        marks: { positive: 3, negative: 0 },
+        ...overrides
+    });
+    let app;
+
+    const items = () => Array.from(document.querySelectorAll('.odd-sentence'));
+    const item = label => document.querySelector(`.odd-sentence[data-label="${label}"]`);
+
+    beforeEach(() => {
+        localStorage.clear();
+        app = createApp([oddQuestion()], 'odd-one-out');
+    });
+
+    test('picking a sentence should save its number as the TITA answer', () => {
+        app.loadOddOneOutOptions(oddQuestion(), null);
+        expect(items().map(entry => entry.dataset.label)).toEqual(['1', '2', '3', '4', '5']);
+
+        item('3').click();
+        expect(StorageManager.getAnswer(0)).toBe('3');
+        expect(StorageManager.getQuestionStatus(0)).toBe('answered');
+        expect(document.getElementById('tita-answer').value).toBe('3');
+        expect(item('3').classList.contains('selected')).toBe(true);
+        expect(item('3').getAttribute('aria-checked')).toBe('true');
+
+        item('1').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+        expect(StorageManager.getAnswer(0)).toBe('1');
+        expect(items().filter(entry => entry.classList.contains('selected')).map(entry => entry.dataset.label)).toEqual(['1']);
+    });
+
+    test('typing or pressing a number should pick the same sentence', () => {
+        app.loadOddOneOutOptions(oddQuestion(), null);
+        const input = document.getElementById('tita-answer');
+
+        input.value = '4';
+        input.dispatchEvent(new Event('input'));
+        expect(StorageManager.getAnswer(0)).toBe('4');
+        expect(item('4').classList.contains('selected')).toBe(true);
+
+        app.selectByNumberKey(2);
+        expect(StorageManager.getAnswer(0)).toBe('2');
+        app.selectByNumberKey(6);
+        expect(StorageManager.getAnswer(0)).toBe('2');
+    });
+
+    test('review mode should mark the odd sentence and a wrong pick', () => {
+        app.isReviewMode = true;
+        app.loadOddOneOutOptions(oddQuestion(), '3');
+
+        expect(item('1').classList.contains('correct')).toBe(true);
+        expect(item('1').querySelector('.odd-sentence-tag').textContent).toBe('Odd one out');
+        expect(item('3').className).toBe('odd-sentence selected incorrect');
+        expect(items().filter(entry => entry.querySelector('.odd-sentence-tag'))).toHaveLength(1);
+        expect(document.querySelector('.explanation').textContent).toContain('Correct Answer: 1');
+
+        item('2').click();
+        expect(item('2').classList.contains('selected')).toBe(false);
+        expect(StorageManager.getAnswer(0)).toBeNull();
+    });
+
+    test('review mode should mark a right pick as correct only', () => {
+        app.isReviewMode = true;
+        app.loadOddOneOutOptions(oddQuestion(), '1');
+
+        expect(item('1').className).toBe('odd-sentence selected correct');
+        expect(items().filter(entry => entry.classList.contains('incorrect'))).toEqual([]);
+    });
+
+    test('picks should be scored against correctAnswer', () => {
+        const question = oddQuestion();
+        app.loadOddOneOutOptions(question, null);
+
+        item('1').click();
+        expect(QuestionTypes.isCorrect(question, StorageManager.getAnswer(0), 'odd-one-out')).toBe(true);
+        item('5').click();
+        expect(QuestionTypes.isCorrect(question, StorageManager.getAnswer(0), 'odd-one-out')).toBe(false);
+    });
+
+    test('questions should be worth +3 with no negative marking, via Utils.getQuestionMarks', () => {
+        // A stray negative mark or missing marks still give 3/0 for a TITA answer
+        const questions = [
+            oddQuestion(),
+            oddQuestion({ id: 2, marks: { positive: 3, negative: 1 } }),
+            oddQuestion({ id: 3, marks: undefined })
+        ];
+        app = createApp(questions, 'odd-one-out');
+        const getQuestionMarks = jest.spyOn(Utils, 'getQuestionMarks');
+
+        try {
+            app.renderQuestion(questions[1], 1);
+            expect(document.getElementById('positive-marks').textContent).toBe('3');
+            expect(document.getElementById('negative-marks').textContent).toBe('0');
+
+            StorageManager.saveAnswer(0, '1');
+            StorageManager.saveAnswer(1, '4');
+            expect(app.calculateResults()).toMatchObject({
+                correct: 1,
+                incorrect: 1,
+                unattempted: 1,
+                totalMarks: 3,
+                maxMarks: 9
+            });
+            questions.forEach(question => expect(getQuestionMarks).toHaveBeenCalledWith(question));
+            getQuestionMarks.mock.results.forEach(result => expect(result.value).toEqual({ positive: 3, negative: 0 }));
+        } finally {
+            getQuestionMarks.mockRestore();
+        }
+    });
+});
+
+describe('VARCApp - Timer', () => {
+    const NOW = 1700000000000;
+    const MINUTE = 60 * 1000;
+    let app;
+
+    // Started 30 minutes ago and left for `pausedMinutes` of them
+    const pausedAttempt = (pausedMinutes) => {
+        StorageManager.save(StorageManager.KEYS.CURRENT_ATTEMPT_START, NOW - 30 * MINUTE);
+        StorageManager.save(StorageManager.KEYS.ATTEMPT_PAUSED_AT, NOW - pausedMinutes * MINUTE);
+        StorageManager.resumeAttempt();
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        app = createApp([{ id: 1, setId: 1, type: 'TITA', question: 'Q', correctAnswer: '1' }], 'rc');
+        document.body.insertAdjacentHTML('beforeend', '<span id="time-left"></span>');
+        app.elements.timeLeft = document.getElementById('time-left');
+        app.handleTimeUp = jest.fn();
+    });
+
+    afterEach(() => {
+        clearInterval(app.timerInterval);
+        jest.restoreAllMocks();
+    });
+
+    test('a countdown should keep running while the attempt is paused', () => {
+        app.applyTimerConfig({ mode: 'countdown', timeLimit: 40 * 60 });
+        pausedAttempt(20);
+
+        app.tickTimer();
+
+        expect(app.remainingTime).toBe(10 * 60);
+        expect(document.getElementById('time-left').textContent).toBe('10:00');
+        expect(app.handleTimeUp).not.toHaveBeenCalled();
+    });
+
+    test('a countdown that ran out while paused should submit on return', () => {
+        app.applyTimerConfig({ mode: 'countdown', timeLimit: 20 * 60 });
+        pausedAttempt(25);
+
+        app.tickTimer();
+
+        expect(app.remainingTime).toBe(0);
+        expect(app.handleTimeUp).toHaveBeenCalled();
+    });
+
+    test('the saved total time should leave out the time the attempt was paused', async () => {
+        app.applyTimerConfig({ mode: 'countdown', timeLimit: 40 * 60 });
+        pausedAttempt(20);
+        app.hideSubmitModal = jest.fn();
+        jest.spyOn(window, 'alert').mockImplementation(() => {});
+        jest.spyOn(StorageManager, 'ready').mockResolvedValue('localStorage');
+        const saveSetAttempt = jest.spyOn(StorageManager, 'saveSetAttempt').mockResolvedValue(false);
+
+        await app.submitTest();
+
+        expect(saveSetAttempt.mock.calls[0][2].totalTime).toBe(10 * 60);
+        expect(StorageManager.getAttemptStartTime()).toBe(NOW - 30 * MINUTE);
+    });
+});
@@ -0,0 +1,243 @@
+/**
+ * Tests for AttemptStore
+ * jsdom has no IndexedDB; the transaction tests install a small in-memory fake
+ * that commits a transaction's writes together, or none of them if it aborts
+ */
+
+const AttemptStore = require('../../js/attempt-store');
+
+// Minimal IndexedDB: one database, object stores keyed by keyPath, async callbacks
+const createFakeIndexedDB = () => {
+    const stores = new Map();
+    const fake = { stores, failOpen: false, failWrites: false, opens: 0 };
+
+    const later = fn => setTimeout(fn, 0);
+    // jsdom has no structuredClone; records are plain JSON
+    const copy = value => JSON.parse(JSON.stringify(value));
+
+    const db = {
+        objectStoreNames: { contains: name => stores.has(name) },
+        createObjectStore(name, { keyPath }) {
+            stores.set(name, { keyPath, rows: new Map(), indexes: [] });
+            return { createIndex: index => stores.get(name).indexes.push(index) };
+        },
+        transaction(name, mode) {
+            const target = stores.get(name);
+            const rows = new Map(target.rows);
+            let failed = false;
+            let openCursors = 0;
+            const tx = {
+                error: null,
+                objectStore: () => ({
+                    getAll: () => ({ result: [...rows.values()].map(row => copy(row)) }),
+                    put(record) {
+                        if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+                        if (fake.failWrites) failed = true;
+                        rows.set(record[target.keyPath], copy(record));
+                    },
+                    clear: () => rows.clear(),
+                    openCursor() {
+                        const request = { onsuccess: null };
+                        const ids = [...rows.keys()];
+                        let position = 0;
+                        openCursors += 1;
+                        const next = () => {
+                            const id = ids[position];
+                            if (id === undefined) openCursors -= 1;
+                            const cursor = id === undefined ? null : {
+                                value: copy(rows.get(id)),
+                                delete: () => rows.delete(id),
+                                continue: () => {
+                                    position += 1;
+                                    next();
+                                }
+                            };
+                            request.onsuccess({ target: { result: cursor } });
+                        };
+                        later(next);
+                        return request;
+                    }
+                })
+            };
+            // Like IndexedDB, commit once no request is left open
+            const finish = () => {
+                if (openCursors > 0) {
+                    later(finish);
+                    return;
+                }
+                if (failed) {
+                    tx.error = new Error('QuotaExceededError');
+                    tx.onabort();
+                    return;
+                }
+                target.rows = rows;
+                tx.oncomplete();
+            };
+            later(finish);
+            return tx;
+        }
+    };
+
+    fake.open = () => {
+        fake.opens += 1;
+        const request = { result: null, error: null };
+        later(() => {
+            if (fake.failOpen) {
+                request.error = new Error('Access denied');
+                request.onerror();
+                return;
+            }
+            request.result = db;
+            if (!stores.size) request.onupgradeneeded();
+            request.onsuccess();
+        });
+        return request;
+    };
+
+    return fake;
+};
+
+describe('AttemptStore', () => {
+    test('createRecord should derive a stable id from type, set and timestamp', () => {
+        const attempt = { score: 6, timestamp: 1700000000000 };
+        const record = AttemptStore.createRecord('rc', 3, attempt);
+
+        expect(record).toEqual({
+            id: 'rc:3:1700000000000',
+            profileId: 'default',
+            questionType: 'rc',
+            setId: 3,
+            timestamp: 1700000000000,
+            attempt
+        });
+        expect(AttemptStore.createRecord('rc', 3, { ...attempt }).id).toBe(record.id);
+    });
+
+    test('should keep records of other profiles apart', () => {
+        const attempt = { timestamp: 5 };
+        const record = AttemptStore.createRecord('rc', 1, attempt, 'p2');
+
+        expect(record.id).toBe('p2/rc:1:5');
+        expect(AttemptStore.belongsTo(record, 'p2')).toBe(true);
+        expect(AttemptStore.belongsTo(record, 'default')).toBe(false);
+        // Records saved before profiles existed have no profileId
+        expect(AttemptStore.belongsTo({ id: 'rc:1:5' }, 'default')).toBe(true);
+    });
+
+    test('should report IndexedDB as unsupported when it is missing', () => {
+        expect(typeof indexedDB).toBe('undefined');
+        expect(AttemptStore.isSupported()).toBe(false);
+    });
+
+    test('open should reject without IndexedDB and allow a retry later', async () => {
+        await expect(AttemptStore.open()).rejects.toThrow('IndexedDB is not available');
+        await Promise.resolve();
+        expect(AttemptStore.dbPromise).toBeNull();
+        await expect(AttemptStore.getAll()).rejects.toThrow('IndexedDB is not available');
+    });
+});
+
+describe('AttemptStore - Transactions', () => {
+    let fakeDB;
+
+    beforeEach(() => {
+        fakeDB = createFakeIndexedDB();
+        global.indexedDB = fakeDB;
+        AttemptStore.dbPromise = null;
+    });
+
+    afterEach(() => {
+        delete global.indexedDB;
+        AttemptStore.dbPromise = null;
+    });
+
+    const ids = records => records.map(record => record.id).sort();
+
+    test('open should create the attempts store once and reuse the connection', async () => {
+        expect(AttemptStore.isSupported()).toBe(true);
+
+        await AttemptStore.getAll();
+        await AttemptStore.getAll();
+
+        expect(fakeDB.opens).toBe(1);
+        expect(fakeDB.stores.get('attempts')).toMatchObject({ keyPath: 'id', indexes: ['questionType'] });
+    });
+
+    test('put and getAll should round-trip records without duplicating an attempt', async () => {
+        const attempt = { score: 6, timestamp: 10, setId: 1 };
+
+        await AttemptStore.put(AttemptStore.createRecord('rc', 1, attempt));
+        await AttemptStore.put(AttemptStore.createRecord('rc', 1, { ...attempt }));
+        await AttemptStore.put(AttemptStore.createRecord('para-jumble', 2, { score: 3, timestamp: 11 }));
+
+        const records = await AttemptStore.getAll();
+        expect(ids(records)).toEqual(['para-jumble:2:11', 'rc:1:10']);
+        expect(records.find(record => record.id === 'rc:1:10').attempt).toEqual(attempt);
+    });
+
+    test('putAll should write every record or none of them', async () => {
+        await AttemptStore.putAll([
+            AttemptStore.createRecord('rc', 1, { timestamp: 1 }),
+            AttemptStore.createRecord('rc', 2, { timestamp: 2 })
+        ]);
+        expect(await AttemptStore.getAll()).toHaveLength(2);
+
+        fakeDB.failWrites = true;
+        await expect(AttemptStore.putAll([
+            AttemptStore.createRecord('rc', 3, { timestamp: 3 }),
+            AttemptStore.createRecord('rc', 4, { timestamp: 4 })
+        ])).rejects.toThrow('QuotaExceededError');
+
+        fakeDB.failWrites = false;
+        expect(ids(await AttemptStore.getAll())).toEqual(['rc:1:1', 'rc:2:2']);
+    });
+
+    test('clearProfile should only delete the records of that profile', async () => {
+        await AttemptStore.putAll([
+            AttemptStore.createRecord('rc', 1, { timestamp: 1 }),
+            { ...AttemptStore.createRecord('rc', 1, { timestamp: 2 }), profileId: undefined },
+            AttemptStore.createRecord('rc', 1, { timestamp: 3 }, 'p2')
+        ]);
+
+        await AttemptStore.clearProfile('default');
+
+        expect(ids(await AttemptStore.getAll())).toEqual(['p2/rc:1:3']);
+        expect(ids(await AttemptStore.getAllForProfile('p2'))).toEqual(['p2/rc:1:3']);
+        expect(await AttemptStore.getAllForProfile('default')).toEqual([]);
+
+        await AttemptStore.clear();
+        expect(await AttemptStore.getAll()).toEqual([]);
+    });
+
+    test('replaceProfile should swap one profile\'s records, or keep them if a write fails', async () => {
+        await AttemptStore.putAll([
+            AttemptStore.createRecord('rc', 1, { timestamp: 1 }),
+            AttemptStore.createRecord('rc', 1, { timestamp: 2 }, 'p2')
+        ]);
+
+        fakeDB.failWrites = true;
+        await expect(AttemptStore.replaceProfile('default', [
+            AttemptStore.createRecord('rc', 1, { timestamp: 3 })
+        ])).rejects.toThrow('QuotaExceededError');
+        fakeDB.failWrites = false;
+        expect(ids(await AttemptStore.getAll())).toEqual(['p2/rc:1:2', 'rc:1:1']);
+
+        await AttemptStore.replaceProfile('default', [
+            AttemptStore.createRecord('rc', 1, { timestamp: 1 }),
+            AttemptStore.createRecord('rc', 2, { timestamp: 3 })
+        ]);
+        expect(ids(await AttemptStore.getAll())).toEqual(['p2/rc:1:2', 'rc:1:1', 'rc:2:3']);
+    });
+
+    test('should reject a failed open and open again on the next call', async () => {
+        fakeDB.failOpen = true;
+        await expect(AttemptStore.getAll()).rejects.toThrow('Access denied');
+        await Promise.resolve();
+
+        fakeDB.failOpen = false;
+        await AttemptStore.put(AttemptStore.createRecord('rc', 1, { timestamp: 1 }));
+
+        expect(fakeDB.opens).toBe(2);
+        expect(await AttemptStore.getAll()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for QuestionAuthor
+ * Validates converting between banks and editable sets, merging and packs
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.QuestionSchema = require('../../js/question-schema');
+
+const QuestionAuthor = require('../../js/author');
+
+const rc = QuestionTypes.get('rc');
+const summary = QuestionTypes.get('para-summary');
+
+const rcQuestion = (id, passageId, passage = null) => ({
+    id,
+    passageId,
+    passage,
+    question: `Question ${id}`,
+    type: 'MCQ',
+    options: ['A', 'B', 'C', 'D'],
+    correctAnswer: 1,
+    explanation: 'Because.',
+    marks: { positive: 3, negative: 1 }
+});
+
+const bank = {
+    testInfo: { title: 'RC', duration: 120, totalQuestions: 3, sections: ['VARC'] },
+    questions: [
+        rcQuestion(1, 1, '<p>First passage</p>'),
+        rcQuestion(2, 1),
+        rcQuestion(3, 2, '<p>Second passage</p>')
+    ]
+};
+
+describe('QuestionAuthor - Sets', () => {
+    test('should only offer types answered by choosing an option', () => {
+        expect(QuestionAuthor.getAuthorableTypes().map(type => type.id)).toEqual(['rc', 'para-completion', 'para-summary']);
+    });
+
+    test('toSets should group a bank and lift the passage onto the set', () => {
+        const sets = QuestionAuthor.toSets(bank.questions, 'passageId');
+
+        expect(sets.map(set => set.setId)).toEqual([1, 2]);
+        expect(sets[0].passage).toBe('<p>First passage</p>');
+        expect(sets[0].questions.map(q => q.id)).toEqual([1, 2]);
+        expect(sets[0].questions[0]).not.toBe(bank.questions[0]);
+    });
+
+    test('toQuestions should store the passage on the first question only', () => {
+        const [set] = QuestionAuthor.toSets(bank.questions, 'passageId');
+        set.passage = '<p>Edited passage</p>';
+        set.questions.reverse();
+
+        const questions = QuestionAuthor.toQuestions(set, rc);
+        expect(questions.map(q => [q.id, q.passageId, q.passage])).toEqual([
+            [2, 1, '<p>Edited passage</p>'],
+            [1, 1, null]
+        ]);
+    });
+
+    test('toQuestions should never store a passage for types that do not show one', () => {
+        const questions = QuestionAuthor.toQuestions({ setId: 4, passage: 'stray', questions: [{ id: 9 }] }, summary);
+        expect(questions).toEqual([{ id: 9, setId: 4, passage: null }]);
+    });
+
+    test('createQuestion should build an empty four-option MCQ', () => {
+        expect(QuestionAuthor.createQuestion(7, summary, true)).toEqual({
+            id: 7,
+            passage: null,
+            type: 'MCQ',
+            marks: { positive: 3, negative: 1 },
+            questionType: 'para-summary',
+            question: '',
+            options: ['', '', '', ''],
+            correctAnswer: 0,
+            explanation: ''
+        });
+        expect(QuestionAuthor.createQuestion(7, rc)).not.toHaveProperty('questionType');
+    });
+
+    test('getNextId should follow the largest ID in use', () => {
+        expect(QuestionAuthor.getNextId([3, 10, 2])).toBe(11);
+        expect(QuestionAuthor.getNextId([])).toBe(1);
+        expect(QuestionAuthor.getNextId([undefined, 4])).toBe(5);
+    });
+});
+
+describe('QuestionAuthor - Export', () => {
+    test('mergeSets should replace edited sets in place and append new ones', () => {
+        const [first] = QuestionAuthor.toSets(bank.questions, 'passageId');
+        first.questions = first.questions.slice(0, 1);
+        const added = { setId: 3, passage: '<p>New</p>', questions: [rcQuestion(4, 3)] };
+
+        const merged = QuestionAuthor.mergeSets(bank, [added, first], rc);
+
+        expect(merged.questions.map(q => q.id)).toEqual([1, 3, 4]);
+        expect(merged.questions[2].passage).toBe('<p>New</p>');
+        expect(merged.testInfo).toEqual({ ...bank.testInfo, totalQuestions: 3 });
+        expect(bank.questions).toHaveLength(3);
+        expect(QuestionSchema.validateBank(merged, 'rc').errors).toEqual([]);
+    });
+
+    test('mergeSets should gather a split set where it first appears', () => {
+        const split = {
+            testInfo: { title: 'PS', duration: 60, totalQuestions: 3 },
+            questions: [{ id: 1, setId: 1 }, { id: 2, setId: 2 }, { id: 3, setId: 1 }]
+        };
+        const [set] = QuestionAuthor.toSets(split.questions, 'setId');
+
+        expect(QuestionAuthor.mergeSets(split, [set], summary).questions.map(q => q.id)).toEqual([1, 3, 2]);
+    });
+
+    test('createPack should be a standalone bank that names its type', () => {
+        const sets = QuestionAuthor.toSets(bank.questions, 'passageId').slice(1);
+        const pack = QuestionAuthor.createPack(sets, rc, bank.testInfo);
+
+        expect(pack.testInfo).toEqual({
+            title: 'Reading Comprehension Pack',
+            duration: 120,
+            totalQuestions: 1,
+            sections: ['VARC'],
+            questionType: 'rc'
+        });
+        expect(pack.questions.map(q => q.id)).toEqual([3]);
+        expect(QuestionSchema.validateBank(pack, 'rc').errors).toEqual([]);
+    });
+});
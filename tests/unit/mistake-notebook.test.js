@@ -0,0 +1,109 @@
+/**
+ * Tests for MistakeNotebook
+ * Validates saving error reasons, collecting wrong answers from attempts and filtering them
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.QuestionIdentity = require('../../js/question-identity');
+global.StorageManager = require('../../js/storage');
+
+const MistakeNotebook = require('../../js/mistake-notebook');
+const { answeredQuestion, attempt } = require('../helpers/fixtures');
+
+describe('MistakeNotebook - Notes', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should key notes by attempt and question', () => {
+        const first = attempt([1]);
+
+        expect(MistakeNotebook.getNoteKey('rc', first, first.questions[0])).toBe('rc:1:1000/rc:1');
+        expect(MistakeNotebook.getNoteKey('sectional-mock', { ...first, questionType: 'sectional-mock', setId: 2 }, { id: 5, questionType: 'para-summary' }))
+            .toBe('sectional-mock:2:1000/para-summary:5');
+    });
+
+    test('should save a reason and note, and remove the note once both are cleared', () => {
+        const first = attempt([1]);
+        const [missed] = first.questions;
+
+        const saved = MistakeNotebook.saveNote('rc', first, missed, { reason: 'extreme-wording', note: '  Fell for "always"  ' });
+
+        expect(saved.success).toBe(true);
+        expect(MistakeNotebook.getNote('rc', first, missed)).toMatchObject({ reason: 'extreme-wording', note: 'Fell for "always"' });
+        expect(MistakeNotebook.saveNote('rc', first, missed, { reason: '', note: '' })).toEqual({ success: true, note: null, errors: [] });
+        expect(MistakeNotebook.getNote('rc', first, missed)).toBeNull();
+    });
+
+    test('should reject unknown reasons and long notes without saving', () => {
+        const first = attempt([1]);
+
+        const result = MistakeNotebook.saveNote('rc', first, first.questions[0], {
+            reason: 'bad-luck',
+            note: 'x'.repeat(MistakeNotebook.NOTE_MAX_LENGTH + 1)
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual([
+            'Unknown error reason "bad-luck".',
+            `The note is longer than ${MistakeNotebook.NOTE_MAX_LENGTH} characters.`
+        ]);
+        expect(StorageManager.getMistakeNotes()).toEqual({});
+    });
+
+    test('should label reasons', () => {
+        expect(MistakeNotebook.getLabel('out-of-scope')).toBe('Out-of-scope option');
+        expect(MistakeNotebook.getLabel('unknown')).toBe('unknown');
+    });
+});
+
+describe('MistakeNotebook - Collecting and filtering', () => {
+    const day = (dateKey, hour = 12) => {
+        const [year, month, date] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, date, hour).getTime();
+    };
+
+    let entries;
+
+    beforeEach(() => {
+        localStorage.clear();
+        const older = attempt([2, 0, null], { timestamp: day('2026-03-01') });
+        const newer = attempt([3], { timestamp: day('2026-03-10', 23) });
+        const mock = attempt([], {
+            questionType: 'sectional-mock',
+            timestamp: day('2026-03-05'),
+            questions: [
+                answeredQuestion(4, '1234', { key: 'para-jumble:4', questionType: 'para-jumble', type: 'TITA', correctAnswer: '2143', options: undefined })
+            ]
+        });
+
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, {
+            'rc': { 1: [older, newer] },
+            'sectional-mock': { 1: [mock] }
+        });
+        MistakeNotebook.saveNote('rc', older, older.questions[0], { reason: 'out-of-scope' });
+        MistakeNotebook.saveNote('sectional-mock', mock, mock.questions[0], { reason: 'time-pressure', note: 'Rushed the end' });
+
+        entries = MistakeNotebook.collect();
+    });
+
+    test('should list wrong answers only, most recent first, with their notes', () => {
+        expect(entries.map(entry => [entry.key, entry.questionType, entry.reason, entry.note])).toEqual([
+            [`rc:1:${day('2026-03-10', 23)}/rc:1`, 'rc', null, ''],
+            [`sectional-mock:1:${day('2026-03-05')}/para-jumble:4`, 'para-jumble', 'time-pressure', 'Rushed the end'],
+            [`rc:1:${day('2026-03-01')}/rc:1`, 'rc', 'out-of-scope', '']
+        ]);
+    });
+
+    test('should filter by reason, untagged mistakes, question type and inclusive dates', () => {
+        const keys = filters => MistakeNotebook.filter(entries, filters).map(entry => entry.question.key);
+
+        expect(keys({ reason: 'out-of-scope' })).toEqual(['rc:1']);
+        expect(keys({ reason: MistakeNotebook.UNTAGGED })).toEqual(['rc:1']);
+        expect(keys({ type: 'para-jumble' })).toEqual(['para-jumble:4']);
+        expect(keys({ from: '2026-03-05', to: '2026-03-10' })).toEqual(['rc:1', 'para-jumble:4']);
+        expect(keys({ to: '2026-03-04' })).toHaveLength(1);
+        expect(keys({})).toHaveLength(3);
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Tests for OptionTraps
+ * Validates reading explanations option by option, runtime trap inference and trap analytics
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+
+const OptionTraps = require('../../js/option-traps');
+global.OptionTraps = OptionTraps;
+const Analytics = require('../../js/analytics');
+
+const mcq = (explanation, overrides = {}) => ({
+    id: 1,
+    type: 'MCQ',
+    questionType: 'rc',
+    question: '<p>Which of the following can be inferred?</p>',
+    options: ['A', 'B', 'C', 'D'],
+    correctAnswer: 2,
+    explanation,
+    ...overrides
+});
+
+describe('OptionTraps - Reading explanations', () => {
+    test.each([
+        ['The use of only makes this an extreme option.', 'extreme'],
+        ['Conservation is never discussed in the passage.', 'out-of-scope'],
+        ['Mentions vocal tracts, which is out of scope.', 'out-of-scope'],
+        ['This is too general a statement.', 'too-broad'],
+        ['Too specific; we need to answer why the author does this.', 'too-narrow'],
+        ['Though correct, fails to mention the use of sound against predators.', 'too-narrow'],
+        ['Opposite. The author considers it a masterpiece.', 'distortion'],
+        ['Is distorted. Judgement would be required on the richer criteria.', 'distortion']
+    ])('%s', (text, trap) => {
+        expect(OptionTraps.classify(text.toLowerCase())).toBe(trap);
+    });
+
+    test('should try trap types in order and leave other wording unclassified', () => {
+        expect(OptionTraps.classify('a very general and extreme option; also distorted')).toBe('extreme');
+        expect(OptionTraps.classify('the whistles are extremely loud for their size')).toBeNull();
+        expect(OptionTraps.classify('')).toBeNull();
+    });
+
+    test('should split explanations by the options they name', () => {
+        expect(OptionTraps.splitExplanation(
+            '(C) states this best. (A) The passage never states this. (B) The use of only makes this an extreme option.', 4
+        )).toEqual(['the passage never states this.', 'the use of only makes this an extreme option.', 'states this best.', '']);
+        expect(OptionTraps.splitExplanation('<p>Option A: Too broad.</p><p>Option D is distorted.</p>', 4))
+            .toEqual(['too broad.', '', '', 'is distorted.']);
+        expect(OptionTraps.splitExplanation('Option a) is too narrow. Options c) and d) are out of scope. e) is right.', 5))
+            .toEqual(['is too narrow.', '', 'are out of scope.', 'are out of scope.', 'is right.']);
+    });
+
+    test('should infer a trap for each wrong option and none for the answer', () => {
+        const question = mcq('(A) Opposite. (B) Extreme. (C) Never mentioned, yet this is the answer. (D) Irrelevant.');
+
+        expect(OptionTraps.inferTraps(question)).toEqual(['distortion', 'extreme', null, 'out-of-scope']);
+        expect(OptionTraps.inferTraps({ ...question, type: 'TITA' })).toEqual([]);
+    });
+});
+
+describe('OptionTraps - Traps of questions', () => {
+    test('should keep the traps a question already has', () => {
+        const question = mcq('(A) Opposite.', { optionTraps: ['too-broad', null, null, null] });
+
+        expect(OptionTraps.getTraps(question)).toBe(question.optionTraps);
+        expect(OptionTraps.getTrap(question, 0)).toBe('too-broad');
+        expect(OptionTraps.getTraps(mcq('(A) Opposite.', { optionTraps: [] }))[0]).toBe('distortion');
+    });
+
+    test('should mark traps worked out from the explanation as suggested', () => {
+        expect(OptionTraps.isSuggested(mcq('(A) Opposite.'))).toBe(true);
+        expect(OptionTraps.isSuggested(mcq('(A) Opposite.', { optionTraps: [] }))).toBe(true);
+        expect(OptionTraps.isSuggested(mcq('(A) Opposite.', { optionTraps: ['too-broad', null, null, null] }))).toBe(false);
+        expect(OptionTraps.isSuggested(mcq('(A) Opposite.', { type: 'TITA' }))).toBe(false);
+    });
+
+    test('should only report known traps of wrong options', () => {
+        const question = mcq('', { optionTraps: ['custom', null, 'extreme', null] });
+
+        expect(OptionTraps.getTrap(question, 0)).toBeNull();
+        expect(OptionTraps.getTrap(question, 2)).toBeNull();
+        expect(OptionTraps.getTrap(question, 1)).toBeNull();
+        expect(OptionTraps.getTrap(question, undefined)).toBeNull();
+        expect(OptionTraps.getLabel('out-of-scope')).toBe('Out of Scope');
+        expect(OptionTraps.getLabel('custom')).toBe('custom');
+    });
+
+    test('should write suggested traps into a copy of a bank for the tagging script', () => {
+        const bank = {
+            testInfo: {},
+            questions: [
+                mcq('(A) Out of scope.'),
+                mcq('(A) Out of scope.', { id: 2, optionTraps: ['distortion', null, null, null] }),
+                mcq('Nothing to go on.', { id: 3 })
+            ]
+        };
+
+        const result = OptionTraps.applyToBank(bank);
+
+        expect(result.questions[0].optionTraps).toEqual(['out-of-scope', null, null, null]);
+        expect(result.questions[1]).toBe(bank.questions[1]);
+        expect(result.questions[2]).toBe(bank.questions[2]);
+        expect(bank.questions[0].optionTraps).toBeUndefined();
+        expect(OptionTraps.applyToBank(null)).toBeNull();
+    });
+});
+
+describe('OptionTraps - Trap analytics', () => {
+    // Saved before options had traps, so they come from the explanations
+    const attempt = {
+        questionType: 'rc',
+        questions: [
+            mcq('(A) Extreme. (B) Out of scope.', { userAnswer: 0 }),
+            mcq('(A) Extreme. (B) Out of scope.', { userAnswer: 1 }),
+            mcq('(A) Extreme. (D) Out of scope.', { userAnswer: 0 }),
+            mcq('No option is discussed.', { userAnswer: 3 }),
+            mcq('(A) Extreme.', { userAnswer: 2 }),
+            mcq('(A) Extreme.', { userAnswer: null }),
+            { id: 7, type: 'TITA', questionType: 'para-jumble', sentences: ['a', 'b', 'c'], correctAnswer: '123', userAnswer: '321' }
+        ]
+    };
+
+    test('getWrongOption should describe wrong options of multiple-choice questions only', () => {
+        expect(Analytics.getWrongOption(attempt, 0)).toEqual({ option: 0, correctOption: 2, trap: 'extreme', suggested: true });
+        expect(Analytics.getWrongOption(attempt, 3)).toEqual({ option: 3, correctOption: 2, trap: null, suggested: false });
+        expect(Analytics.getWrongOption(attempt, 4)).toBeNull();
+        expect(Analytics.getWrongOption(attempt, 5)).toBeNull();
+        expect(Analytics.getWrongOption(attempt, 6)).toBeNull();
+    });
+
+    test('getTrapInsights should rank the traps fallen for', () => {
+        expect(Analytics.getTrapInsights([attempt])).toEqual({
+            wrong: 4,
+            suggested: 3,
+            traps: [
+                { trap: 'extreme', count: 2, share: 67 },
+                { trap: 'out-of-scope', count: 1, share: 33 }
+            ]
+        });
+        expect(Analytics.getTrapInsights(undefined)).toEqual({ wrong: 0, suggested: 0, traps: [] });
+    });
+
+    test('should not mark traps the question gives as suggested', () => {
+        const authored = {
+            questionType: 'rc',
+            questions: [mcq('(A) Extreme.', { userAnswer: 0, optionTraps: ['too-broad', null, null, null] })]
+        };
+
+        expect(Analytics.getWrongOption(authored, 0)).toEqual({ option: 0, correctOption: 2, trap: 'too-broad', suggested: false });
+        expect(Analytics.getTrapInsights([authored])).toMatchObject({ wrong: 1, suggested: 0 });
+    });
+});
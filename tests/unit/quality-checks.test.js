@@ -0,0 +1,58 @@
+/**
+ * Tests for QualityChecks
+ * Validates the wording heuristics shared by the quality sweep and the authoring page
+ */
+
+const QualityChecks = require('../../js/quality-checks');
+
+const mcq = (overrides = {}) => ({
+    id: 1,
+    type: 'MCQ',
+    question: 'Which statement best captures the author\'s view?',
+    options: ['Cities grow', 'Rivers flood', 'Forests burn', 'Markets crash'],
+    correctAnswer: 0,
+    ...overrides
+});
+
+describe('QualityChecks - Text', () => {
+    test('stripHtml should drop tags and decode entities', () => {
+        expect(QualityChecks.stripHtml('<p>Salt &amp; <b>pepper</b></p>')).toBe('Salt & pepper');
+        expect(QualityChecks.stripHtml(null)).toBe('');
+    });
+
+    test('isNearlySameText should allow small wording changes', () => {
+        expect(QualityChecks.isNearlySameText('The river floods every spring season', 'The river floods every spring season!')).toBe(true);
+        expect(QualityChecks.isNearlySameText('The river floods every spring', 'Markets crash in autumn')).toBe(false);
+    });
+});
+
+describe('QualityChecks - Questions', () => {
+    test('should pass a well-written question', () => {
+        expect(QualityChecks.checkQuestion(mcq())).toEqual([]);
+    });
+
+    test('should flag missing text, bad answers, empty and duplicate options', () => {
+        expect(QualityChecks.checkQuestion(mcq({
+            question: '',
+            options: ['Same', 'same', ''],
+            correctAnswer: 3
+        }))).toEqual([
+            'Missing question text.',
+            'Correct answer index out of range (3).',
+            'Option 3 is empty.',
+            'Duplicate options detected (1, 2).'
+        ]);
+    });
+
+    test('should flag options copied from the passage it is given', () => {
+        const passage = 'Migration patterns of monarch butterflies have puzzled scientists for decades, because no single butterfly completes the round trip.';
+        const question = mcq({ options: [passage, 'Rivers flood', 'Forests burn', 'Markets crash'] });
+
+        expect(QualityChecks.checkQuestion(question)).toEqual([]);
+        expect(QualityChecks.checkQuestion(question, passage)).toEqual(['Option 1 appears very similar to the passage text.']);
+    });
+
+    test('should skip option checks for TITA questions', () => {
+        expect(QualityChecks.checkQuestion({ type: 'TITA', question: 'Order them', correctAnswer: '2143' })).toEqual([]);
+    });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests for QuestionErrata
+ * Validates local corrections, applying them to banks and re-scoring attempts
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.QuestionIdentity = require('../../js/question-identity');
+global.StorageManager = require('../../js/storage');
+
+const QuestionErrata = require('../../js/question-errata');
+global.QuestionErrata = QuestionErrata;
+
+const { question, attempt } = require('../helpers/fixtures');
+
+describe('QuestionErrata - Saving corrections', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('should store only the fields that changed, with their original values', () => {
+        const result = QuestionErrata.saveCorrection('rc:1', question(1), {
+            correctAnswer: 2,
+            question: question(1).question,
+            explanation: 'Three is right.'
+        }, '  The key was wrong.  ');
+
+        expect(result.success).toBe(true);
+        expect(QuestionErrata.get('rc:1')).toMatchObject({
+            key: 'rc:1',
+            baseHash: QuestionIdentity.hashQuestion(question(1)),
+            fields: { correctAnswer: 2, explanation: 'Three is right.' },
+            original: { correctAnswer: 0, explanation: 'One is right.' },
+            note: 'The key was wrong.'
+        });
+    });
+
+    test('should keep a report with only a note, and drop one with nothing left', () => {
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 0 }, 'Option two is ambiguous');
+        expect(QuestionErrata.get('rc:1').fields).toEqual({});
+
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 0, explanation: 'One is right.' }, '');
+        expect(QuestionErrata.get('rc:1')).toBeNull();
+    });
+
+    test('should reject answers outside the options and empty question text', () => {
+        expect(QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 4 }).errors[0]).toContain('one of the 4 options');
+        expect(QuestionErrata.saveCorrection('rc:1', question(1), { question: '  ' }).errors).toEqual(['The question text cannot be empty.']);
+        expect(QuestionErrata.saveCorrection('pj:1', { id: 1, correctAnswer: '3142' }, { correctAnswer: '' }).success).toBe(false);
+        expect(QuestionErrata.list()).toEqual([]);
+    });
+});
+
+describe('QuestionErrata - Applying corrections', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('should correct bank questions by key while they are unchanged', () => {
+        QuestionErrata.saveCorrection('rc:2', question(2), { correctAnswer: 3 });
+        const bank = { testInfo: {}, questions: [question(1), question(2)] };
+
+        const corrected = QuestionErrata.applyToBank('rc', bank);
+
+        expect(corrected.questions[0]).toBe(bank.questions[0]);
+        expect(corrected.questions[1].correctAnswer).toBe(3);
+        expect(bank.questions[1].correctAnswer).toBe(0);
+        expect(QuestionErrata.applyToBank('para-summary', bank).questions[1].correctAnswer).toBe(0);
+    });
+
+    test('should stop applying once the bank question itself was edited', () => {
+        QuestionErrata.saveCorrection('rc:2', question(2), { correctAnswer: 3 });
+        const fixedUpstream = { questions: [question(2, { correctAnswer: 3, question: 'Reworded?' })] };
+
+        expect(QuestionErrata.applyToBank('rc', fixedUpstream).questions[0]).toBe(fixedUpstream.questions[0]);
+    });
+});
+
+describe('QuestionErrata - Re-scoring attempts', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('should re-score past attempts under the corrected key', () => {
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 2 });
+
+        const rescored = QuestionErrata.rescoreAttempt(attempt([2, 0]), 'rc');
+
+        expect(rescored).toMatchObject({ score: 6, correct: 2, incorrect: 0, originalScore: 0 });
+        expect(rescored.questions[0].correctAnswer).toBe(2);
+        expect(rescored.questions[0].hash).toBe(QuestionIdentity.hashQuestion({ ...question(1), correctAnswer: 2 }));
+    });
+
+    test('should leave attempts taken after the correction and unaffected attempts alone', () => {
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 2 });
+        const after = attempt([2]);
+        after.questions[0].correctAnswer = 2;
+        const unaffected = attempt([null, 0]);
+        unaffected.questions.shift();
+
+        expect(QuestionErrata.rescoreAttempt(after, 'rc')).toBe(after);
+        expect(QuestionErrata.rescoreAttempt(unaffected, 'rc')).toBe(unaffected);
+    });
+
+    test('should re-score attempts read from storage and undo it when the correction is removed', async () => {
+        await StorageManager.saveSetAttempt('rc', 1, attempt([2, null]));
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 2 });
+
+        expect(StorageManager.getSetAttempts('rc', 1)[0].score).toBe(3);
+        expect(StorageManager.getAllSetAttempts('rc')[0].correct).toBe(1);
+
+        StorageManager.removeErratum('rc:1');
+        expect(StorageManager.getSetAttempts('rc', 1)[0].score).toBe(0);
+    });
+
+    test('should export corrections in a tagged file', () => {
+        QuestionErrata.saveCorrection('rc:1', question(1), { correctAnswer: 2 }, 'Key');
+        const file = QuestionErrata.exportErrata();
+
+        expect(file.format).toBe(QuestionErrata.EXPORT_FORMAT);
+        expect(file.errata.map(erratum => erratum.key)).toEqual(['rc:1']);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for QuestionIdentity
+ * Validates question keys, content hashes and reconciliation with a changed bank
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+
+const QuestionIdentity = require('../../js/question-identity');
+
+const question = (id, text, overrides = {}) => ({
+    id,
+    passageId: 1,
+    question: text,
+    options: ['One', 'Two', 'Three', 'Four'],
+    correctAnswer: 1,
+    explanation: 'Because.',
+    ...overrides
+});
+
+describe('QuestionIdentity - Keys and hashes', () => {
+    test('should qualify question ids with their bank type', () => {
+        expect(QuestionIdentity.getKey('rc', 17)).toBe('rc:17');
+        expect(QuestionIdentity.getKey('pack-1x9f3k2', 3)).toBe('pack-1x9f3k2:3');
+    });
+
+    test('should hash what a question asks, not how it is explained', () => {
+        const original = question(1, 'What is the main idea?');
+        const hash = QuestionIdentity.hashQuestion(original);
+
+        expect(QuestionIdentity.hashQuestion({ ...original, explanation: 'Fixed a typo.', marks: { positive: 3 } })).toBe(hash);
+        expect(QuestionIdentity.hashQuestion({ ...original, correctAnswer: 2 })).not.toBe(hash);
+        expect(QuestionIdentity.hashQuestion({ ...original, options: ['One', 'Two', 'Three', 'Five'] })).not.toBe(hash);
+    });
+
+    test('should hash a stored attempt question like the bank question it copies', () => {
+        const bankQuestion = question(1, 'What is the main idea?');
+        const stored = JSON.parse(JSON.stringify({ ...bankQuestion, userAnswer: 2, sentences: undefined }));
+
+        expect(QuestionIdentity.hashQuestion(stored)).toBe(QuestionIdentity.hashQuestion(bankQuestion));
+    });
+});
+
+describe('QuestionIdentity - Paused attempts', () => {
+    const refs = questions => QuestionIdentity.describeQuestions(questions, () => 'rc');
+    const before = [question(1, 'First?'), question(2, 'Second?'), question(3, 'Third?')];
+
+    test('should leave an unchanged set alone', () => {
+        expect(QuestionIdentity.isSameList(refs(before), refs(before.map(q => ({ ...q }))))).toBe(true);
+    });
+
+    test('should follow questions to their new positions when one is inserted', () => {
+        const after = [question(9, 'New?'), ...before];
+        const result = QuestionIdentity.mapQuestions(refs(before), refs(after));
+
+        expect(result).toEqual({ indexMap: [1, 2, 3], changed: [], removed: [] });
+    });
+
+    test('should follow a renumbered question by its content', () => {
+        const after = [before[0], question(20, 'Second?'), before[2]];
+
+        expect(QuestionIdentity.mapQuestions(refs(before), refs(after)).indexMap).toEqual([0, 1, 2]);
+    });
+
+    test('should drop reworded and removed questions', () => {
+        const after = [question(1, 'First, reworded?'), before[2]];
+        const result = QuestionIdentity.mapQuestions(refs(before), refs(after));
+
+        expect(result).toEqual({ indexMap: [-1, -1, 1], changed: ['rc:1'], removed: ['rc:2'] });
+    });
+});
+
+describe('QuestionIdentity - Finished attempts', () => {
+    const attempt = {
+        questionType: 'rc',
+        questions: [
+            question(1, 'First?', { userAnswer: 1 }),
+            question(2, 'Second?', { userAnswer: 0 }),
+            question(3, 'Third?', { userAnswer: null }),
+            question(4, 'Fourth?', { userAnswer: 2 })
+        ]
+    };
+
+    test('should flag edited and removed questions and follow moved ones', () => {
+        const bank = [
+            question(1, 'First?'),
+            question(2, 'Second, reworded?'),
+            question(30, 'Third?')
+        ];
+
+        const result = QuestionIdentity.reconcileAttempt(attempt, { rc: bank });
+
+        expect(result.questions.map(q => [q.key, q.status, q.currentId])).toEqual([
+            ['rc:1', 'current', 1],
+            ['rc:2', 'changed', 2],
+            ['rc:3', 'moved', 30],
+            ['rc:4', 'removed', null]
+        ]);
+        expect(result.counts).toEqual({ current: 1, moved: 1, changed: 1, removed: 1, unknown: 0 });
+    });
+
+    test('should use the stored key and hash when the attempt has them', () => {
+        const keyed = {
+            questionType: 'pack-abc',
+            questions: [{ ...question(1, 'Now different?'), key: 'pack-abc:1', hash: QuestionIdentity.hashQuestion(question(1, 'First?')) }]
+        };
+
+        const result = QuestionIdentity.reconcileAttempt(keyed, { 'pack-abc': [question(1, 'Now different?')] });
+        expect(result.questions[0].status).toBe('changed');
+    });
+
+    test('should key sectional mock questions by their source bank', () => {
+        const mock = {
+            questionType: 'sectional-mock',
+            questions: [
+                question(5, 'From RC?', { questionType: 'rc' }),
+                question(5, 'From summaries?', { questionType: 'para-summary' })
+            ]
+        };
+
+        const result = QuestionIdentity.reconcileAttempt(mock, { rc: [question(5, 'From RC?')] });
+
+        expect(result.questions.map(q => [q.key, q.status])).toEqual([
+            ['rc:5', 'current'],
+            ['para-summary:5', 'unknown']
+        ]);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for QuestionPacks
+ * Validates pack checks, registration as question types and bank loading
+ */
+
+global.TextEncoder = require('util').TextEncoder;
+global.TextDecoder = require('util').TextDecoder;
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.QuestionSchema = require('../../js/question-schema');
+global.StorageManager = require('../../js/storage');
+
+const QuestionPacks = require('../../js/question-packs');
+
+const question = (id, setId, overrides = {}) => ({
+    id,
+    setId,
+    passage: null,
+    type: 'MCQ',
+    marks: { positive: 3, negative: 1 },
+    questionType: 'para-summary',
+    question: `<p>Summary question ${id}</p>`,
+    options: ['One', 'Two', 'Three', 'Four'],
+    correctAnswer: 1,
+    explanation: 'Two is the summary.',
+    ...overrides
+});
+
+const summaryPack = (questions = [question(1, 1), question(2, 1), question(3, 2)]) => ({
+    testInfo: {
+        title: 'Forum Summaries',
+        duration: 20,
+        totalQuestions: questions.length,
+        sections: ['VARC'],
+        questionType: 'para-summary'
+    },
+    questions
+});
+
+const removeAllPacks = () => {
+    QuestionPacks.list().forEach(pack => QuestionTypes.unregister(pack.id));
+    localStorage.clear();
+};
+
+describe('QuestionPacks - Validation', () => {
+    test('should accept a valid pack and report its type', () => {
+        expect(QuestionPacks.validatePack(summaryPack())).toEqual({
+            valid: true,
+            baseType: 'para-summary',
+            errors: [],
+            warnings: []
+        });
+    });
+
+    test('should work out the type when testInfo does not name it', () => {
+        const pack = summaryPack();
+        delete pack.testInfo.questionType;
+        expect(QuestionPacks.detectBaseType(pack)).toBe('para-summary');
+
+        const rc = { questions: [{ id: 1, passageId: 1 }] };
+        expect(QuestionPacks.detectBaseType(rc)).toBe('rc');
+        expect(QuestionPacks.detectBaseType({ questions: [{ id: 1, setId: 1 }] })).toBeNull();
+    });
+
+    test('should reject files that are not packs of a known type', () => {
+        expect(QuestionPacks.validatePack([]).errors[0]).toContain('"questions" list');
+        expect(QuestionPacks.validatePack({ questions: [{ id: 1, setId: 1 }] }).errors[0]).toContain('testInfo.questionType');
+
+        const mock = summaryPack();
+        mock.testInfo.questionType = 'sectional-mock';
+        expect(QuestionPacks.validatePack(mock).errors[0]).toContain('not a question type');
+    });
+
+    test('should list schema errors with the question they belong to', () => {
+        const result = QuestionPacks.validatePack(summaryPack([question(1, 1, { correctAnswer: 7 })]));
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual([expect.stringMatching(/^Question 1: /)]);
+    });
+
+    test('should derive the same id from the same questions', () => {
+        const a = QuestionPacks.createId(summaryPack());
+        const renamed = summaryPack();
+        renamed.testInfo.title = 'Renamed';
+
+        expect(a).toMatch(/^pack-[0-9a-z]+$/);
+        expect(QuestionPacks.createId(renamed)).toBe(a);
+        expect(QuestionPacks.createId(summaryPack([question(1, 1)]))).not.toBe(a);
+    });
+});
+
+describe('QuestionPacks - Adding and removing', () => {
+    beforeEach(removeAllPacks);
+    afterAll(removeAllPacks);
+
+    test('should store a pack and register it as a type like its base type', () => {
+        const result = QuestionPacks.addPack(summaryPack(), 'summaries.json');
+        const type = QuestionTypes.get(result.pack.id);
+
+        expect(result.success).toBe(true);
+        expect(StorageManager.getQuestionPack(result.pack.id).bank.questions).toHaveLength(3);
+        expect(type).toMatchObject({
+            label: 'Forum Summaries',
+            setLabel: 'Forum Summaries: Para Summary Set',
+            shortLabel: 'PS',
+            setKey: 'setId',
+            selectionPage: 'pages/para-summary-selection.html',
+            pack: true,
+            baseType: 'para-summary',
+            mockItems: false
+        });
+        expect(QuestionPacks.list('para-summary').map(pack => pack.id)).toEqual([result.pack.id]);
+        expect(QuestionPacks.list('rc')).toEqual([]);
+    });
+
+    test('should refuse the same pack twice and invalid packs', () => {
+        QuestionPacks.addPack(summaryPack(), 'a.json');
+
+        expect(QuestionPacks.addPack(summaryPack(), 'b.json').errors).toEqual([
+            'This pack has already been added as "Forum Summaries".'
+        ]);
+
+        const broken = summaryPack(Array.from({ length: 10 }, (_, i) => question(i + 1, 1, { correctAnswer: 9 })));
+        const result = QuestionPacks.addPack(broken, 'broken.json');
+        expect(result.success).toBe(false);
+        expect(result.errors).toHaveLength(QuestionPacks.MAX_LISTED_ISSUES + 1);
+        expect(result.errors[QuestionPacks.MAX_LISTED_ISSUES]).toBe('...and 2 more');
+        expect(StorageManager.getQuestionPacks()).toHaveLength(1);
+    });
+
+    test('should register stored packs when a page loads', () => {
+        const { pack } = QuestionPacks.addPack(summaryPack(), 'a.json');
+        QuestionTypes.unregister(pack.id);
+
+        expect(QuestionPacks.registerStoredPacks()).toBe(1);
+        expect(QuestionTypes.has(pack.id)).toBe(true);
+    });
+
+    test('should remove a pack but keep the attempts made on it', () => {
+        const { pack } = QuestionPacks.addPack(summaryPack(), 'a.json');
+        StorageManager.saveSetAttempt(pack.id, 1, { score: 3 });
+        StorageManager.saveSelectedSet(pack.id, 1);
+
+        expect(QuestionPacks.removePack(pack.id)).toBe(true);
+        expect(QuestionTypes.has(pack.id)).toBe(false);
+        expect(StorageManager.getQuestionPacks()).toEqual([]);
+        expect(StorageManager.getSelectedSetId(pack.id)).toBeNull();
+        expect(StorageManager.getSetAttempts(pack.id, 1)).toHaveLength(1);
+        expect(QuestionPacks.removePack(pack.id)).toBe(false);
+    });
+});
+
+describe('QuestionPacks - Loading banks', () => {
+    beforeEach(removeAllPacks);
+
+    afterEach(() => {
+        delete global.fetch;
+        removeAllPacks();
+    });
+
+    test('should load a pack from storage without fetching', async () => {
+        global.fetch = jest.fn();
+        const { pack } = QuestionPacks.addPack(summaryPack(), 'a.json');
+
+        const bank = await QuestionPacks.loadBank(pack.id, '../data/');
+
+        expect(bank.questions.map(q => q.id)).toEqual([1, 2, 3]);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('should fetch a built-in bank from the data directory', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ questions: [{ id: 9 }] }) });
+
+        const bank = await QuestionPacks.loadBank('para-jumble', '../data/');
+
+        expect(global.fetch).toHaveBeenCalledWith('../data/para-jumble.json');
+        expect(bank.questions).toEqual([{ id: 9 }]);
+    });
+
+    test('should return null for failed loads and composite types', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+        expect(await QuestionPacks.loadBank('rc', '../data/')).toBeNull();
+        expect(await QuestionPacks.loadBank('sectional-mock', '../data/')).toBeNull();
+        expect(await QuestionPacks.loadBank('pack-missing', '../data/')).toBeNull();
+
+        warnSpy.mockRestore();
+    });
+});
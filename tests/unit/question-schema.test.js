@@ -0,0 +1,204 @@
+/**
+ * Tests for QuestionSchema
+ * Validates field rules, answer formats per input and bank-wide rules
+ */
+
+global.QuestionTypes = require('../../js/question-types');
+
+const QuestionSchema = require('../../js/question-schema');
+
+const bank = (questions, testInfo = {}) => ({
+    testInfo: { title: 'Test Bank', duration: 10, totalQuestions: questions.length, ...testInfo },
+    questions
+});
+
+const mcq = (overrides = {}) => ({
+    id: 1,
+    setId: 1,
+    passage: null,
+    question: '<p>Pick one</p>',
+    type: 'MCQ',
+    options: ['A', 'B', 'C', 'D'],
+    correctAnswer: 2,
+    explanation: 'Because.',
+    marks: { positive: 3, negative: 1 },
+    ...overrides
+});
+
+const rcQuestion = (overrides = {}) => mcq({ setId: undefined, passageId: 1, ...overrides });
+
+const jumble = (overrides = {}) => ({
+    id: 1,
+    setId: 1,
+    question: 'Order the sentences',
+    type: 'TITA',
+    sentences: ['One', 'Two', 'Three', 'Four'],
+    correctAnswer: '3142',
+    explanation: 'Because.',
+    marks: { positive: 3, negative: 0 },
+    ...overrides
+});
+
+const paths = issues => issues.map(issue => issue.path);
+
+describe('QuestionSchema - Fields', () => {
+    test('should accept a well-formed bank', () => {
+        const result = QuestionSchema.validateBank(bank([mcq()]), 'para-completion');
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+        expect(QuestionSchema.isValid(result)).toBe(true);
+    });
+
+    test('should reject a bank without testInfo or questions', () => {
+        const result = QuestionSchema.validateBank({}, 'para-completion');
+
+        expect(paths(result.errors)).toEqual(['$.testInfo', '$.questions']);
+        expect(QuestionSchema.validateBank([], 'para-completion').errors[0].message).toBe('Bank must be a JSON object, got array');
+        expect(QuestionSchema.validateBank(bank([]), 'sectional-mock').errors[0].message).toBe('Unknown question type "sectional-mock"');
+    });
+
+    test('should report missing and mistyped question fields with their path and id', () => {
+        const result = QuestionSchema.validateBank(bank([
+            mcq({ id: 4, question: '  ', type: 'MCQ ', setId: '2' })
+        ]), 'para-completion');
+
+        expect(result.errors).toEqual([
+            { path: '$.questions[0].question', questionId: 4, message: 'must not be empty' },
+            { path: '$.questions[0].type', questionId: 4, message: 'must be one of MCQ, TITA, got "MCQ "' },
+            { path: '$.questions[0].setId', questionId: 4, message: 'must be an integer, got string' }
+        ]);
+    });
+
+    test('should check marks and questionType', () => {
+        const result = QuestionSchema.validateBank(bank([
+            mcq({ marks: { positive: 0, negative: -1 }, questionType: 'para-summary' })
+        ]), 'para-completion');
+
+        expect(paths(result.errors)).toEqual([
+            '$.questions[0].questionType',
+            '$.questions[0].marks.positive',
+            '$.questions[0].marks.negative'
+        ]);
+    });
+
+    test('should accept tags only as a list of strings', () => {
+        const errors = tags => paths(QuestionSchema.validateBank(bank([mcq({ tags })]), 'para-completion').errors);
+
+        expect(errors(['inference'])).toEqual([]);
+        expect(errors('inference')).toEqual(['$.questions[0].tags']);
+        expect(errors(['inference', ' '])).toEqual(['$.questions[0].tags']);
+    });
+
+    test('should accept option traps only as one trap or null per option', () => {
+        const validate = optionTraps => QuestionSchema.validateBank(bank([mcq({ optionTraps })]), 'para-completion');
+
+        expect(validate(['extreme', 'out-of-scope', null, 'distortion'])).toMatchObject({ errors: [], warnings: [] });
+        expect(paths(validate('extreme').errors)).toEqual(['$.questions[0].optionTraps']);
+        expect(paths(validate(['extreme', null, null]).errors)).toEqual(['$.questions[0].optionTraps']);
+        expect(paths(validate(['extreme', '', null, 3]).errors)).toEqual(['$.questions[0].optionTraps']);
+        expect(paths(validate([null, null, 'extreme', null]).warnings)).toEqual(['$.questions[0].optionTraps[2]']);
+    });
+
+    test('should warn about data that works but looks unintended', () => {
+        const result = QuestionSchema.validateBank(bank([
+            mcq({ explanation: '', marks: undefined, passage: '<p>Ignored</p>', options: ['A', 'a', '', 'D'] })
+        ], { totalQuestions: 3 }), 'para-completion');
+
+        expect(result.errors).toEqual([]);
+        expect(paths(result.warnings)).toEqual([
+            '$.testInfo.totalQuestions',
+            '$.questions[0].explanation',
+            '$.questions[0].passage',
+            '$.questions[0].marks',
+            '$.questions[0].options[1]',
+            '$.questions[0].options[2]'
+        ]);
+    });
+});
+
+describe('QuestionSchema - Answers', () => {
+    test('MCQ answers should be an option index in range', () => {
+        const errors = answer => QuestionSchema.validateBank(bank([mcq({ correctAnswer: answer })]), 'para-completion').errors;
+
+        expect(errors(0)).toEqual([]);
+        expect(errors(3)).toEqual([]);
+        expect(errors(4)[0].message).toBe('must be an option index from 0 to 3, got 4');
+        expect(errors('2')[0].message).toBe('must be an option index from 0 to 3, got "2"');
+        expect(errors(undefined)[0].message).toBe('is required');
+    });
+
+    test('MCQ questions should have at least two options', () => {
+        const result = QuestionSchema.validateBank(bank([mcq({ options: ['Only'], correctAnswer: 0 })]), 'para-completion');
+        expect(result.errors[0].message).toBe('needs at least 2 entries, got 1');
+    });
+
+    test('para jumble answers should order every sentence exactly once', () => {
+        const errors = answer => QuestionSchema.validateBank(bank([jumble({ correctAnswer: answer })]), 'para-jumble').errors;
+
+        expect(errors('2413')).toEqual([]);
+        expect(errors('1123')[0].message).toBe('must use each of 1234 exactly once, got "1123"');
+        expect(errors('123')).toHaveLength(1);
+        expect(errors(3142)[0].message).toBe('must be a string, got integer');
+    });
+
+    test('odd sentence answers should be one sentence number', () => {
+        const errors = answer => QuestionSchema.validateBank(bank([
+            jumble({ sentences: ['A', 'B', 'C', 'D', 'E'], correctAnswer: answer })
+        ]), 'odd-one-out').errors;
+
+        expect(errors('5')).toEqual([]);
+        expect(errors('6')[0].message).toBe('must be a sentence number from 1 to 5, got "6"');
+        expect(errors('0')).toHaveLength(1);
+    });
+
+    test('sentence types should be TITA', () => {
+        const result = QuestionSchema.validateBank(bank([jumble({ type: 'MCQ' })]), 'para-jumble');
+        expect(result.errors[0].message).toBe('Para Jumble questions must be TITA, got "MCQ"');
+    });
+});
+
+describe('QuestionSchema - Bank Rules', () => {
+    test('should reject duplicate ids', () => {
+        const result = QuestionSchema.validateBank(bank([mcq(), mcq({ setId: 2 })]), 'para-completion');
+        expect(result.errors).toEqual([
+            { path: '$.questions[1].id', questionId: 1, message: 'Duplicate id 1 (also at $.questions[0])' }
+        ]);
+    });
+
+    test('should group by the type\'s set key', () => {
+        const result = QuestionSchema.validateBank(bank([
+            rcQuestion({ passage: '<p>Text</p>', setId: 1 })
+        ]), 'rc');
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings[0].message).toBe('Reading Comprehension sets are grouped by "passageId"; "setId" is ignored');
+        expect(QuestionSchema.validateBank(bank([mcq({ setId: undefined, passageId: 1 })]), 'para-completion').errors[0].path)
+            .toBe('$.questions[0].setId');
+    });
+
+    test('should warn when a set is split across the bank', () => {
+        const result = QuestionSchema.validateBank(bank([
+            mcq({ id: 1, setId: 1 }),
+            mcq({ id: 2, setId: 2 }),
+            mcq({ id: 3, setId: 1 })
+        ]), 'para-completion');
+
+        expect(result.errors).toEqual([]);
+        expect(result.warnings[0].message).toBe('Set 1 is split: its questions are not next to each other');
+    });
+
+    test('every RC set should have exactly one passage', () => {
+        const result = QuestionSchema.validateBank(bank([
+            rcQuestion({ id: 1, passageId: 1, passage: '<p>First</p>' }),
+            rcQuestion({ id: 2, passageId: 1, passage: '<p>First</p>' }),
+            rcQuestion({ id: 3, passageId: 1, passage: '<p>Other</p>' }),
+            rcQuestion({ id: 4, passageId: 2, passage: null })
+        ]), 'rc');
+
+        expect(result.errors).toEqual([
+            { path: '$.questions[2].passage', questionId: 3, message: 'Set 1 has a second, different passage' },
+            { path: '$.questions[3].passage', questionId: 4, message: 'Set 2 has no passage' }
+        ]);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for QuestionTags
+ * Validates stem classification, runtime tagging and tag analytics on untagged attempts
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+
+const QuestionTags = require('../../js/question-tags');
+global.QuestionTags = QuestionTags;
+const Analytics = require('../../js/analytics');
+
+const stem = text => ({ question: `<p>${text}</p>` });
+
+describe('QuestionTags - Classifying stems', () => {
+    test.each([
+        ['What is the primary purpose of the author in writing the passage?', 'main-idea'],
+        ['Which of the following could be an appropriate title for the passage?', 'main-idea'],
+        ['Which of the following can be inferred from the passage?', 'inference'],
+        ['Which of the following assertions is best supported by the information in the passage?', 'inference'],
+        ['The tone of the author can best be described as:', 'tone'],
+        ['According to the passage, which of the following is true of Pascal?', 'specific-detail'],
+        ['Which of the following would the author of the passage most likely NOT agree with?', 'author-agree'],
+        ['Which of the following, if true, would most seriously weaken the argument?', 'weaken-strengthen'],
+        ['What is the meaning of the word ‘consternation’ in the context of the passage?', 'vocabulary'],
+        ['‘Hades’ most likely refers to:', 'vocabulary'],
+        ['Why does the author mention ‘celestial bodies’ in the passage?', 'function'],
+        ['What is the primary purpose of the second paragraph in the passage?', 'function']
+    ])('%s', (text, category) => {
+        expect(QuestionTags.classify(stem(text))).toBe(category);
+    });
+
+    test('should try categories in order and leave unknown stems untagged', () => {
+        expect(QuestionTags.classify(stem('The author would agree with each of the following EXCEPT:'))).toBe('author-agree');
+        expect(QuestionTags.classify(stem('According to the passage, why is natural beauty considered inferior?'))).toBe('specific-detail');
+        expect(QuestionTags.classify(stem('Pick one.'))).toBeNull();
+        expect(QuestionTags.classify({})).toBeNull();
+    });
+
+    test('should label categories and pass other tags through', () => {
+        expect(QuestionTags.getLabel('main-idea')).toBe('Main Idea');
+        expect(QuestionTags.getLabel('Critical Reasoning')).toBe('Critical Reasoning');
+    });
+});
+
+describe('QuestionTags - Tagging banks', () => {
+    afterEach(() => QuestionTypes.unregister('pack-rc'));
+
+    test('should keep existing tags and only classify reading comprehension types', () => {
+        const tagged = { ...stem('What is the main idea?'), tags: ['custom'] };
+
+        expect(QuestionTags.getTags(tagged, 'rc')).toBe(tagged.tags);
+        expect(QuestionTags.getTags(stem('What is the main idea?'), 'rc')).toEqual(['main-idea']);
+        expect(QuestionTags.getTags(stem('What is the main idea?'), 'para-summary')).toEqual([]);
+    });
+
+    test('should tag untagged questions of RC packs without changing the bank', () => {
+        QuestionTypes.register({ ...QuestionTypes.get('rc'), id: 'pack-rc', pack: true, baseType: 'rc' });
+        const bank = { testInfo: {}, questions: [{ id: 1, ...stem('It can be inferred that:') }, { id: 2, ...stem('Pick one.') }] };
+
+        const result = QuestionTags.applyToBank('pack-rc', bank);
+
+        expect(result.questions[0].tags).toEqual(['inference']);
+        expect(result.questions[1]).toBe(bank.questions[1]);
+        expect(bank.questions[0].tags).toBeUndefined();
+        expect(QuestionTags.applyToBank('para-jumble', bank)).toBe(bank);
+    });
+});
+
+describe('QuestionTags - Tag analytics', () => {
+    test('should report accuracy for attempts saved without tags', () => {
+        const answers = [1, 1, 1, 0, 0, 1];
+        const attempt = {
+            questionType: 'rc',
+            questions: answers.map((userAnswer, i) => ({
+                id: i + 1,
+                ...stem('Which of the following can be inferred from the passage?'),
+                questionType: 'rc',
+                correctAnswer: 1,
+                userAnswer,
+                tags: []
+            }))
+        };
+
+        expect(Analytics.getTagInsights([attempt])).toEqual([{ tag: 'inference', attempted: 6, accuracy: 67 }]);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for QuestionTypes
+ * Validates the built-in type definitions and the registry contract
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const QuestionTypes = require('../../js/question-types');
+
+describe('QuestionTypes - Built-in types', () => {
+    test('should register every type in landing page order', () => {
+        expect(QuestionTypes.ids()).toEqual([
+            'rc', 'para-completion', 'para-summary', 'para-jumble', 'odd-one-out', 'sectional-mock'
+        ]);
+        expect(QuestionTypes.has(QuestionTypes.DEFAULT_TYPE)).toBe(true);
+    });
+
+    test('should point every bank at an existing data file and selection page', () => {
+        const root = path.join(__dirname, '../..');
+
+        QuestionTypes.list(type => !type.composite).forEach(type => {
+            expect(fs.existsSync(path.join(root, 'data', type.dataFile))).toBe(true);
+            expect(fs.existsSync(path.join(root, type.selectionPage))).toBe(true);
+        });
+    });
+
+    test('should label types and their sets', () => {
+        expect(QuestionTypes.getLabel('odd-one-out')).toBe('Odd Sentence Out');
+        expect(QuestionTypes.getSetLabel('odd-one-out')).toBe('Odd Sentence Out Set');
+        expect(QuestionTypes.getSetLabel('rc')).toBe('RC Set');
+        expect(QuestionTypes.getSetLabel('sectional-mock')).toBe('Sectional Mock');
+        expect(QuestionTypes.getLabel('unknown')).toBe('unknown');
+        expect(QuestionTypes.getSetLabel('unknown')).toBe('Set');
+    });
+
+    test('should describe how each type renders', () => {
+        expect(QuestionTypes.getRenderer('rc')).toEqual({ passage: true, richText: false, input: 'options' });
+        expect(QuestionTypes.getRenderer('para-jumble').input).toBe('sentence-order');
+        expect(QuestionTypes.getRenderer('odd-one-out').input).toBe('sentence-pick');
+        expect(QuestionTypes.getRenderer('unknown')).toEqual(QuestionTypes.RENDERER_DEFAULTS);
+    });
+
+    test('should only draw verbal-ability banks into mock items', () => {
+        expect(QuestionTypes.list(type => type.mockItems).map(type => type.id)).toEqual([
+            'para-completion', 'para-summary', 'para-jumble', 'odd-one-out'
+        ]);
+        expect(QuestionTypes.get('sectional-mock').composite).toBe(true);
+    });
+});
+
+describe('QuestionTypes - Registry', () => {
+    afterEach(() => {
+        QuestionTypes.types.delete('critical-reasoning');
+    });
+
+    test('should fill in defaults for a new type', () => {
+        const type = QuestionTypes.register({
+            id: 'critical-reasoning',
+            label: 'Critical Reasoning',
+            dataFile: 'critical-reasoning.json',
+            selectionPage: 'pages/critical-reasoning-selection.html'
+        });
+
+        expect(type.setLabel).toBe('Critical Reasoning Set');
+        expect(type.setKey).toBe('setId');
+        expect(type.renderer).toEqual(QuestionTypes.RENDERER_DEFAULTS);
+        expect(QuestionTypes.get('critical-reasoning')).toBe(type);
+        expect(QuestionTypes.ids()).toContain('critical-reasoning');
+    });
+
+    test('should reject incomplete definitions', () => {
+        expect(() => QuestionTypes.register({ label: 'No id' })).toThrow('string id');
+        expect(() => QuestionTypes.register({ id: 'critical-reasoning', dataFile: 'x.json' })).toThrow('needs a label');
+        expect(() => QuestionTypes.register({ id: 'critical-reasoning', label: 'CR' })).toThrow('needs a dataFile');
+        expect(() => QuestionTypes.register({
+            id: 'critical-reasoning', label: 'CR', dataFile: 'x.json', scorer: 'exact'
+        })).toThrow('not a function');
+        expect(QuestionTypes.has('critical-reasoning')).toBe(false);
+    });
+
+    test('should accept a question pack without a data file and unregister it', () => {
+        QuestionTypes.register({ id: 'critical-reasoning', label: 'My Pack', pack: true, baseType: 'rc' });
+
+        expect(QuestionTypes.get('critical-reasoning')).toMatchObject({ dataFile: null, pack: true, baseType: 'rc' });
+        expect(QuestionTypes.unregister('critical-reasoning')).toBe(true);
+        expect(QuestionTypes.has('critical-reasoning')).toBe(false);
+        expect(QuestionTypes.unregister('critical-reasoning')).toBe(false);
+    });
+
+    test('isCorrect should use the scorer of the question\'s own type', () => {
+        QuestionTypes.register({
+            id: 'critical-reasoning',
+            label: 'Critical Reasoning',
+            dataFile: 'critical-reasoning.json',
+            scorer: (question, answer) => String(answer).trim() === String(question.correctAnswer)
+        });
+        const question = { correctAnswer: '2413' };
+
+        expect(QuestionTypes.isCorrect(question, ' 2413 ', 'critical-reasoning')).toBe(true);
+        expect(QuestionTypes.isCorrect(question, ' 2413 ', 'odd-one-out')).toBe(false);
+        expect(QuestionTypes.isCorrect({ ...question, questionType: 'critical-reasoning' }, ' 2413 ', 'sectional-mock')).toBe(true);
+    });
+
+    test('para jumbles should be scored by their sentence numbers alone', () => {
+        const question = { correctAnswer: '3142' };
+
+        expect(QuestionTypes.normalizeSequence(' 3-1, 4 2 ')).toBe('3142');
+        expect(QuestionTypes.normalizeSequence(null)).toBe('');
+        ['3142', '3 1 4 2', '3-1-4-2', '3,1,4,2'].forEach(answer => {
+            expect(QuestionTypes.isCorrect(question, answer, 'para-jumble')).toBe(true);
+        });
+        ['34123', '1342', '', null, undefined].forEach(answer => {
+            expect(QuestionTypes.isCorrect(question, answer, 'para-jumble')).toBe(false);
+        });
+        expect(QuestionTypes.isCorrect({ correctAnswer: undefined }, '', 'para-jumble')).toBe(false);
+    });
+
+    test('isCorrect should fall back to an exact match for unknown types', () => {
+        expect(QuestionTypes.isCorrect({ correctAnswer: 1 }, 1, 'unknown')).toBe(true);
+        expect(QuestionTypes.isCorrect({ correctAnswer: 1 }, '1', 'unknown')).toBe(false);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for ReviewQueue
+ * Validates SM-2 scheduling, collecting missed questions from attempts and finding them in the banks
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.QuestionIdentity = require('../../js/question-identity');
+global.StorageManager = require('../../js/storage');
+
+const ReviewQueue = require('../../js/review-queue');
+const { question, attempt } = require('../helpers/fixtures');
+
+const TODAY = '2026-03-30';
+
+const emptyQueue = () => ({ items: {}, attempts: [] });
+
+describe('ReviewQueue - Scheduling', () => {
+    test('should space passing reviews out by 1 day, 6 days, then the ease factor', () => {
+        let item = ReviewQueue.createItem('rc:1', 'incorrect', 'h', TODAY);
+        expect(item).toMatchObject({ type: 'rc', id: 1, due: TODAY, easeFactor: 2.5, repetitions: 0 });
+
+        item = ReviewQueue.schedule(item, ReviewQueue.QUALITY.correct, TODAY);
+        expect(item).toMatchObject({ repetitions: 1, interval: 1, due: '2026-03-31', easeFactor: 2.5 });
+
+        item = ReviewQueue.schedule(item, ReviewQueue.QUALITY.correct, item.due);
+        expect(item).toMatchObject({ repetitions: 2, interval: 6, due: '2026-04-06' });
+
+        item = ReviewQueue.schedule(item, ReviewQueue.QUALITY.unsure, item.due);
+        expect(item).toMatchObject({ repetitions: 3, interval: 15, due: '2026-04-21', easeFactor: 2.36, reviews: 3 });
+    });
+
+    test('should send a failed review back to tomorrow and lower its ease, not below the minimum', () => {
+        let item = { ...ReviewQueue.createItem('rc:1', 'incorrect', 'h', TODAY), repetitions: 4, interval: 30, easeFactor: 1.4 };
+
+        item = ReviewQueue.schedule(item, ReviewQueue.getQuality(false), TODAY);
+
+        expect(item).toMatchObject({ repetitions: 0, interval: 1, lapses: 1, due: '2026-03-31', easeFactor: ReviewQueue.MIN_EASE });
+    });
+
+    test('should map drill answers to SM-2 qualities', () => {
+        expect(ReviewQueue.getQuality(false, true)).toBe(ReviewQueue.QUALITY.incorrect);
+        expect(ReviewQueue.getQuality(true, true)).toBe(ReviewQueue.QUALITY.unsure);
+        expect(ReviewQueue.getQuality(true)).toBe(ReviewQueue.QUALITY.correct);
+    });
+
+    test('should count calendar days across month ends', () => {
+        expect(ReviewQueue.addDays('2026-02-27', 2)).toBe('2026-03-01');
+        expect(ReviewQueue.daysBetween('2026-02-27', '2026-03-01')).toBe(2);
+    });
+});
+
+describe('ReviewQueue - Collecting attempts', () => {
+    test('should queue wrong answers and marked guesses, but not skipped or sure answers', () => {
+        const queue = emptyQueue();
+        const missed = attempt([1, 0, null, 0]);
+        missed.questions[3].markedForReview = true;
+
+        expect(ReviewQueue.collectAttempt(queue, missed, 'rc', TODAY)).toBe(true);
+
+        expect(Object.values(queue.items).map(item => [item.key, item.reason, item.due])).toEqual([
+            ['rc:1', 'incorrect', TODAY],
+            ['rc:4', 'guessed', TODAY]
+        ]);
+        expect(queue.attempts).toEqual(['rc:1:1000']);
+    });
+
+    test('should collect an attempt once and restart a question missed again', () => {
+        const queue = emptyQueue();
+        ReviewQueue.collectAttempt(queue, attempt([1]), 'rc', TODAY);
+        queue.items['rc:1'] = ReviewQueue.schedule(queue.items['rc:1'], ReviewQueue.QUALITY.correct, TODAY);
+
+        expect(ReviewQueue.collectAttempt(queue, attempt([1]), 'rc', TODAY)).toBe(false);
+        expect(queue.items['rc:1'].repetitions).toBe(1);
+
+        ReviewQueue.collectAttempt(queue, attempt([2], { timestamp: 2000 }), 'rc', '2026-04-02');
+        expect(queue.items['rc:1']).toMatchObject({ repetitions: 0, due: '2026-04-02', reviews: 1 });
+    });
+
+    test('should key sectional mock questions by their source bank', () => {
+        const queue = emptyQueue();
+        const mock = {
+            questionType: 'sectional-mock',
+            setId: 3,
+            timestamp: 1000,
+            questions: [
+                { ...question(5), questionType: 'para-summary', userAnswer: 2 },
+                { ...question(9, { type: 'TITA', correctAnswer: '2413' }), questionType: 'para-jumble', userAnswer: '2431' }
+            ]
+        };
+
+        ReviewQueue.collectAttempt(queue, mock, 'sectional-mock', TODAY);
+
+        expect(Object.keys(queue.items)).toEqual(['para-summary:5', 'para-jumble:9']);
+        expect(queue.items['para-jumble:9'].type).toBe('para-jumble');
+    });
+
+    test('should sync stored attempts of every type into the saved queue', async () => {
+        localStorage.clear();
+        await StorageManager.saveSetAttempt('rc', 1, attempt([1, 0]));
+        await StorageManager.saveSetAttempt('para-summary', 2, {
+            ...attempt([3], { questionType: 'para-summary', setId: 2, timestamp: 3000 }),
+            questions: [{ ...question(7), userAnswer: 3 }]
+        });
+
+        expect(ReviewQueue.sync(TODAY)).toBe(2);
+        expect(ReviewQueue.sync(TODAY)).toBe(0);
+
+        expect(ReviewQueue.getDueItems(TODAY).map(item => item.key)).toEqual(['rc:1', 'para-summary:7']);
+        expect(ReviewQueue.getSummary(TODAY)).toEqual({ total: 2, due: 2, nextDue: null });
+    });
+});
+
+describe('ReviewQueue - Drilling', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        const queue = emptyQueue();
+        ReviewQueue.collectAttempt(queue, attempt([1, 1]), 'rc', TODAY);
+        StorageManager.saveReviewQueue(queue);
+    });
+
+    test('should reschedule answered items and leave the rest due', () => {
+        const item = ReviewQueue.recordAnswer('rc:1', ReviewQueue.QUALITY.correct, TODAY);
+
+        expect(item.due).toBe('2026-03-31');
+        expect(ReviewQueue.getDueItems(TODAY).map(due => due.key)).toEqual(['rc:2']);
+        expect(ReviewQueue.getSummary(TODAY)).toEqual({ total: 2, due: 1, nextDue: '2026-03-31' });
+        expect(ReviewQueue.recordAnswer('rc:9', 4, TODAY)).toBeNull();
+    });
+
+    test('should take removed items out of the queue', () => {
+        expect(ReviewQueue.remove('rc:1')).toBe(true);
+        expect(ReviewQueue.remove('rc:1')).toBe(false);
+        expect(ReviewQueue.getItems().map(item => item.key)).toEqual(['rc:2']);
+    });
+
+    test('should find a question that moved or was edited, and nothing once it is gone', () => {
+        const item = ReviewQueue.getItems()[0];
+
+        expect(ReviewQueue.findQuestion(item, [question(4), question(1)]).id).toBe(1);
+        expect(ReviewQueue.findQuestion(item, [question(30, { question: question(1).question })]).id).toBe(30);
+        expect(ReviewQueue.findQuestion(item, [question(1, { correctAnswer: 2 })]).correctAnswer).toBe(2);
+        expect(ReviewQueue.findQuestion(item, [question(2)])).toBeNull();
+        expect(ReviewQueue.findQuestion(item, undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for SearchIndex
+ * Validates documents, ranking, prefix matching, snippets and highlighting
+ */
+
+global.Utils = require('../../js/utils');
+
+const SearchIndex = require('../../js/search-index');
+
+const rcBank = [
+    {
+        id: 1,
+        passageId: 1,
+        passage: '<p>The <em>buccaneers</em> of the Caribbean traded &amp; raided along the Spanish Main.</p>',
+        question: 'What does the passage say about trade?',
+        options: ['It was banned', 'It thrived'],
+        explanation: 'The passage mentions trading.'
+    },
+    {
+        id: 2,
+        passageId: 1,
+        passage: null,
+        question: 'Which title suits the passage about buccaneers?',
+        options: ['Pirates', 'Merchants'],
+        explanation: 'Buccaneers were pirates.'
+    },
+    {
+        id: 3,
+        passageId: 2,
+        passage: '<p>Glaciers carve valleys over millennia.</p>',
+        question: 'The author implies that glaciers are:',
+        options: ['Slow', 'Fast'],
+        explanation: 'Millennia implies slowness.'
+    }
+];
+
+const jumbleBank = [
+    {
+        id: 7,
+        setId: 1,
+        question: 'Arrange the sentences.',
+        sentences: ['Pirates sailed west.', 'Storms followed.'],
+        explanation: 'Chronological order.'
+    }
+];
+
+const buildIndex = () => SearchIndex.build([
+    { type: 'rc', questions: rcBank, setKey: 'passageId' },
+    { type: 'para-jumble', questions: jumbleBank, setKey: 'setId' }
+]);
+
+describe('SearchIndex - Documents', () => {
+    test('toPlainText should strip tags and decode entities', () => {
+        expect(SearchIndex.toPlainText('<p>Salt &amp; <b>pepper</b>&nbsp;</p>')).toBe('Salt & pepper');
+        expect(SearchIndex.toPlainText(null)).toBe('');
+    });
+
+    test('tokenize should lower-case, split on punctuation and drop stop words', () => {
+        expect(SearchIndex.tokenize('The Buccaneers, of the Spanish-Main!')).toEqual(['buccaneers', 'spanish', 'main']);
+    });
+
+    test('should index each passage once and every question on its own', () => {
+        const docs = SearchIndex.createDocuments('rc', rcBank, 'passageId');
+
+        expect(docs.map(doc => doc.id)).toEqual(['rc:1:passage', 'rc:1:1', 'rc:1:2', 'rc:2:passage', 'rc:2:3']);
+        expect(docs[2]).toMatchObject({ setId: 1, questionId: 2, questionNumber: 2 });
+        expect(docs[0].fields.passage).toBe('The buccaneers of the Caribbean traded & raided along the Spanish Main.');
+        expect(docs[1].fields.options).toBe('It was banned / It thrived');
+    });
+
+    test('should index para jumble sentences as options', () => {
+        const [doc] = SearchIndex.createDocuments('para-jumble', jumbleBank, 'setId');
+        expect(doc.fields.options).toBe('Pirates sailed west. / Storms followed.');
+    });
+});
+
+describe('SearchIndex - Search', () => {
+    const index = buildIndex();
+
+    test('should find passages, stems, options and explanations', () => {
+        const ids = query => SearchIndex.search(index, query).map(match => match.document.id);
+
+        expect(ids('caribbean')).toEqual(['rc:1:passage']);
+        expect(ids('merchants')).toEqual(['rc:1:2']);
+        expect(ids('chronological')).toEqual(['para-jumble:1:7']);
+        expect(ids('zebra')).toEqual([]);
+        expect(ids('the of')).toEqual([]);
+    });
+
+    test('should require every word and rank stem hits above passage hits', () => {
+        const matches = SearchIndex.search(index, 'buccaneers');
+
+        expect(matches.map(match => match.document.id)).toEqual(['rc:1:2', 'rc:1:passage']);
+        expect(matches[0].field).toBe('question');
+        expect(SearchIndex.search(index, 'buccaneers glaciers')).toEqual([]);
+    });
+
+    test('should match the last word as a prefix only', () => {
+        expect(SearchIndex.search(index, 'bucca').length).toBe(2);
+        expect(SearchIndex.search(index, 'bucca pirates')).toEqual([]);
+        expect(SearchIndex.search(index, 'pirates bucca').map(match => match.document.id)).toEqual(['rc:1:2']);
+    });
+
+    test('should respect the result limit', () => {
+        expect(SearchIndex.search(index, 'passage', { limit: 1 })).toHaveLength(1);
+    });
+});
+
+describe('SearchIndex - Snippets', () => {
+    test('should return short text whole', () => {
+        expect(SearchIndex.getSnippet('Short text', ['text'])).toBe('Short text');
+    });
+
+    test('should cut long text around the first match', () => {
+        const text = `${'filler '.repeat(60)}the buccaneers arrived ${'later '.repeat(60)}`.trim();
+        const snippet = SearchIndex.getSnippet(text, ['buccaneers']);
+
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('buccaneers arrived');
+        expect(snippet.length).toBeLessThanOrEqual(SearchIndex.SNIPPET_LENGTH + 2);
+    });
+
+    test('highlight should escape text and mark whole matching words', () => {
+        const html = SearchIndex.highlight('<b>Pirates</b> & pirate ships', ['pirates']);
+        expect(html).toBe('&lt;b&gt;<mark>Pirates</mark>&lt;/b&gt; &amp; pirate ships');
+    });
+});
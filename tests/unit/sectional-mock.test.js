@@ -0,0 +1,110 @@
+/**
+ * Tests for SectionalMock
+ * Validates section composition and attempt history
+ */
+
+global.QuestionTypes = require('../../js/question-types');
+const SectionalMock = require('../../js/sectional-mock');
+
+/**
+ * Build an RC bank with the given question count per passage
+ */
+function buildRCBank(passageSizes) {
+    const questions = [];
+    let id = 1;
+    passageSizes.forEach((size, index) => {
+        for (let i = 0; i < size; i++) {
+            questions.push({ id: id++, passageId: index + 1, question: `RC ${id}` });
+        }
+    });
+    return questions;
+}
+
+function buildVABank(count) {
+    return Array.from({ length: count }, (_, i) => ({ id: i + 1, question: `VA ${i + 1}` }));
+}
+
+describe('SectionalMock', () => {
+    const banks = {
+        'rc': buildRCBank([4, 3, 4, 4, 3, 4, 4]),
+        'para-summary': buildVABank(10),
+        'para-completion': buildVABank(10)
+    };
+
+    test('should build a 24-question section with 4 RC passages', () => {
+        const mock = SectionalMock.buildSection(banks);
+
+        expect(mock.rcPassageIds).toHaveLength(4);
+        expect(mock.questionRefs).toHaveLength(24);
+        expect(mock.questionRefs.filter(ref => ref.type === 'rc')).toHaveLength(16);
+    });
+
+    test('should prefer passages that have not been attempted', () => {
+        const mock = SectionalMock.buildSection(banks, { attemptedPassageIds: [1, 3, 4] });
+
+        expect(mock.rcPassageIds).not.toContain(1);
+        expect(mock.rcPassageIds).not.toContain(3);
+        expect(mock.rcPassageIds).not.toContain(4);
+    });
+
+    test('should balance verbal-ability items across banks', () => {
+        const mock = SectionalMock.buildSection(banks);
+        const summaries = mock.questionRefs.filter(ref => ref.type === 'para-summary');
+        const completions = mock.questionRefs.filter(ref => ref.type === 'para-completion');
+
+        expect(summaries).toHaveLength(4);
+        expect(completions).toHaveLength(4);
+    });
+
+    test('should use unseen verbal-ability items first', () => {
+        const seen = [1, 2, 3, 4, 5, 6].map(id => `para-summary:${id}`);
+        const mock = SectionalMock.buildSection(banks, { seenQuestionRefs: seen });
+        const summaryIds = mock.questionRefs.filter(ref => ref.type === 'para-summary').map(ref => ref.id);
+
+        summaryIds.forEach(id => expect(id).toBeGreaterThan(6));
+    });
+
+    test('should resolve refs into tagged questions in order', () => {
+        const mock = { questionRefs: [{ type: 'para-completion', id: 2 }, { type: 'rc', id: 1 }, { type: 'rc', id: 999 }] };
+        const questions = SectionalMock.resolveQuestions(mock, banks);
+
+        expect(questions).toHaveLength(2);
+        expect(questions[0]).toMatchObject({ id: 2, questionType: 'para-completion' });
+        expect(questions[1]).toMatchObject({ id: 1, questionType: 'rc', passageId: 1 });
+    });
+
+    test('should collect attempt history from RC sets and earlier mocks', () => {
+        const storage = {
+            getAllSetAttempts(type) {
+                if (type === 'rc') return [{ setId: 2 }];
+                if (type === 'sectional-mock') {
+                    return [{
+                        questions: [
+                            { id: 1, questionType: 'rc', passageId: 5 },
+                            { id: 3, questionType: 'para-summary' }
+                        ]
+                    }];
+                }
+                return [];
+            }
+        };
+
+        const history = SectionalMock.getAttemptHistory(storage);
+        expect(history.attemptedPassageIds).toEqual([2, 5]);
+        expect(history.seenQuestionRefs).toEqual(['para-summary:3']);
+    });
+
+    test('should find the latest unfinished mock that is still stored', () => {
+        const storage = {
+            getAttemptDrafts: () => [
+                { questionType: 'rc', setId: 1, answered: 2, total: 4 },
+                { questionType: 'sectional-mock', setId: 7, answered: 5, total: 24 },
+                { questionType: 'sectional-mock', setId: 3, answered: 9, total: 24 }
+            ],
+            getSectionalMock: id => (id === 3 ? { id: 3, questionRefs: [] } : null)
+        };
+
+        expect(SectionalMock.getUnfinishedMock(storage)).toMatchObject({ setId: 3, answered: 9 });
+        expect(SectionalMock.getUnfinishedMock({ ...storage, getSectionalMock: () => null })).toBeNull();
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for SetBrowser
+ * Validates set grouping, search, filters, sorting and the rendered grid
+ */
+
+global.Utils = require('../../js/utils');
+global.QuestionTypes = require('../../js/question-types');
+global.StorageManager = require('../../js/storage');
+global.QuestionPacks = require('../../js/question-packs');
+
+const SetBrowser = require('../../js/set-browser');
+
+const buildEntry = (id, { questions = 4, best = null, last = null, attempts = 0, draft = null } = {}) => ({
+    id,
+    questions: new Array(questions).fill({}),
+    bestPercent: best,
+    lastAttemptedAt: last,
+    attemptCount: attempts,
+    draft
+});
+
+describe('SetBrowser - Sets', () => {
+    test('organizeIntoSets should group by the set key in bank order', () => {
+        const sets = SetBrowser.organizeIntoSets([
+            { id: 1, passageId: 2, passage: '<p>Second passage</p>', question: 'Q1' },
+            { id: 2, passageId: 1, passage: '<p>First passage</p>', question: 'Q2' },
+            { id: 3, passageId: 2, question: 'Q3' }
+        ], 'passageId');
+
+        expect(sets.map(set => set.id)).toEqual([2, 1]);
+        expect(sets[0].questions.map(q => q.id)).toEqual([1, 3]);
+        expect(sets[0].passage).toBe('<p>Second passage</p>');
+    });
+
+    test('search text should cover passage, questions, options and sentences without markup', () => {
+        const [set] = SetBrowser.organizeIntoSets([{
+            setId: 1,
+            question: '<p>Which <strong>Summary</strong> fits?</p>',
+            options: ['Alpha', 'Beta'],
+            sentences: ['Gamma ray']
+        }], 'setId');
+
+        expect(set.searchText).toBe('which summary fits? alpha beta gamma ray');
+    });
+
+    test('matchesSearch should require every word', () => {
+        const set = { searchText: 'the migration of monarch butterflies' };
+
+        expect(SetBrowser.matchesSearch(set, '')).toBe(true);
+        expect(SetBrowser.matchesSearch(set, '  Monarch   MIGRATION ')).toBe(true);
+        expect(SetBrowser.matchesSearch(set, 'monarch whales')).toBe(false);
+    });
+
+    test('summarizeSet should add best score, percent and last attempt', () => {
+        const entry = SetBrowser.summarizeSet({ id: 1, questions: [] }, [
+            { score: 3, totalMarks: 12, timestamp: 200 },
+            { score: 9, totalMarks: 12, timestamp: 100 }
+        ]);
+
+        expect(entry.attemptCount).toBe(2);
+        expect(entry.bestScore).toEqual({ score: 9, total: 12 });
+        expect(entry.bestPercent).toBe(75);
+        expect(entry.lastAttemptedAt).toBe(200);
+        expect(SetBrowser.summarizeSet({ id: 2, questions: [] }, []).bestPercent).toBeNull();
+    });
+
+    test('getBestScore should ignore attempts without a score', () => {
+        expect(SetBrowser.getBestScore([])).toBeNull();
+        expect(SetBrowser.getBestScore([{ totalMarks: 4 }, { score: 2, totalMarks: 4 }])).toEqual({ score: 2, total: 4 });
+    });
+});
+
+describe('SetBrowser - Filter and Sort', () => {
+    const entries = [
+        buildEntry(1, { best: 80, last: 100, attempts: 1 }),
+        buildEntry(2, { questions: 3 }),
+        buildEntry(10, { best: 40, last: 300, attempts: 2, questions: 5 }),
+        buildEntry(3, { draft: { answered: 1 } })
+    ];
+
+    test('should filter new, attempted and below-target sets', () => {
+        const ids = (filter, target) => SetBrowser.filterSets(entries, filter, target).map(entry => entry.id);
+
+        expect(ids('all')).toEqual([1, 2, 10, 3]);
+        expect(ids('new')).toEqual([2]);
+        expect(ids('attempted')).toEqual([1, 10]);
+        expect(ids('below-target', 60)).toEqual([10]);
+        expect(ids('below-target', 90)).toEqual([1, 10]);
+    });
+
+    test('should sort by number, score, recency and length', () => {
+        const ids = sort => SetBrowser.sortSets(entries, sort).map(entry => entry.id);
+
+        expect(ids('id')).toEqual([1, 2, 3, 10]);
+        expect(ids('best')).toEqual([1, 10, 2, 3]);
+        expect(ids('recent')).toEqual([10, 1, 2, 3]);
+        expect(ids('length')).toEqual([2, 1, 3, 10]);
+        expect(entries.map(entry => entry.id)).toEqual([1, 2, 10, 3]);
+    });
+});
+
+describe('SetBrowser - Page', () => {
+    const bank = {
+        questions: [
+            { id: 1, setId: 1, question: 'Arrange the sentences about tides' },
+            { id: 2, setId: 2, question: 'Arrange the sentences about volcanoes' },
+            { id: 3, setId: 2, question: 'Arrange the sentences about glaciers' }
+        ]
+    };
+
+    let browser;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        document.body.innerHTML = '<div id="set-browser-toolbar"></div><div id="sets-grid"></div>';
+        global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => bank });
+
+        browser = new SetBrowser('para-jumble');
+        await new Promise(resolve => setTimeout(resolve, 0));
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    const cardIds = () => Array.from(document.querySelectorAll('.rc-set-card')).map(card => card.dataset.setId);
+
+    test('should load the type\'s data file and render a card per set', () => {
+        expect(global.fetch).toHaveBeenCalledWith('../data/para-jumble.json');
+        expect(cardIds()).toEqual(['1', '2']);
+        expect(document.querySelector('.rc-set-number').textContent).toBe('PJ Set 1');
+        expect(document.getElementById('set-count').textContent).toBe('2 of 2 sets');
+    });
+
+    test('should narrow the grid as the user types', () => {
+        const search = document.getElementById('set-search');
+        search.value = 'glaciers';
+        search.dispatchEvent(new Event('input'));
+
+        expect(cardIds()).toEqual(['2']);
+
+        search.value = 'deserts';
+        search.dispatchEvent(new Event('input'));
+
+        expect(cardIds()).toEqual([]);
+        expect(document.querySelector('.empty-state h2').textContent).toBe('No Matching Sets');
+    });
+
+    test('should add a collection for each pack of the page\'s type', () => {
+        document.body.innerHTML += '<div id="pack-collections"></div>';
+        StorageManager.saveQuestionPack({ id: 'pack-demo', title: 'Jumbles <b>Pack</b>', baseType: 'para-jumble', bank: bank });
+        QuestionPacks.registerStoredPacks();
+
+        const browsers = SetBrowser.renderPackCollections('para-jumble');
+
+        expect(browsers.map(b => b.type)).toEqual(['pack-demo']);
+        expect(document.getElementById('pack-demo-grid')).not.toBeNull();
+        expect(document.querySelector('.pack-collection-title').textContent).toContain('Jumbles <b>Pack</b>');
+        expect(SetBrowser.renderPackCollections('rc')).toEqual([]);
+
+        QuestionTypes.unregister('pack-demo');
+    });
+
+    test('should remember a changed filter for the type', () => {
+        const filter = document.getElementById('set-filter');
+        filter.value = 'attempted';
+        filter.dispatchEvent(new Event('change'));
+
+        expect(cardIds()).toEqual([]);
+        expect(StorageManager.getSetBrowserPreferences('para-jumble').filter).toBe('attempted');
+        expect(browser.preferences.filter).toBe('attempted');
+    });
+});
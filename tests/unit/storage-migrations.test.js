@@ -0,0 +1,411 @@
+/**
+ * Tests for StorageMigrations
+ * Validates each schema migration step and the backup/rollback runner
+ */
+
+// Mock localStorage
+class LocalStorageMock {
+    constructor() {
+        this.store = {};
+    }
+
+    clear() {
+        this.store = {};
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.store, key) ? this.store[key] : null;
+    }
+
+    setItem(key, value) {
+        this.store[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.store[key];
+    }
+
+    get length() {
+        return Object.keys(this.store).length;
+    }
+
+    key(index) {
+        const keys = Object.keys(this.store);
+        return keys[index] || null;
+    }
+}
+
+const StorageMigrations = require('../../js/storage-migrations');
+
+// Make setItem throw like a browser once the stored strings exceed maxChars
+const limitQuota = (storage, maxChars) => {
+    const setItem = storage.setItem.bind(storage);
+    storage.setItem = (key, value) => {
+        const others = Object.keys(storage.store)
+            .filter(other => other !== key)
+            .reduce((total, other) => total + other.length + storage.store[other].length, 0);
+        if (others + key.length + String(value).length > maxChars) {
+            throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+    };
+};
+
+const getStep = (version) => StorageMigrations.MIGRATIONS.find(step => step.version === version);
+const read = (storage, key) => JSON.parse(storage.getItem(key));
+const write = (storage, key, value) => storage.setItem(key, JSON.stringify(value));
+
+describe('StorageMigrations - Steps', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new LocalStorageMock();
+    });
+
+    describe('v1: attempt fields', () => {
+        test('should add setId and questionType to old attempts', () => {
+            write(storage, 'varc_rc_set_attempts', {
+                3: [{ score: 9, timestamp: 100, questions: [{ isCorrect: true }] }]
+            });
+            write(storage, 'varc_pc_set_attempts', {
+                1: [{ score: 3, timestamp: 200, setId: 1, questionType: 'para-completion' }]
+            });
+
+            getStep(1).migrate(storage);
+
+            const rc = read(storage, 'varc_rc_set_attempts')['3'][0];
+            expect(rc.setId).toBe(3);
+            expect(rc.questionType).toBe('rc');
+            expect(rc.questions[0].questionType).toBe('rc');
+            expect(rc.score).toBe(9);
+            expect(read(storage, 'varc_pc_set_attempts')['1'][0]).toEqual({
+                score: 3, timestamp: 200, setId: 1, questionType: 'para-completion'
+            });
+        });
+
+        test('should keep per-question types on sectional mock attempts', () => {
+            write(storage, 'varc_mock_set_attempts', {
+                'mock-1': [{ timestamp: 1, questions: [{ questionType: 'para-jumble' }] }]
+            });
+
+            getStep(1).migrate(storage);
+
+            const mock = read(storage, 'varc_mock_set_attempts')['mock-1'][0];
+            expect(mock.setId).toBe('mock-1');
+            expect(mock.questionType).toBe('sectional-mock');
+            expect(mock.questions[0].questionType).toBe('para-jumble');
+        });
+    });
+
+    describe('v2: merged attempts', () => {
+        test('should merge per-type attempt keys and remove them', () => {
+            write(storage, 'varc_rc_set_attempts', { 1: [{ timestamp: 20 }, { timestamp: 10 }] });
+            write(storage, 'varc_ooo_set_attempts', { 2: [{ timestamp: 5 }] });
+
+            getStep(2).migrate(storage);
+
+            expect(read(storage, 'varc_set_attempts')).toEqual({
+                'rc': { 1: [{ timestamp: 10 }, { timestamp: 20 }] },
+                'odd-one-out': { 2: [{ timestamp: 5 }] }
+            });
+            expect(storage.getItem('varc_rc_set_attempts')).toBeNull();
+            expect(storage.getItem('varc_ooo_set_attempts')).toBeNull();
+        });
+
+        test('should not duplicate attempts already in the merged key', () => {
+            write(storage, 'varc_set_attempts', { rc: { 1: [{ timestamp: 10, score: 1 }] } });
+            write(storage, 'varc_rc_set_attempts', { 1: [{ timestamp: 10, score: 1 }, { timestamp: 30 }] });
+
+            getStep(2).migrate(storage);
+
+            expect(read(storage, 'varc_set_attempts').rc['1'].map(a => a.timestamp)).toEqual([10, 30]);
+        });
+
+        test('should keep every attempt that has no timestamp', () => {
+            write(storage, 'varc_set_attempts', { rc: { 1: [{ score: 1 }] } });
+            write(storage, 'varc_rc_set_attempts', { 1: [{ score: 2 }, { score: 3 }, { timestamp: 10, score: 4 }] });
+
+            getStep(2).migrate(storage);
+
+            expect(read(storage, 'varc_set_attempts').rc['1'].map(a => a.score)).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe('v3: merged selections', () => {
+        test('should merge selected-set keys and JSON-encode a raw question type', () => {
+            write(storage, 'varc_selected_rc_set', 4);
+            write(storage, 'varc_selected_mock', 'mock-2');
+            storage.setItem('varc_question_type', 'para-summary');
+
+            getStep(3).migrate(storage);
+
+            expect(read(storage, 'varc_selected_sets')).toEqual({ 'rc': 4, 'sectional-mock': 'mock-2' });
+            expect(storage.getItem('varc_selected_rc_set')).toBeNull();
+            expect(storage.getItem('varc_selected_mock')).toBeNull();
+            expect(read(storage, 'varc_question_type')).toBe('para-summary');
+        });
+
+        test('should leave an already encoded question type alone', () => {
+            write(storage, 'varc_question_type', 'rc');
+
+            getStep(3).migrate(storage);
+
+            expect(storage.getItem('varc_question_type')).toBe('"rc"');
+            expect(storage.getItem('varc_selected_sets')).toBeNull();
+        });
+    });
+
+    describe('v4: per-set drafts', () => {
+        test('should move global in-progress keys into the selected set\'s draft', () => {
+            write(storage, 'varc_question_type', 'rc');
+            write(storage, 'varc_selected_sets', { rc: 2 });
+            write(storage, 'varc_user_answers', { 0: 1 });
+            write(storage, 'varc_current_question', 3);
+
+            getStep(4).migrate(storage);
+
+            const draft = read(storage, 'varc_attempt_drafts')['rc:2'];
+            expect(draft.questionType).toBe('rc');
+            expect(draft.setId).toBe(2);
+            expect(draft.state).toEqual({
+                varc_user_answers: { 0: 1 },
+                varc_current_question: 3
+            });
+            expect(storage.getItem('varc_user_answers')).toBeNull();
+            expect(storage.getItem('varc_current_question')).toBeNull();
+        });
+
+        test('should not overwrite an existing draft', () => {
+            write(storage, 'varc_question_type', 'rc');
+            write(storage, 'varc_selected_sets', { rc: 2 });
+            write(storage, 'varc_attempt_drafts', { 'rc:2': { state: { varc_current_question: 7 } } });
+            write(storage, 'varc_current_question', 3);
+
+            getStep(4).migrate(storage);
+
+            expect(read(storage, 'varc_attempt_drafts')['rc:2'].state.varc_current_question).toBe(7);
+            expect(storage.getItem('varc_current_question')).toBeNull();
+        });
+
+        test('should leave global keys in place when no set is selected', () => {
+            write(storage, 'varc_question_type', 'rc');
+            write(storage, 'varc_user_answers', { 0: 1 });
+
+            getStep(4).migrate(storage);
+
+            expect(read(storage, 'varc_user_answers')).toEqual({ 0: 1 });
+            expect(storage.getItem('varc_attempt_drafts')).toBeNull();
+        });
+    });
+
+    describe('v5: default profile name', () => {
+        test('should name the default profile after the saved user name', () => {
+            write(storage, 'varc_user_name', '  Asha  ');
+
+            getStep(5).migrate(storage);
+
+            expect(read(storage, 'varc_profiles')).toEqual([{ id: 'default', name: 'Asha', createdAt: null }]);
+            expect(storage.getItem('varc_user_name')).toBeNull();
+        });
+
+        test('should not create a profile list without a saved name', () => {
+            write(storage, 'varc_user_name', '');
+
+            getStep(5).migrate(storage);
+
+            expect(storage.getItem('varc_profiles')).toBeNull();
+            expect(storage.getItem('varc_user_name')).toBeNull();
+        });
+    });
+});
+
+describe('StorageMigrations - Runner', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new LocalStorageMock();
+    });
+
+    test('should only record the version on a fresh install', () => {
+        const result = StorageMigrations.run(storage);
+
+        expect(result.applied).toEqual([]);
+        expect(read(storage, 'varc_schema_version')).toBe(StorageMigrations.getCurrentVersion());
+        expect(StorageMigrations.getBackup()).toBeNull();
+    });
+
+    test('should treat unversioned data as version 0', () => {
+        write(storage, 'varc_user_name', 'Asha');
+        expect(StorageMigrations.getStoredVersion(storage)).toBe(0);
+        expect(StorageMigrations.getStoredVersion(new LocalStorageMock())).toBeNull();
+    });
+
+    test('should upgrade old data end to end and keep a backup', () => {
+        write(storage, 'varc_rc_set_attempts', { 1: [{ score: 6, timestamp: 50 }] });
+        write(storage, 'varc_selected_rc_set', 1);
+        storage.setItem('varc_question_type', 'rc');
+        write(storage, 'varc_user_answers', { 0: 2 });
+
+        const result = StorageMigrations.run(storage);
+
+        expect(result.fromVersion).toBe(0);
+        expect(result.applied).toEqual([1, 2, 3, 4, 5]);
+        expect(result.error).toBeNull();
+        expect(read(storage, 'varc_schema_version')).toBe(5);
+        expect(read(storage, 'varc_set_attempts').rc['1'][0]).toEqual({
+            score: 6, timestamp: 50, setId: 1, questionType: 'rc'
+        });
+        expect(read(storage, 'varc_attempt_drafts')['rc:1'].state.varc_user_answers).toEqual({ 0: 2 });
+
+        const backup = StorageMigrations.getBackup();
+        expect(read(storage, 'varc_schema_backup')).toEqual(backup);
+        expect(backup.fromVersion).toBe(0);
+        expect(backup.toVersion).toBe(5);
+        expect(backup.data.varc_rc_set_attempts).toBe(JSON.stringify({ 1: [{ score: 6, timestamp: 50 }] }));
+        expect(backup.data.varc_question_type).toBe('rc');
+    });
+
+    test('should only run steps newer than the stored version', () => {
+        write(storage, 'varc_schema_version', 2);
+        write(storage, 'varc_selected_pj_set', 5);
+
+        const result = StorageMigrations.run(storage);
+
+        expect(result.applied).toEqual([3, 4, 5]);
+        expect(read(storage, 'varc_selected_sets')).toEqual({ 'para-jumble': 5 });
+    });
+
+    test('should do nothing when already up to date', () => {
+        StorageMigrations.run(storage);
+        write(storage, 'varc_user_name', 'Asha');
+
+        const result = StorageMigrations.run(storage);
+
+        expect(result.applied).toEqual([]);
+        expect(StorageMigrations.getBackup()).toBeNull();
+    });
+
+    test('should restore the backup and keep the old version when a step fails', () => {
+        const failing = {
+            version: StorageMigrations.getCurrentVersion() + 1,
+            description: 'Always fails',
+            migrate(target) {
+                target.setItem('varc_half_written', 'x');
+                throw new Error('boom');
+            }
+        };
+        StorageMigrations.MIGRATIONS.push(failing);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            write(storage, 'varc_rc_set_attempts', { 1: [{ timestamp: 1 }] });
+            const before = { ...storage.store };
+
+            const result = StorageMigrations.run(storage);
+
+            expect(result.error.message).toBe('boom');
+            expect(result.applied).toEqual([]);
+            expect(result.toVersion).toBe(0);
+            expect(storage.getItem('varc_half_written')).toBeNull();
+            expect(storage.getItem('varc_schema_version')).toBeNull();
+            expect(read(storage, 'varc_rc_set_attempts')).toEqual({ 1: [{ timestamp: 1 }] });
+            expect(storage.getItem('varc_schema_backup')).toBeNull();
+            Object.keys(before).forEach(key => {
+                expect(storage.getItem(key)).toBe(before[key]);
+            });
+        } finally {
+            StorageMigrations.MIGRATIONS.pop();
+            console.error.mockRestore();
+        }
+    });
+
+    test('should migrate storage that is too full to hold a second copy of itself', () => {
+        write(storage, 'varc_rc_set_attempts', { 1: [{ score: 6, timestamp: 50, notes: 'x'.repeat(400) }] });
+        write(storage, 'varc_selected_rc_set', 1);
+        limitQuota(storage, 900);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = StorageMigrations.run(storage);
+        console.warn.mockRestore();
+
+        expect(result.error).toBeNull();
+        expect(result.applied).toEqual([1, 2, 3, 4, 5]);
+        expect(read(storage, 'varc_set_attempts').rc['1'][0].score).toBe(6);
+        expect(read(storage, 'varc_selected_sets')).toEqual({ rc: 1 });
+        expect(storage.getItem('varc_schema_backup')).toBeNull();
+    });
+
+    test('should migrate without the kept backup when it leaves no room for the steps', () => {
+        write(storage, 'varc_rc_set_attempts', { 1: [{ score: 6, timestamp: 50, notes: 'x'.repeat(300) }] });
+        // Room for the backup next to the old data, but not for the merged copy as well
+        limitQuota(storage, 850);
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = StorageMigrations.run(storage);
+        expect(error).toHaveBeenCalledWith('Storage migration 1 failed, restoring backup:', expect.any(Error));
+        error.mockRestore();
+
+        expect(result.error).toBeNull();
+        expect(result.applied).toEqual([1, 2, 3, 4, 5]);
+        expect(read(storage, 'varc_set_attempts').rc['1'][0].score).toBe(6);
+        expect(storage.getItem('varc_schema_backup')).toBeNull();
+        expect(StorageMigrations.getBackup(storage).data.varc_rc_set_attempts).toContain('x');
+    });
+
+    test('should keep the backup across page loads until the migrated data reads back', () => {
+        write(storage, 'varc_selected_rc_set', 3);
+        StorageMigrations.run(storage);
+        StorageMigrations.run(storage);
+
+        // A later page only has the kept copy
+        StorageMigrations.lastBackup = null;
+        expect(StorageMigrations.getBackup(storage).data.varc_selected_rc_set).toBe('3');
+
+        storage.setItem('varc_selected_sets', '{broken');
+        expect(StorageMigrations.releaseBackup(storage)).toBe(false);
+        expect(storage.getItem('varc_schema_backup')).not.toBeNull();
+
+        write(storage, 'varc_selected_sets', { rc: 3 });
+        expect(StorageMigrations.releaseBackup(storage)).toBe(true);
+        expect(storage.getItem('varc_schema_backup')).toBeNull();
+        expect(StorageMigrations.getBackup(storage)).toBeNull();
+        expect(StorageMigrations.releaseBackup(storage)).toBe(false);
+    });
+
+    test('should keep the backup while storage is not at the current version', () => {
+        write(storage, 'varc_schema_version', 2);
+        write(storage, 'varc_schema_backup', { fromVersion: 1, toVersion: 5, data: {} });
+
+        expect(StorageMigrations.releaseBackup(storage)).toBe(false);
+        expect(storage.getItem('varc_schema_backup')).not.toBeNull();
+    });
+
+    test('should roll back instead of losing data when a step runs out of quota', () => {
+        write(storage, 'varc_rc_set_attempts', { 1: [{ score: 6, timestamp: 50 }] });
+        const before = { ...storage.store };
+        limitQuota(storage, 60);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = StorageMigrations.run(storage);
+        console.error.mockRestore();
+        console.warn.mockRestore();
+
+        expect(result.error.message).toBe('Could not save varc_rc_set_attempts; browser storage may be full');
+        expect(result.applied).toEqual([]);
+        expect(storage.store).toEqual(before);
+    });
+
+    test('restoreBackup should put back the pre-migration data', () => {
+        write(storage, 'varc_selected_rc_set', 3);
+        StorageMigrations.run(storage);
+        expect(storage.getItem('varc_selected_rc_set')).toBeNull();
+
+        expect(StorageMigrations.restoreBackup(storage)).toBe(true);
+
+        expect(read(storage, 'varc_selected_rc_set')).toBe(3);
+        expect(storage.getItem('varc_selected_sets')).toBeNull();
+        expect(storage.getItem('varc_schema_version')).toBeNull();
+        expect(StorageMigrations.getBackup()).not.toBeNull();
+    });
+});
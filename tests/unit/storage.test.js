@@ -38,7 +38,9 @@ class LocalStorageMock {
 global.localStorage = new LocalStorageMock();
 
 // Load the StorageManager module
+global.StorageMigrations = require('../../js/storage-migrations');
 const StorageManager = require('../../js/storage');
+const AttemptStore = require('../../js/attempt-store');
 
 describe('StorageManager - Basic Operations', () => {
     beforeEach(() => {
@@ -218,6 +220,607 @@ describe('StorageManager - Timer', () => {
     });
 });
 
+describe('StorageManager - Timer Mode', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should default to elapsed timer preferences', () => {
+        const prefs = StorageManager.getTimerPreferences();
+        expect(prefs.mode).toBe('elapsed');
+        expect(prefs.durationSource).toBe('set');
+        expect(prefs.warningThresholds).toEqual([5, 1]);
+    });
+
+    test('should save countdown preferences with normalized thresholds', () => {
+        StorageManager.saveTimerPreferences({
+            mode: 'countdown',
+            durationSource: 'custom',
+            customMinutes: 40,
+            warningThresholds: '1, 10, 5, abc, -2, 5'
+        });
+
+        const prefs = StorageManager.getTimerPreferences();
+        expect(prefs.mode).toBe('countdown');
+        expect(prefs.customMinutes).toBe(40);
+        expect(prefs.warningThresholds).toEqual([10, 5, 1]);
+    });
+
+    test('should store the timer mode of the in-progress attempt', () => {
+        expect(StorageManager.getTimerMode()).toBeNull();
+
+        StorageManager.saveTimerMode({ mode: 'countdown', timeLimit: 2400, warningThresholds: [5] });
+        expect(StorageManager.getTimerMode()).toEqual({ mode: 'countdown', timeLimit: 2400, warningThresholds: [5] });
+    });
+
+    test('should clear the attempt timer mode on reset but keep preferences', () => {
+        StorageManager.saveTimerPreferences({ mode: 'countdown' });
+        StorageManager.saveTimerMode({ mode: 'countdown', timeLimit: 600, warningThresholds: [] });
+
+        StorageManager.resetTest(4);
+
+        expect(StorageManager.getTimerMode()).toBeNull();
+        expect(StorageManager.getTimerPreferences().mode).toBe('countdown');
+    });
+});
+
+describe('StorageManager - Set Browser Preferences', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should default to listing every set by number', () => {
+        expect(StorageManager.getSetBrowserPreferences('rc')).toEqual({ sort: 'id', filter: 'all', targetPercent: 60 });
+    });
+
+    test('should keep preferences per question type', () => {
+        StorageManager.saveSetBrowserPreferences('rc', { sort: 'best' });
+        StorageManager.saveSetBrowserPreferences('rc', { filter: 'below-target', targetPercent: 75 });
+        StorageManager.saveSetBrowserPreferences('para-jumble', { sort: 'recent' });
+
+        expect(StorageManager.getSetBrowserPreferences('rc')).toEqual({ sort: 'best', filter: 'below-target', targetPercent: 75 });
+        expect(StorageManager.getSetBrowserPreferences('para-jumble').sort).toBe('recent');
+        expect(StorageManager.getSetBrowserPreferences('para-summary').sort).toBe('id');
+    });
+});
+
+describe('StorageManager - Author Drafts', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should keep a draft per question type', () => {
+        StorageManager.saveAuthorDraft('rc', [{ setId: 41, questions: [] }]);
+        StorageManager.saveAuthorDraft('para-summary', [{ setId: 3, questions: [] }]);
+
+        expect(StorageManager.getAuthorDraft('rc')).toEqual([{ setId: 41, questions: [] }]);
+        expect(StorageManager.getAuthorDraft('para-summary')[0].setId).toBe(3);
+        expect(StorageManager.getAuthorDraft('para-completion')).toEqual([]);
+    });
+
+    test('should drop a type\'s draft when it has no sets left', () => {
+        StorageManager.saveAuthorDraft('rc', [{ setId: 41, questions: [] }]);
+        StorageManager.saveAuthorDraft('rc', []);
+
+        expect(StorageManager.getAuthorDraft('rc')).toEqual([]);
+        expect(StorageManager.load(StorageManager.KEYS.AUTHOR_DRAFTS)).toEqual({});
+    });
+});
+
+describe('StorageManager - Question Packs', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should add, replace and remove packs in order', () => {
+        StorageManager.saveQuestionPack({ id: 'pack-a', title: 'A' });
+        StorageManager.saveQuestionPack({ id: 'pack-b', title: 'B' });
+        StorageManager.saveQuestionPack({ id: 'pack-a', title: 'A2' });
+
+        expect(StorageManager.getQuestionPacks().map(pack => pack.title)).toEqual(['B', 'A2']);
+        expect(StorageManager.getQuestionPack('pack-b').title).toBe('B');
+        expect(StorageManager.removeQuestionPack('pack-b')).toBe(true);
+        expect(StorageManager.removeQuestionPack('pack-b')).toBe(false);
+        expect(StorageManager.getQuestionPack('pack-b')).toBeNull();
+    });
+
+    test('should share packs between profiles', async () => {
+        StorageManager.saveQuestionPack({ id: 'pack-a', title: 'A' });
+        const profile = StorageManager.createProfile('Second');
+        await StorageManager.switchProfile(profile.id);
+
+        expect(StorageManager.getQuestionPacks()).toHaveLength(1);
+        expect(localStorage.getItem(StorageManager.KEYS.QUESTION_PACKS)).not.toBeNull();
+
+        await StorageManager.switchProfile(StorageManager.DEFAULT_PROFILE_ID);
+    });
+});
+
+describe('StorageManager - Question Errata', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should save, replace and remove errata by question key', () => {
+        StorageManager.saveErratum({ key: 'rc:1', fields: { correctAnswer: 2 } });
+        StorageManager.saveErratum({ key: 'rc:1', fields: { correctAnswer: 3 } });
+        StorageManager.saveErratum({ key: 'para-summary:4', fields: {}, note: 'Typo' });
+
+        expect(Object.keys(StorageManager.getErrata())).toEqual(['rc:1', 'para-summary:4']);
+        expect(StorageManager.getErrata()['rc:1'].fields.correctAnswer).toBe(3);
+        expect(StorageManager.removeErratum('rc:1')).toBe(true);
+        expect(StorageManager.removeErratum('rc:1')).toBe(false);
+    });
+
+    test('should share errata between profiles', async () => {
+        StorageManager.saveErratum({ key: 'rc:1', fields: { correctAnswer: 2 } });
+        const profile = StorageManager.createProfile('Second');
+        await StorageManager.switchProfile(profile.id);
+
+        expect(StorageManager.getErrata()['rc:1']).toBeDefined();
+
+        await StorageManager.switchProfile(StorageManager.DEFAULT_PROFILE_ID);
+    });
+});
+
+describe('StorageManager - Set Attempts', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should keep attempts for each question type under one key', () => {
+        StorageManager.saveSetAttempt('rc', 1, { score: 6 });
+        StorageManager.saveSetAttempt('para-jumble', 1, { score: 3 });
+
+        const stored = StorageManager.load(StorageManager.KEYS.SET_ATTEMPTS);
+        expect(Object.keys(stored)).toEqual(['rc', 'para-jumble']);
+        expect(StorageManager.getSetAttempts('rc', 1)[0]).toMatchObject({ score: 6, setId: 1, questionType: 'rc' });
+        expect(StorageManager.getRCSetAttempts(1)).toHaveLength(1);
+        expect(StorageManager.getAllSetAttempts('para-jumble')).toHaveLength(1);
+    });
+
+    test('should clear the selection for one question type only', () => {
+        StorageManager.saveSelectedSet('rc', 2);
+        StorageManager.saveSelectedSet('odd-one-out', 4);
+
+        StorageManager.clearSelectedRCSet();
+
+        expect(StorageManager.getSelectedRCSet()).toBeNull();
+        expect(StorageManager.getSelectedSetId('odd-one-out')).toBe(4);
+    });
+});
+
+describe('StorageManager - IndexedDB Attempt History', () => {
+    const createFakeStore = (records = []) => {
+        const rows = new Map(records.map(record => [record.id, record]));
+        return {
+            rows,
+            failPut: false,
+            isSupported: () => true,
+            createRecord: AttemptStore.createRecord.bind(AttemptStore),
+            getAll: async () => [...rows.values()],
+            getAllForProfile: async (profileId) => [...rows.values()].filter(record => AttemptStore.belongsTo(record, profileId)),
+            async put(record) {
+                if (this.failPut) throw new Error('QuotaExceededError');
+                rows.set(record.id, record);
+            },
+            putAll: async (list) => list.forEach(record => rows.set(record.id, record)),
+            clearProfile: async (profileId) => {
+                [...rows.values()]
+                    .filter(record => AttemptStore.belongsTo(record, profileId))
+                    .forEach(record => rows.delete(record.id));
+            },
+            async replaceProfile(profileId, list) {
+                if (this.failPut) throw new Error('QuotaExceededError');
+                await this.clearProfile(profileId);
+                await this.putAll(list);
+            }
+        };
+    };
+
+    const useStore = (store) => {
+        StorageManager.attemptStore = store;
+        StorageManager.attemptCache = null;
+        StorageManager.attemptStoreReady = null;
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    afterEach(() => {
+        useStore(null);
+    });
+
+    test('should keep using localStorage when IndexedDB is unavailable', async () => {
+        useStore({ isSupported: () => false });
+
+        expect(await StorageManager.ready()).toBe('localStorage');
+        expect(await StorageManager.saveSetAttempt('rc', 1, { score: 3 })).toBe(true);
+        expect(StorageManager.load(StorageManager.KEYS.SET_ATTEMPTS).rc['1']).toHaveLength(1);
+    });
+
+    test('should move localStorage history into IndexedDB once', async () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, {
+            rc: { 1: [{ score: 6, timestamp: 20, setId: 1 }, { score: 3, timestamp: 10, setId: 1 }] }
+        });
+        const store = createFakeStore([
+            AttemptStore.createRecord('rc', 1, { score: 3, timestamp: 10, setId: 1 })
+        ]);
+        useStore(store);
+
+        expect(await StorageManager.ready()).toBe('indexeddb');
+
+        expect(store.rows.size).toBe(2);
+        expect(localStorage.getItem(StorageManager.KEYS.SET_ATTEMPTS)).toBeNull();
+        expect(StorageManager.getSetAttempts('rc', 1).map(attempt => attempt.timestamp)).toEqual([10, 20]);
+        expect(StorageManager.getAllSetAttempts('rc')).toHaveLength(2);
+    });
+
+    test('should leave no copy of the history in localStorage after the move', async () => {
+        const history = { rc: { 1: [{ score: 6, timestamp: 20, setId: 1, questions: ['x'.repeat(500)] }] } };
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, history);
+        StorageManager.save(StorageManager.KEYS.SCHEMA_VERSION, StorageMigrations.getCurrentVersion());
+        // The migration keeps a backup of every key until the history reads back
+        StorageManager.save(StorageManager.KEYS.SCHEMA_BACKUP, {
+            fromVersion: 4,
+            data: { varc_set_attempts: JSON.stringify(history) }
+        });
+        useStore(createFakeStore());
+
+        await StorageManager.ready();
+
+        const keys = Array.from({ length: localStorage.length }, (_, index) => localStorage.key(index));
+        const size = keys.reduce((total, key) => total + key.length + localStorage.getItem(key).length, 0);
+        expect(keys).toEqual([StorageManager.KEYS.SCHEMA_VERSION]);
+        expect(size).toBeLessThan(100);
+    });
+
+    test('should keep the migration backup when the history cannot be read back', async () => {
+        StorageManager.save(StorageManager.KEYS.SCHEMA_VERSION, StorageMigrations.getCurrentVersion());
+        StorageManager.save(StorageManager.KEYS.SCHEMA_BACKUP, { fromVersion: 4, data: {} });
+        localStorage.setItem(StorageManager.KEYS.SET_ATTEMPTS, '{"rc":');
+        useStore({ isSupported: () => false });
+
+        await StorageManager.ready();
+
+        expect(localStorage.getItem(StorageManager.KEYS.SCHEMA_BACKUP)).not.toBeNull();
+    });
+
+    test('should save new attempts to IndexedDB and the cache', async () => {
+        const store = createFakeStore();
+        useStore(store);
+        await StorageManager.ready();
+
+        expect(await StorageManager.saveSetAttempt('para-jumble', 2, { score: 3 })).toBe(true);
+
+        expect(store.rows.size).toBe(1);
+        expect([...store.rows.values()][0]).toMatchObject({ questionType: 'para-jumble', setId: 2 });
+        expect(StorageManager.getSetAttempts('para-jumble', 2)[0].score).toBe(3);
+        expect(localStorage.getItem(StorageManager.KEYS.SET_ATTEMPTS)).toBeNull();
+    });
+
+    test('should fall back to localStorage when an IndexedDB write fails', async () => {
+        const store = createFakeStore();
+        useStore(store);
+        await StorageManager.ready();
+        store.failPut = true;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await StorageManager.saveSetAttempt('rc', 1, { score: 9 })).toBe(true);
+        console.error.mockRestore();
+
+        expect(StorageManager.load(StorageManager.KEYS.SET_ATTEMPTS).rc['1'][0].score).toBe(9);
+    });
+
+    test('should keep localStorage history when IndexedDB cannot be read', async () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, { rc: { 1: [{ score: 6, timestamp: 20 }] } });
+        const store = createFakeStore();
+        store.getAllForProfile = async () => { throw new Error('open failed'); };
+        useStore(store);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(await StorageManager.ready()).toBe('localStorage');
+        console.error.mockRestore();
+
+        expect(StorageManager.getSetAttempts('rc', 1)).toHaveLength(1);
+    });
+
+    test('should report a failed save when localStorage is full', async () => {
+        useStore({ isSupported: () => false });
+        const setItem = jest.spyOn(Object.getPrototypeOf(localStorage), 'setItem')
+            .mockImplementation(() => { throw new Error('QuotaExceededError'); });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            expect(await StorageManager.saveSetAttempt('rc', 1, { score: 3 })).toBe(false);
+        } finally {
+            setItem.mockRestore();
+            console.error.mockRestore();
+        }
+    });
+
+    test('should only load IndexedDB attempts of the active profile', async () => {
+        const store = createFakeStore([
+            AttemptStore.createRecord('rc', 1, { score: 6, timestamp: 10 }),
+            AttemptStore.createRecord('rc', 1, { score: 9, timestamp: 20 }, 'p2')
+        ]);
+        StorageManager.save(StorageManager.KEYS.PROFILES, [{ id: 'p2', name: 'Ravi', createdAt: 1 }]);
+        useStore(store);
+
+        await StorageManager.switchProfile('p2');
+        expect(StorageManager.getSetAttempts('rc', 1).map(attempt => attempt.score)).toEqual([9]);
+        await StorageManager.saveSetAttempt('rc', 1, { score: 3 });
+        expect(store.rows.has(`p2/rc:1:${StorageManager.getSetAttempts('rc', 1)[1].timestamp}`)).toBe(true);
+
+        await StorageManager.switchProfile('default');
+        expect(StorageManager.getSetAttempts('rc', 1).map(attempt => attempt.score)).toEqual([6]);
+    });
+
+    test('a replacing import that cannot write to IndexedDB should keep the old history', async () => {
+        const store = createFakeStore([AttemptStore.createRecord('rc', 1, { score: 6, timestamp: 10 })]);
+        useStore(store);
+        await StorageManager.ready();
+        StorageManager.saveMistakeNote('rc:1:10/rc:1', { reason: 'vocabulary', note: '' });
+        const backup = {
+            format: 'varc-practice-backup',
+            version: 1,
+            attempts: { 'para-jumble': { 2: [{ score: 1, timestamp: 99 }] } }
+        };
+        store.failPut = true;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const result = await StorageManager.importBackup(backup, 'replace');
+        console.error.mockRestore();
+
+        expect(result.success).toBe(false);
+        expect(store.rows.size).toBe(1);
+        expect(StorageManager.getSetAttempts('rc', 1)).toHaveLength(1);
+        expect(StorageManager.getMistakeNotes()).not.toEqual({});
+
+        store.failPut = false;
+        expect((await StorageManager.importBackup(backup, 'replace')).success).toBe(true);
+        expect([...store.rows.keys()]).toEqual(['para-jumble:2:99']);
+        expect(StorageManager.getSetAttempts('rc', 1)).toEqual([]);
+        expect(StorageManager.getMistakeNotes()).toEqual({});
+    });
+
+    test('clearAll should also clear IndexedDB history', async () => {
+        const store = createFakeStore();
+        useStore(store);
+        await StorageManager.ready();
+        await StorageManager.saveSetAttempt('rc', 1, { score: 3 });
+
+        StorageManager.clearAll();
+        await Promise.resolve();
+
+        expect(store.rows.size).toBe(0);
+        expect(StorageManager.getSetAttempts('rc', 1)).toEqual([]);
+    });
+});
+
+describe('StorageManager - Sectional Mocks', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should assign increasing ids to saved mocks', () => {
+        const first = StorageManager.saveSectionalMock({ rcPassageIds: [1], questionRefs: [{ type: 'rc', id: 1 }] });
+        const second = StorageManager.saveSectionalMock({ rcPassageIds: [2], questionRefs: [{ type: 'rc', id: 5 }] });
+
+        expect(first).toBe(1);
+        expect(second).toBe(2);
+        expect(StorageManager.getSectionalMock(2).rcPassageIds).toEqual([2]);
+    });
+
+    test('should return null for unknown mocks', () => {
+        expect(StorageManager.getSectionalMock(99)).toBeNull();
+    });
+});
+
+describe('StorageManager - Attempt Drafts', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should keep in-progress state separate for each selected set', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.saveAnswer(0, 2);
+        StorageManager.saveCurrentQuestion(1);
+
+        StorageManager.saveSelectedSet('rc', 5);
+        expect(StorageManager.getAnswer(0)).toBeNull();
+        StorageManager.saveAnswer(0, 1);
+
+        StorageManager.saveSelectedSet('rc', 3);
+        expect(StorageManager.getAnswer(0)).toBe(2);
+        expect(StorageManager.getCurrentQuestion()).toBe(1);
+        expect(localStorage.getItem(StorageManager.KEYS.USER_ANSWERS)).toBeNull();
+    });
+
+    test('should only reset the selected set', () => {
+        StorageManager.saveSelectedSet('para-summary', 1);
+        StorageManager.saveAnswer(0, 3);
+        StorageManager.saveSelectedSet('para-summary', 2);
+        StorageManager.saveAnswer(0, 1);
+
+        StorageManager.resetTest(0);
+
+        StorageManager.saveSelectedSet('para-summary', 1);
+        expect(StorageManager.getAnswer(0)).toBe(3);
+    });
+
+    test('should list started, unfinished drafts with progress', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.initializeStatuses(4);
+        StorageManager.saveAttemptStartTime();
+        StorageManager.saveQuestionStatus(0, 'answered');
+        StorageManager.saveQuestionStatus(1, 'review-answered');
+        StorageManager.saveCurrentQuestion(2);
+
+        // Selected but never started
+        StorageManager.saveSelectedSet('rc', 4);
+        StorageManager.initializeStatuses(4);
+
+        const drafts = StorageManager.getAttemptDrafts();
+        expect(drafts).toHaveLength(1);
+        expect(drafts[0]).toMatchObject({ questionType: 'rc', setId: 3, answered: 2, total: 4, currentQuestion: 2 });
+        expect(StorageManager.getAttemptDraft('rc', 3)).not.toBeNull();
+        expect(StorageManager.getAttemptDraft('rc', 4)).toBeNull();
+    });
+
+    test('should not list submitted attempts', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.saveAttemptStartTime();
+        StorageManager.markTestCompleted();
+
+        expect(StorageManager.getAttemptDrafts()).toEqual([]);
+    });
+
+    test('should discard a draft', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.saveAttemptStartTime();
+        StorageManager.saveAnswer(0, 1);
+
+        StorageManager.discardAttemptDraft('rc', 3);
+
+        expect(StorageManager.getAttemptDraft('rc', 3)).toBeNull();
+        expect(StorageManager.getAnswer(0)).toBeNull();
+    });
+
+    test('should prune expired, finished and unstarted drafts but keep the selected one', () => {
+        const drafts = {
+            'rc:1': { questionType: 'rc', setId: 1, updatedAt: Date.now(), state: { [StorageManager.KEYS.CURRENT_ATTEMPT_START]: 1 } },
+            'rc:2': { questionType: 'rc', setId: 2, updatedAt: Date.now() - StorageManager.DRAFT_MAX_AGE_MS - 1, state: { [StorageManager.KEYS.CURRENT_ATTEMPT_START]: 1 } },
+            'rc:3': { questionType: 'rc', setId: 3, updatedAt: Date.now(), state: { [StorageManager.KEYS.CURRENT_ATTEMPT_START]: 1, [StorageManager.KEYS.TEST_COMPLETED]: true } },
+            'rc:4': { questionType: 'rc', setId: 4, updatedAt: Date.now(), state: { [StorageManager.KEYS.QUESTION_STATUS]: {} } },
+            'rc:5': { questionType: 'rc', setId: 5, updatedAt: Date.now(), state: { [StorageManager.KEYS.QUESTION_STATUS]: {} } }
+        };
+        StorageManager.save(StorageManager.KEYS.ATTEMPT_DRAFTS, drafts);
+        StorageManager.saveSelectedSet('rc', 5);
+
+        expect(StorageManager.pruneAttemptDrafts()).toBe(3);
+        expect(Object.keys(StorageManager.load(StorageManager.KEYS.ATTEMPT_DRAFTS))).toEqual(['rc:1', 'rc:5']);
+    });
+
+    test('should add paused time to a separate total and keep the start time', () => {
+        const startTime = Date.now() - 60000;
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.save(StorageManager.KEYS.CURRENT_ATTEMPT_START, startTime);
+        StorageManager.save(StorageManager.KEYS.ATTEMPT_PAUSED_AT, Date.now() - 30000);
+
+        const pausedFor = StorageManager.resumeAttempt();
+
+        expect(pausedFor).toBeGreaterThanOrEqual(30000);
+        expect(StorageManager.getAttemptStartTime()).toBe(startTime);
+        expect(StorageManager.getAttemptPausedTime()).toBe(pausedFor);
+        expect(StorageManager.load(StorageManager.KEYS.ATTEMPT_PAUSED_AT)).toBeNull();
+
+        StorageManager.save(StorageManager.KEYS.ATTEMPT_PAUSED_AT, Date.now() - 10000);
+        const pausedAgain = StorageManager.resumeAttempt();
+        expect(StorageManager.getAttemptPausedTime()).toBe(pausedFor + pausedAgain);
+
+        StorageManager.resetTest(1);
+        expect(StorageManager.getAttemptPausedTime()).toBe(0);
+    });
+
+    test('should only pause attempts that are running', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.pauseAttempt();
+        expect(StorageManager.load(StorageManager.KEYS.ATTEMPT_PAUSED_AT)).toBeNull();
+
+        StorageManager.saveAttemptStartTime();
+        StorageManager.pauseAttempt();
+        expect(StorageManager.load(StorageManager.KEYS.ATTEMPT_PAUSED_AT)).not.toBeNull();
+    });
+
+    test('should move per-question state to new indexes and drop unmapped questions', () => {
+        StorageManager.saveSelectedSet('rc', 3);
+        StorageManager.saveAttemptQuestions([{ key: 'rc:1', hash: 'a' }, { key: 'rc:2', hash: 'b' }, { key: 'rc:3', hash: 'c' }]);
+        StorageManager.initializeStatuses(3);
+        StorageManager.saveAnswer(0, 1);
+        StorageManager.saveAnswer(1, 2);
+        StorageManager.saveQuestionStatus(1, 'answered');
+        StorageManager.toggleEliminatedOption(2, 3);
+        StorageManager.saveCurrentQuestion(2);
+
+        // A question was inserted at the front and the old first question was reworded
+        const dropped = StorageManager.remapAttemptState([-1, 2, 3], 4);
+
+        expect(dropped).toBe(1);
+        expect(StorageManager.getAllAnswers()).toEqual({ 2: 2 });
+        expect(StorageManager.getQuestionStatus(2)).toBe('answered');
+        expect(StorageManager.getQuestionStatus(0)).toBe('not-visited');
+        expect(StorageManager.getEliminatedOptions(3)).toEqual([3]);
+        expect(StorageManager.getCurrentQuestion()).toBe(3);
+        expect(StorageManager.getAttemptQuestions()).toHaveLength(3);
+
+        StorageManager.resetTest(4);
+        expect(StorageManager.getAttemptQuestions()).toBeNull();
+    });
+});
+
+describe('StorageManager - Option Elimination', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should toggle struck-out options per question', () => {
+        expect(StorageManager.toggleEliminatedOption(0, 2)).toEqual([2]);
+        expect(StorageManager.toggleEliminatedOption(0, 0)).toEqual([0, 2]);
+        expect(StorageManager.toggleEliminatedOption(0, 2)).toEqual([0]);
+
+        expect(StorageManager.getEliminatedOptions(0)).toEqual([0]);
+        expect(StorageManager.getEliminatedOptions(1)).toEqual([]);
+    });
+
+    test('should record every toggle in the elimination history', () => {
+        StorageManager.toggleEliminatedOption(3, 1);
+        StorageManager.toggleEliminatedOption(3, 1);
+
+        const history = StorageManager.getEliminationHistory(3);
+        expect(history.map(entry => [entry.option, entry.action])).toEqual([[1, 'eliminate'], [1, 'restore']]);
+        expect(typeof history[0].at).toBe('number');
+    });
+
+    test('should clear eliminations when the test is reset', () => {
+        StorageManager.toggleEliminatedOption(0, 1);
+        StorageManager.resetTest(4);
+
+        expect(StorageManager.getEliminatedOptions(0)).toEqual([]);
+        expect(StorageManager.getEliminationHistory(0)).toEqual([]);
+    });
+});
+
+describe('StorageManager - Passage Annotations', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should save annotations per passage', () => {
+        StorageManager.savePassageAnnotations(3, [{ id: 'a', start: 0, end: 4, color: 'yellow' }]);
+        StorageManager.savePassageAnnotations(7, [{ id: 'b', start: 5, end: 9, color: 'green' }]);
+
+        expect(StorageManager.getPassageAnnotations(3)[0].id).toBe('a');
+        expect(Object.keys(StorageManager.getAllPassageAnnotations())).toEqual(['3', '7']);
+        expect(StorageManager.getPassageAnnotations(99)).toEqual([]);
+    });
+
+    test('should drop a passage when its last annotation is removed', () => {
+        StorageManager.savePassageAnnotations(3, [{ id: 'a', start: 0, end: 4 }]);
+        StorageManager.savePassageAnnotations(3, []);
+
+        expect(StorageManager.getAllPassageAnnotations()).toEqual({});
+    });
+
+    test('should clear annotations when the test is reset', () => {
+        StorageManager.savePassageAnnotations(3, [{ id: 'a', start: 0, end: 4 }]);
+        StorageManager.resetTest(4);
+
+        expect(StorageManager.getAllPassageAnnotations()).toEqual({});
+    });
+});
+
 describe('StorageManager - Test State', () => {
     beforeEach(() => {
         localStorage.clear();
@@ -277,6 +880,279 @@ describe('StorageManager - Data Export/Import', () => {
     });
 });
 
+describe('StorageManager - Full Backup', () => {
+    const backupWith = (overrides = {}) => ({
+        format: 'varc-practice-backup',
+        version: 1,
+        exportedAt: '2026-01-01T00:00:00.000Z',
+        attempts: {},
+        drafts: {},
+        sectionalMocks: {},
+        preferences: {},
+        ...overrides
+    });
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should export history for every question type with drafts, mocks and preferences', () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, {
+            'rc': { 1: [{ score: 6, timestamp: 10 }] },
+            'para-summary': { 2: [{ score: 3, timestamp: 20 }] }
+        });
+        StorageManager.saveSectionalMock({ questionRefs: [] });
+        StorageManager.saveUserName('Asha');
+        localStorage.setItem(StorageManager.KEYS.DARK_MODE, 'true');
+        StorageManager.saveSelectedSet('rc', 1);
+        StorageManager.saveAnswer(0, 2);
+
+        const backup = StorageManager.exportBackup();
+
+        expect(backup.format).toBe('varc-practice-backup');
+        expect(backup.version).toBe(StorageManager.BACKUP_VERSION);
+        expect(Object.keys(backup.attempts)).toEqual(['rc', 'para-summary']);
+        expect(backup.drafts['rc:1'].state[StorageManager.KEYS.USER_ANSWERS]).toEqual({ 0: 2 });
+        expect(backup.sectionalMocks['1'].id).toBe(1);
+        expect(backup.preferences).toEqual({ userName: 'Asha', darkMode: true });
+        expect(StorageManager.validateBackup(backup)).toEqual({ valid: true, errors: [] });
+    });
+
+    test('should list every problem with an invalid backup', () => {
+        expect(StorageManager.validateBackup(null).valid).toBe(false);
+
+        const { valid, errors } = StorageManager.validateBackup(backupWith({
+            format: 'other',
+            version: 2,
+            attempts: { rc: { 1: [{ score: 3 }] }, 'para-jumble': [] },
+            preferences: { darkMode: 'yes' }
+        }));
+
+        expect(valid).toBe(false);
+        expect(errors).toEqual([
+            'The file is not a VARC Practice backup.',
+            'The backup was made by a newer version of the app (format 2).',
+            'Attempt 1 for rc set 1 has no timestamp.',
+            'Attempts for "para-jumble" are not grouped by set.',
+            'The saved dark mode setting is not true/false.'
+        ]);
+    });
+
+    test('should not touch storage when the backup is invalid', async () => {
+        StorageManager.saveUserName('Asha');
+        const snapshot = () => JSON.stringify(
+            Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+                .sort()
+                .map(key => [key, localStorage.getItem(key)])
+        );
+        const before = snapshot();
+
+        const result = await StorageManager.importBackup(backupWith({ attempts: null }), 'replace');
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toContain('The backup has no attempt history.');
+        expect(snapshot()).toBe(before);
+        expect((await StorageManager.importBackup(backupWith(), 'overwrite')).errors).toEqual(['Unknown import mode "overwrite".']);
+    });
+
+    test('merge should skip attempts already stored and keep local preferences', async () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, { rc: { 1: [{ score: 6, timestamp: 10 }] } });
+        StorageManager.saveUserName('Asha');
+        StorageManager.save(StorageManager.KEYS.SECTIONAL_MOCKS, { 1: { id: 1, questionRefs: ['local'] } });
+
+        const result = await StorageManager.importBackup(backupWith({
+            attempts: {
+                'rc': { 1: [{ score: 6, timestamp: 10 }, { score: 9, timestamp: 5 }] },
+                'odd-one-out': { 3: [{ score: 3, timestamp: 30 }] }
+            },
+            sectionalMocks: { 1: { id: 1, questionRefs: ['backup'] }, 2: { id: 2, questionRefs: [] } },
+            preferences: { userName: 'Backup', timerPreferences: { mode: 'countdown' } }
+        }), 'merge');
+
+        expect(result).toEqual({ success: true, errors: [], added: 2, skipped: 1 });
+        expect(StorageManager.getSetAttempts('rc', 1).map(attempt => attempt.timestamp)).toEqual([5, 10]);
+        expect(StorageManager.getSetAttempts('odd-one-out', 3)).toHaveLength(1);
+        expect(StorageManager.getSectionalMock(1).questionRefs).toEqual(['local']);
+        expect(StorageManager.getSectionalMock(2)).not.toBeNull();
+        expect(StorageManager.getUserName()).toBe('Asha');
+        expect(StorageManager.getTimerPreferences().mode).toBe('countdown');
+    });
+
+    test('merge should add review queue questions not queued locally and keep local schedules', async () => {
+        StorageManager.saveReviewQueue({ items: { 'rc:1': { key: 'rc:1', due: '2026-04-01' } }, attempts: ['rc:1:10'] });
+
+        const result = await StorageManager.importBackup(backupWith({
+            reviewQueue: {
+                items: { 'rc:1': { key: 'rc:1', due: '2026-03-01' }, 'rc:2': { key: 'rc:2', due: '2026-03-02' } },
+                attempts: ['rc:1:10', 'rc:1:20']
+            }
+        }), 'merge');
+
+        expect(result.success).toBe(true);
+        expect(StorageManager.getReviewQueue()).toEqual({
+            items: { 'rc:1': { key: 'rc:1', due: '2026-04-01' }, 'rc:2': { key: 'rc:2', due: '2026-03-02' } },
+            attempts: ['rc:1:10', 'rc:1:20']
+        });
+        expect(StorageManager.validateBackup(backupWith({ reviewQueue: { items: [], attempts: {} } })).errors).toEqual([
+            'The review queue in the backup has no list of questions.',
+            'The review queue in the backup has no list of collected attempts.'
+        ]);
+    });
+
+    test('merge should keep mistake notes written on this browser', async () => {
+        StorageManager.saveMistakeNote('rc:1:10/rc:1', { reason: 'vocabulary', note: 'local' });
+
+        await StorageManager.importBackup(backupWith({
+            mistakeNotes: {
+                'rc:1:10/rc:1': { reason: 'time-pressure', note: 'backup' },
+                'rc:1:10/rc:2': { reason: 'out-of-scope', note: '' }
+            }
+        }), 'merge');
+
+        expect(StorageManager.getMistakeNotes()).toEqual({
+            'rc:1:10/rc:1': { reason: 'vocabulary', note: 'local' },
+            'rc:1:10/rc:2': { reason: 'out-of-scope', note: '' }
+        });
+        expect(StorageManager.removeMistakeNote('rc:1:10/rc:2')).toBe(true);
+        expect(StorageManager.removeMistakeNote('rc:1:10/rc:2')).toBe(false);
+    });
+
+    test('replace should drop local history and restore a round-tripped backup exactly', async () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, { rc: { 1: [{ score: 6, timestamp: 10 }] } });
+        StorageManager.saveUserName('Asha');
+        const backup = JSON.parse(JSON.stringify(StorageManager.exportBackup()));
+
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, { 'para-jumble': { 2: [{ score: 1, timestamp: 99 }] } });
+        StorageManager.saveUserName('Someone else');
+
+        const result = await StorageManager.importBackup(backup, 'replace');
+
+        expect(result.added).toBe(1);
+        expect(StorageManager.load(StorageManager.KEYS.SET_ATTEMPTS)).toEqual(backup.attempts);
+        expect(StorageManager.getUserName()).toBe('Asha');
+    });
+
+    test('replace should keep everything when the new history does not fit', async () => {
+        StorageManager.save(StorageManager.KEYS.SET_ATTEMPTS, { rc: { 1: [{ score: 6, timestamp: 10 }] } });
+        StorageManager.saveSectionalMock({ questionRefs: [] });
+        StorageManager.saveReviewQueue({ items: { 'rc:1': { key: 'rc:1', due: '2026-04-01' } }, attempts: ['rc:1:10'] });
+        StorageManager.saveMistakeNote('rc:1:10/rc:1', { reason: 'vocabulary', note: 'local' });
+        StorageManager.saveAnswer(0, 2);
+        const snapshot = () => JSON.stringify(
+            Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+                .sort()
+                .map(key => [key, localStorage.getItem(key)])
+        );
+        const before = snapshot();
+        const setItem = jest.spyOn(Object.getPrototypeOf(localStorage), 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        try {
+            const result = await StorageManager.importBackup(backupWith({
+                attempts: { 'para-jumble': { 2: [{ score: 1, timestamp: 99 }] } }
+            }), 'replace');
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual(['The attempt history could not be saved. Browser storage may be full.']);
+        } finally {
+            setItem.mockRestore();
+            console.error.mockRestore();
+        }
+        expect(snapshot()).toBe(before);
+    });
+});
+
+describe('StorageManager - Profiles', () => {
+    beforeEach(async () => {
+        localStorage.clear();
+        await StorageManager.switchProfile(StorageManager.DEFAULT_PROFILE_ID);
+    });
+
+    test('should start with a default profile named after the user', () => {
+        expect(StorageManager.getProfiles().map(profile => profile.id)).toEqual(['default']);
+        expect(StorageManager.getUserName()).toBe('Student');
+
+        expect(StorageManager.saveUserName('Asha')).toBe(true);
+        expect(StorageManager.getActiveProfile().name).toBe('Asha');
+    });
+
+    test('should reject empty, duplicate and overlong profile names', () => {
+        StorageManager.saveUserName('Asha');
+
+        expect(StorageManager.createProfile('   ')).toBeNull();
+        expect(StorageManager.createProfile('asha')).toBeNull();
+        expect(StorageManager.validateProfileName('x'.repeat(41))).toMatch('at most 40');
+        expect(StorageManager.validateProfileName('Asha', 'default')).toBeNull();
+        expect(StorageManager.createProfile(' Ravi ').name).toBe('Ravi');
+    });
+
+    test('should keep attempts, drafts and preferences separate per profile', async () => {
+        StorageManager.saveSetAttempt('rc', 1, { score: 6 });
+        StorageManager.saveSelectedSet('rc', 1);
+        StorageManager.saveAnswer(0, 2);
+        StorageManager.save(StorageManager.KEYS.DARK_MODE, true);
+
+        const ravi = StorageManager.createProfile('Ravi');
+        expect(await StorageManager.switchProfile(ravi.id)).toBe(true);
+
+        expect(StorageManager.getUserName()).toBe('Ravi');
+        expect(StorageManager.getSetAttempts('rc', 1)).toEqual([]);
+        expect(StorageManager.getAttemptDrafts()).toEqual([]);
+        expect(StorageManager.load(StorageManager.KEYS.DARK_MODE, false)).toBe(false);
+        StorageManager.saveSetAttempt('rc', 1, { score: 9 });
+        expect(localStorage.getItem(`varc_set_attempts@${ravi.id}`)).not.toBeNull();
+
+        await StorageManager.switchProfile('default');
+        expect(StorageManager.getSetAttempts('rc', 1).map(attempt => attempt.score)).toEqual([6]);
+        expect(StorageManager.getAnswer(0)).toBe(2);
+        expect(StorageManager.load(StorageManager.KEYS.DARK_MODE, false)).toBe(true);
+    });
+
+    test('should export a profile that is not active', async () => {
+        const ravi = StorageManager.createProfile('Ravi');
+        await StorageManager.switchProfile(ravi.id);
+        StorageManager.saveSetAttempt('para-jumble', 2, { score: 3 });
+        await StorageManager.switchProfile('default');
+
+        const backup = await StorageManager.exportProfile(ravi.id);
+
+        expect(backup.preferences.userName).toBe('Ravi');
+        expect(backup.attempts['para-jumble']['2']).toHaveLength(1);
+        expect(StorageManager.validateBackup(backup).valid).toBe(true);
+        expect(await StorageManager.exportProfile('missing')).toBeNull();
+    });
+
+    test('should delete a profile with its data but never the active or default one', async () => {
+        const ravi = StorageManager.createProfile('Ravi');
+        await StorageManager.switchProfile(ravi.id);
+        StorageManager.saveSetAttempt('rc', 1, { score: 9 });
+
+        expect(await StorageManager.deleteProfile(ravi.id)).toBe(false);
+        await StorageManager.switchProfile('default');
+        expect(await StorageManager.deleteProfile('default')).toBe(false);
+
+        expect(await StorageManager.deleteProfile(ravi.id)).toBe(true);
+        expect(StorageManager.getProfile(ravi.id)).toBeNull();
+        expect(localStorage.getItem(`varc_set_attempts@${ravi.id}`)).toBeNull();
+    });
+
+    test('clearAll should only clear the active profile', async () => {
+        StorageManager.saveSetAttempt('rc', 1, { score: 6 });
+        const ravi = StorageManager.createProfile('Ravi');
+        await StorageManager.switchProfile(ravi.id);
+        StorageManager.saveSetAttempt('rc', 1, { score: 9 });
+
+        StorageManager.clearAll();
+
+        expect(StorageManager.getSetAttempts('rc', 1)).toEqual([]);
+        expect(StorageManager.getProfile(ravi.id)).not.toBeNull();
+        await StorageManager.switchProfile('default');
+        expect(StorageManager.getSetAttempts('rc', 1)).toHaveLength(1);
+    });
+});
+
 describe('StorageManager - Question Time Tracking', () => {
     beforeEach(() => {
         localStorage.clear();
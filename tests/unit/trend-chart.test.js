@@ -0,0 +1,85 @@
+/**
+ * Tests for the inline SVG trend charts
+ */
+
+// Fix TextEncoder issue for jsdom - must be before JSDOM import
+global.TextEncoder = require('util').TextEncoder;
+global.TextDecoder = require('util').TextDecoder;
+
+const { JSDOM } = require('jsdom');
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = dom.window.document;
+global.window = dom.window;
+
+global.Utils = require('../../js/utils');
+
+const TrendChart = require('../../js/trend-chart');
+
+describe('TrendChart', () => {
+    const series = (label, points) => ({ label, color: '#667eea', points });
+
+    test('getNiceStep should round steps up to 1, 2, 2.5 or 5 times a power of ten', () => {
+        expect(TrendChart.getNiceStep(0.7)).toBe(1);
+        expect(TrendChart.getNiceStep(13)).toBe(20);
+        expect(TrendChart.getNiceStep(22)).toBe(25);
+        expect(TrendChart.getNiceStep(25)).toBe(25);
+        expect(TrendChart.getNiceStep(40)).toBe(50);
+        expect(TrendChart.getNiceStep(0)).toBe(1);
+    });
+
+    test('getYAxis should cover the values and the bounds', () => {
+        expect(TrendChart.getYAxis([40, 72], { min: 0, max: 100 })).toEqual({
+            min: 0,
+            max: 100,
+            ticks: [0, 25, 50, 75, 100]
+        });
+        expect(TrendChart.getYAxis([-12, 30])).toEqual({
+            min: -20,
+            max: 40,
+            ticks: [-20, 0, 20, 40]
+        });
+        expect(TrendChart.getYAxis([0])).toEqual({ min: 0, max: 1, ticks: [0, 1] });
+    });
+
+    test('render should draw nothing without points', () => {
+        expect(TrendChart.render({ series: [] })).toBe('');
+        expect(TrendChart.render({ series: [series('Empty', [])] })).toBe('');
+    });
+
+    test('render should draw a line per series and a dot per point', () => {
+        const container = document.createElement('div');
+        container.innerHTML = TrendChart.render({
+            series: [
+                series('Reading', [{ x: 2, value: 60, trend: 55 }, { x: 1, value: 50, trend: 50 }]),
+                series('Para Jumbles', [{ x: 1, value: 80 }])
+            ],
+            yBounds: { min: 0, max: 100 },
+            formatY: value => `${value}%`,
+            title: 'Accuracy by day'
+        });
+
+        const svg = container.querySelector('svg.trend-chart');
+        expect(svg.getAttribute('aria-label')).toBe('Accuracy by day');
+        expect(container.querySelectorAll('.trend-line')).toHaveLength(2);
+        expect(container.querySelectorAll('.trend-dot')).toHaveLength(3);
+        expect(container.querySelector('.trend-dot title').textContent).toBe('Reading, 1: 50%');
+
+        // Points are joined in x order, through the trend value: x from the left edge, y from 50 and 55
+        const [start, end] = container.querySelector('.trend-line').getAttribute('points').split(' ');
+        expect(Number(start.split(',')[0])).toBeLessThan(Number(end.split(',')[0]));
+        expect(Number(start.split(',')[1])).toBeGreaterThan(Number(end.split(',')[1]));
+    });
+
+    test('render and renderLegend should escape labels', () => {
+        const chart = TrendChart.render({
+            series: [series('<b>RC</b>', [{ x: 1, value: 1 }])],
+            title: '"Score" <chart>'
+        });
+        const legend = TrendChart.renderLegend([series('<b>RC</b>', [])]);
+
+        expect(chart).not.toContain('<b>');
+        expect(chart).not.toContain('<chart>');
+        expect(legend).not.toContain('<b>');
+        expect(legend).toContain('&lt;b&gt;RC&lt;/b&gt;');
+    });
+});
@@ -309,3 +309,45 @@ describe('Utils - Validation Helpers', () => {
         });
     });
 });
+
+describe('Utils - Scoring Helpers', () => {
+    describe('getQuestionMarks', () => {
+        test('should use the question marks for MCQ', () => {
+            expect(Utils.getQuestionMarks({ type: 'MCQ', marks: { positive: 3, negative: 1 } })).toEqual({ positive: 3, negative: 1 });
+        });
+
+        test('should never apply negative marking to TITA', () => {
+            expect(Utils.getQuestionMarks({ type: 'TITA', marks: { positive: 3, negative: 1 } })).toEqual({ positive: 3, negative: 0 });
+        });
+
+        test('should fall back to CAT defaults when marks are missing', () => {
+            expect(Utils.getQuestionMarks({})).toEqual({ positive: 3, negative: 1 });
+            expect(Utils.getQuestionMarks({ marks: { positive: 3, negative: 0 } }).negative).toBe(0);
+        });
+    });
+});
+
+describe('Utils - hashString', () => {
+    test('should give the same hash for the same text', () => {
+        expect(Utils.hashString('What is the main idea?')).toBe(Utils.hashString('What is the main idea?'));
+        expect(Utils.hashString('')).toBe((0x811c9dc5).toString(36));
+    });
+
+    test('should tell small edits apart', () => {
+        expect(Utils.hashString('Option A')).not.toBe(Utils.hashString('Option B'));
+        expect(Utils.hashString('Option A')).toMatch(/^[0-9a-z]+$/);
+    });
+});
+
+describe('Utils - Date Keys', () => {
+    test('should give the local calendar day of a date or timestamp', () => {
+        expect(Utils.toDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+        expect(Utils.toDateKey(new Date(2026, 11, 31).getTime())).toBe('2026-12-31');
+    });
+
+    test('should parse a day to local midnight, moved by whole days', () => {
+        expect(Utils.parseDateKey('2026-03-01').getTime()).toBe(new Date(2026, 2, 1).getTime());
+        expect(Utils.toDateKey(Utils.parseDateKey('2026-02-27', 2))).toBe('2026-03-01');
+        expect(Utils.toDateKey(Utils.parseDateKey('2026-01-01', -1))).toBe('2025-12-31');
+    });
+});